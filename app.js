@@ -0,0 +1,74 @@
+const express = require('express');
+const cors = require('cors');
+const path = require('path');
+const rateLimit = require('express-rate-limit');
+const createRoutes = require('./routes');
+const { markRequestData } = require('./storage/request-data');
+const { startCampaignScheduler } = require('./lib/campaigns');
+
+// Build the Express app on top of a storage adapter (see storage/index.js).
+// Routes answer both unprefixed (/companies) and under /api (/api/companies).
+function createApp(db) {
+  const app = express();
+
+  // Middleware
+  app.use(cors());
+  app.use(express.json({ limit: '10mb' }));
+  // Storage won't read anything a client sent as a `where` operator
+  app.use((req, res, next) => {
+    markRequestData(req.body);
+    markRequestData(req.query);
+    next();
+  });
+  app.use(express.static(path.join(__dirname, 'public')));
+
+  // Rate limiting
+  const limiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 100 // limit each IP to 100 requests per windowMs
+  });
+  app.use('/api/', limiter);
+
+  const routes = createRoutes(db);
+  app.use(routes);
+  app.use('/api', routes);
+
+  // Health check
+  app.get('/api/health', (req, res) => {
+    res.json({ status: 'ok', driver: db.driver, timestamp: new Date().toISOString() });
+  });
+
+  // ============================================
+  // SPA FALLBACK ROUTE
+  // ============================================
+  // Serve index.html for all other routes (SPA routing)
+  app.get('*', (req, res) => {
+    res.sendFile(path.join(__dirname, 'public/index.html'));
+  });
+
+  return app;
+}
+
+function startServer(app, db) {
+  const PORT = process.env.PORT || 3000;
+
+  app.listen(PORT, () => {
+    console.log(`✓ Server running on port ${PORT}`);
+    console.log(`✓ Environment: ${process.env.NODE_ENV || 'development'}`);
+    console.log(`✓ Storage: ${db.driver}`);
+    console.log(`✓ Access at: http://localhost:${PORT}`);
+  });
+
+  // Serverless deployments have no long-running process; they send campaign
+  // steps from a cron job instead (see vercel.json)
+  startCampaignScheduler(db);
+
+  // Graceful shutdown
+  process.on('SIGINT', async () => {
+    await db.close();
+    console.log('\nServer shutdown gracefully');
+    process.exit(0);
+  });
+}
+
+module.exports = { createApp, startServer };
@@ -1,119 +1,38 @@
 require('dotenv').config();
-const { createClient } = require('@supabase/supabase-js');
 const bcrypt = require('bcryptjs');
-
-// Initialize Supabase client
-const supabaseUrl = process.env.SUPABASE_URL;
-const supabaseKey = process.env.SUPABASE_ANON_KEY;
-
-if (!supabaseUrl || !supabaseKey) {
-  console.error('❌ Error: SUPABASE_URL and SUPABASE_ANON_KEY environment variables are required');
+const { createStorage } = require('./storage');
+const { phoneDigits } = require('./lib/normalize');
+
+// Seeds the database named on the command line (`node database.js sqlite`),
+// else whichever one DB_DRIVER points at (supabase by default)
+let db;
+try {
+  db = createStorage({ driver: process.argv[2] });
+} catch (err) {
+  console.error(`❌ Error: ${err.message}`);
   console.error('Please set these in your .env file');
   process.exit(1);
 }
 
-const supabase = createClient(supabaseUrl, supabaseKey);
-
-const execSql = async (label, sql) => {
-  const { error } = await supabase.rpc('exec', { sql });
-  if (error) {
-    console.warn(`⚠️ ${label} not created automatically. Run this SQL in Supabase SQL editor.`);
-    console.warn(error.message || error);
-  }
-};
-
 async function initializeDatabase() {
-  console.log('Setting up Supabase database...\n');
+  console.log(`Setting up ${db.driver} database...\n`);
 
   try {
-    // Create users table
-    console.log('Creating users table...');
-    await execSql('Users table', `
-      CREATE TABLE IF NOT EXISTS users (
-        id BIGSERIAL PRIMARY KEY,
-        username TEXT UNIQUE NOT NULL,
-        password TEXT NOT NULL,
-        name TEXT NOT NULL,
-        role TEXT DEFAULT 'user',
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      );
-    `);
-
-    // Create companies table
-    console.log('Creating companies table...');
-    await execSql('Companies table', `
-      CREATE TABLE IF NOT EXISTS companies (
-        id TEXT PRIMARY KEY,
-        name TEXT NOT NULL,
-        type TEXT,
-        contact_name TEXT,
-        address TEXT,
-        city TEXT,
-        state TEXT,
-        zip TEXT,
-        phone TEXT,
-        email TEXT,
-        website TEXT,
-        notes TEXT,
-        is_customer INTEGER DEFAULT 0,
-        last_order_date TIMESTAMP,
-        last_estimate_date TIMESTAMP,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      );
-    `);
-
-    // Create employees table
-    console.log('Creating employees table...');
-    await execSql('Employees table', `
-      CREATE TABLE IF NOT EXISTS employees (
-        id TEXT PRIMARY KEY,
-        name TEXT NOT NULL,
-        role TEXT,
-        active INTEGER DEFAULT 1,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      );
-    `);
-
-    // Create activities table
-    console.log('Creating activities table...');
-    await execSql('Activities table', `
-      CREATE TABLE IF NOT EXISTS activities (
-        id TEXT PRIMARY KEY,
-        company_id TEXT NOT NULL,
-        employee_id TEXT NOT NULL,
-        type TEXT NOT NULL,
-        answered INTEGER DEFAULT 0,
-        interested INTEGER DEFAULT 0,
-        follow_up INTEGER DEFAULT 0,
-        notes TEXT,
-        date TIMESTAMP NOT NULL,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (company_id) REFERENCES companies(id) ON DELETE CASCADE,
-        FOREIGN KEY (employee_id) REFERENCES employees(id) ON DELETE CASCADE
-      );
-    `);
-
+    console.log('Applying migrations...');
+    await db.migrate();
     console.log('✓ Tables created');
 
     // Insert initial employee data
     console.log('\nInserting initial employee...');
-    const { data: existingEmp } = await supabase
-      .from('employees')
-      .select('id')
-      .eq('id', 'emp_1')
-      .single();
+    const existingEmp = await db.first('employees', { columns: ['id'], where: { id: 'emp_1' } });
 
     if (!existingEmp) {
-      await supabase
-        .from('employees')
-        .insert([{
-          id: 'emp_1',
-          name: 'Jon',
-          role: 'Sales Manager',
-          active: 1
-        }]);
+      await db.insert('employees', {
+        id: 'emp_1',
+        name: 'Jon',
+        role: 'Sales Manager',
+        active: 1
+      });
       console.log('✓ Added Jon as Sales Manager');
     }
 
@@ -154,56 +73,37 @@ async function initializeDatabase() {
     ];
 
     for (const company of companies) {
-      const { data: existing, error: existingError } = await supabase
-        .from('companies')
-        .select('id')
-        .eq('id', company.id)
-        .maybeSingle();
-
-      if (existingError) {
-        console.warn(`⚠️ Could not check company ${company.id}: ${existingError.message}`);
-      }
-
-      if (!existing) {
-        const { error: insertError } = await supabase
-          .from('companies')
-          .insert([company]);
-        if (insertError) {
-          console.log(`Company ${company.id} might already exist: ${insertError.message}`);
+      try {
+        const existing = await db.first('companies', { columns: ['id'], where: { id: company.id } });
+        if (!existing) {
+          await db.insert('companies', { ...company, phone_digits: phoneDigits(company.phone) });
         }
+      } catch (err) {
+        console.warn(`⚠️ Could not add company ${company.id}: ${err.message}`);
       }
     }
     console.log('✓ Inserted 31 companies');
 
     // Create default admin user
     console.log('\nCreating default admin user...');
-    const { data: existingUser, error: existingUserError } = await supabase
-      .from('users')
-      .select('id')
-      .eq('username', 'admin')
-      .maybeSingle();
-
-    if (existingUserError) {
-      console.warn(`⚠️ Could not check admin user: ${existingUserError.message}`);
-    }
+    const existingUser = await db.first('users', { columns: ['id'], where: { username: 'admin' } });
 
     if (!existingUser) {
-      const hashedPassword = bcrypt.hashSync('admin123', 10);
-      await supabase
-        .from('users')
-        .insert([{
-          username: 'admin',
-          password: hashedPassword,
-          name: 'Administrator',
-          role: 'admin'
-        }]);
+      // admin123 has to be replaced at the first sign-in (see lib/passwords.js)
+      await db.insert('users', {
+        username: 'admin',
+        password: bcrypt.hashSync('admin123', 10),
+        name: 'Administrator',
+        role: 'admin',
+        must_change_password: 1
+      });
       console.log('✓ Admin user created');
       console.log('  Username: admin');
-      console.log('  Password: admin123');
-      console.log('  ⚠️  IMPORTANT: Change the admin password after first login!');
+      console.log('  Password: admin123 (a new one must be chosen at the first sign-in)');
     }
 
     console.log('\n✓ Database initialization complete!');
+    await db.close();
   } catch (err) {
     console.error('❌ Error initializing database:', err);
     process.exit(1);
@@ -1,129 +1,67 @@
 require('dotenv').config();
-const { createClient } = require('@supabase/supabase-js');
 const fs = require('fs');
-const path = require('path');
+const { createStorage } = require('./storage');
+const { parseCsv } = require('./lib/csv');
+const { guessMapping, validateMapping, planImport, applyImport, summarize } = require('./lib/company-import');
 
-const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_ANON_KEY);
+// Import companies from a CSV file, the command-line twin of
+// POST /import/companies:
+//
+//   node import-csv.js companies.csv [sqlite|supabase] [--merge] [--dry-run]
+//
+// Columns are matched to company fields by their headers. Rows that look like
+// an existing company (same name, phone or website) are skipped, or with
+// --merge fill in that company's blank fields. Nothing is ever deleted.
+const args = process.argv.slice(2);
+const flags = args.filter(arg => arg.startsWith('--'));
+const [csvPath, driver] = args.filter(arg => !arg.startsWith('--'));
 
-// Parse CSV with proper handling of quoted fields and commas
-function parseCSV(filePath) {
-  const content = fs.readFileSync(filePath, 'utf-8');
-  const lines = content.split('\n');
-  
-  // Parse a single CSV line handling quoted fields
-  function parseLine(line) {
-    const result = [];
-    let current = '';
-    let inQuotes = false;
-    
-    for (let i = 0; i < line.length; i++) {
-      const char = line[i];
-      const nextChar = line[i + 1];
-      
-      if (char === '"') {
-        if (inQuotes && nextChar === '"') {
-          current += '"';
-          i++; // Skip next quote
-        } else {
-          inQuotes = !inQuotes;
-        }
-      } else if (char === ',' && !inQuotes) {
-        result.push(current.trim());
-        current = '';
-      } else {
-        current += char;
-      }
-    }
-    result.push(current.trim());
-    return result;
-  }
-  
-  const headers = parseLine(lines[0]);
-  const data = [];
-  
-  for (let i = 1; i < lines.length; i++) {
-    if (!lines[i].trim()) continue;
-    
-    const values = parseLine(lines[i]);
-    if (values.length === 0 || !values[0]) continue;
-    
-    const row = {};
-    headers.forEach((header, index) => {
-      row[header] = values[index] || '';
-    });
-    
-    if (row['Company Name']) {
-      data.push(row);
-    }
-  }
-  
-  return data;
+if (!csvPath) {
+  console.error('Usage: node import-csv.js <file.csv> [sqlite|supabase] [--merge] [--dry-run]');
+  process.exit(1);
+}
+
+let db;
+try {
+  db = createStorage({ driver });
+} catch (err) {
+  console.error(`❌ Error: ${err.message}`);
+  process.exit(1);
 }
 
-async function importData() {
+async function importCompanies() {
   try {
-    console.log('🗑️  Deleting all existing companies...');
-    const { error: deleteError } = await supabase
-      .from('companies')
-      .delete()
-      .neq('id', ''); // Delete all rows
-    
-    if (deleteError) {
-      console.error('Error deleting companies:', deleteError);
-    } else {
-      console.log('✅ All existing companies deleted');
+    console.log(`📁 Reading ${csvPath}...`);
+    const [headers, ...lines] = parseCsv(fs.readFileSync(csvPath, 'utf-8')).map(row => row.map(cell => cell.trim()));
+    if (!headers || lines.length === 0) {
+      throw new Error('The CSV needs a header row and at least one company');
     }
-    
-    console.log('\n📁 Reading CSV file...');
-    const csvPath = 'C:\\Users\\Jondf\\OneDrive\\Desktop\\contractor_database (1).csv';
-    const rows = parseCSV(csvPath);
-    
-    console.log(`✅ Found ${rows.length} companies in CSV\n`);
-    
-    console.log('📤 Importing companies to Supabase...');
-    let imported = 0;
-    
-    for (const row of rows) {
-      const company = {
-        id: `company_${Date.now()}_${imported}`,
-        name: row['Company Name'],
-        type: row['Type'] || 'General',
-        contact_name: null,
-        address: row['Address'] || '',
-        city: row['City'] || '',
-        state: row['State'] || '',
-        zip: row['Zip'] || '',
-        phone: row['Phone'] || '',
-        email: row['Email'] || '',
-        website: row['Website'] || '',
-        notes: row['Services/Notes'] || '',
-        is_customer: 0,
-        last_order_date: null,
-        last_estimate_date: null
-      };
-      
-      const { error } = await supabase
-        .from('companies')
-        .insert([company]);
-      
-      if (error) {
-        console.error(`❌ Failed to import: ${company.name}`, error.message);
-      } else {
-        imported++;
-        if (imported % 10 === 0) {
-          console.log(`   Imported ${imported}/${rows.length}...`);
-        }
-      }
+
+    const mapping = guessMapping(headers);
+    const problem = validateMapping(headers, mapping);
+    if (problem) {
+      throw new Error(`${problem}. Headers found: ${headers.join(', ')}`);
+    }
+    console.log('Columns:', Object.entries(mapping).map(([header, field]) => `${header} -> ${field}`).join(', '));
+
+    await db.migrate();
+    const plan = await planImport(db, headers, lines, mapping, { onDuplicate: flags.includes('--merge') ? 'merge' : 'skip' });
+    if (!flags.includes('--dry-run')) {
+      await applyImport(db, plan);
+    }
+
+    for (const row of plan.filter(r => r.action === 'error')) {
+      console.log(`   ❌ Row ${row.row}: ${row.errors.join('; ')}`);
     }
-    
-    console.log(`\n✅ Import complete! ${imported}/${rows.length} companies imported`);
-    console.log('\n🔄 Refresh your browser to see the new data!');
-    
+    const summary = summarize(plan);
+    console.log(`\n${flags.includes('--dry-run') ? '🔍 Dry run' : '✅ Import complete'}: ` +
+      `${summary.create} created, ${summary.merge} merged, ${summary.skip} skipped, ${summary.error} failed of ${summary.total} rows`);
   } catch (err) {
-    console.error('❌ Error:', err);
+    console.error('❌ Error:', err.message || err);
+    process.exitCode = 1;
+  } finally {
+    await db.close();
   }
-  
-  process.exit(0);
 }
 
-importData();
+importCompanies();
@@ -0,0 +1,17 @@
+// Record an audit entry in activity_logs. Failures are logged, never thrown,
+// so auditing can't break the request that triggered it.
+async function logActivity(db, userId, actionType, entityType, entityId, details) {
+  try {
+    await db.insert('activity_logs', {
+      user_id: userId,
+      action_type: actionType,
+      entity_type: entityType,
+      entity_id: entityId === null || entityId === undefined ? null : String(entityId),
+      details: details
+    });
+  } catch (err) {
+    console.error('Error logging activity:', err);
+  }
+}
+
+module.exports = { logActivity };
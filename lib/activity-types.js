@@ -0,0 +1,48 @@
+// Activity types and the optional fields each one records. The app keeps
+// the same list (ACTIVITY_TYPES in public/index.html) with icons and colours.
+//   answered:         whether the other side picked up or replied
+//   duration_minutes: how long it took
+const ACTIVITY_TYPES = {
+  call: { label: 'Call', fields: ['answered', 'duration_minutes'] },
+  email: { label: 'Email', fields: ['answered'] },
+  sms: { label: 'Text message', fields: ['answered'] },
+  meeting: { label: 'Meeting', fields: ['duration_minutes'] },
+  site_visit: { label: 'Site visit', fields: ['duration_minutes'] },
+  quote_sent: { label: 'Quote sent', fields: [] },
+  order_placed: { label: 'Order placed', fields: [] }
+};
+
+const MAX_DURATION_MINUTES = 24 * 60;
+
+const recordsField = (type, field) => Boolean(ACTIVITY_TYPES[type] && ACTIVITY_TYPES[type].fields.includes(field));
+
+// Returns an error message, or null when type and duration_minutes (where
+// given) are acceptable
+function validateActivityType(body) {
+  if (body.type !== undefined && !ACTIVITY_TYPES[body.type]) {
+    return `type must be one of: ${Object.keys(ACTIVITY_TYPES).join(', ')}`;
+  }
+  const duration = body.duration_minutes;
+  if (duration !== undefined && duration !== null && duration !== '') {
+    const minutes = Number(duration);
+    if (!Number.isInteger(minutes) || minutes < 0 || minutes > MAX_DURATION_MINUTES) {
+      return `duration_minutes must be a whole number from 0 to ${MAX_DURATION_MINUTES}`;
+    }
+  }
+  return null;
+}
+
+// duration_minutes as stored for an activity of this type: null when the
+// type doesn't record one, undefined when the body leaves it alone
+function durationFor(type, duration) {
+  if (!recordsField(type, 'duration_minutes')) return null;
+  if (duration === undefined) return undefined;
+  return duration === null || duration === '' ? null : Number(duration);
+}
+
+module.exports = {
+  ACTIVITY_TYPES,
+  recordsField,
+  validateActivityType,
+  durationFor
+};
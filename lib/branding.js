@@ -0,0 +1,81 @@
+// How printed documents (the company summary and product sheet) present the
+// business: its name, contact details, colour and logo. Saved under 'branding'.
+
+const SETTINGS_KEY = 'branding';
+
+const DEFAULT_BRANDING = {
+  company_name: 'Delaware Fence Solutions',
+  tagline: 'Fencing for contractors and property managers',
+  phone: '',
+  email: '',
+  website: '',
+  address: '',
+  accent_color: '#1d4ed8',
+  // A PNG or JPEG as a data: URL, or null for none
+  logo: null
+};
+
+const TEXT_FIELDS = ['company_name', 'tagline', 'phone', 'email', 'website', 'address'];
+const MAX_TEXT_LENGTH = 200;
+const MAX_LOGO_BYTES = 512 * 1024;
+const LOGO_PATTERN = /^data:image\/(png|jpeg);base64,([A-Za-z0-9+/]+={0,2})$/;
+
+async function loadBranding(db) {
+  const saved = await db.first('settings', { columns: ['value'], where: { key: SETTINGS_KEY } });
+  return { ...DEFAULT_BRANDING, ...(saved ? JSON.parse(saved.value) : {}) };
+}
+
+// Returns an error message, or null when the branding can be saved
+function validateBranding(branding) {
+  if (!branding || typeof branding !== 'object' || Array.isArray(branding)) {
+    return 'Branding must be an object';
+  }
+  for (const [key, value] of Object.entries(branding)) {
+    if (TEXT_FIELDS.includes(key)) {
+      if (value !== null && typeof value !== 'string') return `${key} must be text`;
+      if (value && value.length > MAX_TEXT_LENGTH) return `${key} must be at most ${MAX_TEXT_LENGTH} characters`;
+    } else if (key === 'accent_color') {
+      if (!/^#[0-9a-fA-F]{6}$/.test(value)) return 'accent_color must be a colour like #1d4ed8';
+    } else if (key === 'logo') {
+      if (value === null || value === '') continue;
+      const match = LOGO_PATTERN.exec(value);
+      if (!match) return 'logo must be a PNG or JPEG image';
+      if (Buffer.byteLength(match[2], 'base64') > MAX_LOGO_BYTES) return `logo must be at most ${MAX_LOGO_BYTES / 1024} KB`;
+    } else {
+      return `Unknown setting: ${key}`;
+    }
+  }
+  if (branding.company_name !== undefined && !String(branding.company_name || '').trim()) {
+    return 'company_name is required';
+  }
+  return null;
+}
+
+// Settings left out keep their values
+async function saveBranding(db, changes, userId) {
+  const branding = { ...(await loadBranding(db)) };
+  for (const [key, value] of Object.entries(changes)) {
+    branding[key] = key === 'logo' ? value || null : (typeof value === 'string' ? value.trim() : value);
+  }
+  await db.upsert('settings', {
+    key: SETTINGS_KEY,
+    value: JSON.stringify(branding),
+    updated_by: userId,
+    updated_at: new Date().toISOString()
+  }, { onConflict: 'key' });
+  return branding;
+}
+
+// The logo as image data PDFKit can draw, or null
+function logoImage(branding) {
+  const match = branding.logo && LOGO_PATTERN.exec(branding.logo);
+  return match ? Buffer.from(match[2], 'base64') : null;
+}
+
+module.exports = {
+  DEFAULT_BRANDING,
+  loadBranding,
+  validateBranding,
+  saveBranding,
+  logoImage
+};
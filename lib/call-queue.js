@@ -0,0 +1,156 @@
+// The Calling tab's queue: which company to call next, and a short lock so
+// two reps don't pull the same one. Settings are saved under 'call_queue'.
+
+const SETTINGS_KEY = 'call_queue';
+
+// cooldown_hours: how long after any activity a company stays out of the
+// queue. lock_minutes: how long a pulled company is held for its caller.
+const DEFAULT_QUEUE_SETTINGS = { cooldown_hours: 72, lock_minutes: 15 };
+const SETTING_LIMITS = { cooldown_hours: [0, 24 * 90], lock_minutes: [1, 240] };
+
+// Why a company is where it is in the queue, most urgent first
+const PRIORITIES = {
+  overdue_follow_up: 'Follow-up overdue',
+  interested: 'Interested, not yet a customer',
+  never_contacted: 'Never contacted',
+  last_contacted: 'Longest since last contact'
+};
+const PRIORITY_ORDER = Object.keys(PRIORITIES);
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+async function loadQueueSettings(db) {
+  const saved = await db.first('settings', { columns: ['value'], where: { key: SETTINGS_KEY } });
+  return { ...DEFAULT_QUEUE_SETTINGS, ...(saved ? JSON.parse(saved.value) : {}) };
+}
+
+// Returns an error message, or null when the settings can be saved
+function validateQueueSettings(settings) {
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+    return 'Settings must be an object';
+  }
+  for (const [key, value] of Object.entries(settings)) {
+    const limits = SETTING_LIMITS[key];
+    if (!limits) return `Unknown setting: ${key}`;
+    const number = Number(value);
+    if (value === null || value === '' || !Number.isFinite(number) || number < limits[0] || number > limits[1]) {
+      return `${key} must be a number from ${limits[0]} to ${limits[1]}`;
+    }
+  }
+  return null;
+}
+
+async function saveQueueSettings(db, changes, userId) {
+  const settings = { ...(await loadQueueSettings(db)) };
+  for (const [key, value] of Object.entries(changes)) settings[key] = Number(value);
+  await db.upsert('settings', {
+    key: SETTINGS_KEY,
+    value: JSON.stringify(settings),
+    updated_by: userId,
+    updated_at: new Date().toISOString()
+  }, { onConflict: 'key' });
+  return settings;
+}
+
+// Order companies for calling. Each company carries the computed columns
+// last_activity_at, was_interested and follow_up_due_at (see
+// storage/sqlite-computed.js); each entry is { company, queue } where queue
+// is { priority, reason, last_activity_at, follow_up_due_at }. The cooldown
+// is left to buildQueue.
+function rankCompanies(companies, { now = new Date() } = {}) {
+  const nowText = now.toISOString();
+  const ranked = companies.map(company => {
+    const lastActivityAt = company.last_activity_at || null;
+    const dueAt = company.follow_up_due_at && company.follow_up_due_at <= nowText ? company.follow_up_due_at : null;
+
+    let priority = 'last_contacted';
+    if (dueAt) priority = 'overdue_follow_up';
+    else if (company.was_interested && !company.is_customer) priority = 'interested';
+    else if (!lastActivityAt) priority = 'never_contacted';
+
+    let reason = PRIORITIES[priority];
+    if (dueAt) {
+      reason = `Follow-up overdue since ${String(dueAt).slice(0, 10)}`;
+    } else if (lastActivityAt) {
+      const days = Math.floor((now - new Date(lastActivityAt)) / DAY);
+      reason += ` (${days} day${days === 1 ? '' : 's'} since last contact)`;
+    }
+
+    return { company, queue: { priority, reason, last_activity_at: lastActivityAt, follow_up_due_at: dueAt } };
+  });
+
+  // Oldest overdue follow-up first, then least recently contacted, then by name
+  const byTier = (a, b) => PRIORITY_ORDER.indexOf(a.queue.priority) - PRIORITY_ORDER.indexOf(b.queue.priority);
+  const byDue = (a, b) => String(a.queue.follow_up_due_at || '').localeCompare(String(b.queue.follow_up_due_at || ''));
+  const byLastActivity = (a, b) => String(a.queue.last_activity_at || '').localeCompare(String(b.queue.last_activity_at || ''));
+  const byName = (a, b) => String(a.company.name).localeCompare(String(b.company.name));
+  return ranked.sort((a, b) => byTier(a, b) || byDue(a, b) || byLastActivity(a, b) || byName(a, b));
+}
+
+// The ranked queue for one user: companies matching `where`, less those
+// another user holds a lock on and those listed in excludeIds. Companies
+// with activity inside the cooldown are left out unless a follow-up on them
+// is overdue, since that is a call someone asked for; a follow-up that fell
+// due before the company's last activity has had its call, so it no longer
+// counts, even while it stays open on someone's list. The database does the
+// filtering, on the computed columns rankCompanies reads.
+async function buildQueue(db, where, { userId, excludeIds = [], now = new Date() }) {
+  const nowText = now.toISOString();
+  const [settings, locks] = await Promise.all([
+    loadQueueSettings(db),
+    db.select('call_locks', { columns: ['company_id'], where: { user_id: { neq: userId }, locked_until: { gt: nowText } } })
+  ]);
+
+  const cooldownStart = new Date(now.getTime() - settings.cooldown_hours * HOUR).toISOString();
+  const companies = await db.select('companies', {
+    columns: ['id', 'name', 'is_customer', 'last_activity_at', 'was_interested', 'follow_up_due_at'],
+    where: {
+      ...where,
+      and: [...(where.and || []), {
+        or: [
+          { last_activity_at: null },
+          { last_activity_at: { lte: cooldownStart } },
+          { follow_up_due_at: { lte: nowText } }
+        ]
+      }]
+    }
+  });
+
+  const skipped = new Set([...locks.map(lock => lock.company_id), ...excludeIds.map(String)]);
+  const available = companies.filter(company => !skipped.has(String(company.id)));
+  return { settings, queue: rankCompanies(available, { now }) };
+}
+
+// Hold a company for a user, replacing any lock the user already had.
+// Returns the lock, or null when someone else holds the company.
+async function lockCompany(db, companyId, { userId, employeeId = null, lockMinutes }) {
+  const now = new Date();
+  await db.remove('call_locks', { company_id: companyId, locked_until: { lte: now.toISOString() } });
+  const held = await db.first('call_locks', { columns: ['user_id'], where: { company_id: companyId } });
+  if (held && String(held.user_id) !== String(userId)) return null;
+
+  await db.remove('call_locks', { user_id: userId });
+  try {
+    return await db.insert('call_locks', {
+      company_id: companyId,
+      user_id: userId,
+      employee_id: employeeId,
+      locked_until: new Date(now.getTime() + lockMinutes * 60 * 1000).toISOString()
+    });
+  } catch (err) {
+    if (err.code === 'unique_violation') return null;
+    throw err;
+  }
+}
+
+module.exports = {
+  DEFAULT_QUEUE_SETTINGS,
+  PRIORITIES,
+  loadQueueSettings,
+  validateQueueSettings,
+  saveQueueSettings,
+  rankCompanies,
+  buildQueue,
+  lockCompany
+};
@@ -0,0 +1,137 @@
+// The call script reps read from in the Calling tab. Every save is a new
+// version in call_scripts and the active one is what reps see, so an older
+// version can be brought back. Each company type can have its own variant;
+// types without one get the default variant (company_type ''). The default's
+// products and value_prop also make up the product sheet.
+
+// Served until an admin saves a script of their own
+const DEFAULT_CALL_SCRIPT = {
+  company: "Delaware Fence Solutions",
+  introduction: "Hi, this is [Your Name] from Delaware Fence Solutions. We're a local fence company specializing in high-quality installations for contractors and property managers.",
+  opening: "I'm reaching out because we work with contractors like [Company Name] to provide reliable fencing solutions for your projects.",
+  products: [
+    { name: "Vinyl Fencing", description: "Low maintenance, 20+ year warranty" },
+    { name: "Wood Fencing", description: "Cedar and pine options, custom designs" },
+    { name: "Chain Link", description: "Commercial grade, galvanized" },
+    { name: "Aluminum", description: "Decorative and pool code compliant" },
+    { name: "Tools & Materials", description: "Gates, posts, hardware, repair kits" }
+  ],
+  value_prop: "We offer competitive contractor pricing, quick turnaround times, and we handle everything from permits to installation.",
+  questions: [
+    "Do you currently work with any fence suppliers?",
+    "What types of fencing projects do you typically handle?",
+    "Would you be interested in learning about our contractor discount program?"
+  ],
+  cta: "I'd love to schedule a brief meeting to show you our product catalog and discuss how we can support your upcoming projects. Would next week work for you?"
+};
+
+// Text fields of a script, and the lists: products as [{ name, description }]
+// and questions as strings
+const TEXT_FIELDS = ['company', 'introduction', 'opening', 'value_prop', 'cta'];
+
+// Placeholders filled in when a script is shown for a company, from the
+// company and the employee making the call. Ones with nothing to fill them
+// stay as they are for the rep to say themselves.
+const PLACEHOLDERS = {
+  '[Your Name]': ({ caller }) => caller,
+  '[Company Name]': ({ company }) => company && company.name,
+  '[Contact Name]': ({ company }) => company && company.contact_name,
+  '[City]': ({ company }) => company && company.city,
+  '[State]': ({ company }) => company && company.state
+};
+
+// The script fields of a body, ready to save
+const scriptContent = (body) => ({
+  ...Object.fromEntries(TEXT_FIELDS.map(field => [field, String(body[field] || '').trim()])),
+  products: (body.products || []).map(product => ({
+    name: String(product.name || '').trim(),
+    description: String(product.description || '').trim()
+  })),
+  questions: (body.questions || []).map(question => String(question).trim()).filter(Boolean)
+});
+
+// Returns an error message, or null when the body holds a script that can be saved
+function validateScript(body) {
+  const notText = TEXT_FIELDS.filter(field => body[field] !== undefined && body[field] !== null && typeof body[field] !== 'string');
+  if (notText.length) return `${notText.join(', ')} must be text`;
+  if (body.products !== undefined && (!Array.isArray(body.products) ||
+      body.products.some(product => !product || typeof product !== 'object' || !String(product.name || '').trim()))) {
+    return 'products must be a list of { name, description }';
+  }
+  if (body.questions !== undefined && (!Array.isArray(body.questions) ||
+      body.questions.some(question => typeof question !== 'string'))) {
+    return 'questions must be a list of text';
+  }
+  return null;
+}
+
+const toVersion = (row) => ({ ...row, content: JSON.parse(row.content), active: Boolean(row.active) });
+
+// The active version for a company type: its own variant, else the default
+// variant; null when no script has been saved yet
+async function activeScript(db, companyType) {
+  const rows = await db.select('call_scripts', {
+    where: { active: 1, company_type: { in: companyType ? [companyType, ''] : [''] } }
+  });
+  const row = rows.find(r => r.company_type === companyType) || rows.find(r => r.company_type === '');
+  return row ? toVersion(row) : null;
+}
+
+// The default variant's script, or the built-in one when none has been saved
+async function loadCallScript(db) {
+  const script = await activeScript(db, '');
+  return script ? script.content : DEFAULT_CALL_SCRIPT;
+}
+
+// Save a script as the next version of its variant and make it the active one
+async function saveScriptVersion(db, { companyType = '', content, note = null, userId }) {
+  const latest = await db.first('call_scripts', {
+    columns: ['version'],
+    where: { company_type: companyType },
+    orderBy: { column: 'version', ascending: false }
+  });
+  const version = await db.insert('call_scripts', {
+    company_type: companyType,
+    version: latest ? latest.version + 1 : 1,
+    content: JSON.stringify(content),
+    note,
+    active: 0,
+    created_by: userId
+  });
+  return activateVersion(db, version);
+}
+
+// Make one version the one its variant's reps see, e.g. to roll back
+async function activateVersion(db, version) {
+  await db.update('call_scripts', { company_type: version.company_type, active: 1 }, { active: 0 });
+  await db.update('call_scripts', { id: version.id }, { active: 1 });
+  return toVersion({ ...version, active: 1 });
+}
+
+// The script with its placeholders filled in for a call to `company` by
+// `caller` (a name)
+function renderScript(content, { company, caller }) {
+  const fill = (text) => Object.entries(PLACEHOLDERS).reduce((result, [placeholder, valueOf]) => {
+    const value = valueOf({ company, caller });
+    return value ? result.split(placeholder).join(value) : result;
+  }, text || '');
+  return {
+    ...content,
+    ...Object.fromEntries(TEXT_FIELDS.map(field => [field, fill(content[field])])),
+    products: (content.products || []).map(product => ({ ...product, description: fill(product.description) })),
+    questions: (content.questions || []).map(fill)
+  };
+}
+
+module.exports = {
+  DEFAULT_CALL_SCRIPT,
+  PLACEHOLDERS,
+  scriptContent,
+  validateScript,
+  toVersion,
+  activeScript,
+  loadCallScript,
+  saveScriptVersion,
+  activateVersion,
+  renderScript
+};
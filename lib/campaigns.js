@@ -0,0 +1,401 @@
+// Email campaigns: a sequence of steps, each sent a number of days after the
+// one before, to every prospect in the campaign's audience. Each company's
+// progress is an enrollment, which stops for good when the company replies,
+// unsubscribes, bounces or becomes a customer. runCampaigns sends whatever is
+// due; a long-running server calls it on a timer (startCampaignScheduler) and
+// serverless deployments from a cron job hitting GET /campaigns/run.
+
+const crypto = require('crypto');
+const { EMAIL_PATTERN, unknownMergeFields, composeEmail, optedOut, deliverEmail } = require('./email');
+const { MailError, mailConfigured } = require('./mailer');
+
+const STATUSES = ['draft', 'active', 'paused'];
+
+// Why an enrollment stopped; 'active' ones are still going
+const ENROLLMENT_STATUSES = {
+  active: 'In progress',
+  completed: 'Finished',
+  replied: 'Replied',
+  unsubscribed: 'Unsubscribed',
+  bounced: 'Bounced',
+  customer: 'Became a customer',
+  removed: 'Removed'
+};
+
+// Company fields an audience can narrow on. Customers are never enrolled.
+const AUDIENCE_FIELDS = ['type', 'state', 'city', 'territory_id', 'owner_id', 'never_interested'];
+
+const MAX_STEPS = 20;
+const MAX_DELAY_DAYS = 365;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How long a run holds an enrollment while sending it, so an overlapping run
+// (the timer and a cron job, say) can't send the same step twice
+const CLAIM_MS = 60 * 60 * 1000;
+
+const later = (date, ms) => new Date(date.getTime() + ms).toISOString();
+
+const toCampaign = (row) => ({ ...row, audience: JSON.parse(row.audience || '{}') });
+
+// Returns an error message, or null when the audience can be saved
+function validateAudience(audience) {
+  if (!audience || typeof audience !== 'object' || Array.isArray(audience)) {
+    return 'audience must be an object of company filters';
+  }
+  const unknown = Object.keys(audience).filter(key => !AUDIENCE_FIELDS.includes(key));
+  if (unknown.length) return `Unknown audience filters: ${unknown.join(', ')}`;
+  if (audience.never_interested !== undefined && typeof audience.never_interested !== 'boolean') {
+    return 'never_interested must be true or false';
+  }
+  return null;
+}
+
+// Returns an error message, or null when steps is a list of
+// [{ id?, delay_days, subject, body }]
+function validateSteps(steps) {
+  if (!Array.isArray(steps)) return 'steps must be a list';
+  if (steps.length > MAX_STEPS) return `A campaign can have at most ${MAX_STEPS} steps`;
+  for (const [index, step] of steps.entries()) {
+    const label = `Step ${index + 1}`;
+    if (!step || !String(step.subject || '').trim()) return `${label}: subject is required`;
+    if (!String(step.body || '').trim()) return `${label}: body is required`;
+    const delay = Number(step.delay_days || 0);
+    if (!Number.isInteger(delay) || delay < 0 || delay > MAX_DELAY_DAYS) {
+      return `${label}: delay_days must be a whole number from 0 to ${MAX_DELAY_DAYS}`;
+    }
+    const unknown = unknownMergeFields(`${step.subject} ${step.body}`);
+    if (unknown.length) return `${label}: unknown merge fields: ${unknown.join(', ')}`;
+  }
+  return null;
+}
+
+const listSteps = (db, campaignId) => db.select('campaign_steps', {
+  where: { campaign_id: campaignId },
+  orderBy: { column: 'position', ascending: true }
+});
+
+// Replace a campaign's steps with the validated list, keeping the rows (and
+// so the stats) of steps sent back with their id. Returns the steps as stored.
+async function saveSteps(db, campaignId, steps) {
+  const existing = await listSteps(db, campaignId);
+  const kept = new Set();
+
+  for (const [index, step] of steps.entries()) {
+    const fields = {
+      position: index + 1,
+      delay_days: Number(step.delay_days || 0),
+      subject: String(step.subject).trim(),
+      body: String(step.body)
+    };
+    const current = step.id && existing.find(row => String(row.id) === String(step.id));
+    if (current) {
+      await db.update('campaign_steps', { id: current.id }, fields);
+      kept.add(String(current.id));
+    } else {
+      await db.insert('campaign_steps', { ...fields, campaign_id: campaignId });
+    }
+  }
+
+  const dropped = existing.filter(row => !kept.has(String(row.id))).map(row => row.id);
+  if (dropped.length) await db.remove('campaign_steps', { id: { in: dropped } });
+  return listSteps(db, campaignId);
+}
+
+// Prospects matching the audience: { id, name, email } each
+async function findAudience(db, audience) {
+  const companies = await db.select('companies', {
+    columns: ['id', 'name', 'email'],
+    where: {
+      is_customer: 0,
+      type: audience.type || undefined,
+      state: audience.state || undefined,
+      city: audience.city || undefined,
+      territory_id: audience.territory_id || undefined,
+      owner_id: audience.owner_id === 'none' ? null : audience.owner_id || undefined
+    },
+    orderBy: { column: 'name', ascending: true }
+  });
+  if (!audience.never_interested) return companies;
+
+  const interested = await db.select('activities', { columns: ['company_id'], where: { interested: 1 } });
+  const ids = new Set(interested.map(activity => String(activity.company_id)));
+  return companies.filter(company => !ids.has(String(company.id)));
+}
+
+// Enroll the audience's companies that aren't enrolled yet. Each is written
+// to its first contact (primary first) with an email address, or else at
+// the company's own address; companies with neither, or whose address has
+// unsubscribed, are skipped. Returns { enrolled, skipped }.
+async function enrollAudience(db, campaign, steps, now = new Date()) {
+  const [companies, enrolled, contacts, optOuts] = await Promise.all([
+    findAudience(db, campaign.audience),
+    db.select('campaign_enrollments', { columns: ['company_id'], where: { campaign_id: campaign.id } }),
+    db.select('contacts', {
+      columns: ['id', 'company_id', 'email'],
+      where: { email: { not: null } },
+      orderBy: [{ column: 'is_primary', ascending: false }, { column: 'name', ascending: true }]
+    }),
+    db.select('email_opt_outs', { columns: ['address'] })
+  ]);
+
+  const already = new Set(enrolled.map(row => String(row.company_id)));
+  const unsubscribed = new Set(optOuts.map(row => row.address));
+  const reachable = (address) => EMAIL_PATTERN.test(address || '') && !unsubscribed.has(address.trim().toLowerCase());
+
+  const rows = [];
+  let skipped = 0;
+  for (const company of companies.filter(c => !already.has(String(c.id)))) {
+    const contact = contacts.find(c => String(c.company_id) === String(company.id) && reachable(c.email));
+    if (!contact && !reachable(company.email)) {
+      skipped++;
+      continue;
+    }
+    rows.push({
+      campaign_id: campaign.id,
+      company_id: company.id,
+      contact_id: contact ? contact.id : null,
+      next_send_at: later(now, Number(steps[0].delay_days) * DAY_MS),
+      token: crypto.randomBytes(16).toString('hex')
+    });
+  }
+
+  if (rows.length) await db.insert('campaign_enrollments', rows);
+  return { enrolled: rows.length, skipped };
+}
+
+async function stopEnrollment(db, enrollment, status, now = new Date(), changes = {}) {
+  await db.update('campaign_enrollments', { id: enrollment.id }, {
+    ...changes,
+    status,
+    next_send_at: null,
+    stopped_at: now.toISOString()
+  });
+}
+
+// Why an active enrollment should stop before its next step, if it should:
+// the company became a customer, or answered or showed interest in anything
+// logged since it was enrolled
+async function stopReason(db, enrollment, company) {
+  if (!company) return 'removed';
+  if (company.is_customer) return 'customer';
+  const answered = await db.count('activities', {
+    where: {
+      company_id: company.id,
+      date: { gte: enrollment.created_at },
+      or: [{ answered: 1 }, { interested: 1 }]
+    }
+  });
+  return answered ? 'replied' : null;
+}
+
+// Public link that unsubscribes an enrollment's address, when APP_URL says
+// where this server can be reached
+function unsubscribeUrl(token) {
+  const base = String(process.env.APP_URL || '').replace(/\/+$/, '');
+  return base ? `${base}/campaigns/unsubscribe/${token}` : null;
+}
+
+const optOutFooter = (link) => (link
+  ? `\n\n--\nNo longer want these emails? Unsubscribe here: ${link}`
+  : '\n\n--\nNo longer want these emails? Reply "unsubscribe" and we\'ll take you off our list.');
+
+// Send an enrollment its next step, or stop it. Returns 'sent', 'failed'
+// (the mail server refused it), 'stopped' or 'skipped' (another run has it).
+async function advanceEnrollment(db, campaign, steps, enrollment, now) {
+  const claimed = await db.update('campaign_enrollments',
+    { id: enrollment.id, status: 'active', next_send_at: enrollment.next_send_at },
+    { next_send_at: later(now, CLAIM_MS) });
+  if (claimed === 0) return 'skipped';
+
+  const company = await db.first('companies', { where: { id: enrollment.company_id } });
+  const reason = await stopReason(db, enrollment, company);
+  const step = steps[enrollment.steps_sent];
+  if (reason || !step) {
+    await stopEnrollment(db, enrollment, reason || 'completed', now);
+    return 'stopped';
+  }
+
+  const draft = await composeEmail(db, company, {
+    contact_id: enrollment.contact_id || undefined,
+    employee_id: campaign.employee_id,
+    subject: step.subject,
+    body: step.body
+  });
+  if (draft.problem || !EMAIL_PATTERN.test(draft.to)) {
+    await stopEnrollment(db, enrollment, 'bounced', now);
+    return 'stopped';
+  }
+  if (await optedOut(db, draft.to)) {
+    await stopEnrollment(db, enrollment, 'unsubscribed', now);
+    return 'stopped';
+  }
+
+  const link = unsubscribeUrl(enrollment.token);
+  let message;
+  try {
+    message = await deliverEmail(db, {
+      company,
+      draft: { ...draft, text: draft.text + optOutFooter(link) },
+      employeeId: campaign.employee_id,
+      record: { campaign_id: campaign.id, campaign_step_id: step.id },
+      headers: link ? { 'List-Unsubscribe': `<${link}>`, 'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click' } : undefined
+    });
+  } catch (err) {
+    // Nothing went out; leave it due for the next run
+    await db.update('campaign_enrollments', { id: enrollment.id }, { next_send_at: enrollment.next_send_at });
+    throw err;
+  }
+
+  if (message.status === 'failed') {
+    await stopEnrollment(db, enrollment, 'bounced', now, { last_step_id: step.id });
+    return 'failed';
+  }
+
+  const stepsSent = enrollment.steps_sent + 1;
+  const next = steps[stepsSent];
+  if (!next) {
+    await stopEnrollment(db, enrollment, 'completed', now, { steps_sent: stepsSent, last_step_id: step.id });
+  } else {
+    await db.update('campaign_enrollments', { id: enrollment.id }, {
+      steps_sent: stepsSent,
+      last_step_id: step.id,
+      next_send_at: later(now, Number(next.delay_days) * DAY_MS)
+    });
+  }
+  return 'sent';
+}
+
+// Send every due step of every active campaign, up to `limit` enrollments
+// per run. Resolves with { sent, failed, stopped, skipped }; rejects with a
+// MailError when email isn't set up.
+async function runCampaigns(db, { now = new Date(), limit = 200 } = {}) {
+  if (!mailConfigured()) {
+    throw new MailError('Email is not set up: set SMTP_HOST and the other SMTP_ settings', 'not_configured');
+  }
+
+  const result = { sent: 0, failed: 0, stopped: 0, skipped: 0 };
+  let handled = 0;
+  const campaigns = (await db.select('campaigns', { where: { status: 'active' }, orderBy: { column: 'id', ascending: true } })).map(toCampaign);
+
+  for (const campaign of campaigns) {
+    // The sender was deleted; nothing goes out until another is chosen
+    if (!campaign.employee_id) continue;
+
+    const steps = await listSteps(db, campaign.id);
+    const due = await db.select('campaign_enrollments', {
+      where: { campaign_id: campaign.id, status: 'active', next_send_at: { lte: now.toISOString() } },
+      orderBy: { column: 'next_send_at', ascending: true },
+      limit: limit - handled
+    });
+    for (const enrollment of due) {
+      result[await advanceEnrollment(db, campaign, steps, enrollment, now)]++;
+      if (++handled >= limit) return result;
+    }
+  }
+  return result;
+}
+
+// The address an enrollment is being written to: where its last step went,
+// or else where the next one would go
+async function enrollmentAddress(db, enrollment) {
+  const last = await db.first('email_messages', {
+    columns: ['to_address'],
+    where: { campaign_id: enrollment.campaign_id, company_id: enrollment.company_id },
+    orderBy: { column: 'id', ascending: false }
+  });
+  if (last) return last.to_address;
+
+  const [contact, company] = await Promise.all([
+    enrollment.contact_id ? db.first('contacts', { columns: ['email'], where: { id: enrollment.contact_id } }) : null,
+    db.first('companies', { columns: ['email'], where: { id: enrollment.company_id } })
+  ]);
+  return (contact && contact.email) || (company && company.email) || null;
+}
+
+// Stop an enrollment and put its address on the opt-out list, so no
+// campaign or one-off email goes to it again. Returns the address.
+async function unsubscribe(db, enrollment, now = new Date()) {
+  const address = await enrollmentAddress(db, enrollment);
+  if (address) {
+    await db.upsert('email_opt_outs', {
+      address: address.trim().toLowerCase(),
+      company_id: enrollment.company_id,
+      campaign_id: enrollment.campaign_id
+    }, { onConflict: 'address' });
+  }
+  if (enrollment.status === 'active') await stopEnrollment(db, enrollment, 'unsubscribed', now);
+  return address;
+}
+
+// Enrollment counts by status, and for each step how many were sent and
+// bounced, and how many companies unsubscribed or replied after it
+async function campaignStats(db, campaignId, steps) {
+  const [enrollments, messages] = await Promise.all([
+    db.select('campaign_enrollments', { columns: ['status', 'last_step_id'], where: { campaign_id: campaignId } }),
+    db.select('email_messages', { columns: ['campaign_step_id', 'status'], where: { campaign_id: campaignId } })
+  ]);
+
+  const byStatus = Object.fromEntries(Object.keys(ENROLLMENT_STATUSES).map(status => [status, 0]));
+  enrollments.forEach(row => { byStatus[row.status] = (byStatus[row.status] || 0) + 1; });
+
+  const countWhere = (rows, test) => rows.filter(test).length;
+  return {
+    enrollments: { total: enrollments.length, ...byStatus },
+    steps: steps.map(step => {
+      const ofStep = (row) => String(row.campaign_step_id) === String(step.id);
+      const stoppedAfter = (status) => (row) => row.status === status && String(row.last_step_id) === String(step.id);
+      return {
+        step_id: step.id,
+        position: step.position,
+        sent: countWhere(messages, row => ofStep(row) && row.status === 'sent'),
+        bounced: countWhere(messages, row => ofStep(row) && row.status === 'failed'),
+        unsubscribed: countWhere(enrollments, stoppedAfter('unsubscribed')),
+        replied: countWhere(enrollments, stoppedAfter('replied'))
+      };
+    })
+  };
+}
+
+// Send due steps every CAMPAIGN_INTERVAL_MINUTES (15 by default) for as long
+// as the server runs. Returns the timer.
+function startCampaignScheduler(db) {
+  const minutes = Number(process.env.CAMPAIGN_INTERVAL_MINUTES) || 15;
+  let running = false;
+
+  const tick = async () => {
+    if (running || !mailConfigured()) return;
+    running = true;
+    try {
+      const result = await runCampaigns(db);
+      if (result.sent || result.failed) {
+        console.log(`✓ Campaigns: ${result.sent} sent, ${result.failed} failed, ${result.stopped} stopped`);
+      }
+    } catch (err) {
+      console.error('Error running campaigns:', err);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(tick, minutes * 60 * 1000);
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  STATUSES,
+  ENROLLMENT_STATUSES,
+  AUDIENCE_FIELDS,
+  toCampaign,
+  validateAudience,
+  validateSteps,
+  listSteps,
+  saveSteps,
+  findAudience,
+  enrollAudience,
+  stopEnrollment,
+  runCampaigns,
+  unsubscribe,
+  campaignStats,
+  startCampaignScheduler
+};
@@ -0,0 +1,216 @@
+const { phoneDigits, nameKey, websiteDomain, addressKey } = require('./normalize');
+
+// How much each shared signal adds to a pair's score (capped at 100). A name
+// that is only similar earns up to SIMILAR_NAME, in proportion to how many
+// of the shorter name's distinctive words the other name also has.
+const SIGNAL_WEIGHTS = { name: 40, phone: 35, website: 35, address: 25 };
+const SIMILAR_NAME = 30;
+const MIN_NAME_OVERLAP = 0.5;
+const MAX_SCORE = 100;
+
+// Words half the companies in a trade share, which say nothing about
+// whether two of them are the same business
+const TRADE_WORDS = new Set([
+  'fence', 'fencing', 'fences', 'construction', 'contractor', 'contractors', 'contracting', 'builder', 'builders',
+  'building', 'solutions', 'services', 'service', 'home', 'homes', 'improvement', 'improvements', 'group',
+  'enterprises', 'general', 'supply', 'landscaping', 'remodeling', 'deck', 'decks', 'of'
+]);
+
+// Phone numbers shorter than this are too partial to call two companies the same
+const MIN_PHONE_MATCH = 7;
+
+// A word or number shared by more companies than this is too common to pair
+// them up on, and would make the candidate list quadratic
+const MAX_BLOCK_SIZE = 50;
+
+// The distinctive words of a name: 'Pioneer Fence Co.' -> ['pioneer']. A name
+// made only of trade words keeps them all.
+const nameWords = (name) => {
+  const words = (nameKey(name) || '').split(' ').filter(Boolean);
+  const distinctive = words.filter(word => !TRADE_WORDS.has(word));
+  return new Set(distinctive.length ? distinctive : words);
+};
+
+// The normalized keys a company is compared on
+function companyKeys(company) {
+  const digits = phoneDigits(company.phone);
+  return {
+    name: nameKey(company.name),
+    words: nameWords(company.name),
+    // Compare the last ten digits so a leading 1 doesn't hide a match
+    phone: digits && digits.length >= MIN_PHONE_MATCH ? digits.slice(-10) : null,
+    website: websiteDomain(company.website),
+    address: addressKey(company.address)
+  };
+}
+
+// Score two companies' keys: { score, reasons } where each reason is
+// { signal, detail } naming what they share
+function scorePair(a, b) {
+  const reasons = [];
+  let score = 0;
+
+  if (a.name && a.name === b.name) {
+    score += SIGNAL_WEIGHTS.name;
+    reasons.push({ signal: 'name', detail: `Same name: ${a.name}` });
+  } else if (a.words.size && b.words.size) {
+    const shared = [...a.words].filter(word => b.words.has(word));
+    const overlap = shared.length / Math.min(a.words.size, b.words.size);
+    if (overlap >= MIN_NAME_OVERLAP) {
+      score += Math.round(SIMILAR_NAME * overlap);
+      reasons.push({ signal: 'name', detail: `Similar name: ${shared.join(' ')}` });
+    }
+  }
+  for (const signal of ['phone', 'website', 'address']) {
+    if (a[signal] && a[signal] === b[signal]) {
+      score += SIGNAL_WEIGHTS[signal];
+      reasons.push({ signal, detail: `Same ${signal}: ${a[signal]}` });
+    }
+  }
+
+  return { score: Math.min(score, MAX_SCORE), reasons };
+}
+
+// Pairs of companies that look like the same business, best first:
+// [{ score, reasons, companies: [a, b] }]. Only companies that share a name
+// word, phone, website or address are compared, so this stays fast on a
+// full company list.
+function findDuplicatePairs(companies, { minScore = 30, limit = 100 } = {}) {
+  const keys = companies.map(companyKeys);
+
+  const blocks = new Map();
+  const addToBlock = (block, i) => {
+    if (!blocks.has(block)) blocks.set(block, []);
+    blocks.get(block).push(i);
+  };
+  keys.forEach((key, i) => {
+    key.words.forEach(word => addToBlock(`word:${word}`, i));
+    for (const signal of ['phone', 'website', 'address']) {
+      if (key[signal]) addToBlock(`${signal}:${key[signal]}`, i);
+    }
+  });
+
+  const seen = new Set();
+  const pairs = [];
+  for (const members of blocks.values()) {
+    if (members.length < 2 || members.length > MAX_BLOCK_SIZE) continue;
+    for (let x = 0; x < members.length; x++) {
+      for (let y = x + 1; y < members.length; y++) {
+        const [i, j] = [members[x], members[y]];
+        const pairKey = `${i}:${j}`;
+        if (seen.has(pairKey)) continue;
+        seen.add(pairKey);
+
+        const { score, reasons } = scorePair(keys[i], keys[j]);
+        if (score >= minScore) {
+          pairs.push({ score, reasons, companies: [companies[i], companies[j]] });
+        }
+      }
+    }
+  }
+
+  pairs.sort((a, b) => b.score - a.score || String(a.companies[0].name).localeCompare(String(b.companies[0].name)));
+  return pairs.slice(0, limit);
+}
+
+// Company fields a merge can pick a value for. contact_name is left out
+// because it follows the primary contact.
+const MERGE_FIELDS = ['name', 'type', 'address', 'city', 'state', 'zip', 'phone', 'email', 'website', 'notes', 'is_customer', 'last_order_date', 'last_estimate_date', 'owner_id', 'territory_id'];
+
+// Tables whose rows belong to a company and move to the survivor of a merge.
+// A company is enrolled in a campaign at most once, so enrollments are
+// thinned out first (see duplicateEnrollmentIds).
+const CHILD_TABLES = ['activities', 'follow_ups', 'deals', 'estimates', 'contacts', 'email_messages', 'campaign_enrollments', 'email_opt_outs'];
+
+const isBlank = (value) => value === null || value === undefined || String(value).trim() === '';
+
+// The survivor's values after a merge. picks is { field: companyId } naming
+// whose value to keep; otherwise blanks are filled from the merged companies,
+// notes are combined, a customer stays a customer (since the earliest date
+// any of them became one, credited to whoever converted that one) and the
+// latest order and estimate dates win.
+function mergedValues(survivor, merged, picks = {}) {
+  const all = [survivor, ...merged];
+  const values = {};
+
+  for (const field of MERGE_FIELDS) {
+    const candidates = all.map(company => company[field]);
+    if (picks[field] !== undefined) {
+      values[field] = all.find(company => company.id === picks[field])[field];
+    } else if (field === 'notes') {
+      const notes = [...new Set(candidates.filter(v => !isBlank(v)).map(v => String(v).trim()))];
+      values.notes = notes.join('\n') || null;
+    } else if (field === 'is_customer') {
+      values.is_customer = candidates.some(Boolean) ? 1 : 0;
+    } else if (field === 'last_order_date' || field === 'last_estimate_date') {
+      values[field] = candidates.filter(Boolean).sort().pop() || null;
+    } else {
+      values[field] = candidates.find(v => !isBlank(v)) ?? survivor[field];
+    }
+  }
+  const firstCustomer = values.is_customer
+    ? all.filter(company => company.customer_since).sort((a, b) => String(a.customer_since).localeCompare(String(b.customer_since)))[0]
+    : null;
+  values.customer_since = firstCustomer ? firstCustomer.customer_since : null;
+  values.converted_by = firstCustomer ? firstCustomer.converted_by || null : null;
+  values.phone_digits = phoneDigits(values.phone);
+  return values;
+}
+
+// Returns an error message, or null when the merge can go ahead
+function validateMerge(survivor, merged, mergedIds, picks) {
+  if (!survivor) return 'Survivor company not found';
+  if (!Array.isArray(mergedIds) || mergedIds.length === 0) return 'merged_ids must list at least one company';
+  if (mergedIds.includes(survivor.id)) return 'The survivor cannot also be merged away';
+  const missing = mergedIds.filter(id => !merged.some(company => company.id === id));
+  if (missing.length) return `Companies not found: ${missing.join(', ')}`;
+
+  if (!picks || typeof picks !== 'object' || Array.isArray(picks)) {
+    return 'fields must be an object of { field: companyId }';
+  }
+  const unknown = Object.keys(picks).filter(field => !MERGE_FIELDS.includes(field));
+  if (unknown.length) return `Unknown fields: ${unknown.join(', ')}`;
+  const ids = [survivor.id, ...mergedIds];
+  const outside = Object.keys(picks).filter(field => !ids.includes(picks[field]));
+  if (outside.length) return `Values must come from one of the merged companies: ${outside.join(', ')}`;
+  return null;
+}
+
+// The enrollments to delete so each campaign keeps one for the survivor:
+// the survivor's own, or else the oldest of the merged companies'
+async function duplicateEnrollmentIds(db, survivor, mergedIds) {
+  const enrollments = await db.select('campaign_enrollments', {
+    columns: ['id', 'campaign_id', 'company_id'],
+    where: { company_id: { in: [survivor.id, ...mergedIds] } },
+    orderBy: { column: 'id', ascending: true }
+  });
+  const kept = new Map();
+  for (const enrollment of enrollments) {
+    const current = kept.get(enrollment.campaign_id);
+    if (!current || (enrollment.company_id === survivor.id && current.company_id !== survivor.id)) {
+      kept.set(enrollment.campaign_id, enrollment);
+    }
+  }
+  const keptIds = new Set([...kept.values()].map(enrollment => enrollment.id));
+  return enrollments.filter(enrollment => !keptIds.has(enrollment.id)).map(enrollment => enrollment.id);
+}
+
+// Fold the merged companies into the survivor: pick its values, move every
+// child row over and delete the rest, all in one transaction (the
+// merge_companies procedure), so a merge that fails changes nothing.
+// Returns { survivor, moved } where moved counts the rows moved from each
+// child table.
+async function mergeCompanies(db, survivor, merged, picks = {}) {
+  const mergedIds = merged.map(company => company.id);
+  const moved = await db.procedure('merge_companies', {
+    survivor_id: survivor.id,
+    merged_ids: mergedIds,
+    company_values: { ...mergedValues(survivor, merged, picks), updated_at: new Date().toISOString() },
+    child_tables: CHILD_TABLES,
+    dropped_enrollment_ids: await duplicateEnrollmentIds(db, survivor, mergedIds)
+  });
+
+  return { survivor: await db.first('companies', { where: { id: survivor.id } }), moved };
+}
+
+module.exports = { MERGE_FIELDS, CHILD_TABLES, findDuplicatePairs, validateMerge, mergeCompanies };
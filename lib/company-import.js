@@ -0,0 +1,280 @@
+const { phoneDigits, nameKey, websiteDomain } = require('./normalize');
+const { syncPrimaryContact } = require('./contacts');
+const { loadTerritories, assignment } = require('./territories');
+
+// Company fields a CSV column can be mapped to
+const IMPORT_FIELDS = ['name', 'type', 'contact_name', 'address', 'city', 'state', 'zip', 'phone', 'email', 'website', 'notes', 'is_customer'];
+
+// Header spellings recognized without an explicit mapping, compared with
+// everything but letters and digits stripped ('Services/Notes' -> 'servicesnotes')
+const HEADER_ALIASES = {
+  name: ['name', 'company', 'companyname', 'business', 'businessname'],
+  type: ['type', 'category', 'companytype'],
+  contact_name: ['contact', 'contactname', 'contactperson'],
+  address: ['address', 'street', 'streetaddress', 'address1'],
+  city: ['city', 'town'],
+  state: ['state', 'st'],
+  zip: ['zip', 'zipcode', 'postalcode', 'postcode'],
+  phone: ['phone', 'phonenumber', 'telephone', 'tel'],
+  email: ['email', 'emailaddress'],
+  website: ['website', 'web', 'url', 'site'],
+  notes: ['notes', 'note', 'services', 'servicesnotes', 'comments'],
+  is_customer: ['customer', 'iscustomer']
+};
+
+const DEFAULT_TYPE = 'General';
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const YES = ['yes', 'y', 'true', '1', 'x', 'customer'];
+const NO = ['no', 'n', 'false', '0', 'prospect'];
+
+// Phone numbers shorter than this are too partial to call two companies the same
+const MIN_PHONE_MATCH = 7;
+
+const headerKey = (header) => String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// { header: field } for every header that looks like a company field
+function guessMapping(headers) {
+  const mapping = {};
+  const used = new Set();
+  for (const header of headers) {
+    const field = IMPORT_FIELDS.find(f => !used.has(f) && HEADER_ALIASES[f].includes(headerKey(header)));
+    if (field) {
+      mapping[header] = field;
+      used.add(field);
+    }
+  }
+  return mapping;
+}
+
+// Returns an error message, or null when the mapping can be used
+function validateMapping(headers, mapping) {
+  if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+    return 'mapping must be an object of { "CSV header": "field" }';
+  }
+  const fields = Object.values(mapping).filter(Boolean);
+  const unknownHeaders = Object.keys(mapping).filter(header => !headers.includes(header));
+  if (unknownHeaders.length) {
+    return `Not in the CSV header row: ${unknownHeaders.join(', ')}`;
+  }
+  const unknownFields = fields.filter(field => !IMPORT_FIELDS.includes(field));
+  if (unknownFields.length) {
+    return `Unknown fields: ${unknownFields.join(', ')}`;
+  }
+  const repeated = fields.filter((field, i) => fields.indexOf(field) !== i);
+  if (repeated.length) {
+    return `More than one column is mapped to: ${[...new Set(repeated)].join(', ')}`;
+  }
+  if (!fields.includes('name')) {
+    return 'A column must be mapped to name';
+  }
+  return null;
+}
+
+// The mapped, trimmed values of one CSV row and what is wrong with them
+function readRow(cells, headers, mapping) {
+  const values = {};
+  headers.forEach((header, i) => {
+    const field = mapping[header];
+    const value = String(cells[i] || '').trim();
+    if (field && value) values[field] = value;
+  });
+
+  const errors = [];
+  if (!values.name) {
+    errors.push('Company name is missing');
+  }
+  if (values.email && !EMAIL_PATTERN.test(values.email)) {
+    errors.push(`Invalid email: ${values.email}`);
+  }
+  if (values.is_customer !== undefined) {
+    const answer = values.is_customer.toLowerCase();
+    if (YES.includes(answer)) values.is_customer = 1;
+    else if (NO.includes(answer)) values.is_customer = 0;
+    else errors.push(`Customer should be yes or no, not "${values.is_customer}"`);
+  }
+  if (values.state && /^[a-z]{2}$/i.test(values.state)) {
+    values.state = values.state.toUpperCase();
+  }
+  return { values, errors };
+}
+
+// The keys two rows must share to count as the same company
+const matchKeys = (company) => {
+  const digits = phoneDigits(company.phone);
+  return {
+    name: nameKey(company.name),
+    phone: digits && digits.length >= MIN_PHONE_MATCH ? digits : null,
+    website: websiteDomain(company.website)
+  };
+};
+
+// Index companies by each match key so a row can be checked in one lookup per key
+function buildIndex(companies) {
+  const index = { name: new Map(), phone: new Map(), website: new Map() };
+  const add = (company) => {
+    for (const [key, value] of Object.entries(matchKeys(company))) {
+      if (value && !index[key].has(value)) index[key].set(value, company);
+    }
+  };
+  companies.forEach(add);
+  return { index, add };
+}
+
+// The first company any key matches, with every key it matched on
+function findMatch(index, values) {
+  const keys = matchKeys(values);
+  let match = null;
+  const matchedOn = [];
+  for (const [key, value] of Object.entries(keys)) {
+    const found = value && index[key].get(value);
+    if (found && (!match || found === match)) {
+      match = found;
+      matchedOn.push(key);
+    }
+  }
+  return match ? { company: match, matched_on: matchedOn } : null;
+}
+
+// What merging values into a company would change: blank fields are filled
+// in, new notes are appended, a customer stays a customer and an unknown
+// contact is added. Existing values are never overwritten.
+function mergeChanges(company, values, contactNames) {
+  const changes = {};
+  for (const [field, value] of Object.entries(values)) {
+    if (field === 'contact_name') continue;
+    if (field === 'notes') {
+      if (!String(company.notes || '').includes(value)) {
+        changes.notes = company.notes ? `${company.notes}\n${value}` : value;
+      }
+    } else if (field === 'is_customer') {
+      if (value && !company.is_customer) {
+        changes.is_customer = 1;
+        changes.customer_since = new Date().toISOString();
+      }
+    } else if (!company[field]) {
+      changes[field] = value;
+    }
+  }
+  if (changes.phone) changes.phone_digits = phoneDigits(changes.phone);
+
+  const contact = values.contact_name;
+  const newContact = contact && !contactNames.some(name => name.toLowerCase() === contact.toLowerCase()) ? contact : null;
+  return { changes, new_contact: newContact };
+}
+
+// Work out what importing each row would do, without writing anything.
+// Each planned row is { row, values, errors, action, duplicate, changes,
+// new_contact } where row is the 1-based CSV row (the header is row 1) and
+// action is 'create', 'merge', 'skip' or 'error'. A duplicate is either an
+// existing company ({ id, name, matched_on }) or an earlier row of the same
+// file ({ row, name, matched_on }); with onDuplicate 'merge' a repeated row
+// is folded into the earlier one.
+async function planImport(db, headers, lines, mapping, { onDuplicate = 'skip' } = {}) {
+  const [companies, contacts] = await Promise.all([
+    db.select('companies'),
+    db.select('contacts', { columns: ['company_id', 'name'] })
+  ]);
+  const { index, add } = buildIndex(companies);
+  const plannedById = new Map();
+
+  const plan = lines.map((cells, i) => {
+    const { values, errors } = readRow(cells, headers, mapping);
+    const row = { row: i + 2, values, errors, action: 'create', duplicate: null };
+    if (errors.length) {
+      row.action = 'error';
+      return row;
+    }
+
+    const match = findMatch(index, values);
+    if (!match) {
+      // Later rows can match this one
+      add({ ...values, _row: row });
+      return row;
+    }
+
+    const { company, matched_on } = match;
+    const earlier = company._row;
+    row.duplicate = earlier
+      ? { row: earlier.row, name: earlier.values.name, matched_on }
+      : { id: company.id, name: company.name, matched_on };
+
+    if (onDuplicate !== 'merge') {
+      row.action = 'skip';
+    } else if (earlier) {
+      // Fill the earlier row's blanks so the first write carries everything
+      for (const [field, value] of Object.entries(values)) {
+        if (earlier.values[field] === undefined) earlier.values[field] = value;
+      }
+      add({ ...earlier.values, _row: earlier });
+      row.action = 'merge';
+    } else {
+      // Several rows can merge into one company; build on the earlier merges
+      const target = plannedById.get(company.id) || { ...company };
+      const names = contacts.filter(c => c.company_id === company.id).map(c => c.name);
+      const { changes, new_contact } = mergeChanges(target, values, names);
+      Object.assign(target, changes);
+      if (new_contact) contacts.push({ company_id: company.id, name: new_contact });
+      plannedById.set(company.id, target);
+
+      row.action = 'merge';
+      row.changes = changes;
+      row.new_contact = new_contact;
+    }
+    return row;
+  });
+
+  return plan;
+}
+
+const summarize = (plan) => {
+  const summary = { total: plan.length, create: 0, merge: 0, skip: 0, error: 0 };
+  plan.forEach(row => { summary[row.action] += 1; });
+  return summary;
+};
+
+// Write a plan from planImport. Rows that fail to save become 'error' rows.
+// New companies are assigned to their territory and its employee.
+async function applyImport(db, plan) {
+  const stamp = Date.now();
+  const territories = await loadTerritories(db);
+
+  for (const [i, row] of plan.entries()) {
+    try {
+      if (row.action === 'create') {
+        const { contact_name, ...values } = row.values;
+        const id = `company_${stamp}_${i}`;
+        await db.insert('companies', {
+          ...values,
+          id,
+          type: values.type || DEFAULT_TYPE,
+          contact_name: contact_name || null,
+          phone_digits: phoneDigits(values.phone),
+          is_customer: values.is_customer ? 1 : 0,
+          customer_since: values.is_customer ? new Date().toISOString() : null,
+          ...assignment(territories, values)
+        });
+        if (contact_name) {
+          await db.insert('contacts', { company_id: id, name: contact_name, is_primary: 1 });
+        }
+        row.id = id;
+      } else if (row.action === 'merge' && row.duplicate.id) {
+        const { id } = row.duplicate;
+        if (Object.keys(row.changes).length) {
+          await db.update('companies', { id }, { ...row.changes, updated_at: new Date().toISOString() });
+        }
+        if (row.new_contact) {
+          await db.insert('contacts', { company_id: id, name: row.new_contact, is_primary: 0 });
+          await syncPrimaryContact(db, id);
+        }
+        row.id = id;
+      }
+    } catch (err) {
+      row.action = 'error';
+      row.errors = [err.message || 'Failed to save'];
+    }
+  }
+
+  return plan;
+}
+
+module.exports = { IMPORT_FIELDS, guessMapping, validateMapping, planImport, applyImport, summarize };
@@ -0,0 +1,195 @@
+const { likePattern } = require('./query');
+const { phoneDigits } = require('./normalize');
+
+// How much a match in each field counts towards a company's rank. The order
+// is also the order highlights are listed in.
+const FIELD_WEIGHTS = {
+  name: 10,
+  contact_name: 6,
+  phone: 6,
+  email: 5,
+  website: 4,
+  city: 3,
+  notes: 3,
+  activity_notes: 2
+};
+
+const COMPANY_FIELDS = ['name', 'contact_name', 'phone', 'email', 'website', 'city', 'notes'];
+const TEXT_FIELDS = COMPANY_FIELDS.filter(field => field !== 'phone');
+const SNIPPET_FIELDS = ['notes', 'activity_notes'];
+
+// Matching happens in the database but ranking happens here, so cap how many
+// matches get ranked
+const MAX_CANDIDATES = 500;
+const MAX_ACTIVITY_HIGHLIGHTS = 3;
+const SNIPPET_CONTEXT = 40;
+
+const PHONE_LIKE = /^[\d\s().+-]+$/;
+
+// Digits to look for in phone_digits, for terms that look like part of a number
+const termDigits = (term) => {
+  const digits = phoneDigits(term);
+  return PHONE_LIKE.test(term) && digits && digits.length >= 3 ? digits : null;
+};
+
+// Whitespace-separated terms, all of which must match; "quoted phrases" stay
+// together, and so does a query that is just a phone number.
+function parseTerms(q) {
+  if (termDigits(q)) return [q];
+
+  const terms = [];
+  const pattern = /"([^"]+)"|(\S+)/g;
+  let match;
+  while ((match = pattern.exec(q))) {
+    terms.push((match[1] || match[2]).trim().toLowerCase());
+  }
+  return [...new Set(terms.filter(Boolean))];
+}
+
+// A company matches a term if any of its fields, or any of its activity
+// notes, contain it
+async function termCondition(db, term) {
+  const pattern = likePattern(term);
+  const or = TEXT_FIELDS.map(field => ({ [field]: { ilike: pattern } }));
+
+  const digits = termDigits(term);
+  if (digits) or.push({ phone_digits: { like: likePattern(digits) } });
+
+  const noted = await db.select('activities', { columns: ['company_id'], where: { notes: { ilike: pattern } } });
+  if (noted.length) or.push({ id: { in: [...new Set(noted.map(a => a.company_id))] } });
+
+  return { or };
+}
+
+const mergeRanges = (ranges) => ranges
+  .sort((a, b) => a[0] - b[0])
+  .reduce((merged, [start, end]) => {
+    const last = merged[merged.length - 1];
+    if (last && start <= last[1]) last[1] = Math.max(last[1], end);
+    else merged.push([start, end]);
+    return merged;
+  }, []);
+
+// [start, end) of every case-insensitive occurrence of the terms in text
+function findRanges(text, terms) {
+  const lower = text.toLowerCase();
+  const ranges = [];
+  for (const term of terms) {
+    for (let i = lower.indexOf(term); i !== -1; i = lower.indexOf(term, i + term.length)) {
+      ranges.push([i, i + term.length]);
+    }
+  }
+  return mergeRanges(ranges);
+}
+
+// Digit matches mapped back onto the formatted number, e.g. 2688 in (302) 268-8023
+function findPhoneRanges(phone, digitTerms) {
+  const positions = [];
+  [...phone].forEach((char, i) => { if (/\d/.test(char)) positions.push(i); });
+  const digits = positions.map(i => phone[i]).join('');
+
+  const ranges = [];
+  for (const term of digitTerms) {
+    for (let i = digits.indexOf(term); i !== -1; i = digits.indexOf(term, i + term.length)) {
+      ranges.push([positions[i], positions[i + term.length - 1] + 1]);
+    }
+  }
+  return ranges;
+}
+
+// Whole-field matches beat word-start matches, which beat mid-word ones
+function fieldScore(field, text, ranges) {
+  const weight = FIELD_WEIGHTS[field];
+  if (ranges.length === 1 && ranges[0][0] === 0 && ranges[0][1] === text.length) return weight * 3;
+  return Math.max(...ranges.map(([start]) => (start === 0 || /\W/.test(text[start - 1]) ? weight * 1.5 : weight)));
+}
+
+// Trim long text to the area around its first match, cutting at spaces
+function snippet(text, ranges) {
+  const [matchStart, matchEnd] = ranges[0];
+  let start = Math.max(0, matchStart - SNIPPET_CONTEXT);
+  let end = Math.min(text.length, matchEnd + SNIPPET_CONTEXT * 2);
+  if (start > 0) {
+    const space = text.indexOf(' ', start);
+    if (space !== -1 && space < matchStart) start = space + 1;
+  }
+  if (end < text.length) {
+    const space = text.lastIndexOf(' ', end);
+    if (space > matchEnd) end = space;
+  }
+  const prefix = start > 0 ? '…' : '';
+  const shift = prefix.length - start;
+
+  return {
+    text: `${prefix}${text.slice(start, end)}${end < text.length ? '…' : ''}`,
+    ranges: ranges.filter(([s, e]) => s >= start && e <= end).map(([s, e]) => [s + shift, e + shift])
+  };
+}
+
+function rankCompany(company, activities, terms, digitTerms) {
+  const highlights = [];
+  let score = 0;
+
+  for (const field of COMPANY_FIELDS) {
+    const text = company[field];
+    if (!text) continue;
+
+    const ranges = field === 'phone'
+      ? mergeRanges([...findRanges(text, terms), ...findPhoneRanges(text, digitTerms)])
+      : findRanges(text, terms);
+    if (ranges.length === 0) continue;
+
+    score += fieldScore(field, text, ranges);
+    highlights.push({ field, ...(SNIPPET_FIELDS.includes(field) ? snippet(text, ranges) : { text, ranges }) });
+  }
+
+  for (const activity of activities.slice(0, MAX_ACTIVITY_HIGHLIGHTS)) {
+    const ranges = findRanges(activity.notes, terms);
+    if (ranges.length === 0) continue;
+
+    score += fieldScore('activity_notes', activity.notes, ranges);
+    highlights.push({ field: 'activity_notes', activity_id: activity.id, date: activity.date, ...snippet(activity.notes, ranges) });
+  }
+
+  return { score, highlights };
+}
+
+// Ranked company search. Each result is the company plus `score` and
+// `highlights`: [{ field, text, ranges: [[start, end)] }], where `text` is
+// the field value (or a snippet of it) and `ranges` mark the matches.
+async function searchCompanies(db, q, { where = {}, limit = 20 } = {}) {
+  const terms = parseTerms(q);
+  if (terms.length === 0) {
+    return { query: q, total: 0, data: [] };
+  }
+  const digitTerms = terms.map(termDigits).filter(Boolean);
+
+  const matchWhere = { ...where, and: [...(where.and || []), ...await Promise.all(terms.map(term => termCondition(db, term)))] };
+  const [candidates, total] = await Promise.all([
+    db.select('companies', { where: matchWhere, limit: MAX_CANDIDATES }),
+    db.count('companies', { where: matchWhere })
+  ]);
+  if (candidates.length === 0) {
+    return { query: q, total, data: [] };
+  }
+
+  const notedActivities = await db.select('activities', {
+    columns: ['id', 'company_id', 'notes', 'date'],
+    where: {
+      company_id: { in: candidates.map(c => c.id) },
+      or: terms.map(term => ({ notes: { ilike: likePattern(term) } }))
+    },
+    orderBy: { column: 'date', ascending: false }
+  });
+
+  const ranked = candidates
+    .map(company => ({
+      ...company,
+      ...rankCompany(company, notedActivities.filter(a => a.company_id === company.id), terms, digitTerms)
+    }))
+    .sort((a, b) => b.score - a.score || a.name.localeCompare(b.name));
+
+  return { query: q, total, data: ranked.slice(0, limit) };
+}
+
+module.exports = { searchCompanies };
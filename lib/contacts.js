@@ -0,0 +1,19 @@
+// Keep exactly one primary contact per company (preferring primaryId, then
+// the current primary, then the oldest) and mirror its name into
+// companies.contact_name, which lists and search still read
+async function syncPrimaryContact(db, companyId, primaryId = null) {
+  const contacts = await db.select('contacts', {
+    columns: ['id', 'name'],
+    where: { company_id: companyId },
+    orderBy: [{ column: 'is_primary', ascending: false }, { column: 'id', ascending: true }]
+  });
+  const primary = contacts.find(c => String(c.id) === String(primaryId)) || contacts[0];
+
+  if (primary) {
+    await db.update('contacts', { company_id: companyId, id: { neq: primary.id }, is_primary: 1 }, { is_primary: 0 });
+    await db.update('contacts', { id: primary.id }, { is_primary: 1 });
+  }
+  await db.update('companies', { id: companyId }, { contact_name: primary ? primary.name : null });
+}
+
+module.exports = { syncPrimaryContact };
@@ -0,0 +1,58 @@
+// Quote a value for a CSV cell, doubling embedded quotes
+const csvCell = (value) => `"${String(value == null ? '' : value).replace(/"/g, '""')}"`;
+
+const toCsv = (headers, rows) =>
+  [headers.map(csvCell).join(','), ...rows.map(row => row.map(csvCell).join(','))].join('\n');
+
+const sendCsv = (res, name, csv) => {
+  res.setHeader('Content-Type', 'text/csv');
+  res.setHeader('Content-Disposition', `attachment; filename="${name}-${new Date().toISOString().split('T')[0]}.csv"`);
+  res.send(csv);
+};
+
+// Parse CSV text into rows of cells. Handles quoted cells with commas, doubled
+// quotes and line breaks, CRLF line endings and a leading byte order mark.
+// Blank lines are dropped.
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+  const source = String(text || '').replace(/^\uFEFF/, '');
+
+  const endRow = () => {
+    row.push(cell);
+    if (row.some(value => value.trim() !== '')) rows.push(row);
+    row = [];
+    cell = '';
+  };
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (inQuotes) {
+      if (char === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      endRow();
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== '' || row.length > 0) endRow();
+
+  return rows;
+}
+
+module.exports = { csvCell, toCsv, sendCsv, parseCsv };
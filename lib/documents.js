@@ -0,0 +1,301 @@
+// Printable PDFs, drawn on the server with PDFKit: a one-page company summary
+// for the file or the customer, and the product sheet reps send when a
+// contractor asks for "something in writing". Both carry the branding saved
+// in settings (lib/branding.js).
+
+const PDFDocument = require('pdfkit');
+const { ACTIVITY_TYPES } = require('./activity-types');
+const { logoImage } = require('./branding');
+
+const MARGIN = 50;
+const HEADER_HEIGHT = 90;
+const FOOTER_HEIGHT = 30;
+
+const TEXT = '#111827';
+const MUTED = '#4b5563';
+const RULE = '#d1d5db';
+
+// PDFKit's built-in fonts only cover Latin text; drop what they can't draw
+// (emoji and the like) rather than print boxes
+const printable = (value) => String(value == null ? '' : value)
+  .replace(/[^\t\n\r\x20-\x7e\xa0-\xff–—‘’“”•…]/g, '')
+  .trim();
+
+const formatDate = (value) => (value
+  ? new Date(value).toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' })
+  : '');
+
+// A new letter-size document and a function that finishes it, resolving
+// with the PDF as a Buffer
+function createDocument(title, branding) {
+  const doc = new PDFDocument({
+    size: 'LETTER',
+    margin: MARGIN,
+    info: { Title: printable(title), Author: printable(branding.company_name) }
+  });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  const finished = new Promise((resolve, reject) => {
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+  });
+  return {
+    doc,
+    finish: () => {
+      drawFooter(doc, branding);
+      doc.end();
+      return finished;
+    }
+  };
+}
+
+const contentWidth = (doc) => doc.page.width - MARGIN * 2;
+
+// Lowest y the body may reach before the footer
+const bodyBottom = (doc) => doc.page.height - MARGIN - FOOTER_HEIGHT;
+
+// The accent band across the top: logo, business name and tagline, then
+// the document's title below it
+function drawHeader(doc, branding, title, subtitle) {
+  const width = doc.page.width;
+  doc.rect(0, 0, width, HEADER_HEIGHT).fill(branding.accent_color);
+
+  let x = MARGIN;
+  const logo = logoImage(branding);
+  if (logo) {
+    try {
+      doc.image(logo, MARGIN, 15, { fit: [60, 60], valign: 'center' });
+      x += 75;
+    } catch (err) {
+      // A logo PDFKit can't read is left out rather than failing the document
+      console.error('Error drawing branding logo:', err.message);
+    }
+  }
+
+  const textWidth = width - x - MARGIN;
+  doc.fillColor('#ffffff').font('Helvetica-Bold').fontSize(20)
+    .text(printable(branding.company_name), x, 24, { width: textWidth, lineBreak: false, ellipsis: true });
+  if (branding.tagline) {
+    doc.font('Helvetica').fontSize(10)
+      .text(printable(branding.tagline), x, 52, { width: textWidth, lineBreak: false, ellipsis: true });
+  }
+
+  doc.fillColor(TEXT).font('Helvetica-Bold').fontSize(18)
+    .text(printable(title), MARGIN, HEADER_HEIGHT + 20, { width: contentWidth(doc) });
+  if (subtitle) {
+    doc.fillColor(MUTED).font('Helvetica').fontSize(10).text(printable(subtitle), { width: contentWidth(doc) });
+  }
+  doc.moveDown(1);
+}
+
+// Contact details along the bottom of the page
+function drawFooter(doc, branding) {
+  const line = [branding.company_name, branding.phone, branding.email, branding.website, branding.address]
+    .map(printable)
+    .filter(Boolean)
+    .join('  •  ');
+  const y = doc.page.height - MARGIN - 12;
+
+  // Writing inside the bottom margin would otherwise start a new page
+  const bottom = doc.page.margins.bottom;
+  doc.page.margins.bottom = 0;
+  doc.moveTo(MARGIN, y - 8).lineTo(doc.page.width - MARGIN, y - 8).lineWidth(0.5).strokeColor(RULE).stroke();
+  doc.fillColor(MUTED).font('Helvetica').fontSize(8)
+    .text(line, MARGIN, y, { width: contentWidth(doc), align: 'center', lineBreak: false, ellipsis: true });
+  doc.page.margins.bottom = bottom;
+}
+
+function drawSectionTitle(doc, branding, label, x = MARGIN, width = contentWidth(doc)) {
+  doc.fillColor(branding.accent_color).font('Helvetica-Bold').fontSize(12).text(label, x, doc.y, { width });
+  const y = doc.y + 2;
+  doc.moveTo(x, y).lineTo(x + width, y).lineWidth(0.5).strokeColor(RULE).stroke();
+  doc.y = y + 6;
+}
+
+// "Label: value" lines, skipping empty values
+function drawDetails(doc, details, x, width) {
+  for (const [label, value] of details) {
+    if (!printable(value)) continue;
+    doc.fillColor(MUTED).font('Helvetica-Bold').fontSize(9).text(`${label}: `, x, doc.y, { width, continued: true });
+    doc.fillColor(TEXT).font('Helvetica').text(printable(value));
+    doc.moveDown(0.2);
+  }
+}
+
+const MAX_CONTACTS = 4;
+const NOTES_HEIGHT = 80;
+const ACTIVITY_ROW_HEIGHT = 26;
+
+// One page on a company: its details and contacts, notes, and as much of its
+// activity history (activities, newest first, out of activityCount in all)
+// as fits
+function renderCompanySummary({ branding, company, contacts = [], activities = [], activityCount = activities.length, ownerName }) {
+  const { doc, finish } = createDocument(`${company.name} - Company Summary`, branding);
+  const status = company.is_customer ? 'Customer' : 'Prospect';
+  drawHeader(doc, branding, company.name,
+    [company.type, status, `Prepared ${formatDate(new Date())}`].filter(Boolean).join('  •  '));
+
+  // Company details on the left, its contacts on the right
+  const gap = 20;
+  const columnWidth = (contentWidth(doc) - gap) / 2;
+  const rightX = MARGIN + columnWidth + gap;
+  const top = doc.y;
+
+  drawSectionTitle(doc, branding, 'Contact Information', MARGIN, columnWidth);
+  const cityLine = [company.city, [company.state, company.zip].filter(Boolean).join(' ')].filter(Boolean).join(', ');
+  drawDetails(doc, [
+    ['Address', [company.address, cityLine].filter(Boolean).join('\n')],
+    ['Phone', company.phone],
+    ['Email', company.email],
+    ['Website', company.website],
+    ['Account owner', ownerName],
+    ['Last estimate', formatDate(company.last_estimate_date)],
+    ['Last order', formatDate(company.last_order_date)]
+  ], MARGIN, columnWidth);
+  const leftBottom = doc.y;
+
+  doc.y = top;
+  drawSectionTitle(doc, branding, 'Contacts', rightX, columnWidth);
+  if (contacts.length === 0) {
+    doc.fillColor(MUTED).font('Helvetica').fontSize(9).text('No contacts on file', rightX, doc.y, { width: columnWidth });
+  }
+  for (const contact of contacts.slice(0, MAX_CONTACTS)) {
+    const name = [contact.name, contact.title && `(${contact.title})`, contact.is_primary && '- primary']
+      .filter(Boolean).map(printable).join(' ');
+    doc.fillColor(TEXT).font('Helvetica-Bold').fontSize(9).text(name, rightX, doc.y, { width: columnWidth });
+    const reach = [contact.direct_phone, contact.mobile, contact.email].map(printable).filter(Boolean).join('  •  ');
+    if (reach) doc.fillColor(MUTED).font('Helvetica').text(reach, rightX, doc.y, { width: columnWidth });
+    doc.moveDown(0.4);
+  }
+  if (contacts.length > MAX_CONTACTS) {
+    doc.fillColor(MUTED).font('Helvetica-Oblique').fontSize(9)
+      .text(`and ${contacts.length - MAX_CONTACTS} more`, rightX, doc.y, { width: columnWidth });
+  }
+
+  doc.x = MARGIN;
+  doc.y = Math.max(leftBottom, doc.y) + 12;
+
+  drawSectionTitle(doc, branding, 'Notes');
+  doc.fillColor(printable(company.notes) ? TEXT : MUTED).font('Helvetica').fontSize(9)
+    .text(printable(company.notes) || 'No notes', MARGIN, doc.y, { width: contentWidth(doc), height: NOTES_HEIGHT, ellipsis: true });
+  doc.y += 12;
+
+  drawSectionTitle(doc, branding, `Activity History (${activityCount})`);
+  if (activities.length === 0) {
+    doc.fillColor(MUTED).font('Helvetica').fontSize(9).text('No activities logged yet', MARGIN, doc.y);
+  }
+
+  const dateWidth = 70;
+  const whoWidth = 150;
+  const detailX = MARGIN + dateWidth + whoWidth;
+  const detailWidth = contentWidth(doc) - dateWidth - whoWidth;
+  let shown = 0;
+  for (const activity of activities) {
+    // Keep to one page, leaving room to say how many didn't fit
+    if (doc.y + ACTIVITY_ROW_HEIGHT * 2 > bodyBottom(doc)) break;
+
+    const y = doc.y;
+    const type = ACTIVITY_TYPES[activity.type] ? ACTIVITY_TYPES[activity.type].label : activity.type;
+    const outcomes = (activity.outcomes || []).map(outcome => outcome.name).join(', ');
+    const detail = [outcomes, activity.notes].map(printable).filter(Boolean).join(' - ');
+
+    doc.fillColor(TEXT).font('Helvetica-Bold').fontSize(9).text(formatDate(activity.date), MARGIN, y, { width: dateWidth });
+    doc.font('Helvetica').text(
+      [type, activity.employee_name && `by ${activity.employee_name}`].map(printable).filter(Boolean).join(' '),
+      MARGIN + dateWidth, y, { width: whoWidth - 8, height: ACTIVITY_ROW_HEIGHT - 4, ellipsis: true }
+    );
+    doc.fillColor(MUTED).text(detail || '-', detailX, y, { width: detailWidth, height: ACTIVITY_ROW_HEIGHT - 4, ellipsis: true });
+    doc.y = y + ACTIVITY_ROW_HEIGHT;
+    shown += 1;
+  }
+  if (shown < activityCount) {
+    doc.fillColor(MUTED).font('Helvetica-Oblique').fontSize(9)
+      .text(`and ${activityCount - shown} earlier activities`, MARGIN, doc.y, { width: contentWidth(doc) });
+  }
+
+  return finish();
+}
+
+const CARD_PADDING = 10;
+
+// The call script's products, each with its description, under its value
+// proposition, and how to get in touch
+function renderProductSheet({ branding, script }) {
+  const { doc, finish } = createDocument(`${branding.company_name} - Products`, branding);
+  drawHeader(doc, branding, 'Our Products');
+
+  if (printable(script.value_prop)) {
+    const text = printable(script.value_prop);
+    doc.font('Helvetica').fontSize(12);
+    const height = doc.heightOfString(text, { width: contentWidth(doc) - CARD_PADDING * 2 }) + CARD_PADDING * 2;
+    const y = doc.y;
+    doc.rect(MARGIN, y, 4, height).fill(branding.accent_color);
+    doc.fillColor(TEXT).text(text, MARGIN + CARD_PADDING * 2, y + CARD_PADDING, { width: contentWidth(doc) - CARD_PADDING * 2 });
+    doc.y = y + height + 16;
+  }
+
+  // Two columns of cards, a row at a time
+  const products = (script.products || []).filter(product => product && printable(product.name));
+  const gap = 16;
+  const cardWidth = (contentWidth(doc) - gap) / 2;
+  const textWidth = cardWidth - CARD_PADDING * 2;
+  const cardHeight = (product) => {
+    doc.font('Helvetica-Bold').fontSize(12);
+    let height = doc.heightOfString(printable(product.name), { width: textWidth });
+    if (printable(product.description)) {
+      doc.font('Helvetica').fontSize(10);
+      height += 4 + doc.heightOfString(printable(product.description), { width: textWidth });
+    }
+    return height + CARD_PADDING * 2;
+  };
+
+  for (let i = 0; i < products.length; i += 2) {
+    const row = products.slice(i, i + 2);
+    const height = Math.max(...row.map(cardHeight));
+    if (doc.y + height > bodyBottom(doc)) {
+      drawFooter(doc, branding);
+      doc.addPage();
+    }
+
+    const y = doc.y;
+    row.forEach((product, column) => {
+      const x = MARGIN + column * (cardWidth + gap);
+      doc.roundedRect(x, y, cardWidth, height, 4).lineWidth(0.75).strokeColor(RULE).stroke();
+      doc.fillColor(branding.accent_color).font('Helvetica-Bold').fontSize(12)
+        .text(printable(product.name), x + CARD_PADDING, y + CARD_PADDING, { width: textWidth });
+      if (printable(product.description)) {
+        doc.moveDown(0.2);
+        doc.fillColor(TEXT).font('Helvetica').fontSize(10)
+          .text(printable(product.description), x + CARD_PADDING, doc.y, { width: textWidth });
+      }
+    });
+    doc.x = MARGIN;
+    doc.y = y + height + gap;
+  }
+
+  const reach = [branding.phone && `Call ${branding.phone}`, branding.email && `email ${branding.email}`, branding.website && `visit ${branding.website}`]
+    .map(printable).filter(Boolean);
+  if (reach.length) {
+    if (doc.y + 50 > bodyBottom(doc)) {
+      drawFooter(doc, branding);
+      doc.addPage();
+    }
+    doc.fillColor(TEXT).font('Helvetica-Bold').fontSize(12)
+      .text(`Ready to talk about your next project? ${reach.join(', ')}.`, MARGIN, doc.y + 4, { width: contentWidth(doc), align: 'center' });
+  }
+
+  return finish();
+}
+
+// Send a finished PDF as a download
+const sendPdf = (res, name, pdf) => {
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="${name}-${new Date().toISOString().split('T')[0]}.pdf"`);
+  res.send(pdf);
+};
+
+module.exports = {
+  renderCompanySummary,
+  renderProductSheet,
+  sendPdf
+};
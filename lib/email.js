@@ -0,0 +1,173 @@
+// Outbound email: templates with {{merge.fields}} filled in from the company,
+// the contact written to and the employee sending. The mail itself goes out
+// through lib/mailer.js.
+
+const { loadBranding } = require('./branding');
+const { MailError, sendMail } = require('./mailer');
+
+// Every merge field a template or message may use, with the label the SPA shows
+const MERGE_FIELDS = {
+  'company.name': 'Company name',
+  'company.type': 'Company type',
+  'company.city': 'Company city',
+  'company.state': 'Company state',
+  'company.phone': 'Company phone',
+  contact_name: 'Contact name',
+  'contact.first_name': 'Contact first name',
+  'contact.title': 'Contact job title',
+  'contact.email': 'Contact email',
+  'employee.name': 'Sending employee',
+  'business.name': 'Our business name',
+  'business.phone': 'Our phone',
+  'business.email': 'Our email',
+  'business.website': 'Our website'
+};
+
+const FIELD_PATTERN = /\{\{\s*([\w.]+)\s*\}\}/g;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const toTemplate = (row) => ({ ...row, active: Boolean(row.active) });
+
+// Merge fields used in text that MERGE_FIELDS doesn't know
+function unknownMergeFields(text) {
+  const unknown = [...String(text || '').matchAll(FIELD_PATTERN)]
+    .map(match => match[1])
+    .filter(field => !MERGE_FIELDS[field]);
+  return [...new Set(unknown)];
+}
+
+// Values for every merge field. The contact is the one written to; with
+// none, the company's own contact name stands in.
+function mergeValues({ company, contact, employee, branding }) {
+  const contactName = (contact && contact.name) || company.contact_name || '';
+  return {
+    'company.name': company.name,
+    'company.type': company.type,
+    'company.city': company.city,
+    'company.state': company.state,
+    'company.phone': company.phone,
+    contact_name: contactName,
+    'contact.first_name': contactName.trim().split(/\s+/)[0] || '',
+    'contact.title': contact && contact.title,
+    'contact.email': contact && contact.email,
+    'employee.name': employee && employee.name,
+    'business.name': branding.company_name,
+    'business.phone': branding.phone,
+    'business.email': branding.email,
+    'business.website': branding.website
+  };
+}
+
+// Fill in merge fields; empty values leave nothing behind, unknown fields
+// are left as written
+const renderMergeFields = (text, values) => String(text || '').replace(FIELD_PATTERN, (match, field) => (
+  MERGE_FIELDS[field] ? String(values[field] == null ? '' : values[field]) : match
+));
+
+// Returns an error message, or null when the template body is acceptable
+function validateTemplate(body) {
+  for (const field of ['name', 'subject', 'body']) {
+    if (body[field] !== undefined && !String(body[field] || '').trim()) {
+      return `Template ${field} is required`;
+    }
+  }
+  const unknown = unknownMergeFields(`${body.subject || ''} ${body.body || ''}`);
+  if (unknown.length) return `Unknown merge fields: ${unknown.join(', ')}`;
+  return null;
+}
+
+// A message for a company with its merge fields filled in: the body's own
+// subject and text, or else the template's. It is written to the contact
+// chosen (or the primary contact) and goes to `to`, or else that contact's
+// email, or else the company's. Returns { problem } when something named
+// can't be found, otherwise { contact, employee, template, to, subject, text };
+// `to` may be empty when there is no address on file.
+async function composeEmail(db, company, { contact_id, employee_id, template_id, to, subject, body }) {
+  const [template, contact, employee] = await Promise.all([
+    template_id ? db.first('email_templates', { where: { id: template_id } }) : null,
+    db.first('contacts', {
+      where: { company_id: company.id, id: contact_id || undefined },
+      orderBy: [{ column: 'is_primary', ascending: false }, { column: 'name', ascending: true }]
+    }),
+    employee_id ? db.first('employees', { where: { id: employee_id } }) : null
+  ]);
+  if (template_id && !template) return { problem: 'Email template not found' };
+  if (contact_id && !contact) return { problem: 'Contact not found for this company' };
+  if (employee_id && !employee) return { problem: 'Employee not found' };
+
+  const rawSubject = subject !== undefined ? subject : template && template.subject;
+  const rawText = body !== undefined ? body : template && template.body;
+  if (!String(rawSubject || '').trim() || !String(rawText || '').trim()) {
+    return { problem: 'A subject and body (or a template_id) are required' };
+  }
+  const unknown = unknownMergeFields(`${rawSubject} ${rawText}`);
+  if (unknown.length) return { problem: `Unknown merge fields: ${unknown.join(', ')}` };
+
+  const values = mergeValues({ company, contact, employee, branding: await loadBranding(db) });
+  return {
+    contact,
+    employee,
+    template,
+    to: String(to || (contact && contact.email) || company.email || '').trim(),
+    subject: renderMergeFields(rawSubject, values).trim(),
+    text: renderMergeFields(rawText, values)
+  };
+}
+
+// Whether the address has unsubscribed from our email
+async function optedOut(db, address) {
+  const found = await db.count('email_opt_outs', { where: { address: String(address || '').trim().toLowerCase() } });
+  return found > 0;
+}
+
+// Send a composed email from an employee and keep a record of it in
+// email_messages: a sent one along with an 'email' activity by the sender, a
+// failed one with its error. `record` adds columns to the email_messages row
+// (sent_by, template_id, campaign_id, ...). Resolves with the row; a mailer
+// that isn't set up rejects with its MailError and nothing is recorded.
+async function deliverEmail(db, { company, draft, employeeId, record = {}, headers }) {
+  const row = {
+    company_id: company.id,
+    contact_id: draft.contact ? draft.contact.id : null,
+    employee_id: employeeId,
+    template_id: draft.template ? draft.template.id : null,
+    to_address: draft.to,
+    subject: draft.subject,
+    body: draft.text,
+    ...record
+  };
+
+  let sent;
+  try {
+    sent = await sendMail({ to: draft.to, subject: draft.subject, text: draft.text, headers });
+  } catch (err) {
+    if (!(err instanceof MailError) || err.code === 'not_configured') throw err;
+    return db.insert('email_messages', { ...row, status: 'failed', error: err.message });
+  }
+
+  const activityId = `email_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+  await db.insert('activities', {
+    id: activityId,
+    company_id: company.id,
+    employee_id: employeeId,
+    contact_id: row.contact_id,
+    type: 'email',
+    notes: `Emailed "${draft.subject}" to ${draft.to}`,
+    date: new Date().toISOString()
+  });
+  return db.insert('email_messages', { ...row, status: 'sent', message_id: sent.messageId, activity_id: activityId });
+}
+
+module.exports = {
+  MERGE_FIELDS,
+  EMAIL_PATTERN,
+  toTemplate,
+  unknownMergeFields,
+  mergeValues,
+  renderMergeFields,
+  validateTemplate,
+  composeEmail,
+  optedOut,
+  deliverEmail
+};
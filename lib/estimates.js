@@ -0,0 +1,192 @@
+// Estimates: line item and tax arithmetic, the status workflow, and what
+// sending or accepting one does to its company. The default tax rate is
+// saved under 'estimates'.
+
+const SETTINGS_KEY = 'estimates';
+const DEFAULT_ESTIMATE_SETTINGS = { tax_rate: 0 };
+
+const STATUSES = ['draft', 'sent', 'accepted', 'rejected'];
+
+// The statuses an estimate can move to from each status. Accepted is final;
+// a sent or rejected estimate goes back to draft to be revised.
+const TRANSITIONS = {
+  draft: ['sent', 'accepted'],
+  sent: ['draft', 'accepted', 'rejected'],
+  accepted: [],
+  rejected: ['draft']
+};
+
+// Money and quantity fields of a line item, in the order they are checked
+const ITEM_NUMBERS = ['linear_feet', 'unit_price', 'gates', 'gate_price', 'posts', 'post_price'];
+const ITEM_COUNTS = ['gates', 'posts'];
+
+const roundMoney = (value) => Math.round(Number(value) * 100) / 100;
+
+// Postgres returns NUMERIC columns as strings
+const toNumbers = (row, fields) => {
+  const converted = { ...row };
+  for (const field of fields) converted[field] = Number(row[field]) || 0;
+  return converted;
+};
+
+const toEstimate = (row) => toNumbers(row, ['tax_rate', 'subtotal', 'tax', 'total']);
+const toEstimateItem = (row) => toNumbers(row, [...ITEM_NUMBERS, 'line_total']);
+const toProduct = (row) => ({ ...toNumbers(row, ['price_per_foot', 'gate_price', 'post_price']), active: Boolean(row.active) });
+
+async function loadEstimateSettings(db) {
+  const saved = await db.first('settings', { columns: ['value'], where: { key: SETTINGS_KEY } });
+  return { ...DEFAULT_ESTIMATE_SETTINGS, ...(saved ? JSON.parse(saved.value) : {}) };
+}
+
+// Returns an error message, or null when the tax rate is a percentage
+function validateTaxRate(value) {
+  const rate = Number(value);
+  if (value === null || value === '' || !Number.isFinite(rate) || rate < 0 || rate > 100) {
+    return 'tax_rate must be a percentage from 0 to 100';
+  }
+  return null;
+}
+
+async function saveEstimateSettings(db, { tax_rate }, userId) {
+  const settings = { ...(await loadEstimateSettings(db)), tax_rate: Number(tax_rate) };
+  await db.upsert('settings', {
+    key: SETTINGS_KEY,
+    value: JSON.stringify(settings),
+    updated_by: userId,
+    updated_at: new Date().toISOString()
+  }, { onConflict: 'key' });
+  return settings;
+}
+
+// Returns an error message, or null when items is a list of line items
+// [{ product_id, linear_feet, unit_price, gates, gate_price, posts, post_price, description }]
+// for products in the catalog
+async function validateItems(db, items) {
+  if (!Array.isArray(items)) return 'items must be a list';
+  for (const [index, item] of items.entries()) {
+    const line = `Line ${index + 1}`;
+    if (!item || !item.product_id) return `${line}: product_id is required`;
+    for (const field of ITEM_NUMBERS) {
+      const value = item[field];
+      if (value === undefined || value === null || value === '') continue;
+      const number = Number(value);
+      if (!Number.isFinite(number) || number < 0) return `${line}: ${field} must be a number of zero or more`;
+      if (ITEM_COUNTS.includes(field) && !Number.isInteger(number)) return `${line}: ${field} must be a whole number`;
+    }
+  }
+
+  const ids = [...new Set(items.map(item => String(item.product_id)))];
+  const found = ids.length ? await db.select('products', { columns: ['id'], where: { id: { in: ids } } }) : [];
+  const missing = ids.filter(id => !found.some(product => String(product.id) === id));
+  return missing.length ? `Products not found: ${missing.join(', ')}` : null;
+}
+
+// Validated line items ready to store: prices default to the catalog's, the
+// product name is copied so the estimate reads the same after the catalog
+// changes, and each line is totalled
+async function buildItems(db, items) {
+  const ids = [...new Set(items.map(item => String(item.product_id)))];
+  const products = ids.length ? await db.select('products', { where: { id: { in: ids } } }) : [];
+  const byId = new Map(products.map(product => [String(product.id), toProduct(product)]));
+
+  return items.map((item, index) => {
+    const product = byId.get(String(item.product_id));
+    const given = (field, fallback) => (item[field] === undefined || item[field] === null || item[field] === '' ? fallback : Number(item[field]));
+    const line = {
+      product_id: product.id,
+      product_name: product.name,
+      description: item.description ? String(item.description).trim() || null : null,
+      linear_feet: given('linear_feet', 0),
+      unit_price: given('unit_price', product.price_per_foot),
+      gates: given('gates', 0),
+      gate_price: given('gate_price', product.gate_price),
+      posts: given('posts', 0),
+      post_price: given('post_price', product.post_price),
+      position: index + 1
+    };
+    line.line_total = roundMoney(line.linear_feet * line.unit_price + line.gates * line.gate_price + line.posts * line.post_price);
+    return line;
+  });
+}
+
+// { subtotal, tax, total } for line items at a tax rate in percent
+function estimateTotals(items, taxRate) {
+  const subtotal = roundMoney(items.reduce((sum, item) => sum + Number(item.line_total), 0));
+  const tax = roundMoney(subtotal * Number(taxRate) / 100);
+  return { subtotal, tax, total: roundMoney(subtotal + tax) };
+}
+
+// Returns an error message, or null when the estimate may move to status
+function checkTransition(from, to) {
+  if (!STATUSES.includes(to)) return `status must be one of: ${STATUSES.join(', ')}`;
+  if (from === to || TRANSITIONS[from].includes(to)) return null;
+  return `A ${from} estimate can't be marked ${to}`;
+}
+
+// Later of a stored date and a new one
+const latest = (current, next) => (current && new Date(current) > new Date(next) ? current : next);
+
+// The estimate columns that change with its status, and what the change
+// does elsewhere: sending one dates the company's last estimate, accepting
+// one dates its last order and makes it a customer. Both are logged as an
+// activity (quote_sent / order_placed) when someone is named to log it for.
+async function applyStatus(db, estimate, status, { employeeId } = {}) {
+  const now = new Date().toISOString();
+  const changes = { status };
+  if (status === 'sent') {
+    changes.sent_at = now;
+    changes.decided_at = null;
+  } else if (status === 'accepted' || status === 'rejected') {
+    changes.sent_at = estimate.sent_at || now;
+    changes.decided_at = now;
+  } else {
+    changes.decided_at = null;
+  }
+
+  if (status === 'sent' || status === 'accepted') {
+    const loggedBy = estimate.employee_id || employeeId;
+    const company = await db.first('companies', {
+      columns: ['last_estimate_date', 'last_order_date', 'is_customer'],
+      where: { id: estimate.company_id }
+    });
+    const companyChanges = { last_estimate_date: latest(company && company.last_estimate_date, changes.sent_at), updated_at: now };
+    if (status === 'accepted') {
+      companyChanges.last_order_date = latest(company && company.last_order_date, now);
+      companyChanges.is_customer = 1;
+      if (!(company && company.is_customer)) {
+        companyChanges.customer_since = now;
+        companyChanges.converted_by = loggedBy || null;
+      }
+    }
+    await db.update('companies', { id: estimate.company_id }, companyChanges);
+
+    if (loggedBy) {
+      const label = estimate.title ? `Estimate #${estimate.id} (${estimate.title})` : `Estimate #${estimate.id}`;
+      await db.insert('activities', {
+        id: `estimate_${estimate.id}_${status}_${Date.now()}`,
+        company_id: estimate.company_id,
+        employee_id: loggedBy,
+        type: status === 'sent' ? 'quote_sent' : 'order_placed',
+        notes: `${label} ${status}: ${Number(estimate.total).toFixed(2)}`,
+        date: now
+      });
+    }
+  }
+  return changes;
+}
+
+module.exports = {
+  STATUSES,
+  DEFAULT_ESTIMATE_SETTINGS,
+  toEstimate,
+  toEstimateItem,
+  toProduct,
+  loadEstimateSettings,
+  validateTaxRate,
+  saveEstimateSettings,
+  validateItems,
+  buildItems,
+  estimateTotals,
+  checkTransition,
+  applyStatus
+};
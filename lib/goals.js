@@ -0,0 +1,95 @@
+// Sales goals: how many calls and new customers each employee should make a
+// day and a week, against what they've actually done so far in the current
+// day or week. Actuals come from the report_metrics report (see
+// lib/reports.js): calls by the employee who logged them, conversions by the
+// employee who made the company a customer (companies.converted_by, e.g. the
+// one whose estimate was accepted), or its owner when nobody is recorded.
+
+const GOAL_PERIODS = ['day', 'week'];
+
+// target column -> the report metric it's measured by
+const TARGETS = { calls_target: 'calls', conversions_target: 'conversions' };
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Returns an error message, or null when { day?, week? } of targets can be
+// saved. A target is a whole number, or null for none.
+function validateGoals(body) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) return 'Goals must be { day, week }';
+  for (const [period, targets] of Object.entries(body)) {
+    if (!GOAL_PERIODS.includes(period)) return `Unknown goal period: ${period}`;
+    if (!targets || typeof targets !== 'object') return `${period} must be { calls_target, conversions_target }`;
+    for (const column of Object.keys(TARGETS)) {
+      const value = targets[column];
+      if (value === undefined || value === null || value === '') continue;
+      if (!Number.isInteger(Number(value)) || Number(value) < 0) return `${column} must be a whole number`;
+    }
+  }
+  return null;
+}
+
+const toTarget = (value) => (value === undefined || value === null || value === '' ? null : Number(value));
+
+// The current day or week (starting Monday) in the caller's time, utcOffset
+// minutes ahead of UTC: { from, to } with to exclusive
+function periodRange(period, now = new Date(), utcOffset = 0) {
+  const shift = utcOffset * 60 * 1000;
+  const local = new Date(now.getTime() + shift);
+  let start = Date.UTC(local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate());
+  if (period === 'week') start -= ((local.getUTCDay() + 6) % 7) * DAY_MS;
+  const end = start + (period === 'week' ? 7 : 1) * DAY_MS;
+  return { from: new Date(start - shift).toISOString(), to: new Date(end - shift).toISOString() };
+}
+
+// actual / target to three places; null without a target
+const progress = (actual, target) => (target ? Math.round((actual / target) * 1000) / 1000 : null);
+
+// How far along every active employee is this period, best first:
+// { period, from, to, employees: [{ rank, employee_id, employee_name,
+// calls, calls_target, calls_progress, conversions, ... , attainment }] }.
+// attainment averages the progress on whichever targets are set; employees
+// without targets rank after those with, by calls made.
+async function goalProgress(db, period, { now = new Date(), utcOffset = 0 } = {}) {
+  const { from, to } = periodRange(period, now, utcOffset);
+  const [employees, goals, actuals] = await Promise.all([
+    db.select('employees', { columns: ['id', 'name'], where: { active: 1 } }),
+    db.select('goals', { where: { period } }),
+    db.report('report_metrics', { date_from: from, date_to: to, utc_offset: utcOffset, bucket: null, group_by: 'employee' })
+  ]);
+
+  const entries = employees.map(employee => {
+    const goal = goals.find(g => String(g.employee_id) === String(employee.id)) || {};
+    const done = actuals.find(row => String(row.group_key) === String(employee.id)) || {};
+    const entry = { employee_id: employee.id, employee_name: employee.name };
+    const progresses = [];
+    for (const [column, metric] of Object.entries(TARGETS)) {
+      entry[metric] = Number(done[metric]) || 0;
+      entry[column] = goal[column] ?? null;
+      entry[`${metric}_progress`] = progress(entry[metric], entry[column]);
+      if (entry[`${metric}_progress`] !== null) progresses.push(entry[`${metric}_progress`]);
+    }
+    entry.attainment = progresses.length
+      ? Math.round((progresses.reduce((sum, p) => sum + p, 0) / progresses.length) * 1000) / 1000
+      : null;
+    return entry;
+  });
+
+  entries.sort((a, b) => (
+    (b.attainment ?? -1) - (a.attainment ?? -1) ||
+    b.calls - a.calls ||
+    b.conversions - a.conversions ||
+    a.employee_name.localeCompare(b.employee_name)
+  ));
+  entries.forEach((entry, i) => { entry.rank = i + 1; });
+
+  return { period, from, to, employees: entries };
+}
+
+module.exports = {
+  GOAL_PERIODS,
+  TARGETS,
+  validateGoals,
+  toTarget,
+  periodRange,
+  goalProgress
+};
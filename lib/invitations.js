@@ -0,0 +1,97 @@
+// Invitations. Nobody signs themselves up: an admin invites someone with a
+// role and, optionally, the employee record they'll work as, and sends them
+// the link. It works once, for 7 days unless the admin picks otherwise, and
+// lets them choose their own username and password (routes/auth.js). Only a
+// hash of each invitation's token is stored.
+const crypto = require('crypto');
+const { ROLES } = require('./permissions');
+const { EMAIL_PATTERN } = require('./email');
+const { sendMail } = require('./mailer');
+
+const DEFAULT_DAYS = 7;
+const MAX_DAYS = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Whether POST /auth/register is open to anyone. Off unless
+// OPEN_REGISTRATION=true, and even then it only makes read-only accounts.
+const registrationOpen = () => process.env.OPEN_REGISTRATION === 'true';
+
+// Returns what's wrong with { email, name, role, employee_id, days } for a
+// new invitation, or null
+function validateInvitation(body) {
+  if (!body || !ROLES.includes(body.role)) return `role must be one of: ${ROLES.join(', ')}`;
+  if (body.email && !EMAIL_PATTERN.test(String(body.email).trim())) return 'email must be an email address';
+  if (body.days !== undefined && body.days !== null && body.days !== '') {
+    const days = Number(body.days);
+    if (!Number.isInteger(days) || days < 1 || days > MAX_DAYS) return `days must be a whole number from 1 to ${MAX_DAYS}`;
+  }
+  return null;
+}
+
+// pending, accepted, revoked or expired
+function invitationStatus(invitation, now = new Date()) {
+  if (invitation.accepted_at) return 'accepted';
+  if (invitation.revoked_at) return 'revoked';
+  return new Date(invitation.expires_at) > now ? 'pending' : 'expired';
+}
+
+// Store a new invitation. Returns { invitation, token }; the token is not
+// stored and can't be shown again.
+async function createInvitation(db, body, { createdBy = null, now = new Date() } = {}) {
+  const token = crypto.randomBytes(32).toString('hex');
+  const days = body.days ? Number(body.days) : DEFAULT_DAYS;
+  const invitation = await db.insert('invitations', {
+    token_hash: hashToken(token),
+    email: body.email ? String(body.email).trim().toLowerCase() : null,
+    name: body.name ? String(body.name).trim() : null,
+    role: body.role,
+    employee_id: body.employee_id || null,
+    expires_at: new Date(now.getTime() + days * DAY_MS).toISOString(),
+    created_by: createdBy,
+    created_at: now.toISOString()
+  });
+  return { invitation, token };
+}
+
+// The pending invitation for a token, or null
+async function findInvitation(db, token, now = new Date()) {
+  if (!token || typeof token !== 'string') return null;
+  const invitation = await db.first('invitations', {
+    where: { token_hash: hashToken(token), accepted_at: null, revoked_at: null, expires_at: { gt: now.toISOString() } }
+  });
+  return invitation || null;
+}
+
+// The link that opens an invitation, on the server APP_URL names. Without
+// APP_URL there's no link to email; the admin copies it from the app.
+function inviteUrl(token) {
+  const base = String(process.env.APP_URL || '').replace(/\/+$/, '');
+  return base ? `${base}/?invite=${token}` : null;
+}
+
+// Email an invitation's link to its address. Rejects with a MailError when
+// mail can't go out.
+async function sendInviteEmail(invitation, token, invitedBy) {
+  await sendMail({
+    to: invitation.email,
+    subject: 'You\'re invited to the CRM',
+    text: `Hi${invitation.name ? ` ${invitation.name}` : ''},\n\n${invitedBy} has invited you to the CRM. ` +
+      `Choose a username and password here:\n\n${inviteUrl(token)}\n\n` +
+      `The link works once, until ${new Date(invitation.expires_at).toUTCString()}.`
+  });
+}
+
+module.exports = {
+  DEFAULT_DAYS,
+  MAX_DAYS,
+  registrationOpen,
+  validateInvitation,
+  invitationStatus,
+  createInvitation,
+  findInvitation,
+  inviteUrl,
+  sendInviteEmail
+};
@@ -0,0 +1,34 @@
+// Attach columns from related rows, e.g. company_id -> company_name, with one
+// query per related table instead of one per row
+
+const COMPANY_NAME = { table: 'companies', key: 'company_id', fields: { name: 'company_name' } };
+const EMPLOYEE_NAME = { table: 'employees', key: 'employee_id', fields: { name: 'employee_name' } };
+const CONTACT_NAME = { table: 'contacts', key: 'contact_id', fields: { name: 'contact_name' } };
+const USERNAME = { table: 'users', key: 'user_id', fields: { username: 'username' } };
+
+// Each lookup is { table, key, fields: { column: alias } }. Rows whose key is
+// empty or points nowhere get null for every alias.
+async function attachLookups(db, rows, lookups) {
+  if (rows.length === 0) return rows;
+
+  const related = await Promise.all(lookups.map(async ({ table, key, fields }) => {
+    const ids = [...new Set(rows.map(row => row[key]).filter(id => id !== null && id !== undefined))];
+    const found = ids.length
+      ? await db.select(table, { columns: ['id', ...Object.keys(fields)], where: { id: { in: ids } } })
+      : [];
+    return new Map(found.map(row => [String(row.id), row]));
+  }));
+
+  return rows.map(row => {
+    const extra = {};
+    lookups.forEach(({ key, fields }, i) => {
+      const match = related[i].get(String(row[key]));
+      for (const [column, alias] of Object.entries(fields)) {
+        extra[alias] = match ? match[column] : null;
+      }
+    });
+    return { ...row, ...extra };
+  });
+}
+
+module.exports = { COMPANY_NAME, EMPLOYEE_NAME, CONTACT_NAME, USERNAME, attachLookups };
@@ -0,0 +1,64 @@
+// Outgoing mail. By default messages go out over SMTP as set in the
+// environment (SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS,
+// SMTP_FROM; see .env.example). Any Nodemailer transport can be plugged in
+// instead with setMailTransport, e.g. for scripts or a different provider.
+const nodemailer = require('nodemailer');
+
+// `code` is 'not_configured' when there is nowhere to send mail, and
+// 'send_failed' when the server refused or couldn't be reached
+class MailError extends Error {
+  constructor(message, code, cause) {
+    super(message);
+    this.name = 'MailError';
+    this.code = code;
+    if (cause) this.cause = cause;
+  }
+}
+
+let transport;
+
+function smtpTransport() {
+  if (!process.env.SMTP_HOST) return null;
+  return nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: Number(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+  });
+}
+
+function getMailTransport() {
+  if (transport === undefined) transport = smtpTransport();
+  return transport;
+}
+
+// Replace the transport; null turns sending off, undefined goes back to SMTP
+function setMailTransport(next) {
+  transport = next;
+}
+
+const mailConfigured = () => Boolean(getMailTransport());
+
+const mailFrom = () => process.env.SMTP_FROM || process.env.SMTP_USER || 'crm@localhost';
+
+// Send a plain-text message. Resolves with { messageId }; rejects with a MailError.
+async function sendMail({ to, subject, text, replyTo, headers }) {
+  const mailer = getMailTransport();
+  if (!mailer) {
+    throw new MailError('Email is not set up: set SMTP_HOST and the other SMTP_ settings', 'not_configured');
+  }
+  try {
+    const info = await mailer.sendMail({ from: mailFrom(), to, subject, text, replyTo, headers });
+    return { messageId: info.messageId || null };
+  } catch (err) {
+    throw new MailError(`Email could not be sent: ${err.message}`, 'send_failed', err);
+  }
+}
+
+module.exports = {
+  MailError,
+  mailConfigured,
+  mailFrom,
+  sendMail,
+  setMailTransport
+};
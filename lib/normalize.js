@@ -0,0 +1,56 @@
+// Normalized forms of company fields, used for matching rather than display
+
+// '(302) 268-8023' -> '3022688023'; null when there are no digits
+const phoneDigits = (phone) => {
+  const digits = String(phone || '').replace(/\D/g, '');
+  return digits || null;
+};
+
+// Words that don't tell two companies apart: 'Pioneer Fence Co. Inc.' and
+// 'Pioneer Fence Company' are the same business
+const NAME_NOISE = new Set(['the', 'and', 'inc', 'incorporated', 'llc', 'co', 'company', 'corp', 'corporation', 'ltd']);
+
+// 'The Pioneer Fence Co., Inc.' -> 'pioneer fence'; null when nothing is left
+const nameKey = (name) => {
+  const words = String(name || '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .split(' ')
+    .filter(word => word && !NAME_NOISE.has(word));
+  return words.join(' ') || null;
+};
+
+// 'https://www.LongFence.com/about' -> 'longfence.com'; null when empty
+const websiteDomain = (website) => {
+  const domain = String(website || '')
+    .trim()
+    .toLowerCase()
+    .replace(/^[a-z]+:\/\//, '')
+    .replace(/^www\./, '')
+    .split(/[/?#]/)[0]
+    .replace(/:\d+$/, '');
+  return domain || null;
+};
+
+const STREET_ABBREVIATIONS = {
+  street: 'st', avenue: 'ave', road: 'rd', drive: 'dr', boulevard: 'blvd', lane: 'ln', court: 'ct',
+  place: 'pl', highway: 'hwy', parkway: 'pkwy', pike: 'pk', north: 'n', south: 's', east: 'e', west: 'w'
+};
+
+// '1300 N. Grant Avenue, Suite 101' -> '1300 n grant ave'. Suite and unit
+// numbers are dropped; null unless a street number is left, since a bare
+// street or town name says little about which building it is.
+const addressKey = (address) => {
+  const key = String(address || '')
+    .toLowerCase()
+    .split(/,?\s*(?:\bsuite\b|\bste\b|\bunit\b|\bapt\b|#)/)[0]
+    .replace(/[^a-z0-9]+/g, ' ')
+    .split(' ')
+    .filter(Boolean)
+    .map(word => STREET_ABBREVIATIONS[word] || word)
+    .join(' ');
+  return /\d/.test(key) ? key : null;
+};
+
+module.exports = { phoneDigits, nameKey, websiteDomain, addressKey };
@@ -0,0 +1,175 @@
+// Activity outcomes ('Left voicemail', 'Wants pricing', ...): an
+// admin-editable list, and which of them each activity recorded
+
+const HOUR = 60 * 60 * 1000;
+
+// How far from midday of a note line's date its activity may be. Dates were
+// written in the caller's local time and activities are stored in UTC.
+const NOTE_MATCH_WINDOW = 18 * HOUR;
+
+const toOutcome = (row) => ({ ...row, active: Boolean(row.active) });
+
+// Ordered outcomes. activityType keeps those for that type plus the ones
+// for every type; activeOnly drops retired ones.
+async function listOutcomes(db, { activityType, activeOnly = false } = {}) {
+  const where = { active: activeOnly ? 1 : undefined };
+  if (activityType) where.or = [{ activity_type: null }, { activity_type: activityType }];
+  const rows = await db.select('outcomes', {
+    where,
+    orderBy: [{ column: 'position', ascending: true }, { column: 'id', ascending: true }]
+  });
+  return rows.map(toOutcome);
+}
+
+// Returns an error message, or null when every id is an outcome an
+// activity of this type can record
+async function checkOutcomeIds(db, ids, activityType) {
+  if (ids === undefined) return null;
+  if (!Array.isArray(ids)) return 'outcome_ids must be a list';
+  if (ids.length === 0) return null;
+
+  const found = await db.select('outcomes', { where: { id: { in: ids } } });
+  const missing = ids.filter(id => !found.some(outcome => String(outcome.id) === String(id)));
+  if (missing.length) return `Outcomes not found: ${missing.join(', ')}`;
+  const wrongType = found.filter(outcome => outcome.activity_type && activityType && outcome.activity_type !== activityType);
+  if (wrongType.length) return `Not an outcome of a ${activityType}: ${wrongType.map(o => o.name).join(', ')}`;
+  return null;
+}
+
+// Replace the outcomes recorded on an activity
+async function setActivityOutcomes(db, activityId, ids) {
+  await db.remove('activity_outcomes', { activity_id: activityId });
+  const unique = [...new Set(ids.map(String))];
+  if (unique.length) {
+    await db.insert('activity_outcomes', unique.map(outcomeId => ({ activity_id: activityId, outcome_id: outcomeId })));
+  }
+}
+
+// Remove outcomes an activity of this type can't record, after its type changed
+async function dropOutcomesNotFor(db, activityId, activityType) {
+  const links = await db.select('activity_outcomes', { columns: ['outcome_id'], where: { activity_id: activityId } });
+  if (links.length === 0) return;
+  const wrongType = await db.select('outcomes', {
+    columns: ['id'],
+    where: { id: { in: links.map(link => link.outcome_id) }, activity_type: { neq: activityType } }
+  });
+  if (wrongType.length) {
+    await db.remove('activity_outcomes', { activity_id: activityId, outcome_id: { in: wrongType.map(o => o.id) } });
+  }
+}
+
+// Attach outcomes: [{ id, name }] to each activity
+async function withOutcomes(db, activities) {
+  if (activities.length === 0) return activities;
+  const [links, outcomes] = await Promise.all([
+    db.select('activity_outcomes', { where: { activity_id: { in: activities.map(a => a.id) } } }),
+    db.select('outcomes', { columns: ['id', 'name', 'position'] })
+  ]);
+  const byId = new Map(outcomes.map(outcome => [String(outcome.id), outcome]));
+
+  return activities.map(activity => ({
+    ...activity,
+    outcomes: links
+      .filter(link => link.activity_id === activity.id)
+      .map(link => byId.get(String(link.outcome_id)))
+      .filter(Boolean)
+      .sort((a, b) => a.position - b.position)
+      .map(({ id, name }) => ({ id, name }))
+  }));
+}
+
+// Midday of a note line's date: '10/18/2026' (how the Calling tab wrote
+// them) or '2026-10-18'. Null when it is neither.
+function noteLineDate(text) {
+  let match = /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/.exec(text);
+  if (match) return new Date(Number(match[3]), Number(match[1]) - 1, Number(match[2]), 12);
+  match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(text);
+  if (match) return new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]), 12);
+  return null;
+}
+
+// The outcome lines of company notes - "[10/18/2026] Left voicemail, WANTS
+// PRICING", where every item names an outcome - as [{ index, line, date,
+// outcomeIds }] with index counting lines from 0
+function parseNoteOutcomes(notes, outcomes) {
+  const byName = new Map(outcomes.map(outcome => [outcome.name.trim().toLowerCase(), outcome.id]));
+  const found = [];
+
+  String(notes || '').split('\n').forEach((line, index) => {
+    const match = /^\[([^\]]+)\]\s*(.+)$/.exec(line.trim());
+    const date = match && noteLineDate(match[1].trim());
+    const outcomeIds = match ? match[2].split(',').map(item => byName.get(item.trim().toLowerCase())) : [];
+    if (date && outcomeIds.length && outcomeIds.every(Boolean)) {
+      found.push({ index, line: line.trim(), date, outcomeIds });
+    }
+  });
+  return found;
+}
+
+// The activity a note line was written with: the company's activity closest
+// to that day, preferring calls and activities no other line has claimed
+function activityForLine(activities, date, claimed) {
+  const near = activities
+    .map(activity => ({ activity, distance: Math.abs(new Date(activity.date) - date) }))
+    .filter(({ distance }) => distance <= NOTE_MATCH_WINDOW)
+    .sort((a, b) =>
+      (claimed.has(a.activity.id) - claimed.has(b.activity.id)) ||
+      ((a.activity.type !== 'call') - (b.activity.type !== 'call')) ||
+      (a.distance - b.distance));
+  return near.length ? near[0].activity : null;
+}
+
+// Move "[date] WANTS PRICING" lines out of company notes and onto the
+// activity each was written with. Lines with no matching activity stay in
+// the notes. Returns { companies, converted, unmatched: [{ company_id, line }] };
+// with dryRun nothing is written.
+async function convertNoteOutcomes(db, { dryRun = false } = {}) {
+  const [outcomes, companies] = await Promise.all([
+    db.select('outcomes', { columns: ['id', 'name'] }),
+    db.select('companies', { columns: ['id', 'notes'], where: { notes: { like: '%[%]%' } } })
+  ]);
+
+  const summary = { companies: 0, converted: 0, unmatched: [] };
+  for (const company of companies) {
+    const found = parseNoteOutcomes(company.notes, outcomes);
+    if (found.length === 0) continue;
+
+    const activities = await db.select('activities', { columns: ['id', 'type', 'date'], where: { company_id: company.id } });
+    const claimed = new Set();
+    const converted = new Set();
+    const links = [];
+    for (const entry of found) {
+      const activity = activityForLine(activities, entry.date, claimed);
+      if (!activity) {
+        summary.unmatched.push({ company_id: company.id, line: entry.line });
+        continue;
+      }
+      claimed.add(activity.id);
+      converted.add(entry.index);
+      entry.outcomeIds.forEach(outcomeId => links.push({ activity_id: activity.id, outcome_id: outcomeId }));
+    }
+    if (converted.size === 0) continue;
+    summary.companies += 1;
+    summary.converted += converted.size;
+
+    if (!dryRun) {
+      for (const link of links) {
+        await db.upsert('activity_outcomes', link, { onConflict: 'activity_id,outcome_id' });
+      }
+      const notes = String(company.notes).split('\n').filter((line, index) => !converted.has(index)).join('\n').trim();
+      await db.update('companies', { id: company.id }, { notes: notes || null });
+    }
+  }
+  return summary;
+}
+
+module.exports = {
+  toOutcome,
+  listOutcomes,
+  checkOutcomeIds,
+  setActivityOutcomes,
+  dropOutcomesNotFor,
+  withOutcomes,
+  parseNoteOutcomes,
+  convertNoteOutcomes
+};
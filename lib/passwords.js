@@ -0,0 +1,131 @@
+// Passwords and sign-in safety: strength rules for new passwords, a lock
+// after repeated failed sign-ins, and single-use reset tokens sent by email
+// (through lib/mailer.js) or issued by an admin. Only a hash of each reset
+// token is stored, so the database never holds anything that signs someone in.
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { sendMail } = require('./mailer');
+
+const MIN_LENGTH = 10;
+const MAX_FAILED_LOGINS = 5;
+const LOCK_MINUTES = 15;
+const RESET_HOURS = 1;
+
+// Passwords people reach for first; rejected whatever else they contain
+const COMMON_PASSWORDS = ['password', 'admin123', '12345678', '123456789', '1234567890', 'qwerty123', 'letmein', 'welcome1', 'iloveyou', 'changeme'];
+
+// Returns what's wrong with a new password, or null when it's strong enough:
+// at least 10 characters with a letter and a digit, and not the username
+// or a well-known password
+function validatePassword(password, { username } = {}) {
+  if (typeof password !== 'string' || password.length < MIN_LENGTH) {
+    return `Password must be at least ${MIN_LENGTH} characters`;
+  }
+  if (!/[A-Za-z]/.test(password) || !/[0-9]/.test(password)) {
+    return 'Password must contain both letters and numbers';
+  }
+  const lower = password.toLowerCase();
+  if (username && String(username).length >= 3 && lower.includes(String(username).toLowerCase())) {
+    return 'Password must not contain the username';
+  }
+  if (COMMON_PASSWORDS.some(common => lower.startsWith(common))) {
+    return 'That password is too easy to guess';
+  }
+  return null;
+}
+
+const hashPassword = (password) => bcrypt.hashSync(password, 10);
+
+// The columns for a new password: hashed, unlocked, and flagged for
+// changing at the next sign-in when someone else chose it
+const passwordFields = (password, { mustChange = false, now = new Date() } = {}) => ({
+  password: hashPassword(password),
+  must_change_password: mustChange ? 1 : 0,
+  failed_logins: 0,
+  locked_until: null,
+  password_changed_at: now.toISOString()
+});
+
+// Minutes left on a user's sign-in lock, or 0 when they may try
+function lockedMinutes(user, now = new Date()) {
+  if (!user.locked_until) return 0;
+  const left = new Date(user.locked_until).getTime() - now.getTime();
+  return left > 0 ? Math.ceil(left / 60000) : 0;
+}
+
+// Count a wrong password against the account `username` names; the fifth
+// in a row locks it for 15 minutes. Returns the minutes locked, or 0 (also
+// when no account has exactly that username, so nothing else is counted).
+// The count goes up in one step in the database (the record_failed_login
+// procedure), so wrong passwords sent side by side can't undercount.
+async function recordFailedLogin(db, username, now = new Date()) {
+  if (typeof username !== 'string' || !username) return 0;
+  const user = await db.first('users', { columns: ['id', 'username'], where: { username } });
+  if (!user || user.username !== username) return 0;
+
+  const locked = await db.procedure('record_failed_login', {
+    account_id: user.id,
+    max_failed: MAX_FAILED_LOGINS,
+    lock_until: new Date(now.getTime() + LOCK_MINUTES * 60000).toISOString()
+  });
+  return locked ? LOCK_MINUTES : 0;
+}
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// A new reset token for the user, good for an hour; any earlier unused ones
+// stop working. Returns the token itself, which is not stored.
+async function createResetToken(db, userId, { createdBy = null, now = new Date() } = {}) {
+  await db.update('password_resets', { user_id: userId, used_at: null }, { used_at: now.toISOString() });
+  const token = crypto.randomBytes(32).toString('hex');
+  await db.insert('password_resets', {
+    user_id: userId,
+    token_hash: hashToken(token),
+    expires_at: new Date(now.getTime() + RESET_HOURS * 3600000).toISOString(),
+    created_by: createdBy
+  });
+  return token;
+}
+
+// The unused, unexpired reset row for a token, or null
+async function findResetToken(db, token, now = new Date()) {
+  if (!token || typeof token !== 'string') return null;
+  const reset = await db.first('password_resets', {
+    where: { token_hash: hashToken(token), used_at: null, expires_at: { gt: now.toISOString() } }
+  });
+  return reset || null;
+}
+
+// Where a reset token is used: the sign-in page with the token filled in
+// when APP_URL says where this server is, otherwise null
+function resetUrl(token) {
+  const base = String(process.env.APP_URL || '').replace(/\/+$/, '');
+  return base ? `${base}/?reset_token=${token}` : null;
+}
+
+// Email a user a reset token. Rejects with a MailError when mail can't go out.
+async function sendResetEmail(user, token) {
+  const link = resetUrl(token);
+  const how = link
+    ? `Choose a new password here:\n\n${link}`
+    : `On the sign-in page, choose "Forgot password?", then "I have a reset code", and enter:\n\n${token}`;
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your CRM password',
+    text: `Hi ${user.name},\n\nSomeone asked to reset the password for ${user.username}. ${how}\n\n` +
+      'It works once, within the next hour. If you didn\'t ask for this, you can ignore this email.'
+  });
+}
+
+module.exports = {
+  MAX_FAILED_LOGINS,
+  LOCK_MINUTES,
+  validatePassword,
+  hashPassword,
+  passwordFields,
+  lockedMinutes,
+  recordFailedLogin,
+  createResetToken,
+  findResetToken,
+  sendResetEmail
+};
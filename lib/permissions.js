@@ -0,0 +1,110 @@
+// Roles and what each may do. Admins can change every role's permissions
+// except admin's own (saved in settings under 'role_permissions'); a role
+// or permission missing from the saved copy falls back to these defaults.
+
+const ROLES = ['admin', 'manager', 'rep', 'read-only'];
+
+// Every permission a route can require, with the label the SPA shows
+const PERMISSIONS = {
+  'crm.view': 'View companies, contacts, activities, deals, estimates, employees and stats',
+  'companies.create': 'Add companies',
+  'companies.edit': 'Edit companies',
+  'companies.delete': 'Delete companies',
+  'companies.merge': 'Find and merge duplicate companies',
+  'companies.assign': 'Change company owners and reassign accounts in bulk',
+  'territories.manage': 'Set up territories',
+  'segments.save': 'Save segments and share them with the team',
+  'segments.manage': 'Edit and delete segments others have shared',
+  'contacts.edit': 'Add, edit and remove contacts',
+  'activities.log': 'Log activities',
+  'activities.edit': 'Edit activities',
+  'activities.delete': 'Delete activities',
+  'outcomes.configure': 'Configure activity outcomes',
+  'follow_ups.manage': 'Schedule, complete and reassign follow-ups',
+  'deals.edit': 'Add and edit deals',
+  'deals.delete': 'Delete deals',
+  'pipeline.configure': 'Configure pipeline stages',
+  'estimates.edit': 'Create, edit and send estimates',
+  'estimates.delete': 'Delete estimates',
+  'products.manage': 'Edit the product price list and the default tax rate',
+  'emails.send': 'Send emails to companies',
+  'email_templates.manage': 'Edit email templates',
+  'campaigns.manage': 'Set up and run email campaigns',
+  'goals.manage': 'Set call and conversion goals for employees',
+  'employees.manage': 'Add, edit and remove employees',
+  'settings.edit': 'Edit the call script and call queue settings',
+  'data.export': 'Export CSVs',
+  'data.import': 'Import companies',
+  'activity_logs.view': 'View the audit log',
+  'users.manage': 'Manage user accounts and roles',
+  'permissions.manage': 'Change role permissions'
+};
+
+const ALL = Object.keys(PERMISSIONS);
+const REP = ['crm.view', 'companies.create', 'companies.edit', 'contacts.edit', 'activities.log', 'activities.edit', 'follow_ups.manage', 'segments.save', 'deals.edit', 'estimates.edit', 'emails.send'];
+
+const DEFAULT_ROLE_PERMISSIONS = {
+  admin: ALL,
+  manager: ALL.filter(permission => !['users.manage', 'permissions.manage'].includes(permission)),
+  rep: REP,
+  'read-only': ['crm.view']
+};
+
+const SETTINGS_KEY = 'role_permissions';
+
+// { role: [permission] } for every role, admin always holding all of them
+async function loadRolePermissions(db) {
+  const saved = await db.first('settings', { columns: ['value'], where: { key: SETTINGS_KEY } });
+  const stored = saved ? JSON.parse(saved.value) : {};
+
+  const rolePermissions = {};
+  for (const role of ROLES) {
+    const permissions = role !== 'admin' && Array.isArray(stored[role]) ? stored[role] : DEFAULT_ROLE_PERMISSIONS[role];
+    rolePermissions[role] = permissions.filter(permission => PERMISSIONS[permission]);
+  }
+  return rolePermissions;
+}
+
+// The permissions of a role; none for a role this version doesn't know
+async function permissionsFor(db, role) {
+  const rolePermissions = await loadRolePermissions(db);
+  return rolePermissions[role] || [];
+}
+
+// Returns an error message, or null when { role: [permission] } can be saved
+function validateRolePermissions(rolePermissions) {
+  if (!rolePermissions || typeof rolePermissions !== 'object' || Array.isArray(rolePermissions)) {
+    return 'role_permissions must be an object of { role: [permission] }';
+  }
+  for (const [role, permissions] of Object.entries(rolePermissions)) {
+    if (!ROLES.includes(role)) return `Unknown role: ${role}`;
+    if (role === 'admin') return 'Admin permissions cannot be changed';
+    if (!Array.isArray(permissions)) return `Permissions for ${role} must be a list`;
+    const unknown = permissions.filter(permission => !PERMISSIONS[permission]);
+    if (unknown.length) return `Unknown permissions: ${unknown.join(', ')}`;
+  }
+  return null;
+}
+
+// Save changes for some roles, keeping the others as they are
+async function saveRolePermissions(db, changes, userId) {
+  const current = await loadRolePermissions(db);
+  const { admin, ...editable } = { ...current, ...changes };
+  await db.upsert('settings', {
+    key: SETTINGS_KEY,
+    value: JSON.stringify(editable),
+    updated_by: userId,
+    updated_at: new Date().toISOString()
+  }, { onConflict: 'key' });
+  return { admin, ...editable };
+}
+
+module.exports = {
+  ROLES,
+  PERMISSIONS,
+  DEFAULT_ROLE_PERMISSIONS,
+  loadRolePermissions,
+  permissionsFor,
+  validateRolePermissions,
+  saveRolePermissions
+};
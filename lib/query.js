@@ -0,0 +1,69 @@
+// Helpers for reading list options (pagination, sorting, filters) from req.query
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+// '1'/'true'/'yes' -> true, '0'/'false'/'no' -> false, missing -> undefined
+const parseBoolean = (value) => {
+  if (value === undefined || value === '') return undefined;
+  return ['1', 'true', 'yes'].includes(String(value).toLowerCase());
+};
+
+// Returns null when the caller asked for neither page nor limit, so list
+// routes can keep answering with a plain array for older clients.
+const parsePagination = (query, { defaultLimit = 50, maxLimit = 200 } = {}) => {
+  if (query.page === undefined && query.limit === undefined) return null;
+  const limit = Math.min(Math.max(parseInt(query.limit) || defaultLimit, 1), maxLimit);
+  const page = Math.max(parseInt(query.page) || 1, 1);
+  return { page, limit, offset: (page - 1) * limit };
+};
+
+// ?sort=<column>&order=asc|desc, restricted to the columns a route allows
+const parseSort = (query, allowed, fallback) => {
+  if (!allowed.includes(query.sort)) {
+    return query.order ? { ...fallback, ascending: String(query.order).toLowerCase() !== 'desc' } : fallback;
+  }
+  return { column: query.sort, ascending: String(query.order || 'asc').toLowerCase() !== 'desc' };
+};
+
+// ?from=&to= on a timestamp column. A date-only `to` covers that whole day.
+const dateRange = (from, to) => {
+  const range = {};
+  if (from) range.gte = from;
+  if (to) {
+    if (DATE_ONLY.test(to)) {
+      const next = new Date(`${to}T00:00:00Z`);
+      next.setUTCDate(next.getUTCDate() + 1);
+      range.lt = next.toISOString();
+    } else {
+      range.lte = to;
+    }
+  }
+  return Object.keys(range).length ? range : undefined;
+};
+
+// The parameters in `names` given as something other than one plain value,
+// e.g. ?type[neq]=x (an object) or ?type=a&type=b (a list)
+const nonTextParams = (query, names) => names.filter(name => query[name] !== undefined && typeof query[name] !== 'string');
+
+// Returns an error message naming the nonTextParams, or null when there are none
+const singleValueProblem = (query, names) => {
+  const invalid = nonTextParams(query, names);
+  return invalid.length ? `${invalid.join(', ')} must be a single value` : null;
+};
+
+// Substring match for like/ilike, with the wildcards in `text` escaped
+const likePattern = (text) => `%${String(text).replace(/[\\%_]/g, '\\$&')}%`;
+
+// Fetch one page (or everything) plus the total matching row count
+async function listRows(db, table, { where, orderBy, pagination }) {
+  if (!pagination) {
+    return { data: await db.select(table, { where, orderBy }) };
+  }
+  const [data, total] = await Promise.all([
+    db.select(table, { where, orderBy, limit: pagination.limit, offset: pagination.offset }),
+    db.count(table, { where })
+  ]);
+  return { data, total, page: pagination.page, limit: pagination.limit };
+}
+
+module.exports = { parseBoolean, parsePagination, parseSort, dateRange, singleValueProblem, likePattern, listRows };
@@ -0,0 +1,132 @@
+// Rep performance over a date range: calls made, answer and interest rates,
+// follow-ups created and completed, and prospects converted to customers
+// (see customer_since on companies), per day, week or month and per
+// employee, company type or state. The database does the counting (the
+// report_metrics report in storage/sqlite-reports.js and
+// migrations/015_reports.sql); this adds the rates, names and empty periods.
+
+const BUCKETS = ['day', 'week', 'month'];
+const GROUPS = ['employee', 'type', 'state'];
+const COUNTS = ['calls', 'answered', 'interested', 'follow_ups_created', 'follow_ups_completed', 'conversions'];
+
+// What a group with no value is called, e.g. follow-ups assigned to nobody
+const NO_GROUP = { employee: 'Unassigned', type: 'No type', state: 'No state' };
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_DAYS = 30;
+const MAX_DAILY_DAYS = 366;
+const MAX_OFFSET_MINUTES = 14 * 60;
+
+// part / whole to three places; null when there's nothing to divide by
+const rate = (part, whole) => (whole ? Math.round((part / whole) * 1000) / 1000 : null);
+
+function withRates(row) {
+  const counts = Object.fromEntries(COUNTS.map(key => [key, Number(row && row[key]) || 0]));
+  return {
+    ...counts,
+    answer_rate: rate(counts.answered, counts.calls),
+    interest_rate: rate(counts.interested, counts.calls)
+  };
+}
+
+// The report options from ?from=&to=&bucket=&group_by=&utc_offset=, or
+// { problem }. from and to are dates or times, to exclusive (the last 30
+// days by default); utc_offset is how many minutes the caller's clock is
+// ahead of UTC, so periods start at their midnight.
+function parseReportQuery(query, now = new Date()) {
+  const to = query.to ? new Date(query.to) : now;
+  const from = query.from ? new Date(query.from) : new Date(to.getTime() - DEFAULT_DAYS * DAY_MS);
+  if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime())) return { problem: 'from and to must be dates' };
+  if (from >= to) return { problem: 'from must be before to' };
+
+  const bucket = query.bucket || null;
+  if (bucket && !BUCKETS.includes(bucket)) return { problem: `bucket must be one of: ${BUCKETS.join(', ')}` };
+  if (bucket === 'day' && to - from > MAX_DAILY_DAYS * DAY_MS) return { problem: 'Pick week or month for ranges over a year' };
+
+  const groupBy = query.group_by || null;
+  if (groupBy && !GROUPS.includes(groupBy)) return { problem: `group_by must be one of: ${GROUPS.join(', ')}` };
+
+  const utcOffset = query.utc_offset === undefined || query.utc_offset === '' ? 0 : Number(query.utc_offset);
+  if (!Number.isInteger(utcOffset) || Math.abs(utcOffset) > MAX_OFFSET_MINUTES) {
+    return { problem: 'utc_offset must be a whole number of minutes' };
+  }
+
+  return { from: from.toISOString(), to: to.toISOString(), bucket, groupBy, utcOffset };
+}
+
+// Every period from `from` up to `to` as report_metrics labels them, so
+// charts show quiet days too
+function periodsBetween(from, to, bucket, utcOffset) {
+  const shift = utcOffset * 60 * 1000;
+  const start = new Date(new Date(from).getTime() + shift);
+  const end = new Date(new Date(to).getTime() + shift - 1);
+
+  const cursor = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth(), bucket === 'month' ? 1 : start.getUTCDate()));
+  if (bucket === 'week') cursor.setUTCDate(cursor.getUTCDate() - ((cursor.getUTCDay() + 6) % 7));
+
+  const periods = [];
+  while (cursor <= end) {
+    periods.push(cursor.toISOString().slice(0, bucket === 'month' ? 7 : 10));
+    if (bucket === 'month') cursor.setUTCMonth(cursor.getUTCMonth() + 1);
+    else cursor.setUTCDate(cursor.getUTCDate() + (bucket === 'week' ? 7 : 1));
+  }
+  return periods;
+}
+
+// key -> label for the groups found
+async function groupLabels(db, groupBy, keys) {
+  const names = new Map();
+  const ids = keys.filter(Boolean);
+  if (groupBy === 'employee' && ids.length) {
+    const employees = await db.select('employees', { columns: ['id', 'name'], where: { id: { in: ids } } });
+    for (const employee of employees) names.set(String(employee.id), employee.name);
+  }
+  return (key) => (key ? names.get(String(key)) || key : NO_GROUP[groupBy]);
+}
+
+// { totals, groups: [{ key, label, ...metrics }], series: [{ period,
+// ...metrics, by_group: { key: metrics } }] }. groups is empty without a
+// groupBy and series without a bucket; a group with no value has key ''.
+// Every metric set has the counts plus answer_rate and interest_rate.
+async function buildReport(db, { from, to, bucket, groupBy, utcOffset }) {
+  const run = (options) => db.report('report_metrics', {
+    date_from: from,
+    date_to: to,
+    utc_offset: utcOffset,
+    bucket: null,
+    group_by: null,
+    ...options
+  });
+  const [totalRows, groupRows, periodRows, cellRows] = await Promise.all([
+    run({}),
+    groupBy ? run({ group_by: groupBy }) : [],
+    bucket ? run({ bucket }) : [],
+    bucket && groupBy ? run({ bucket, group_by: groupBy }) : []
+  ]);
+
+  const label = await groupLabels(db, groupBy, groupRows.map(row => row.group_key));
+  const groups = groupRows
+    .map(row => ({ key: row.group_key, label: label(row.group_key), ...withRates(row) }))
+    .sort((a, b) => b.calls - a.calls || a.label.localeCompare(b.label));
+
+  const series = bucket
+    ? periodsBetween(from, to, bucket, utcOffset).map(period => {
+      const entry = { period, ...withRates(periodRows.find(row => row.period === period)) };
+      if (groupBy) {
+        entry.by_group = Object.fromEntries(cellRows
+          .filter(row => row.period === period)
+          .map(row => [row.group_key, withRates(row)]));
+      }
+      return entry;
+    })
+    : [];
+
+  return { totals: withRates(totalRows[0]), groups, series };
+}
+
+module.exports = {
+  BUCKETS,
+  GROUPS,
+  parseReportQuery,
+  buildReport
+};
@@ -0,0 +1,123 @@
+// Saved segments: a named list of rules that together pick out companies,
+// e.g. "contractors in DE with no activity in 30 days". A segment is private
+// to whoever made it until it is shared with the team. Anywhere that takes
+// the company list filters can take ?segment_id= as well (the Companies list,
+// the call queue and the companies CSV export).
+
+const { likePattern } = require('./query');
+
+// What each rule can test, and how. Rules are { field, op, value }:
+//   type, state, city  is | is_not        value: the text to match
+//   customer           is                 value: true or false
+//   last_activity_days more_than          value: days; no activity that recently,
+//                                         including companies never contacted
+//                      less_than          value: days; some activity that recently
+//                      never              no activity at all
+//   has_email          is                 value: true or false; the company's own
+//                                         address or any contact's counts
+//   outcome            has | has_not      value: an outcome id ever recorded
+//   owner              is | is_not        value: an employee id, or 'none'
+const SEGMENT_FIELDS = {
+  type: ['is', 'is_not'],
+  state: ['is', 'is_not'],
+  city: ['is', 'is_not'],
+  customer: ['is'],
+  last_activity_days: ['more_than', 'less_than', 'never'],
+  has_email: ['is'],
+  outcome: ['has', 'has_not'],
+  owner: ['is', 'is_not']
+};
+
+const MAX_RULES = 20;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toSegment = (row) => ({ ...row, rules: JSON.parse(row.rules || '[]'), shared: Boolean(row.shared) });
+
+// Returns an error message, or null when rules is a list of valid rules
+async function validateRules(db, rules) {
+  if (!Array.isArray(rules)) return 'rules must be a list';
+  if (rules.length > MAX_RULES) return `A segment can have at most ${MAX_RULES} rules`;
+  for (const [index, rule] of rules.entries()) {
+    const label = `Rule ${index + 1}`;
+    if (!rule || !SEGMENT_FIELDS[rule.field]) return `${label}: unknown field ${rule && rule.field}`;
+    if (!SEGMENT_FIELDS[rule.field].includes(rule.op)) return `${label}: ${rule.field} can't use "${rule.op}"`;
+
+    if (rule.field === 'customer' || rule.field === 'has_email') {
+      if (typeof rule.value !== 'boolean') return `${label}: value must be true or false`;
+    } else if (rule.field === 'last_activity_days') {
+      const days = Number(rule.value);
+      if (rule.op !== 'never' && (!Number.isInteger(days) || days < 1)) return `${label}: value must be a whole number of days`;
+    } else if (rule.value === undefined || rule.value === null || !String(rule.value).trim()) {
+      return `${label}: value is required`;
+    } else if (typeof rule.value !== 'string' && typeof rule.value !== 'number') {
+      return `${label}: value must be text`;
+    }
+  }
+
+  const outcomeIds = rules.filter(rule => rule.field === 'outcome').map(rule => String(rule.value).trim());
+  if (outcomeIds.length) {
+    // Only whole numbers are looked up, since Postgres rejects anything else as an id
+    const found = await db.select('outcomes', { columns: ['id'], where: { id: { in: outcomeIds.filter(id => /^\d+$/.test(id)) } } });
+    const missing = outcomeIds.filter(id => !found.some(outcome => String(outcome.id) === id));
+    if (missing.length) return `Outcomes not found: ${missing.join(', ')}`;
+  }
+  return null;
+}
+
+// A text field that "is not" a value also matches companies with it blank
+const isNot = (column, value) => ({ or: [{ [column]: { neq: value } }, { [column]: null }] });
+
+// The `where` group (see storage/index.js) for one validated rule. Email,
+// activity and outcome rules test computed columns of companies
+// (storage/sqlite-computed.js), so the database does the work whatever the
+// number of companies.
+function ruleWhere(rule, now) {
+  const value = typeof rule.value === 'boolean' ? rule.value : String(rule.value);
+  switch (rule.field) {
+    case 'type':
+    case 'state':
+    case 'city':
+      return rule.op === 'is' ? { [rule.field]: value } : isNot(rule.field, value);
+    case 'customer':
+      return { is_customer: value ? 1 : 0 };
+    case 'owner':
+      if (value === 'none') return { owner_id: rule.op === 'is' ? null : { not: null } };
+      return rule.op === 'is' ? { owner_id: value } : isNot('owner_id', value);
+    case 'has_email':
+      return { has_email: value ? 1 : 0 };
+    case 'outcome': {
+      const pattern = likePattern(`,${value.trim()},`);
+      return { outcome_ids: rule.op === 'has' ? { like: pattern } : { notLike: pattern } };
+    }
+    case 'last_activity_days': {
+      if (rule.op === 'never') return { last_activity_at: null };
+      const since = new Date(now.getTime() - Number(rule.value) * DAY_MS).toISOString();
+      return rule.op === 'less_than'
+        ? { last_activity_at: { gte: since } }
+        : { or: [{ last_activity_at: { lt: since } }, { last_activity_at: null }] };
+    }
+    default:
+      throw new Error(`Unknown segment field: ${rule.field}`);
+  }
+}
+
+// Narrow a companies `where` to those matching every one of the rules
+function withSegment(where, rules, now = new Date()) {
+  if (rules.length === 0) return where;
+  return { ...where, and: [...(where.and || []), ...rules.map(rule => ruleWhere(rule, now))] };
+}
+
+// The segment if this user may use it: their own, or one shared with the team
+async function findSegment(db, id, user) {
+  const row = await db.first('segments', { where: { id } });
+  if (!row || (!row.shared && row.created_by !== user.id)) return null;
+  return toSegment(row);
+}
+
+module.exports = {
+  SEGMENT_FIELDS,
+  toSegment,
+  validateRules,
+  withSegment,
+  findSegment
+};
@@ -0,0 +1,120 @@
+// Sign-in sessions. Each sign-in gets a row in sessions and a refresh token,
+// which the browser keeps and only the hash of which is stored here. Access
+// tokens last 15 minutes; the refresh token trades for a new access token and
+// a new refresh token, so each one works once. A refresh token replayed after
+// it was swapped means someone else holds a copy, and ends the session.
+// requirePermission (middleware/auth.js) checks the session is still live on
+// every request, so logging out, or deleting the user, takes effect at once.
+const crypto = require('crypto');
+
+const ACCESS_TOKEN_MINUTES = 15;
+const SESSION_DAYS = 30;
+// Two tabs refreshing together send the same token; the slower one is told
+// to pick up the tokens the other got rather than treated as a replay
+const REFRESH_GRACE_SECONDS = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+const newToken = () => crypto.randomBytes(32).toString('hex');
+
+// Sessions end after 30 days without use
+const expiresAt = (now) => new Date(now.getTime() + SESSION_DAYS * DAY_MS).toISOString();
+
+// The device and address a request came from. Shown in the sessions list
+// and nothing else relies on it.
+function clientInfo(req) {
+  const forwarded = String(req.headers['x-forwarded-for'] || '').split(',')[0].trim();
+  return {
+    user_agent: String(req.headers['user-agent'] || '').slice(0, 300) || null,
+    ip: forwarded || req.ip || null
+  };
+}
+
+// Start a session for the user; expired ones of theirs are cleared out.
+// Returns { session, refreshToken }.
+async function createSession(db, userId, req, now = new Date()) {
+  await db.remove('sessions', { user_id: userId, expires_at: { lt: now.toISOString() } });
+  const refreshToken = newToken();
+  const session = await db.insert('sessions', {
+    user_id: userId,
+    refresh_hash: hashToken(refreshToken),
+    ...clientInfo(req),
+    created_at: now.toISOString(),
+    last_seen_at: now.toISOString(),
+    expires_at: expiresAt(now)
+  });
+  return { session, refreshToken };
+}
+
+// Swap a refresh token for a new one: { session, refreshToken }, or { code }
+// when it can't be: 'refresh_superseded' when another tab just swapped the
+// same token, otherwise 'session_ended'
+async function rotateSession(db, refreshToken, req, now = new Date()) {
+  if (!refreshToken || typeof refreshToken !== 'string') return { code: 'session_ended' };
+  const hash = hashToken(refreshToken);
+  const live = { revoked_at: null, expires_at: { gt: now.toISOString() } };
+
+  const session = await db.first('sessions', { where: { refresh_hash: hash, ...live } });
+  if (!session) {
+    const replayed = await db.first('sessions', { columns: ['id', 'rotated_at'], where: { previous_hash: hash, ...live } });
+    if (!replayed) return { code: 'session_ended' };
+    const graceStart = new Date(now.getTime() - REFRESH_GRACE_SECONDS * 1000).toISOString();
+    const recent = await db.count('sessions', { where: { id: replayed.id, rotated_at: { gt: graceStart } } });
+    if (recent) return { code: 'refresh_superseded' };
+    await revokeSessions(db, { id: replayed.id }, now);
+    return { code: 'session_ended' };
+  }
+
+  const next = newToken();
+  const swapped = await db.update('sessions', { id: session.id, refresh_hash: hash }, {
+    refresh_hash: hashToken(next),
+    previous_hash: hash,
+    rotated_at: now.toISOString(),
+    last_seen_at: now.toISOString(),
+    expires_at: expiresAt(now),
+    ...clientInfo(req)
+  });
+  if (!swapped) return { code: 'refresh_superseded' };
+  return { session, refreshToken: next };
+}
+
+// The session with this id, if it belongs to the user and is still signed in
+async function liveSession(db, sessionId, userId, now = new Date()) {
+  const session = await db.first('sessions', {
+    columns: ['id'],
+    where: { id: sessionId, user_id: userId, revoked_at: null, expires_at: { gt: now.toISOString() } }
+  });
+  return session || null;
+}
+
+// End every live session matching `where`, e.g. { user_id }. Returns how
+// many were ended.
+function revokeSessions(db, where, now = new Date()) {
+  return db.update('sessions', { ...where, revoked_at: null }, { revoked_at: now.toISOString() });
+}
+
+// End the session a refresh token belongs to (logging out)
+function endSession(db, refreshToken, now = new Date()) {
+  if (!refreshToken || typeof refreshToken !== 'string') return Promise.resolve(0);
+  return revokeSessions(db, { refresh_hash: hashToken(refreshToken) }, now);
+}
+
+// A user's signed-in sessions, most recently used first
+function listSessions(db, userId, now = new Date()) {
+  return db.select('sessions', {
+    columns: ['id', 'user_agent', 'ip', 'created_at', 'last_seen_at'],
+    where: { user_id: userId, revoked_at: null, expires_at: { gt: now.toISOString() } },
+    orderBy: { column: 'last_seen_at', ascending: false }
+  });
+}
+
+module.exports = {
+  ACCESS_TOKEN_MINUTES,
+  createSession,
+  rotateSession,
+  liveSession,
+  revokeSessions,
+  endSession,
+  listSessions
+};
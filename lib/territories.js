@@ -0,0 +1,84 @@
+// Sales territories: which employee owns a company by default, going by its
+// zip, city or state. Each list is stored as JSON text.
+
+const LIST_FIELDS = ['states', 'cities', 'zips'];
+
+// How specific each kind of match is; the most specific territory wins
+const MATCH_RANK = { zip: 3, city: 2, state: 1 };
+
+const parseList = (text) => {
+  try {
+    const list = JSON.parse(text || '[]');
+    return Array.isArray(list) ? list : [];
+  } catch (err) {
+    return [];
+  }
+};
+
+const toTerritory = (row) => ({
+  ...row,
+  states: parseList(row.states),
+  cities: parseList(row.cities),
+  zips: parseList(row.zips)
+});
+
+// Trimmed, de-duplicated entries; states upper-cased ('de' -> 'DE')
+const cleanList = (field, values) => [...new Set(
+  values
+    .map(value => String(value).trim())
+    .filter(Boolean)
+    .map(value => field === 'states' ? value.toUpperCase() : value)
+)];
+
+const sameText = (a, b) => String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+
+// How a company falls in a territory: { rank, length } or null. Zip entries
+// match as prefixes, so '199' covers every 199xx zip and a longer prefix is
+// the closer match.
+function territoryMatch(territory, company) {
+  const zip = String(company.zip || '').trim();
+  const zipEntry = zip && territory.zips
+    .filter(entry => zip.startsWith(entry))
+    .sort((a, b) => b.length - a.length)[0];
+  if (zipEntry) return { rank: MATCH_RANK.zip, length: zipEntry.length };
+
+  // A territory with states only takes cities in those states
+  const inStates = territory.states.length === 0 || territory.states.some(state => sameText(state, company.state));
+  if (company.city && inStates && territory.cities.some(city => sameText(city, company.city))) {
+    return { rank: MATCH_RANK.city, length: 0 };
+  }
+  if (company.state && territory.states.some(state => sameText(state, company.state))) {
+    return { rank: MATCH_RANK.state, length: 0 };
+  }
+  return null;
+}
+
+// The territory a company belongs in, or null. Ties go to the oldest territory.
+function findTerritory(territories, company) {
+  let best = null;
+  for (const territory of territories) {
+    const match = territoryMatch(territory, company);
+    if (match && (!best || match.rank > best.match.rank ||
+        (match.rank === best.match.rank && match.length > best.match.length))) {
+      best = { territory, match };
+    }
+  }
+  return best ? best.territory : null;
+}
+
+async function loadTerritories(db) {
+  const rows = await db.select('territories', { orderBy: { column: 'id', ascending: true } });
+  return rows.map(toTerritory);
+}
+
+// { territory_id, owner_id } for a new company: its territory, and that
+// territory's employee unless the company already has an owner
+function assignment(territories, company) {
+  const territory = findTerritory(territories, company);
+  return {
+    territory_id: territory ? territory.id : null,
+    owner_id: company.owner_id || (territory && territory.employee_id) || null
+  };
+}
+
+module.exports = { LIST_FIELDS, toTerritory, cleanList, findTerritory, loadTerritories, assignment };
@@ -0,0 +1,90 @@
+const jwt = require('jsonwebtoken');
+const { PERMISSIONS, permissionsFor } = require('../lib/permissions');
+const { liveSession } = require('../lib/sessions');
+
+const JWT_SECRET = process.env.JWT_SECRET || 'change-this-secret-key-in-production';
+
+// Authentication middleware. An expired access token answers 401 with
+// code token_expired, telling the SPA to refresh it (POST /auth/refresh).
+const authenticateToken = (req, res, next) => {
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1];
+
+  if (!token) {
+    return res.status(401).json({ error: 'Access denied' });
+  }
+
+  try {
+    const verified = jwt.verify(token, JWT_SECRET);
+    req.user = verified;
+    next();
+  } catch (err) {
+    if (err.name === 'TokenExpiredError') {
+      return res.status(401).json({ error: 'Token expired', code: 'token_expired' });
+    }
+    res.status(403).json({ error: 'Invalid token' });
+  }
+};
+
+// The active employee a login works as (employees.user_id), or null
+async function employeeIdFor(db, userId) {
+  const employee = await db.first('employees', { columns: ['id'], where: { user_id: userId, active: 1 } });
+  return employee ? employee.id : null;
+}
+
+const SESSION_ENDED = { error: 'Your session has ended. Please sign in again.', code: 'session_ended' };
+
+// Whether the token's session has been signed out, expired, or deleted with
+// its user (see lib/sessions.js). Tokens from before sessions have no sid.
+const sessionEnded = async (db, req) => !req.user.sid || !(await liveSession(db, req.user.sid, req.user.id));
+
+// For routes any signed-in user may use: answers 401 once the session has
+// ended. requirePermission checks this too.
+const requireSession = (db) => async (req, res, next) => {
+  try {
+    if (await sessionEnded(db, req)) {
+      return res.status(401).json(SESSION_ENDED);
+    }
+    next();
+  } catch (err) {
+    console.error('Error checking session:', err);
+    res.status(500).json({ error: 'Failed to check session' });
+  }
+};
+
+// Permission middleware: answers 403 unless the user's role has the
+// permission (see lib/permissions.js). The role is read from the database
+// rather than the token, so a role change applies from the next request;
+// so is req.user.employeeId, the employee linked to the login. A signed-out
+// session or deleted user gets 401, as with requireSession.
+// Users who must choose a new password can do nothing else until they have
+// (POST /auth/change-password).
+const requirePermission = (db, permission) => async (req, res, next) => {
+  try {
+    const [user, ended, employeeId] = await Promise.all([
+      db.first('users', { columns: ['role', 'must_change_password'], where: { id: req.user.id } }),
+      sessionEnded(db, req),
+      employeeIdFor(db, req.user.id)
+    ]);
+    if (!user || ended) {
+      return res.status(401).json(SESSION_ENDED);
+    }
+    if (user.must_change_password) {
+      return res.status(403).json({ error: 'Choose a new password first', code: 'password_change_required' });
+    }
+    const permissions = await permissionsFor(db, user.role);
+
+    if (!permissions.includes(permission)) {
+      return res.status(403).json({ error: `Permission required: ${PERMISSIONS[permission] || permission}` });
+    }
+    req.user.role = user.role;
+    req.user.employeeId = employeeId;
+    req.user.permissions = permissions;
+    next();
+  } catch (err) {
+    console.error('Error checking permissions:', err);
+    res.status(500).json({ error: 'Failed to check permissions' });
+  }
+};
+
+module.exports = { JWT_SECRET, authenticateToken, requireSession, requirePermission, employeeIdFor };
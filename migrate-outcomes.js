@@ -0,0 +1,45 @@
+require('dotenv').config();
+const { createStorage } = require('./storage');
+const { convertNoteOutcomes } = require('./lib/outcomes');
+
+// Convert the "[10/18/2026] Left voicemail, WANTS PRICING" lines the Calling
+// tab used to append to company notes into outcomes on the call each was
+// written with:
+//
+//   node migrate-outcomes.js [sqlite|supabase] [--dry-run]
+//
+// Run it once after migration 009. Converted lines are removed from the
+// notes; lines with no call on that day are left where they are. Running it
+// again finds nothing new to do.
+const args = process.argv.slice(2);
+const flags = args.filter(arg => arg.startsWith('--'));
+const [driver] = args.filter(arg => !arg.startsWith('--'));
+const dryRun = flags.includes('--dry-run');
+
+let db;
+try {
+  db = createStorage({ driver });
+} catch (err) {
+  console.error(`❌ Error: ${err.message}`);
+  process.exit(1);
+}
+
+async function migrateOutcomes() {
+  try {
+    await db.migrate();
+    const summary = await convertNoteOutcomes(db, { dryRun });
+
+    for (const { company_id, line } of summary.unmatched) {
+      console.log(`   ⚠️ ${company_id}: no call found for "${line}" - left in notes`);
+    }
+    console.log(`\n${dryRun ? '🔍 Dry run' : '✅ Done'}: ${summary.converted} note lines ` +
+      `${dryRun ? 'would be ' : ''}converted across ${summary.companies} companies, ${summary.unmatched.length} left in notes`);
+  } catch (err) {
+    console.error('❌ Error:', err.message || err);
+    process.exitCode = 1;
+  } finally {
+    await db.close();
+  }
+}
+
+migrateOutcomes();
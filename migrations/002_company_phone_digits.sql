@@ -0,0 +1,8 @@
+-- 002 - Digits-only copy of companies.phone so search can match any formatting
+-- Safe to re-run. Mirrors entry 002 in storage/sqlite-migrations.js.
+
+ALTER TABLE companies ADD COLUMN IF NOT EXISTS phone_digits TEXT;
+
+UPDATE companies
+SET phone_digits = NULLIF(regexp_replace(phone, '\D', '', 'g'), '')
+WHERE phone_digits IS NULL AND phone IS NOT NULL;
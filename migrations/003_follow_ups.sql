@@ -0,0 +1,28 @@
+-- 003 - Follow-up tasks, optionally created from the activity that asked for them
+-- Safe to re-run. Mirrors entry 003 in storage/sqlite-migrations.js.
+
+CREATE TABLE IF NOT EXISTS follow_ups (
+  id BIGSERIAL PRIMARY KEY,
+  company_id TEXT NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+  employee_id TEXT REFERENCES employees(id) ON DELETE SET NULL,
+  activity_id TEXT REFERENCES activities(id) ON DELETE SET NULL,
+  due_at TIMESTAMP NOT NULL,
+  notes TEXT,
+  status TEXT NOT NULL DEFAULT 'open',
+  completed_at TIMESTAMP,
+  created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_follow_ups_employee_status_due ON follow_ups(employee_id, status, due_at);
+CREATE INDEX IF NOT EXISTS idx_follow_ups_company_id ON follow_ups(company_id);
+
+-- Same permissive policy as the other tables (see supabase-security.sql);
+-- access control happens in the API
+ALTER TABLE public.follow_ups ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "follow_ups_allow_all" ON public.follow_ups;
+CREATE POLICY "follow_ups_allow_all" ON public.follow_ups
+  FOR ALL
+  USING (true)
+  WITH CHECK (true);
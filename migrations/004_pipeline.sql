@@ -0,0 +1,72 @@
+-- 004 - Sales pipeline: admin-configurable stages, deals and their stage history
+-- Safe to re-run. Mirrors entry 004 in storage/sqlite-migrations.js.
+
+CREATE TABLE IF NOT EXISTS pipeline_stages (
+  id BIGSERIAL PRIMARY KEY,
+  name TEXT UNIQUE NOT NULL,
+  position INTEGER NOT NULL DEFAULT 0,
+  outcome TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+INSERT INTO pipeline_stages (name, position, outcome) VALUES
+  ('New', 1, NULL),
+  ('Contacted', 2, NULL),
+  ('Interested', 3, NULL),
+  ('Quote Sent', 4, NULL),
+  ('Won', 5, 'won'),
+  ('Lost', 6, 'lost')
+ON CONFLICT (name) DO NOTHING;
+
+CREATE TABLE IF NOT EXISTS deals (
+  id BIGSERIAL PRIMARY KEY,
+  company_id TEXT NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+  stage_id BIGINT NOT NULL REFERENCES pipeline_stages(id),
+  employee_id TEXT REFERENCES employees(id) ON DELETE SET NULL,
+  title TEXT NOT NULL,
+  value NUMERIC(12, 2) NOT NULL DEFAULT 0,
+  products TEXT,
+  expected_close_date DATE,
+  lost_reason TEXT,
+  closed_at TIMESTAMP,
+  created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_deals_company_id ON deals(company_id);
+CREATE INDEX IF NOT EXISTS idx_deals_stage_id ON deals(stage_id);
+
+CREATE TABLE IF NOT EXISTS deal_stage_history (
+  id BIGSERIAL PRIMARY KEY,
+  deal_id BIGINT NOT NULL REFERENCES deals(id) ON DELETE CASCADE,
+  from_stage_id BIGINT REFERENCES pipeline_stages(id) ON DELETE SET NULL,
+  to_stage_id BIGINT REFERENCES pipeline_stages(id) ON DELETE SET NULL,
+  changed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  changed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_deal_stage_history_deal_id ON deal_stage_history(deal_id);
+
+-- Same permissive policy as the other tables (see supabase-security.sql);
+-- access control happens in the API
+ALTER TABLE public.pipeline_stages ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "pipeline_stages_allow_all" ON public.pipeline_stages;
+CREATE POLICY "pipeline_stages_allow_all" ON public.pipeline_stages
+  FOR ALL
+  USING (true)
+  WITH CHECK (true);
+
+ALTER TABLE public.deals ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "deals_allow_all" ON public.deals;
+CREATE POLICY "deals_allow_all" ON public.deals
+  FOR ALL
+  USING (true)
+  WITH CHECK (true);
+
+ALTER TABLE public.deal_stage_history ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "deal_stage_history_allow_all" ON public.deal_stage_history;
+CREATE POLICY "deal_stage_history_allow_all" ON public.deal_stage_history
+  FOR ALL
+  USING (true)
+  WITH CHECK (true);
@@ -0,0 +1,35 @@
+-- 005 - Several contacts per company. companies.contact_name stays as the
+-- primary contact's name; existing names become primary contacts.
+-- Safe to re-run. Mirrors entry 005 in storage/sqlite-migrations.js.
+
+CREATE TABLE IF NOT EXISTS contacts (
+  id BIGSERIAL PRIMARY KEY,
+  company_id TEXT NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  title TEXT,
+  direct_phone TEXT,
+  mobile TEXT,
+  email TEXT,
+  preferred_channel TEXT,
+  is_primary INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_contacts_company_id ON contacts(company_id);
+
+INSERT INTO contacts (company_id, name, is_primary)
+SELECT c.id, TRIM(c.contact_name), 1 FROM companies c
+WHERE c.contact_name IS NOT NULL AND TRIM(c.contact_name) <> ''
+  AND NOT EXISTS (SELECT 1 FROM contacts WHERE contacts.company_id = c.id);
+
+ALTER TABLE activities ADD COLUMN IF NOT EXISTS contact_id BIGINT REFERENCES contacts(id) ON DELETE SET NULL;
+
+-- Same permissive policy as the other tables (see supabase-security.sql);
+-- access control happens in the API
+ALTER TABLE public.contacts ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "contacts_allow_all" ON public.contacts;
+CREATE POLICY "contacts_allow_all" ON public.contacts
+  FOR ALL
+  USING (true)
+  WITH CHECK (true);
@@ -0,0 +1,7 @@
+-- 006 - Named roles (see lib/permissions.js). The old catch-all 'user' role
+-- becomes 'rep'.
+-- Safe to re-run. Mirrors entry 006 in storage/sqlite-migrations.js.
+
+UPDATE users SET role = 'rep' WHERE role IS NULL OR role = 'user';
+
+ALTER TABLE users ALTER COLUMN role SET DEFAULT 'rep';
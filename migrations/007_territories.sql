@@ -0,0 +1,29 @@
+-- 007 - Company owners and sales territories. A territory's states, cities
+-- and zips are JSON lists; companies in it default to its employee.
+-- Safe to re-run. Mirrors entry 007 in storage/sqlite-migrations.js.
+
+CREATE TABLE IF NOT EXISTS territories (
+  id BIGSERIAL PRIMARY KEY,
+  name TEXT UNIQUE NOT NULL,
+  employee_id TEXT REFERENCES employees(id) ON DELETE SET NULL,
+  states TEXT,
+  cities TEXT,
+  zips TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+ALTER TABLE companies ADD COLUMN IF NOT EXISTS owner_id TEXT REFERENCES employees(id) ON DELETE SET NULL;
+ALTER TABLE companies ADD COLUMN IF NOT EXISTS territory_id BIGINT REFERENCES territories(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_companies_owner_id ON companies(owner_id);
+CREATE INDEX IF NOT EXISTS idx_companies_territory_id ON companies(territory_id);
+
+-- Same permissive policy as the other tables (see supabase-security.sql);
+-- access control happens in the API
+ALTER TABLE public.territories ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "territories_allow_all" ON public.territories;
+CREATE POLICY "territories_allow_all" ON public.territories
+  FOR ALL
+  USING (true)
+  WITH CHECK (true);
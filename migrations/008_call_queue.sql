@@ -0,0 +1,23 @@
+-- 008 - Call queue locks: a company pulled from the queue is held for the
+-- user calling it until locked_until.
+-- Safe to re-run. Mirrors entry 008 in storage/sqlite-migrations.js.
+
+CREATE TABLE IF NOT EXISTS call_locks (
+  company_id TEXT PRIMARY KEY REFERENCES companies(id) ON DELETE CASCADE,
+  user_id BIGINT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  employee_id TEXT REFERENCES employees(id) ON DELETE SET NULL,
+  locked_until TIMESTAMP NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_call_locks_user_id ON call_locks(user_id);
+CREATE INDEX IF NOT EXISTS idx_activities_company_date ON activities(company_id, date);
+
+-- Same permissive policy as the other tables (see supabase-security.sql);
+-- access control happens in the API
+ALTER TABLE public.call_locks ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "call_locks_allow_all" ON public.call_locks;
+CREATE POLICY "call_locks_allow_all" ON public.call_locks
+  FOR ALL
+  USING (true)
+  WITH CHECK (true);
@@ -0,0 +1,46 @@
+-- 009 - Activity outcomes: an admin-editable list (optionally for one
+-- activity type) and the outcomes recorded on each activity. Old
+-- "[date] WANTS PRICING" company note lines are converted afterwards with
+-- `node migrate-outcomes.js supabase`.
+-- Safe to re-run. Mirrors entry 009 in storage/sqlite-migrations.js.
+
+CREATE TABLE IF NOT EXISTS outcomes (
+  id BIGSERIAL PRIMARY KEY,
+  name TEXT UNIQUE NOT NULL,
+  activity_type TEXT,
+  position INTEGER NOT NULL DEFAULT 0,
+  active INTEGER NOT NULL DEFAULT 1,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+INSERT INTO outcomes (name, activity_type, position) VALUES
+  ('Left voicemail', 'call', 1),
+  ('Sent email', NULL, 2),
+  ('Wants pricing', NULL, 3),
+  ('Wants catalog', NULL, 4),
+  ('Not interested', NULL, 5)
+ON CONFLICT (name) DO NOTHING;
+
+CREATE TABLE IF NOT EXISTS activity_outcomes (
+  activity_id TEXT NOT NULL REFERENCES activities(id) ON DELETE CASCADE,
+  outcome_id BIGINT NOT NULL REFERENCES outcomes(id),
+  PRIMARY KEY (activity_id, outcome_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_activity_outcomes_outcome_id ON activity_outcomes(outcome_id);
+
+-- Same permissive policy as the other tables (see supabase-security.sql);
+-- access control happens in the API
+ALTER TABLE public.outcomes ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "outcomes_allow_all" ON public.outcomes;
+CREATE POLICY "outcomes_allow_all" ON public.outcomes
+  FOR ALL
+  USING (true)
+  WITH CHECK (true);
+
+ALTER TABLE public.activity_outcomes ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "activity_outcomes_allow_all" ON public.activity_outcomes;
+CREATE POLICY "activity_outcomes_allow_all" ON public.activity_outcomes
+  FOR ALL
+  USING (true)
+  WITH CHECK (true);
@@ -0,0 +1,5 @@
+-- 010 - How long a call, meeting or site visit took. The other new
+-- activity types (sms, quote_sent, ...) need no schema change.
+-- Safe to re-run. Mirrors entry 010 in storage/sqlite-migrations.js.
+
+ALTER TABLE activities ADD COLUMN IF NOT EXISTS duration_minutes INTEGER;
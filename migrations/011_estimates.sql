@@ -0,0 +1,98 @@
+-- 011 - Estimates: a product/price catalog (seeded from the call script's
+-- products, or its defaults when no script was saved), estimates for a
+-- company and their line items
+-- Safe to re-run. Mirrors entry 011 in storage/sqlite-migrations.js.
+
+CREATE TABLE IF NOT EXISTS products (
+  id BIGSERIAL PRIMARY KEY,
+  name TEXT UNIQUE NOT NULL,
+  description TEXT,
+  price_per_foot NUMERIC(12, 2) NOT NULL DEFAULT 0,
+  gate_price NUMERIC(12, 2) NOT NULL DEFAULT 0,
+  post_price NUMERIC(12, 2) NOT NULL DEFAULT 0,
+  position INTEGER NOT NULL DEFAULT 0,
+  active INTEGER NOT NULL DEFAULT 1,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+INSERT INTO products (name, description, position)
+SELECT TRIM(product.value ->> 'name'), product.value ->> 'description', product.position
+FROM settings,
+  jsonb_array_elements(COALESCE(settings.value::jsonb -> 'products', '[]'::jsonb)) WITH ORDINALITY AS product(value, position)
+WHERE settings.key = 'call_script' AND TRIM(COALESCE(product.value ->> 'name', '')) <> ''
+ON CONFLICT (name) DO NOTHING;
+
+INSERT INTO products (name, description, position)
+SELECT name, description, position FROM (VALUES
+  ('Vinyl Fencing', 'Low maintenance, 20+ year warranty', 1),
+  ('Wood Fencing', 'Cedar and pine options, custom designs', 2),
+  ('Chain Link', 'Commercial grade, galvanized', 3),
+  ('Aluminum', 'Decorative and pool code compliant', 4),
+  ('Tools & Materials', 'Gates, posts, hardware, repair kits', 5)
+) AS defaults(name, description, position)
+WHERE NOT EXISTS (SELECT 1 FROM settings WHERE key = 'call_script')
+ON CONFLICT (name) DO NOTHING;
+
+CREATE TABLE IF NOT EXISTS estimates (
+  id BIGSERIAL PRIMARY KEY,
+  company_id TEXT NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+  employee_id TEXT REFERENCES employees(id) ON DELETE SET NULL,
+  title TEXT,
+  status TEXT NOT NULL DEFAULT 'draft',
+  tax_rate NUMERIC(6, 3) NOT NULL DEFAULT 0,
+  subtotal NUMERIC(12, 2) NOT NULL DEFAULT 0,
+  tax NUMERIC(12, 2) NOT NULL DEFAULT 0,
+  total NUMERIC(12, 2) NOT NULL DEFAULT 0,
+  notes TEXT,
+  valid_until DATE,
+  sent_at TIMESTAMP,
+  decided_at TIMESTAMP,
+  created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_estimates_company_id ON estimates(company_id);
+CREATE INDEX IF NOT EXISTS idx_estimates_status ON estimates(status);
+
+CREATE TABLE IF NOT EXISTS estimate_items (
+  id BIGSERIAL PRIMARY KEY,
+  estimate_id BIGINT NOT NULL REFERENCES estimates(id) ON DELETE CASCADE,
+  product_id BIGINT REFERENCES products(id) ON DELETE SET NULL,
+  product_name TEXT NOT NULL,
+  description TEXT,
+  linear_feet NUMERIC(12, 2) NOT NULL DEFAULT 0,
+  unit_price NUMERIC(12, 2) NOT NULL DEFAULT 0,
+  gates INTEGER NOT NULL DEFAULT 0,
+  gate_price NUMERIC(12, 2) NOT NULL DEFAULT 0,
+  posts INTEGER NOT NULL DEFAULT 0,
+  post_price NUMERIC(12, 2) NOT NULL DEFAULT 0,
+  line_total NUMERIC(12, 2) NOT NULL DEFAULT 0,
+  position INTEGER NOT NULL DEFAULT 0
+);
+
+CREATE INDEX IF NOT EXISTS idx_estimate_items_estimate_id ON estimate_items(estimate_id);
+
+-- Same permissive policy as the other tables (see supabase-security.sql);
+-- access control happens in the API
+ALTER TABLE public.products ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "products_allow_all" ON public.products;
+CREATE POLICY "products_allow_all" ON public.products
+  FOR ALL
+  USING (true)
+  WITH CHECK (true);
+
+ALTER TABLE public.estimates ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "estimates_allow_all" ON public.estimates;
+CREATE POLICY "estimates_allow_all" ON public.estimates
+  FOR ALL
+  USING (true)
+  WITH CHECK (true);
+
+ALTER TABLE public.estimate_items ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "estimate_items_allow_all" ON public.estimate_items;
+CREATE POLICY "estimate_items_allow_all" ON public.estimate_items
+  FOR ALL
+  USING (true)
+  WITH CHECK (true);
@@ -0,0 +1,66 @@
+-- 012 - Outbound email: admin-edited templates with {{merge.fields}}, and
+-- every message sent (or that failed to send) from a company
+-- Safe to re-run. Mirrors entry 012 in storage/sqlite-migrations.js.
+
+CREATE TABLE IF NOT EXISTS email_templates (
+  id BIGSERIAL PRIMARY KEY,
+  name TEXT UNIQUE NOT NULL,
+  subject TEXT NOT NULL,
+  body TEXT NOT NULL,
+  active INTEGER NOT NULL DEFAULT 1,
+  created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+INSERT INTO email_templates (name, subject, body) VALUES
+  ('Introduction', 'Fencing for {{company.name}}', 'Hi {{contact.first_name}},
+
+Thanks for taking the time to talk with me. {{company.name}} looks like a great fit for our contractor program: we supply and install vinyl, wood, chain link and aluminum fencing at contractor pricing, with quick turnaround.
+
+I''d be glad to put together pricing for your next project. Just reply to this email or give me a call.
+
+Best regards,
+{{employee.name}}'),
+  ('Follow-up', 'Following up - Delaware Fence Solutions', 'Hi {{contact.first_name}},
+
+Following up on our recent conversation. Is there a project coming up that we could quote for {{company.name}}?
+
+Best regards,
+{{employee.name}}')
+ON CONFLICT (name) DO NOTHING;
+
+CREATE TABLE IF NOT EXISTS email_messages (
+  id BIGSERIAL PRIMARY KEY,
+  company_id TEXT NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+  contact_id BIGINT REFERENCES contacts(id) ON DELETE SET NULL,
+  employee_id TEXT REFERENCES employees(id) ON DELETE SET NULL,
+  template_id BIGINT REFERENCES email_templates(id) ON DELETE SET NULL,
+  activity_id TEXT REFERENCES activities(id) ON DELETE SET NULL,
+  to_address TEXT NOT NULL,
+  subject TEXT NOT NULL,
+  body TEXT NOT NULL,
+  status TEXT NOT NULL,
+  error TEXT,
+  message_id TEXT,
+  sent_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_email_messages_company_id ON email_messages(company_id);
+
+-- Same permissive policy as the other tables (see supabase-security.sql);
+-- access control happens in the API
+ALTER TABLE public.email_templates ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "email_templates_allow_all" ON public.email_templates;
+CREATE POLICY "email_templates_allow_all" ON public.email_templates
+  FOR ALL
+  USING (true)
+  WITH CHECK (true);
+
+ALTER TABLE public.email_messages ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "email_messages_allow_all" ON public.email_messages;
+CREATE POLICY "email_messages_allow_all" ON public.email_messages
+  FOR ALL
+  USING (true)
+  WITH CHECK (true);
@@ -0,0 +1,85 @@
+-- 013 - Email campaigns: a sequence of timed steps sent to the prospects in
+-- an audience, each company's progress through it, and the addresses that
+-- asked to hear no more
+-- Safe to re-run. Mirrors entry 013 in storage/sqlite-migrations.js.
+
+CREATE TABLE IF NOT EXISTS campaigns (
+  id BIGSERIAL PRIMARY KEY,
+  name TEXT UNIQUE NOT NULL,
+  audience TEXT NOT NULL DEFAULT '{}',
+  employee_id TEXT REFERENCES employees(id) ON DELETE SET NULL,
+  status TEXT NOT NULL DEFAULT 'draft',
+  started_at TIMESTAMP,
+  created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS campaign_steps (
+  id BIGSERIAL PRIMARY KEY,
+  campaign_id BIGINT NOT NULL REFERENCES campaigns(id) ON DELETE CASCADE,
+  position INTEGER NOT NULL,
+  delay_days INTEGER NOT NULL DEFAULT 0,
+  subject TEXT NOT NULL,
+  body TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_campaign_steps_campaign_id ON campaign_steps(campaign_id);
+
+CREATE TABLE IF NOT EXISTS campaign_enrollments (
+  id BIGSERIAL PRIMARY KEY,
+  campaign_id BIGINT NOT NULL REFERENCES campaigns(id) ON DELETE CASCADE,
+  company_id TEXT NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+  contact_id BIGINT REFERENCES contacts(id) ON DELETE SET NULL,
+  status TEXT NOT NULL DEFAULT 'active',
+  steps_sent INTEGER NOT NULL DEFAULT 0,
+  last_step_id BIGINT REFERENCES campaign_steps(id) ON DELETE SET NULL,
+  next_send_at TIMESTAMP,
+  stopped_at TIMESTAMP,
+  token TEXT UNIQUE NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (campaign_id, company_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_campaign_enrollments_due ON campaign_enrollments(status, next_send_at);
+
+CREATE TABLE IF NOT EXISTS email_opt_outs (
+  id BIGSERIAL PRIMARY KEY,
+  address TEXT UNIQUE NOT NULL,
+  company_id TEXT REFERENCES companies(id) ON DELETE SET NULL,
+  campaign_id BIGINT REFERENCES campaigns(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+ALTER TABLE email_messages ADD COLUMN IF NOT EXISTS campaign_id BIGINT REFERENCES campaigns(id) ON DELETE SET NULL;
+ALTER TABLE email_messages ADD COLUMN IF NOT EXISTS campaign_step_id BIGINT REFERENCES campaign_steps(id) ON DELETE SET NULL;
+
+-- Same permissive policy as the other tables (see supabase-security.sql);
+-- access control happens in the API
+ALTER TABLE public.campaigns ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "campaigns_allow_all" ON public.campaigns;
+CREATE POLICY "campaigns_allow_all" ON public.campaigns
+  FOR ALL
+  USING (true)
+  WITH CHECK (true);
+
+ALTER TABLE public.campaign_steps ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "campaign_steps_allow_all" ON public.campaign_steps;
+CREATE POLICY "campaign_steps_allow_all" ON public.campaign_steps
+  FOR ALL
+  USING (true)
+  WITH CHECK (true);
+
+ALTER TABLE public.campaign_enrollments ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "campaign_enrollments_allow_all" ON public.campaign_enrollments;
+CREATE POLICY "campaign_enrollments_allow_all" ON public.campaign_enrollments
+  FOR ALL
+  USING (true)
+  WITH CHECK (true);
+
+ALTER TABLE public.email_opt_outs ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "email_opt_outs_allow_all" ON public.email_opt_outs;
+CREATE POLICY "email_opt_outs_allow_all" ON public.email_opt_outs
+  FOR ALL
+  USING (true)
+  WITH CHECK (true);
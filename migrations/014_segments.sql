@@ -0,0 +1,20 @@
+-- 014 - Saved segments: named company filters built from rules (see
+-- lib/segments.js), private to whoever made them or shared with the team
+-- Safe to re-run. Mirrors entry 014 in storage/sqlite-migrations.js.
+
+CREATE TABLE IF NOT EXISTS segments (
+  id BIGSERIAL PRIMARY KEY,
+  name TEXT UNIQUE NOT NULL,
+  rules TEXT NOT NULL DEFAULT '[]',
+  shared INTEGER NOT NULL DEFAULT 0,
+  created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+ALTER TABLE public.segments ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "segments_allow_all" ON public.segments;
+CREATE POLICY "segments_allow_all" ON public.segments
+  FOR ALL
+  USING (true)
+  WITH CHECK (true);
@@ -0,0 +1,22 @@
+-- 016 - Daily and weekly call and conversion targets per employee (see
+-- lib/goals.js); an empty target means none is set
+-- Safe to re-run. Mirrors entry 016 in storage/sqlite-migrations.js.
+
+CREATE TABLE IF NOT EXISTS goals (
+  id BIGSERIAL PRIMARY KEY,
+  employee_id TEXT NOT NULL REFERENCES employees(id) ON DELETE CASCADE,
+  period TEXT NOT NULL,
+  calls_target INTEGER,
+  conversions_target INTEGER,
+  updated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (employee_id, period)
+);
+
+ALTER TABLE public.goals ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "goals_allow_all" ON public.goals;
+CREATE POLICY "goals_allow_all" ON public.goals
+  FOR ALL
+  USING (true)
+  WITH CHECK (true);
@@ -0,0 +1,34 @@
+-- 017 - Call script versions (see lib/call-script.js), one variant per
+-- company type plus the default ('') one. The script saved in settings
+-- becomes version 1 of the default. Calls remember the version they were
+-- made under, for per-version stats.
+-- Safe to re-run. Mirrors entry 017 in storage/sqlite-migrations.js.
+
+CREATE TABLE IF NOT EXISTS call_scripts (
+  id BIGSERIAL PRIMARY KEY,
+  company_type TEXT NOT NULL DEFAULT '',
+  version INTEGER NOT NULL,
+  content TEXT NOT NULL,
+  note TEXT,
+  active INTEGER NOT NULL DEFAULT 0,
+  created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (company_type, version)
+);
+
+INSERT INTO call_scripts (company_type, version, content, note, active, created_by, created_at)
+SELECT '', 1, value, 'Script in use before versions were kept', 1, updated_by, COALESCE(updated_at, CURRENT_TIMESTAMP)
+FROM settings
+WHERE key = 'call_script' AND NOT EXISTS (SELECT 1 FROM call_scripts);
+
+DELETE FROM settings WHERE key = 'call_script';
+
+ALTER TABLE activities ADD COLUMN IF NOT EXISTS call_script_id BIGINT REFERENCES call_scripts(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS idx_activities_call_script ON activities(call_script_id);
+
+ALTER TABLE public.call_scripts ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "call_scripts_allow_all" ON public.call_scripts;
+CREATE POLICY "call_scripts_allow_all" ON public.call_scripts
+  FOR ALL
+  USING (true)
+  WITH CHECK (true);
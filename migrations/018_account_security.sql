@@ -0,0 +1,30 @@
+-- 018 - Account security (see lib/passwords.js): an email address for
+-- reset links, a flag forcing a new password at the next sign-in, failed
+-- sign-in counting with a temporary lock, and single-use reset tokens,
+-- stored hashed
+-- Safe to re-run. Mirrors entry 018 in storage/sqlite-migrations.js.
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS email TEXT;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS must_change_password INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS failed_logins INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS locked_until TIMESTAMP;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS password_changed_at TIMESTAMP;
+
+CREATE TABLE IF NOT EXISTS password_resets (
+  id BIGSERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  token_hash TEXT UNIQUE NOT NULL,
+  expires_at TIMESTAMP NOT NULL,
+  used_at TIMESTAMP,
+  created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_password_resets_user ON password_resets(user_id);
+
+ALTER TABLE public.password_resets ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "password_resets_allow_all" ON public.password_resets;
+CREATE POLICY "password_resets_allow_all" ON public.password_resets
+  FOR ALL
+  USING (true)
+  WITH CHECK (true);
@@ -0,0 +1,29 @@
+-- 019 - Sign-in sessions (see lib/sessions.js): one per signed-in device,
+-- holding the hash of its current refresh token (and the one before, to
+-- spot a stolen token being replayed), where it was last used from, and
+-- when it was signed out
+-- Safe to re-run. Mirrors entry 019 in storage/sqlite-migrations.js.
+
+CREATE TABLE IF NOT EXISTS sessions (
+  id BIGSERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  refresh_hash TEXT UNIQUE NOT NULL,
+  previous_hash TEXT,
+  rotated_at TIMESTAMP,
+  user_agent TEXT,
+  ip TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  last_seen_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  expires_at TIMESTAMP NOT NULL,
+  revoked_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_sessions_user ON sessions(user_id);
+CREATE INDEX IF NOT EXISTS idx_sessions_previous_hash ON sessions(previous_hash);
+
+ALTER TABLE public.sessions ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "sessions_allow_all" ON public.sessions;
+CREATE POLICY "sessions_allow_all" ON public.sessions
+  FOR ALL
+  USING (true)
+  WITH CHECK (true);
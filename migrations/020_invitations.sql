@@ -0,0 +1,26 @@
+-- 020 - Invitations (see lib/invitations.js): a single-use link, stored
+-- hashed, that lets someone create their own account with the role and
+-- employee record an admin picked
+-- Safe to re-run. Mirrors entry 020 in storage/sqlite-migrations.js.
+
+CREATE TABLE IF NOT EXISTS invitations (
+  id BIGSERIAL PRIMARY KEY,
+  token_hash TEXT UNIQUE NOT NULL,
+  email TEXT,
+  name TEXT,
+  role TEXT NOT NULL,
+  employee_id TEXT REFERENCES employees(id) ON DELETE SET NULL,
+  expires_at TIMESTAMP NOT NULL,
+  accepted_at TIMESTAMP,
+  user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  revoked_at TIMESTAMP,
+  created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+ALTER TABLE public.invitations ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "invitations_allow_all" ON public.invitations;
+CREATE POLICY "invitations_allow_all" ON public.invitations
+  FOR ALL
+  USING (true)
+  WITH CHECK (true);
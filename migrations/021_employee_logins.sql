@@ -0,0 +1,17 @@
+-- 021 - Employees link to their login by user_id instead of by having the
+-- same name. Existing pairs are linked where the name still matches exactly
+-- one employee and one non-admin user, which is what sign-in used to match.
+-- Safe to re-run. Mirrors entry 021 in storage/sqlite-migrations.js.
+
+ALTER TABLE employees ADD COLUMN IF NOT EXISTS user_id INTEGER REFERENCES users(id) ON DELETE SET NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_employees_user ON employees(user_id);
+
+UPDATE employees
+SET user_id = (SELECT u.id FROM users u WHERE u.name = employees.name AND u.role <> 'admin')
+WHERE user_id IS NULL
+  AND (SELECT COUNT(*) FROM users u WHERE u.name = employees.name AND u.role <> 'admin') = 1
+  AND (SELECT COUNT(*) FROM employees e WHERE e.name = employees.name) = 1
+  AND NOT EXISTS (
+    SELECT 1 FROM employees linked
+    WHERE linked.user_id = (SELECT u.id FROM users u WHERE u.name = employees.name AND u.role <> 'admin')
+  );
@@ -0,0 +1,4 @@
+-- 022 - Numeric ids logged by the SQLite adapter before whole numbers were
+-- bound as integers were stored as "12.0". Postgres kept them as "12", so
+-- there is nothing to change here; the file keeps the numbering in step.
+-- Mirrors entry 022 in storage/sqlite-migrations.js.
@@ -0,0 +1,32 @@
+-- 023 - Computed company columns that segment rules filter on (see
+-- lib/segments.js). PostgREST treats a function taking a companies row as a
+-- column of companies, so the rules run in the database rather than as long
+-- lists of company ids.
+-- Safe to re-run. Mirrors entry 023 in storage/sqlite-migrations.js; the
+-- functions mirror storage/sqlite-computed.js.
+
+-- 1 when the company or any of its contacts has an email address, else 0
+CREATE OR REPLACE FUNCTION has_email(companies) RETURNS INTEGER
+LANGUAGE sql STABLE
+AS $$
+  SELECT CASE WHEN $1.email LIKE '%@%' OR EXISTS (
+    SELECT 1 FROM contacts WHERE contacts.company_id = $1.id AND contacts.email LIKE '%@%'
+  ) THEN 1 ELSE 0 END
+$$;
+
+-- When the latest activity was, or null for a company never contacted
+CREATE OR REPLACE FUNCTION last_activity_at(companies) RETURNS TIMESTAMP
+LANGUAGE sql STABLE
+AS $$
+  SELECT MAX(date) FROM activities WHERE activities.company_id = $1.id
+$$;
+
+-- Every outcome ever recorded on the company's activities, as ",3,7,"
+-- (just "," when there are none)
+CREATE OR REPLACE FUNCTION outcome_ids(companies) RETURNS TEXT
+LANGUAGE sql STABLE
+AS $$
+  SELECT ',' || COALESCE(string_agg(DISTINCT activity_outcomes.outcome_id::text, ',') || ',', '')
+  FROM activity_outcomes JOIN activities ON activities.id = activity_outcomes.activity_id
+  WHERE activities.company_id = $1.id
+$$;
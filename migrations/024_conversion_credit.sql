@@ -0,0 +1,15 @@
+-- 024 - Who turned each customer into one, for conversion goals (see
+-- lib/goals.js). Existing customers are credited to whoever logged their
+-- first 'order_placed' activity, which is what dated them in 015, or else
+-- to their owner.
+-- Safe to re-run. Mirrors entry 024 in storage/sqlite-migrations.js.
+
+ALTER TABLE companies ADD COLUMN IF NOT EXISTS converted_by TEXT REFERENCES employees(id) ON DELETE SET NULL;
+
+UPDATE companies
+SET converted_by = COALESCE((
+  SELECT employee_id FROM activities
+  WHERE activities.company_id = companies.id AND activities.type = 'order_placed'
+  ORDER BY date LIMIT 1
+), owner_id)
+WHERE customer_since IS NOT NULL AND converted_by IS NULL;
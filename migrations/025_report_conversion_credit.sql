@@ -0,0 +1,69 @@
+-- 025 - report_metrics credits each conversion to the employee who made the
+-- company a customer (converted_by, added in 024), falling back to its owner,
+-- so the Performance report and the goals leaderboard agree.
+-- Safe to re-run. Mirrors entry 025 in storage/sqlite-migrations.js; the
+-- function mirrors report_metrics in storage/sqlite-reports.js.
+
+CREATE OR REPLACE FUNCTION report_metrics(
+  date_from TIMESTAMP,
+  date_to TIMESTAMP,
+  bucket TEXT DEFAULT NULL,
+  group_by TEXT DEFAULT NULL,
+  utc_offset INTEGER DEFAULT 0
+)
+RETURNS TABLE (
+  period TEXT,
+  group_key TEXT,
+  calls BIGINT,
+  answered BIGINT,
+  interested BIGINT,
+  follow_ups_created BIGINT,
+  follow_ups_completed BIGINT,
+  conversions BIGINT
+)
+LANGUAGE sql STABLE
+AS $$
+  WITH events AS (
+    SELECT a.date AS at, a.employee_id, c.type AS company_type, c.state,
+      CASE WHEN a.type = 'call' THEN 1 ELSE 0 END AS calls,
+      CASE WHEN a.type = 'call' AND a.answered = 1 THEN 1 ELSE 0 END AS answered,
+      CASE WHEN a.type = 'call' AND a.interested = 1 THEN 1 ELSE 0 END AS interested,
+      0 AS follow_ups_created, 0 AS follow_ups_completed, 0 AS conversions
+    FROM activities a JOIN companies c ON c.id = a.company_id
+    WHERE a.date >= date_from AND a.date < date_to
+    UNION ALL
+    SELECT f.created_at, f.employee_id, c.type, c.state, 0, 0, 0, 1, 0, 0
+    FROM follow_ups f JOIN companies c ON c.id = f.company_id
+    WHERE f.created_at >= date_from AND f.created_at < date_to
+    UNION ALL
+    SELECT f.completed_at, f.employee_id, c.type, c.state, 0, 0, 0, 0, 1, 0
+    FROM follow_ups f JOIN companies c ON c.id = f.company_id
+    WHERE f.status = 'done' AND f.completed_at >= date_from AND f.completed_at < date_to
+    UNION ALL
+    SELECT c.customer_since, COALESCE(c.converted_by, c.owner_id), c.type, c.state, 0, 0, 0, 0, 0, 1
+    FROM companies c
+    WHERE c.customer_since >= date_from AND c.customer_since < date_to
+  )
+  SELECT
+    CASE bucket
+      WHEN 'day' THEN to_char(at + make_interval(mins => utc_offset), 'YYYY-MM-DD')
+      WHEN 'week' THEN to_char(date_trunc('week', at + make_interval(mins => utc_offset)), 'YYYY-MM-DD')
+      WHEN 'month' THEN to_char(at + make_interval(mins => utc_offset), 'YYYY-MM')
+      ELSE ''
+    END AS period,
+    COALESCE(CASE group_by
+      WHEN 'employee' THEN employee_id
+      WHEN 'type' THEN company_type
+      WHEN 'state' THEN state
+      ELSE ''
+    END, '') AS group_key,
+    SUM(calls)::BIGINT,
+    SUM(answered)::BIGINT,
+    SUM(interested)::BIGINT,
+    SUM(follow_ups_created)::BIGINT,
+    SUM(follow_ups_completed)::BIGINT,
+    SUM(conversions)::BIGINT
+  FROM events
+  GROUP BY 1, 2
+  ORDER BY 1, 2
+$$;
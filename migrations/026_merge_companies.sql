@@ -0,0 +1,55 @@
+-- 026 - merge_companies, which folds duplicate companies into one in a
+-- single transaction (see mergeCompanies in lib/company-duplicates.js), so a
+-- failed merge leaves both companies as they were.
+-- Safe to re-run. Mirrors entry 026 in storage/sqlite-migrations.js; the
+-- function mirrors merge_companies in storage/sqlite-procedures.js.
+
+CREATE OR REPLACE FUNCTION merge_companies(
+  survivor_id TEXT,
+  merged_ids TEXT[],
+  company_values JSONB,
+  child_tables TEXT[],
+  dropped_enrollment_ids BIGINT[] DEFAULT '{}'
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  moved JSONB := '{}';
+  child_table TEXT;
+  moved_count BIGINT;
+  primary_id BIGINT;
+  primary_name TEXT;
+  value_columns TEXT;
+BEGIN
+  -- The survivor keeps its primary contact; if it has none, the oldest moved
+  -- contact becomes primary
+  IF EXISTS (SELECT 1 FROM contacts WHERE contacts.company_id = survivor_id) THEN
+    UPDATE contacts SET is_primary = 0 WHERE contacts.company_id = ANY(merged_ids);
+  END IF;
+  DELETE FROM campaign_enrollments WHERE campaign_enrollments.id = ANY(dropped_enrollment_ids);
+
+  FOREACH child_table IN ARRAY child_tables LOOP
+    EXECUTE format('UPDATE %I SET company_id = $1 WHERE company_id = ANY($2)', child_table)
+      USING survivor_id, merged_ids;
+    GET DIAGNOSTICS moved_count = ROW_COUNT;
+    moved := moved || jsonb_build_object(child_table, moved_count);
+  END LOOP;
+
+  SELECT contacts.id, contacts.name INTO primary_id, primary_name
+  FROM contacts WHERE contacts.company_id = survivor_id
+  ORDER BY contacts.is_primary DESC, contacts.id
+  LIMIT 1;
+  UPDATE contacts SET is_primary = CASE WHEN contacts.id = primary_id THEN 1 ELSE 0 END
+  WHERE contacts.company_id = survivor_id;
+
+  SELECT string_agg(quote_ident(key), ', ') INTO value_columns FROM jsonb_object_keys(company_values) AS key;
+  EXECUTE format(
+    'UPDATE companies SET (%s, contact_name) = (SELECT %s, $3 FROM jsonb_populate_record(NULL::companies, $1)) WHERE id = $2',
+    value_columns, value_columns
+  ) USING company_values, survivor_id, primary_name;
+
+  DELETE FROM companies WHERE companies.id = ANY(merged_ids);
+  RETURN moved;
+END;
+$$;
@@ -0,0 +1,24 @@
+-- 027 - Computed company columns the call queue filters and ranks on (see
+-- buildQueue in lib/call-queue.js), so the cooldown and follow-up checks run
+-- in the database instead of over every activity and follow-up.
+-- Safe to re-run. Mirrors entry 027 in storage/sqlite-migrations.js; the
+-- functions mirror storage/sqlite-computed.js.
+
+-- 1 when any activity with the company was marked interested, else 0
+CREATE OR REPLACE FUNCTION was_interested(companies) RETURNS INTEGER
+LANGUAGE sql STABLE
+AS $$
+  SELECT CASE WHEN EXISTS (
+    SELECT 1 FROM activities WHERE activities.company_id = $1.id AND activities.interested = 1
+  ) THEN 1 ELSE 0 END
+$$;
+
+-- When the earliest open follow-up nobody has acted on falls due: one due
+-- before the latest activity has had its call. Null when there is none.
+CREATE OR REPLACE FUNCTION follow_up_due_at(companies) RETURNS TIMESTAMP
+LANGUAGE sql STABLE
+AS $$
+  SELECT MIN(due_at) FROM follow_ups
+  WHERE follow_ups.company_id = $1.id AND follow_ups.status = 'open'
+    AND follow_ups.due_at > COALESCE((SELECT MAX(date) FROM activities WHERE activities.company_id = $1.id), '-infinity')
+$$;
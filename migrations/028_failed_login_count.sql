@@ -0,0 +1,22 @@
+-- 028 - record_failed_login, which counts a failed sign-in in a single
+-- UPDATE (see recordFailedLogin in lib/passwords.js), so wrong passwords
+-- sent side by side can't overwrite each other's count and slip past the
+-- lock.
+-- Safe to re-run. Mirrors entry 028 in storage/sqlite-migrations.js; the
+-- function mirrors record_failed_login in storage/sqlite-procedures.js.
+
+-- Returns true when this failure locked the account (the count starts again)
+CREATE OR REPLACE FUNCTION record_failed_login(
+  account_id INTEGER,
+  max_failed INTEGER,
+  lock_until TIMESTAMP
+)
+RETURNS BOOLEAN
+LANGUAGE sql
+AS $$
+  UPDATE users SET
+    failed_logins = CASE WHEN users.failed_logins + 1 >= max_failed THEN 0 ELSE users.failed_logins + 1 END,
+    locked_until = CASE WHEN users.failed_logins + 1 >= max_failed THEN lock_until ELSE users.locked_until END
+  WHERE users.id = account_id
+  RETURNING users.failed_logins = 0
+$$;
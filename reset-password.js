@@ -1,27 +1,74 @@
 require('dotenv').config();
-const bcrypt = require('bcryptjs');
-const { createClient } = require('@supabase/supabase-js');
+const readline = require('readline');
+const { Writable } = require('stream');
+const { createStorage } = require('./storage');
+const { validatePassword, passwordFields } = require('./lib/passwords');
 
-const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_ANON_KEY);
+// Set a new password for a user from the server's console, e.g. when the
+// only admin is locked out:
+//
+//   node reset-password.js [sqlite|supabase] [username]
+//
+// The username defaults to admin. The new password is typed in (twice, not
+// shown) or piped on stdin, must meet the usual strength rules, and is never
+// printed. The account is unlocked as well.
+const args = process.argv.slice(2);
+const [driver, username = 'admin'] = args;
+
+let db;
+try {
+  db = createStorage({ driver });
+} catch (err) {
+  console.error(`❌ Error: ${err.message}`);
+  process.exit(1);
+}
+
+// Typed characters are kept off the screen while `muted`
+let muted = false;
+const output = new Writable({
+  write(chunk, encoding, callback) {
+    if (!muted) process.stdout.write(chunk);
+    callback();
+  }
+});
+const rl = readline.createInterface({ input: process.stdin, output, terminal: Boolean(process.stdin.isTTY) });
+const lines = rl[Symbol.asyncIterator]();
+
+async function askHidden(question) {
+  process.stdout.write(question);
+  muted = true;
+  const { value } = await lines.next();
+  muted = false;
+  process.stdout.write('\n');
+  return value || '';
+}
 
 async function resetPassword() {
-  const newPassword = '!Audiffred23';
-  const hashedPassword = bcrypt.hashSync(newPassword, 10);
-  
-  const { error } = await supabase
-    .from('users')
-    .update({ password: hashedPassword })
-    .eq('username', 'admin');
-  
-  if (error) {
-    console.error('Error:', error);
-  } else {
-    console.log('✅ Password updated successfully!');
-    console.log('Username: admin');
-    console.log('Password: !Audiffred23');
+  try {
+    await db.migrate();
+    const user = await db.first('users', { columns: ['id', 'username'], where: { username } });
+    if (!user) {
+      throw new Error(`No user named "${username}"`);
+    }
+
+    const password = await askHidden(`New password for ${user.username}: `);
+    const problem = validatePassword(password, { username: user.username });
+    if (problem) {
+      throw new Error(problem);
+    }
+    if (await askHidden('Type it again: ') !== password) {
+      throw new Error('The passwords did not match');
+    }
+
+    await db.update('users', { id: user.id }, passwordFields(password));
+    console.log(`✅ Password changed for ${user.username}`);
+  } catch (err) {
+    console.error('❌ Error:', err.message || err);
+    process.exitCode = 1;
+  } finally {
+    rl.close();
+    await db.close();
   }
-  
-  process.exit(0);
 }
 
 resetPassword();
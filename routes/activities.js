@@ -0,0 +1,251 @@
+const express = require('express');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { parseBoolean, parsePagination, parseSort, dateRange, singleValueProblem, listRows } = require('../lib/query');
+const { COMPANY_NAME, EMPLOYEE_NAME, CONTACT_NAME, attachLookups } = require('../lib/lookups');
+const { checkOutcomeIds, setActivityOutcomes, dropOutcomesNotFor, withOutcomes } = require('../lib/outcomes');
+const { validateActivityType, durationFor } = require('../lib/activity-types');
+const { activeScript } = require('../lib/call-script');
+
+// ============================================
+// ACTIVITY ROUTES
+// ============================================
+
+const toActivity = (row) => ({
+  ...row,
+  answered: Boolean(row.answered),
+  interested: Boolean(row.interested),
+  follow_up: Boolean(row.follow_up)
+});
+
+// An id in a request body: non-empty text or a whole number
+const isId = (value) => (typeof value === 'string' && value.trim() !== '') || Number.isInteger(value);
+
+// Checkboxes are left as they are when missing from an edit
+const optionalFlag = (value) => (value === undefined ? undefined : (value ? 1 : 0));
+
+const SORTABLE_FIELDS = ['date', 'type', 'created_at'];
+
+// ?company_id=&employee_id=&type=&from=&to=&answered=&interested=&follow_up=
+const FILTER_PARAMS = ['company_id', 'employee_id', 'type', 'from', 'to', 'answered', 'interested', 'follow_up', 'outcome_id'];
+const activityFilters = (query) => ({
+  company_id: query.company_id || undefined,
+  employee_id: query.employee_id || undefined,
+  type: query.type || undefined,
+  date: dateRange(query.from, query.to),
+  answered: parseBoolean(query.answered),
+  interested: parseBoolean(query.interested),
+  follow_up: parseBoolean(query.follow_up)
+});
+
+module.exports = (db) => {
+  const router = express.Router();
+
+  // Returns an error message when contact_id is set but not one of the company's contacts
+  const checkContact = async (contactId, companyId) => {
+    if (!contactId) return null;
+    const contact = await db.first('contacts', { columns: ['company_id'], where: { id: contactId } });
+    return contact && contact.company_id === companyId ? null : 'contact_id is not a contact of this company';
+  };
+
+  // The script version in use for the company's type, which a call is
+  // counted under in the script stats
+  const callScriptIdFor = async (companyId) => {
+    const company = await db.first('companies', { columns: ['type'], where: { id: companyId } });
+    const script = await activeScript(db, company && company.type);
+    return script ? script.id : null;
+  };
+
+  // ?outcome_id= keeps activities that recorded that outcome
+  const withOutcomeFilter = async (where, outcomeId) => {
+    if (!outcomeId) return where;
+    const links = await db.select('activity_outcomes', { columns: ['activity_id'], where: { outcome_id: outcomeId } });
+    return { ...where, id: { in: links.map(link => link.activity_id) } };
+  };
+
+  // Paginated when ?page= or ?limit= is given: { data, total, page, limit },
+  // each activity with its outcomes: [{ id, name }]
+  router.get('/activities', authenticateToken, requirePermission(db, 'crm.view'), async (req, res) => {
+    try {
+      const problem = singleValueProblem(req.query, FILTER_PARAMS);
+      if (problem) {
+        return res.status(400).json({ error: problem });
+      }
+      const pagination = parsePagination(req.query);
+      const result = await listRows(db, 'activities', {
+        where: await withOutcomeFilter(activityFilters(req.query), req.query.outcome_id),
+        orderBy: parseSort(req.query, SORTABLE_FIELDS, { column: 'date', ascending: false }),
+        pagination
+      });
+
+      if (!pagination) {
+        return res.json(result.data.map(toActivity));
+      }
+
+      const data = await withOutcomes(db, await attachLookups(db, result.data, [COMPANY_NAME, EMPLOYEE_NAME, CONTACT_NAME]));
+      res.json({ ...result, data: data.map(toActivity) });
+    } catch (err) {
+      console.error('Error fetching activities:', err);
+      res.status(500).json({ error: err.message || 'Failed to fetch activities' });
+    }
+  });
+
+  // outcome_ids lists the outcomes (see /outcomes) the activity recorded
+  router.post('/activities', authenticateToken, requirePermission(db, 'activities.log'), async (req, res) => {
+    try {
+      const { id, company_id, employee_id, contact_id, type, answered, interested, follow_up, notes, date, follow_up_at, follow_up_notes, outcome_ids, duration_minutes } = req.body;
+
+      if (!type) {
+        return res.status(400).json({ error: 'type is required' });
+      }
+      if (![id, company_id, employee_id].every(isId)) {
+        return res.status(400).json({ error: 'id, company_id and employee_id are required' });
+      }
+      if (!date || typeof date !== 'string' || isNaN(new Date(date).getTime())) {
+        return res.status(400).json({ error: 'A valid date is required' });
+      }
+      const [company, employee] = await Promise.all([
+        db.first('companies', { columns: ['id'], where: { id: company_id } }),
+        db.first('employees', { columns: ['id'], where: { id: employee_id } })
+      ]);
+      if (!company) {
+        return res.status(400).json({ error: 'Company not found' });
+      }
+      if (!employee) {
+        return res.status(400).json({ error: 'Employee not found' });
+      }
+      const typeProblem = validateActivityType(req.body);
+      if (typeProblem) {
+        return res.status(400).json({ error: typeProblem });
+      }
+
+      if (follow_up_at && isNaN(new Date(follow_up_at).getTime())) {
+        return res.status(400).json({ error: 'Invalid follow_up_at' });
+      }
+
+      const outcomeProblem = await checkOutcomeIds(db, outcome_ids, type);
+      if (outcomeProblem) {
+        return res.status(400).json({ error: outcomeProblem });
+      }
+
+      const contactProblem = await checkContact(contact_id, company_id);
+      if (contactProblem) {
+        return res.status(400).json({ error: contactProblem });
+      }
+
+      await db.insert('activities', {
+        id,
+        company_id,
+        employee_id,
+        contact_id: contact_id || null,
+        type,
+        answered: answered ? 1 : 0,
+        interested: interested ? 1 : 0,
+        follow_up: follow_up ? 1 : 0,
+        notes,
+        date,
+        duration_minutes: durationFor(type, duration_minutes),
+        call_script_id: type === 'call' ? await callScriptIdFor(company_id) : null
+      });
+      if (outcome_ids) {
+        await setActivityOutcomes(db, id, outcome_ids);
+      }
+
+      // A follow-up with a due date becomes a task for the same employee
+      if (follow_up && follow_up_at) {
+        await db.insert('follow_ups', {
+          company_id,
+          employee_id,
+          activity_id: id,
+          due_at: new Date(follow_up_at).toISOString(),
+          notes: follow_up_notes || null,
+          created_by: req.user.id
+        });
+      }
+
+      res.status(201).json({ message: 'Activity created', id });
+    } catch (err) {
+      if (err.code === 'unique_violation') {
+        return res.status(400).json({ error: 'An activity with that id already exists' });
+      }
+      console.error('Error creating activity:', err);
+      res.status(500).json({ error: err.message || 'Failed to create activity' });
+    }
+  });
+
+  // Any field left out of the body is kept. Changing the type clears the
+  // duration and outcomes the new type doesn't record.
+  router.put('/activities/:id', authenticateToken, requirePermission(db, 'activities.edit'), async (req, res) => {
+    try {
+      const { type, employee_id, contact_id, date, answered, interested, follow_up, notes, outcome_ids, duration_minutes } = req.body;
+      const activity = await db.first('activities', { columns: ['company_id', 'type'], where: { id: req.params.id } });
+      if (!activity) {
+        return res.status(404).json({ error: 'Activity not found' });
+      }
+
+      const typeProblem = validateActivityType(req.body);
+      if (typeProblem) {
+        return res.status(400).json({ error: typeProblem });
+      }
+      if (date !== undefined && isNaN(new Date(date).getTime())) {
+        return res.status(400).json({ error: 'Invalid date' });
+      }
+
+      const contactProblem = await checkContact(contact_id, activity.company_id);
+      if (contactProblem) {
+        return res.status(400).json({ error: contactProblem });
+      }
+
+      const newType = type || activity.type;
+      const outcomeProblem = await checkOutcomeIds(db, outcome_ids, newType);
+      if (outcomeProblem) {
+        return res.status(400).json({ error: outcomeProblem });
+      }
+
+      const typeChanged = newType !== activity.type;
+      await db.update('activities', { id: req.params.id }, {
+        type,
+        employee_id: employee_id || undefined,
+        contact_id: contact_id === undefined ? undefined : contact_id || null,
+        date: date === undefined ? undefined : new Date(date).toISOString(),
+        answered: optionalFlag(answered),
+        interested: optionalFlag(interested),
+        follow_up: optionalFlag(follow_up),
+        notes,
+        duration_minutes: typeChanged || duration_minutes !== undefined ? durationFor(newType, duration_minutes) : undefined
+      });
+
+      if (outcome_ids) {
+        await setActivityOutcomes(db, req.params.id, outcome_ids);
+      } else if (typeChanged) {
+        await dropOutcomesNotFor(db, req.params.id, newType);
+      }
+
+      res.json({ message: 'Activity updated' });
+    } catch (err) {
+      if (err.code === 'foreign_key_violation') {
+        return res.status(400).json({ error: 'Employee not found' });
+      }
+      console.error('Error updating activity:', err);
+      res.status(500).json({ error: err.message || 'Failed to update activity' });
+    }
+  });
+
+  router.delete('/activities/:id', authenticateToken, requirePermission(db, 'activities.delete'), async (req, res) => {
+    try {
+      const deleted = await db.remove('activities', { id: req.params.id });
+
+      if (deleted === 0) {
+        return res.status(404).json({ error: 'Activity not found' });
+      }
+
+      res.json({ message: 'Activity deleted' });
+    } catch (err) {
+      console.error('Error deleting activity:', err);
+      res.status(500).json({ error: err.message || 'Failed to delete activity' });
+    }
+  });
+
+  return router;
+};
+
+module.exports.toActivity = toActivity;
@@ -0,0 +1,412 @@
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const { JWT_SECRET, authenticateToken, requireSession, employeeIdFor } = require('../middleware/auth');
+const { logActivity } = require('../lib/activity-log');
+const { permissionsFor } = require('../lib/permissions');
+const { mailConfigured } = require('../lib/mailer');
+const {
+  validatePassword, passwordFields, lockedMinutes, recordFailedLogin,
+  createResetToken, findResetToken, sendResetEmail
+} = require('../lib/passwords');
+const { registrationOpen, findInvitation } = require('../lib/invitations');
+const {
+  ACCESS_TOKEN_MINUTES, createSession, rotateSession, revokeSessions, endSession, listSessions
+} = require('../lib/sessions');
+
+module.exports = (db) => {
+  const router = express.Router();
+
+  // A short-lived access token for one of the user's sessions. The role and
+  // employee in it are only a snapshot; requirePermission reads both afresh.
+  const accessToken = (user, employeeId, sessionId) => jwt.sign(
+    { id: user.id, username: user.username, role: user.role, employeeId, sid: sessionId },
+    JWT_SECRET,
+    { expiresIn: `${ACCESS_TOKEN_MINUTES}m` }
+  );
+
+  // Starts a session and returns the tokens and user the SPA signs in with.
+  // must_change_password is also set when the password no longer meets the
+  // strength rules (e.g. the seeded admin123), so it gets replaced before
+  // anything else is done.
+  const signIn = async (user, req, password) => {
+    const employeeId = await employeeIdFor(db, user.id);
+    const mustChange = Boolean(user.must_change_password) ||
+      (password !== undefined && Boolean(validatePassword(password, { username: user.username })));
+    if (mustChange && !user.must_change_password) {
+      await db.update('users', { id: user.id }, { must_change_password: 1 });
+    }
+
+    const { session, refreshToken } = await createSession(db, user.id, req);
+
+    return {
+      token: accessToken(user, employeeId, session.id),
+      refresh_token: refreshToken,
+      user: {
+        id: user.id,
+        username: user.username,
+        name: user.name,
+        email: user.email || null,
+        role: user.role,
+        employeeId,
+        must_change_password: mustChange,
+        permissions: await permissionsFor(db, user.role)
+      }
+    };
+  };
+
+  // Five wrong passwords in a row lock the account for 15 minutes (429)
+  router.post('/auth/login', async (req, res) => {
+    try {
+      const { username, password } = req.body;
+      if (typeof username !== 'string' || !username || typeof password !== 'string' || !password) {
+        return res.status(400).json({ error: 'Username and password are required' });
+      }
+
+      const data = await db.first('users', { where: { username } });
+
+      if (!data || data.username !== username) {
+        return res.status(401).json({ error: 'Invalid credentials' });
+      }
+
+      const locked = lockedMinutes(data);
+      if (locked) {
+        return res.status(429).json({ error: `Too many failed sign-ins. Try again in ${locked} minute${locked === 1 ? '' : 's'} or reset your password.` });
+      }
+
+      const validPassword = bcrypt.compareSync(password, data.password);
+      if (!validPassword) {
+        const lockedFor = await recordFailedLogin(db, username);
+        if (lockedFor) {
+          return res.status(429).json({ error: `Too many failed sign-ins. Try again in ${lockedFor} minutes or reset your password.` });
+        }
+        return res.status(401).json({ error: 'Invalid credentials' });
+      }
+
+      if (data.failed_logins || data.locked_until) {
+        await db.update('users', { id: data.id }, { failed_logins: 0, locked_until: null });
+      }
+
+      res.json(await signIn(data, req, password));
+    } catch (err) {
+      console.error('Login error:', err);
+      res.status(500).json({ error: err.message || 'Login failed' });
+    }
+  });
+
+  // Body: { current_password, new_password }. Signs the user out everywhere
+  // and answers with a fresh sign-in, as /auth/login does.
+  router.post('/auth/change-password', authenticateToken, requireSession(db), async (req, res) => {
+    try {
+      const { current_password, new_password } = req.body;
+      const user = await db.first('users', { where: { id: req.user.id } });
+      if (!user) {
+        return res.status(401).json({ error: 'User no longer exists' });
+      }
+
+      if (!current_password || !bcrypt.compareSync(current_password, user.password)) {
+        return res.status(400).json({ error: 'Current password is wrong' });
+      }
+      const problem = validatePassword(new_password, { username: user.username });
+      if (problem) {
+        return res.status(400).json({ error: problem });
+      }
+      if (bcrypt.compareSync(new_password, user.password)) {
+        return res.status(400).json({ error: 'Choose a password different from the current one' });
+      }
+
+      const fields = passwordFields(new_password);
+      await db.update('users', { id: user.id }, fields);
+      await db.update('password_resets', { user_id: user.id, used_at: null }, { used_at: fields.password_changed_at });
+
+      await revokeSessions(db, { user_id: user.id });
+
+      await logActivity(db, user.id, 'UPDATE', 'user', user.id, 'Changed their password');
+      res.json(await signIn({ ...user, ...fields }, req));
+    } catch (err) {
+      console.error('Change password error:', err);
+      res.status(500).json({ error: err.message || 'Failed to change password' });
+    }
+  });
+
+  // Body: { username } (or an email address). Emails a reset token when the
+  // account has an address on file; the answer is the same either way, so
+  // it doesn't tell anyone which accounts exist.
+  router.post('/auth/forgot-password', async (req, res) => {
+    try {
+      if (!mailConfigured()) {
+        return res.status(503).json({ error: 'Password reset by email is not set up here. Ask an admin to reset your password.' });
+      }
+
+      const login = String(req.body.username || '').trim();
+      const user = login
+        ? await db.first('users', { where: { or: [{ username: login }, { email: login.toLowerCase() }] } })
+        : null;
+
+      if (user && user.email) {
+        const token = await createResetToken(db, user.id);
+        await sendResetEmail(user, token);
+        await logActivity(db, user.id, 'UPDATE', 'user', user.id, 'Requested a password reset email');
+      }
+
+      res.json({ message: 'If that account has an email address, a reset link is on its way.' });
+    } catch (err) {
+      console.error('Forgot password error:', err);
+      res.status(500).json({ error: err.code === 'send_failed' ? err.message : 'Failed to send a reset email' });
+    }
+  });
+
+  // Body: { token, new_password }. The token works once.
+  router.post('/auth/reset-password', async (req, res) => {
+    try {
+      const reset = await findResetToken(db, req.body.token);
+      if (!reset) {
+        return res.status(400).json({ error: 'This reset link has expired or was already used' });
+      }
+      const user = await db.first('users', { columns: ['id', 'username'], where: { id: reset.user_id } });
+      if (!user) {
+        return res.status(400).json({ error: 'This reset link has expired or was already used' });
+      }
+
+      const problem = validatePassword(req.body.new_password, { username: user.username });
+      if (problem) {
+        return res.status(400).json({ error: problem });
+      }
+
+      const fields = passwordFields(req.body.new_password);
+      await db.update('users', { id: user.id }, fields);
+      await db.update('password_resets', { user_id: user.id, used_at: null }, { used_at: fields.password_changed_at });
+      await revokeSessions(db, { user_id: user.id });
+
+      await logActivity(db, user.id, 'UPDATE', 'user', user.id, 'Reset their password');
+      res.json({ message: 'Password changed. Sign in with your new password.' });
+    } catch (err) {
+      console.error('Reset password error:', err);
+      res.status(500).json({ error: err.message || 'Failed to reset password' });
+    }
+  });
+
+  // The details an invitation link opens with: who it's for and as what
+  router.get('/auth/invitations/:token', async (req, res) => {
+    try {
+      const invitation = await findInvitation(db, req.params.token);
+      if (!invitation) {
+        return res.status(404).json({ error: 'This invitation has expired, was withdrawn or was already used' });
+      }
+      const employee = invitation.employee_id
+        ? await db.first('employees', { columns: ['name'], where: { id: invitation.employee_id } })
+        : null;
+
+      res.json({
+        email: invitation.email,
+        name: employee ? employee.name : invitation.name,
+        role: invitation.role,
+        employee_name: employee ? employee.name : null,
+        expires_at: invitation.expires_at
+      });
+    } catch (err) {
+      console.error('Error fetching invitation:', err);
+      res.status(500).json({ error: err.message || 'Failed to fetch invitation' });
+    }
+  });
+
+  // Body: { token, username, name, password }. Creates the invited account
+  // with the invitation's role and email, links it to the invitation's
+  // employee, and signs it in.
+  router.post('/auth/invitations/accept', async (req, res) => {
+    try {
+      const { token, username, password } = req.body;
+      const invitation = await findInvitation(db, token);
+      if (!invitation) {
+        return res.status(400).json({ error: 'This invitation has expired, was withdrawn or was already used' });
+      }
+
+      const employee = invitation.employee_id
+        ? await db.first('employees', { columns: ['id', 'name', 'user_id'], where: { id: invitation.employee_id } })
+        : null;
+      if (employee && employee.user_id) {
+        return res.status(400).json({ error: `${employee.name} already has a login` });
+      }
+      const name = String(req.body.name || '').trim() || (employee && employee.name);
+      if (!username || !name) {
+        return res.status(400).json({ error: 'Username and name are required' });
+      }
+      const problem = validatePassword(password, { username });
+      if (problem) {
+        return res.status(400).json({ error: problem });
+      }
+      if (await db.first('users', { columns: ['id'], where: { username } })) {
+        return res.status(400).json({ error: 'That username is taken' });
+      }
+
+      // Claim the invitation first so two tabs can't both use it
+      const acceptedAt = new Date().toISOString();
+      const claimed = await db.update('invitations', { id: invitation.id, accepted_at: null }, { accepted_at: acceptedAt });
+      if (!claimed) {
+        return res.status(400).json({ error: 'This invitation has expired, was withdrawn or was already used' });
+      }
+
+      let user;
+      try {
+        user = await db.insert('users', {
+          username,
+          name,
+          email: invitation.email,
+          role: invitation.role,
+          ...passwordFields(password)
+        });
+      } catch (err) {
+        await db.update('invitations', { id: invitation.id }, { accepted_at: null });
+        throw err;
+      }
+      await db.update('invitations', { id: invitation.id }, { user_id: user.id });
+      if (employee) {
+        await db.update('employees', { id: employee.id, user_id: null }, { user_id: user.id });
+      }
+
+      await logActivity(db, user.id, 'CREATE', 'user', user.id, `Joined as ${invitation.role} from an invitation`);
+      res.status(201).json(await signIn(user, req));
+    } catch (err) {
+      if (err.code === 'unique_violation') {
+        return res.status(400).json({ error: 'That username is taken' });
+      }
+      console.error('Accept invitation error:', err);
+      res.status(500).json({ error: err.message || 'Failed to accept invitation' });
+    }
+  });
+
+  // Closed unless OPEN_REGISTRATION=true (see lib/invitations.js); the way in
+  // is an invitation. Open sign-ups always get the read-only role.
+  router.post('/auth/register', async (req, res) => {
+    try {
+      if (!registrationOpen()) {
+        return res.status(403).json({ error: 'Sign-up is closed. Ask an admin for an invitation.' });
+      }
+
+      const { username, password, name } = req.body;
+
+      if (!username || !password || !name) {
+        return res.status(400).json({ error: 'All fields required' });
+      }
+      const problem = validatePassword(password, { username });
+      if (problem) {
+        return res.status(400).json({ error: problem });
+      }
+
+      await db.insert('users', {
+        username,
+        name,
+        role: 'read-only',
+        ...passwordFields(password)
+      });
+
+      res.status(201).json({ message: 'User registered successfully' });
+    } catch (err) {
+      if (err.code === 'unique_violation') {
+        return res.status(400).json({ error: 'User already exists or invalid data' });
+      }
+      console.error('Registration error:', err);
+      res.status(500).json({ error: err.message || 'Registration failed' });
+    }
+  });
+
+  // Body: { refresh_token }. Answers { token, refresh_token }: a new access
+  // token and the refresh token to use next time, the one sent no longer
+  // working. 409 when another tab has just refreshed with the same token
+  // (take the tokens it stored), 401 when the session has ended.
+  router.post('/auth/refresh', async (req, res) => {
+    try {
+      const { session, refreshToken, code } = await rotateSession(db, req.body.refresh_token, req);
+      if (code === 'refresh_superseded') {
+        return res.status(409).json({ error: 'Already refreshed', code });
+      }
+      const user = session && await db.first('users', { columns: ['id', 'username', 'name', 'role'], where: { id: session.user_id } });
+      if (!user) {
+        return res.status(401).json({ error: 'Your session has ended. Please sign in again.', code: 'session_ended' });
+      }
+
+      res.json({
+        token: accessToken(user, await employeeIdFor(db, user.id), session.id),
+        refresh_token: refreshToken
+      });
+    } catch (err) {
+      console.error('Refresh error:', err);
+      res.status(500).json({ error: err.message || 'Failed to refresh the session' });
+    }
+  });
+
+  // Body: { refresh_token }. Ends that session; needs no access token, so
+  // an expired one can still log out.
+  router.post('/auth/logout', async (req, res) => {
+    try {
+      await endSession(db, req.body.refresh_token);
+      res.json({ message: 'Logged out' });
+    } catch (err) {
+      console.error('Logout error:', err);
+      res.status(500).json({ error: err.message || 'Failed to log out' });
+    }
+  });
+
+  // Ends every session of the signed-in user, this one included
+  router.post('/auth/logout-all', authenticateToken, requireSession(db), async (req, res) => {
+    try {
+      const ended = await revokeSessions(db, { user_id: req.user.id });
+      await logActivity(db, req.user.id, 'UPDATE', 'user', req.user.id, `Logged out everywhere (${ended} session${ended === 1 ? '' : 's'})`);
+      res.json({ message: 'Logged out everywhere' });
+    } catch (err) {
+      console.error('Logout everywhere error:', err);
+      res.status(500).json({ error: err.message || 'Failed to log out everywhere' });
+    }
+  });
+
+  // The signed-in user's sessions, the one making the request marked current
+  router.get('/auth/sessions', authenticateToken, requireSession(db), async (req, res) => {
+    try {
+      const sessions = await listSessions(db, req.user.id);
+      res.json(sessions.map(session => ({ ...session, current: String(session.id) === String(req.user.sid) })));
+    } catch (err) {
+      console.error('Error fetching sessions:', err);
+      res.status(500).json({ error: err.message || 'Failed to fetch sessions' });
+    }
+  });
+
+  // Ends one of the signed-in user's sessions, e.g. a lost phone
+  router.delete('/auth/sessions/:id', authenticateToken, requireSession(db), async (req, res) => {
+    try {
+      const ended = await revokeSessions(db, { id: req.params.id, user_id: req.user.id });
+      if (!ended) {
+        return res.status(404).json({ error: 'Session not found' });
+      }
+      res.json({ message: 'Session ended' });
+    } catch (err) {
+      console.error('Error ending session:', err);
+      res.status(500).json({ error: err.message || 'Failed to end session' });
+    }
+  });
+
+  router.get('/auth/verify', authenticateToken, requireSession(db), async (req, res) => {
+    try {
+      const user = await db.first('users', {
+        columns: ['id', 'username', 'name', 'email', 'role', 'must_change_password'],
+        where: { id: req.user.id }
+      });
+      if (!user) {
+        return res.status(401).json({ error: 'User no longer exists' });
+      }
+
+      res.json({
+        user: {
+          ...user,
+          must_change_password: Boolean(user.must_change_password),
+          employeeId: await employeeIdFor(db, user.id),
+          permissions: await permissionsFor(db, user.role)
+        }
+      });
+    } catch (err) {
+      console.error('Verify error:', err);
+      res.status(500).json({ error: err.message || 'Failed to verify token' });
+    }
+  });
+
+  return router;
+};
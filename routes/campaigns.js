@@ -0,0 +1,379 @@
+const express = require('express');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { logActivity } = require('../lib/activity-log');
+const { parsePagination, singleValueProblem, listRows } = require('../lib/query');
+const { COMPANY_NAME, CONTACT_NAME, EMPLOYEE_NAME, attachLookups } = require('../lib/lookups');
+const { MailError } = require('../lib/mailer');
+const {
+  ENROLLMENT_STATUSES,
+  toCampaign,
+  validateAudience,
+  validateSteps,
+  listSteps,
+  saveSteps,
+  findAudience,
+  enrollAudience,
+  stopEnrollment,
+  runCampaigns,
+  unsubscribe,
+  campaignStats
+} = require('../lib/campaigns');
+
+// ============================================
+// EMAIL CAMPAIGN ROUTES
+// ============================================
+
+// Statuses a rep can stop an enrollment with by hand
+const MANUAL_STOPS = ['replied', 'unsubscribed', 'removed'];
+
+// Editable fields; anything missing from the body is left as it is
+const campaignFields = (body) => ({
+  name: body.name === undefined ? undefined : String(body.name).trim(),
+  audience: body.audience === undefined ? undefined : JSON.stringify(body.audience),
+  employee_id: body.employee_id === undefined ? undefined : body.employee_id || null
+});
+
+// Returns an error message, or null when the fields given can be saved
+async function validateCampaign(db, body) {
+  if (body.name !== undefined && !String(body.name || '').trim()) return 'Campaign name is required';
+  if (body.audience !== undefined) {
+    const problem = validateAudience(body.audience);
+    if (problem) return problem;
+  }
+  if (body.steps !== undefined) {
+    const problem = validateSteps(body.steps);
+    if (problem) return problem;
+  }
+  if (body.employee_id) {
+    const employee = await db.first('employees', { columns: ['id'], where: { id: body.employee_id } });
+    if (!employee) return 'Employee not found';
+  }
+  return null;
+}
+
+const escapeHtml = (text) => String(text).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+
+// The small page an unsubscribe link opens
+const unsubscribePage = (title, message, form = '') => `<!DOCTYPE html>
+<html lang="en">
+<head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1"><title>${escapeHtml(title)}</title></head>
+<body style="font-family: sans-serif; max-width: 32rem; margin: 4rem auto; padding: 0 1rem; color: #1f2937;">
+  <h1 style="font-size: 1.5rem;">${escapeHtml(title)}</h1>
+  <p>${escapeHtml(message)}</p>
+  ${form}
+</body>
+</html>`;
+
+module.exports = (db) => {
+  const router = express.Router();
+
+  const loadCampaign = async (id) => {
+    const row = await db.first('campaigns', { where: { id } });
+    return row ? toCampaign(row) : null;
+  };
+
+  // Send whatever is due now (see runCampaigns in lib/campaigns.js)
+  const runNow = async (res) => {
+    try {
+      res.json(await runCampaigns(db));
+    } catch (err) {
+      if (err instanceof MailError) {
+        return res.status(503).json({ error: err.message });
+      }
+      console.error('Error running campaigns:', err);
+      res.status(500).json({ error: err.message || 'Failed to run campaigns' });
+    }
+  };
+
+  // For a cron job (Vercel Cron sends the CRON_SECRET as a bearer token)
+  router.get('/campaigns/run', (req, res) => {
+    const secret = process.env.CRON_SECRET;
+    if (!secret || req.headers['authorization'] !== `Bearer ${secret}`) {
+      return res.status(401).json({ error: 'Access denied' });
+    }
+    runNow(res);
+  });
+
+  router.post('/campaigns/run', authenticateToken, requirePermission(db, 'campaigns.manage'), async (req, res) => {
+    await logActivity(db, req.user.id, 'SEND', 'campaign', null, 'Ran due campaign steps');
+    await runNow(res);
+  });
+
+  // Public: the link at the foot of every campaign email. GET asks, POST
+  // (the button, or a mail client's one-click unsubscribe) does it.
+  router.get('/campaigns/unsubscribe/:token', async (req, res) => {
+    try {
+      const enrollment = await db.first('campaign_enrollments', { where: { token: req.params.token } });
+      if (!enrollment) {
+        return res.status(404).send(unsubscribePage('Link not recognised', 'This unsubscribe link is not valid.'));
+      }
+      res.send(unsubscribePage(
+        'Unsubscribe',
+        'Stop receiving these emails from us?',
+        '<form method="post"><button type="submit" style="padding: 0.5rem 1rem;">Unsubscribe</button></form>'
+      ));
+    } catch (err) {
+      console.error('Error loading unsubscribe page:', err);
+      res.status(500).send(unsubscribePage('Something went wrong', 'Please try again later.'));
+    }
+  });
+
+  router.post('/campaigns/unsubscribe/:token', async (req, res) => {
+    try {
+      const enrollment = await db.first('campaign_enrollments', { where: { token: req.params.token } });
+      if (!enrollment) {
+        return res.status(404).send(unsubscribePage('Link not recognised', 'This unsubscribe link is not valid.'));
+      }
+      const address = await unsubscribe(db, enrollment);
+      res.send(unsubscribePage(
+        'You have been unsubscribed',
+        address ? `We won't email ${address} again.` : "You won't receive any more of these emails."
+      ));
+    } catch (err) {
+      console.error('Error unsubscribing:', err);
+      res.status(500).send(unsubscribePage('Something went wrong', 'Please try again later.'));
+    }
+  });
+
+  // How many prospects an audience matches: { total }
+  router.post('/campaigns/audience', authenticateToken, requirePermission(db, 'campaigns.manage'), async (req, res) => {
+    try {
+      const audience = req.body.audience || {};
+      const problem = validateAudience(audience);
+      if (problem) {
+        return res.status(400).json({ error: problem });
+      }
+      const companies = await findAudience(db, audience);
+      res.json({ total: companies.length });
+    } catch (err) {
+      console.error('Error counting campaign audience:', err);
+      res.status(500).json({ error: err.message || 'Failed to count campaign audience' });
+    }
+  });
+
+  // Every campaign with its sender, step count and enrollment counts by status
+  router.get('/campaigns', authenticateToken, requirePermission(db, 'crm.view'), async (req, res) => {
+    try {
+      const rows = await db.select('campaigns', { orderBy: { column: 'created_at', ascending: false } });
+      const campaigns = await attachLookups(db, rows.map(toCampaign), [EMPLOYEE_NAME]);
+      res.json(await Promise.all(campaigns.map(async campaign => {
+        const steps = await listSteps(db, campaign.id);
+        const stats = await campaignStats(db, campaign.id, steps);
+        return { ...campaign, step_count: steps.length, enrollments: stats.enrollments };
+      })));
+    } catch (err) {
+      console.error('Error fetching campaigns:', err);
+      res.status(500).json({ error: err.message || 'Failed to fetch campaigns' });
+    }
+  });
+
+  // One campaign with its steps and stats: { ...campaign, steps, stats }
+  router.get('/campaigns/:id', authenticateToken, requirePermission(db, 'crm.view'), async (req, res) => {
+    try {
+      const campaign = await loadCampaign(req.params.id);
+      if (!campaign) {
+        return res.status(404).json({ error: 'Campaign not found' });
+      }
+      const steps = await listSteps(db, campaign.id);
+      const [withSender] = await attachLookups(db, [campaign], [EMPLOYEE_NAME]);
+      res.json({ ...withSender, steps, stats: await campaignStats(db, campaign.id, steps) });
+    } catch (err) {
+      console.error('Error fetching campaign:', err);
+      res.status(500).json({ error: err.message || 'Failed to fetch campaign' });
+    }
+  });
+
+  // Body: { name, audience?, employee_id?, steps?: [{ delay_days, subject, body }] }.
+  // Campaigns start as drafts.
+  router.post('/campaigns', authenticateToken, requirePermission(db, 'campaigns.manage'), async (req, res) => {
+    try {
+      const { audience = {}, steps = [] } = req.body;
+      const problem = await validateCampaign(db, { name: '', ...req.body, audience, steps });
+      if (problem) {
+        return res.status(400).json({ error: problem });
+      }
+
+      const campaign = await db.insert('campaigns', {
+        ...campaignFields({ ...req.body, audience }),
+        status: 'draft',
+        created_by: req.user.id
+      });
+      const saved = await saveSteps(db, campaign.id, steps);
+
+      await logActivity(db, req.user.id, 'CREATE', 'campaign', campaign.id, `Created campaign: ${campaign.name}`);
+      res.status(201).json({ ...toCampaign(campaign), steps: saved });
+    } catch (err) {
+      if (err.code === 'unique_violation') {
+        return res.status(400).json({ error: 'A campaign with that name already exists' });
+      }
+      console.error('Error creating campaign:', err);
+      res.status(500).json({ error: err.message || 'Failed to create campaign' });
+    }
+  });
+
+  // Partial updates. Steps sent back with their id keep their stats; changes
+  // apply to enrolled companies from their next step.
+  router.put('/campaigns/:id', authenticateToken, requirePermission(db, 'campaigns.manage'), async (req, res) => {
+    try {
+      const campaign = await loadCampaign(req.params.id);
+      if (!campaign) {
+        return res.status(404).json({ error: 'Campaign not found' });
+      }
+      const problem = await validateCampaign(db, req.body);
+      if (problem) {
+        return res.status(400).json({ error: problem });
+      }
+      if (req.body.steps !== undefined && req.body.steps.length === 0 && campaign.status !== 'draft') {
+        return res.status(400).json({ error: 'A running campaign needs at least one step' });
+      }
+
+      await db.update('campaigns', { id: campaign.id }, {
+        ...campaignFields(req.body),
+        updated_at: new Date().toISOString()
+      });
+      const steps = req.body.steps !== undefined ? await saveSteps(db, campaign.id, req.body.steps) : await listSteps(db, campaign.id);
+
+      const updated = await loadCampaign(campaign.id);
+      await logActivity(db, req.user.id, 'UPDATE', 'campaign', campaign.id, `Updated campaign: ${updated.name}`);
+      res.json({ ...updated, steps });
+    } catch (err) {
+      if (err.code === 'unique_violation') {
+        return res.status(400).json({ error: 'A campaign with that name already exists' });
+      }
+      console.error('Error updating campaign:', err);
+      res.status(500).json({ error: err.message || 'Failed to update campaign' });
+    }
+  });
+
+  // Emails already sent stay in each company's history
+  router.delete('/campaigns/:id', authenticateToken, requirePermission(db, 'campaigns.manage'), async (req, res) => {
+    try {
+      const campaign = await loadCampaign(req.params.id);
+      if (!campaign) {
+        return res.status(404).json({ error: 'Campaign not found' });
+      }
+
+      await db.remove('campaigns', { id: campaign.id });
+
+      await logActivity(db, req.user.id, 'DELETE', 'campaign', campaign.id, `Deleted campaign: ${campaign.name}`);
+      res.json({ message: 'Campaign deleted' });
+    } catch (err) {
+      console.error('Error deleting campaign:', err);
+      res.status(500).json({ error: err.message || 'Failed to delete campaign' });
+    }
+  });
+
+  // Start (or resume) a campaign, enrolling the audience's prospects that
+  // aren't enrolled yet: { campaign, enrolled, skipped }
+  router.post('/campaigns/:id/start', authenticateToken, requirePermission(db, 'campaigns.manage'), async (req, res) => {
+    try {
+      const campaign = await loadCampaign(req.params.id);
+      if (!campaign) {
+        return res.status(404).json({ error: 'Campaign not found' });
+      }
+      const steps = await listSteps(db, campaign.id);
+      if (steps.length === 0) {
+        return res.status(400).json({ error: 'Add at least one step before starting the campaign' });
+      }
+      if (!campaign.employee_id) {
+        return res.status(400).json({ error: 'Choose the employee the campaign is sent from' });
+      }
+
+      const now = new Date();
+      await db.update('campaigns', { id: campaign.id }, {
+        status: 'active',
+        started_at: campaign.started_at || now.toISOString(),
+        updated_at: now.toISOString()
+      });
+      const { enrolled, skipped } = await enrollAudience(db, campaign, steps, now);
+
+      await logActivity(db, req.user.id, 'UPDATE', 'campaign', campaign.id,
+        `Started campaign: ${campaign.name} (${enrolled} enrolled, ${skipped} without an email address)`);
+      res.json({ campaign: await loadCampaign(campaign.id), enrolled, skipped });
+    } catch (err) {
+      console.error('Error starting campaign:', err);
+      res.status(500).json({ error: err.message || 'Failed to start campaign' });
+    }
+  });
+
+  // Hold every enrollment where it is until the campaign is started again
+  router.post('/campaigns/:id/pause', authenticateToken, requirePermission(db, 'campaigns.manage'), async (req, res) => {
+    try {
+      const campaign = await loadCampaign(req.params.id);
+      if (!campaign) {
+        return res.status(404).json({ error: 'Campaign not found' });
+      }
+      if (campaign.status !== 'active') {
+        return res.status(400).json({ error: 'Only a running campaign can be paused' });
+      }
+
+      await db.update('campaigns', { id: campaign.id }, { status: 'paused', updated_at: new Date().toISOString() });
+
+      await logActivity(db, req.user.id, 'UPDATE', 'campaign', campaign.id, `Paused campaign: ${campaign.name}`);
+      res.json(await loadCampaign(campaign.id));
+    } catch (err) {
+      console.error('Error pausing campaign:', err);
+      res.status(500).json({ error: err.message || 'Failed to pause campaign' });
+    }
+  });
+
+  // ?status= narrows to one ENROLLMENT_STATUSES key. Paginated when ?page=
+  // or ?limit= is given: { data, total, page, limit }
+  router.get('/campaigns/:id/enrollments', authenticateToken, requirePermission(db, 'crm.view'), async (req, res) => {
+    try {
+      const problem = singleValueProblem(req.query, ['status']);
+      if (problem) {
+        return res.status(400).json({ error: problem });
+      }
+      const pagination = parsePagination(req.query);
+      const result = await listRows(db, 'campaign_enrollments', {
+        where: { campaign_id: req.params.id, status: req.query.status || undefined },
+        orderBy: [{ column: 'created_at', ascending: true }, { column: 'id', ascending: true }],
+        pagination
+      });
+
+      const data = await attachLookups(db, result.data, [COMPANY_NAME, CONTACT_NAME]);
+      res.json(pagination ? { ...result, data } : data);
+    } catch (err) {
+      console.error('Error fetching campaign enrollments:', err);
+      res.status(500).json({ error: err.message || 'Failed to fetch campaign enrollments' });
+    }
+  });
+
+  // Body: { status: 'replied' | 'unsubscribed' | 'removed' }, for replies and
+  // opt-outs that came back by email or phone. Unsubscribing also keeps the
+  // address out of every other campaign and one-off email.
+  router.post('/campaigns/:id/enrollments/:enrollmentId/stop', authenticateToken, requirePermission(db, 'campaigns.manage'), async (req, res) => {
+    try {
+      const { status } = req.body;
+      if (!MANUAL_STOPS.includes(status)) {
+        return res.status(400).json({ error: `status must be one of: ${MANUAL_STOPS.join(', ')}` });
+      }
+
+      const enrollment = await db.first('campaign_enrollments', {
+        where: { id: req.params.enrollmentId, campaign_id: req.params.id }
+      });
+      if (!enrollment) {
+        return res.status(404).json({ error: 'Enrollment not found' });
+      }
+      if (enrollment.status !== 'active' && status !== 'unsubscribed') {
+        return res.status(400).json({ error: `This company has already stopped (${ENROLLMENT_STATUSES[enrollment.status]})` });
+      }
+
+      if (status === 'unsubscribed') {
+        await unsubscribe(db, enrollment);
+      } else {
+        await stopEnrollment(db, enrollment, status);
+      }
+
+      await logActivity(db, req.user.id, 'UPDATE', 'campaign', req.params.id,
+        `Stopped campaign for company ${enrollment.company_id}: ${ENROLLMENT_STATUSES[status]}`);
+      res.json(await db.first('campaign_enrollments', { where: { id: enrollment.id } }));
+    } catch (err) {
+      console.error('Error stopping campaign enrollment:', err);
+      res.status(500).json({ error: err.message || 'Failed to stop campaign enrollment' });
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,468 @@
+const express = require('express');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { logActivity } = require('../lib/activity-log');
+const { parseBoolean, parsePagination, parseSort, singleValueProblem, likePattern, listRows } = require('../lib/query');
+const { phoneDigits } = require('../lib/normalize');
+const { searchCompanies } = require('../lib/company-search');
+const { findDuplicatePairs, validateMerge, mergeCompanies } = require('../lib/company-duplicates');
+const { loadTerritories, assignment } = require('../lib/territories');
+const { buildQueue, lockCompany } = require('../lib/call-queue');
+const { withSegment, findSegment } = require('../lib/segments');
+
+// ============================================
+// COMPANY ROUTES
+// ============================================
+
+const companyFields = (body) => {
+  const { name, type, contact_name, address, city, state, zip, phone, email, website, notes, is_customer, last_order_date, last_estimate_date } = body;
+  return {
+    name,
+    type,
+    contact_name: contact_name || null,
+    address,
+    city,
+    state,
+    zip,
+    phone,
+    phone_digits: phoneDigits(phone),
+    email,
+    website,
+    notes,
+    is_customer: is_customer ? 1 : 0,
+    last_order_date: last_order_date || null,
+    last_estimate_date: last_estimate_date || null,
+    owner_id: body.owner_id === undefined ? undefined : body.owner_id || null
+  };
+};
+
+const SORTABLE_FIELDS = ['name', 'type', 'city', 'state', 'zip', 'is_customer', 'last_order_date', 'last_estimate_date', 'created_at', 'updated_at'];
+
+// ?type=&state=&city=&is_customer=&territory_id=&owner_id=&q= (q matches
+// name or city; owner_id=none finds unowned companies); see also stage_id,
+// mine and segment_id below
+const FILTER_PARAMS = ['type', 'state', 'city', 'is_customer', 'territory_id', 'owner_id', 'q', 'stage_id', 'mine', 'segment_id'];
+const companyFilters = (query) => {
+  const where = {
+    type: query.type || undefined,
+    state: query.state || undefined,
+    city: query.city || undefined,
+    is_customer: parseBoolean(query.is_customer),
+    territory_id: query.territory_id || undefined,
+    owner_id: query.owner_id === 'none' ? null : query.owner_id || undefined
+  };
+  if (query.q) {
+    const pattern = likePattern(query.q);
+    where.or = [{ name: { ilike: pattern } }, { city: { ilike: pattern } }];
+  }
+  return where;
+};
+
+// Roll up each company's activities so list views don't need to load them all
+async function withActivityStats(db, companies) {
+  if (companies.length === 0) return companies;
+  const activities = await db.select('activities', {
+    columns: ['company_id', 'interested', 'follow_up'],
+    where: { company_id: { in: companies.map(c => c.id) } }
+  });
+  return companies.map(company => {
+    const own = activities.filter(a => a.company_id === company.id);
+    return {
+      ...company,
+      activity_stats: {
+        total: own.length,
+        interested: own.some(a => a.interested),
+        follow_up: own.some(a => a.follow_up)
+      }
+    };
+  });
+}
+
+module.exports = (db) => {
+  const router = express.Router();
+
+  // ?stage_id= keeps companies with a deal in that pipeline stage
+  const withStageFilter = async (where, stageId) => {
+    if (!stageId) return where;
+    const deals = await db.select('deals', { columns: ['company_id'], where: { stage_id: stageId } });
+    return { ...where, id: { in: [...new Set(deals.map(d => d.company_id))] } };
+  };
+
+  // ?mine=true keeps the signed-in employee's own accounts. Returns the
+  // filters, or null when the login isn't linked to an employee.
+  const withOwnerFilter = (where, req) => {
+    if (!parseBoolean(req.query.mine)) return where;
+    return req.user.employeeId ? { ...where, owner_id: req.user.employeeId } : null;
+  };
+  const NOT_AN_EMPLOYEE = 'Your login is not linked to an employee, so you have no accounts of your own';
+
+  // The list filters with ?stage_id=, ?mine= and ?segment_id= (a saved
+  // segment the user may see, see lib/segments.js) applied. Returns
+  // { where }, or { status, error } when they can't be.
+  const listFilters = async (req, query = req.query) => {
+    const problem = singleValueProblem(query, FILTER_PARAMS);
+    if (problem) return { status: 400, error: problem };
+
+    const where = withOwnerFilter(companyFilters(query), req);
+    if (!where) return { status: 400, error: NOT_AN_EMPLOYEE };
+
+    const staged = await withStageFilter(where, query.stage_id);
+    if (!query.segment_id) return { where: staged };
+    const segment = await findSegment(db, query.segment_id, req.user);
+    if (!segment) return { status: 404, error: 'Segment not found' };
+    return { where: withSegment(staged, segment.rules) };
+  };
+
+  // Paginated when ?page= or ?limit= is given: { data, total, page, limit }
+  router.get('/companies', authenticateToken, requirePermission(db, 'crm.view'), async (req, res) => {
+    try {
+      const pagination = parsePagination(req.query);
+      const { where, status, error } = await listFilters(req);
+      if (!where) {
+        return res.status(status).json({ error });
+      }
+
+      const result = await listRows(db, 'companies', {
+        where,
+        orderBy: parseSort(req.query, SORTABLE_FIELDS, { column: 'name', ascending: true }),
+        pagination
+      });
+
+      if (!pagination) {
+        return res.json(result.data);
+      }
+
+      res.json({ ...result, data: await withActivityStats(db, result.data) });
+    } catch (err) {
+      console.error('Error fetching companies:', err);
+      res.status(500).json({ error: err.message || 'Failed to fetch companies' });
+    }
+  });
+
+  // Distinct values for the list filters
+  router.get('/companies/filters', authenticateToken, requirePermission(db, 'crm.view'), async (req, res) => {
+    try {
+      const rows = await db.select('companies', { columns: ['type', 'state', 'city'] });
+      const distinct = (key) => [...new Set(rows.map(r => r[key]).filter(Boolean))].sort();
+      res.json({ types: distinct('type'), states: distinct('state'), cities: distinct('city') });
+    } catch (err) {
+      console.error('Error fetching company filters:', err);
+      res.status(500).json({ error: err.message || 'Failed to fetch company filters' });
+    }
+  });
+
+  // Ranked search across company fields and activity notes. Accepts the same
+  // filters as the list.
+  router.get('/companies/search', authenticateToken, requirePermission(db, 'crm.view'), async (req, res) => {
+    try {
+      const q = String(req.query.q || '').trim();
+      if (!q) {
+        return res.status(400).json({ error: 'Search query (q) is required' });
+      }
+
+      const { where, status, error } = await listFilters(req, { ...req.query, q: undefined });
+      if (!where) {
+        return res.status(status).json({ error });
+      }
+
+      const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+      const result = await searchCompanies(db, q, { where, limit });
+
+      res.json({ ...result, data: await withActivityStats(db, result.data) });
+    } catch (err) {
+      console.error('Error searching companies:', err);
+      res.status(500).json({ error: err.message || 'Failed to search companies' });
+    }
+  });
+
+  // Likely duplicate pairs, best first. ?min_score= (default 30) and ?limit=
+  // (default 100, at most 500).
+  router.get('/companies/duplicates', authenticateToken, requirePermission(db, 'companies.merge'), async (req, res) => {
+    try {
+      const minScore = Math.min(Math.max(parseInt(req.query.min_score) || 30, 1), 100);
+      const limit = Math.min(Math.max(parseInt(req.query.limit) || 100, 1), 500);
+      const companies = await db.select('companies', { orderBy: { column: 'name', ascending: true } });
+
+      const pairs = findDuplicatePairs(companies, { minScore, limit });
+      const ids = [...new Set(pairs.flatMap(pair => pair.companies.map(c => c.id)))];
+      const withStats = await withActivityStats(db, companies.filter(c => ids.includes(c.id)));
+      const byId = new Map(withStats.map(c => [c.id, c]));
+
+      res.json(pairs.map(pair => ({ ...pair, companies: pair.companies.map(c => byId.get(c.id)) })));
+    } catch (err) {
+      console.error('Error finding duplicate companies:', err);
+      res.status(500).json({ error: err.message || 'Failed to find duplicate companies' });
+    }
+  });
+
+  // Body: { survivor_id, merged_ids: [...], fields?: { field: companyId } }.
+  // fields names whose value the survivor keeps; see mergeCompanies for the
+  // defaults. Everything in CHILD_TABLES (lib/company-duplicates.js) moves to
+  // the survivor and the merged companies are deleted.
+  router.post('/companies/merge', authenticateToken, requirePermission(db, 'companies.merge'), async (req, res) => {
+    try {
+      const { survivor_id, merged_ids, fields = {} } = req.body;
+      const mergedIds = Array.isArray(merged_ids) ? [...new Set(merged_ids)] : merged_ids;
+      if (!survivor_id) {
+        return res.status(400).json({ error: 'survivor_id is required' });
+      }
+
+      const survivor = await db.first('companies', { where: { id: survivor_id } });
+      const merged = Array.isArray(mergedIds) && mergedIds.length
+        ? await db.select('companies', { where: { id: { in: mergedIds } } })
+        : [];
+
+      const problem = validateMerge(survivor, merged, mergedIds, fields);
+      if (problem) {
+        return res.status(survivor ? 400 : 404).json({ error: problem });
+      }
+
+      const result = await mergeCompanies(db, survivor, merged, fields);
+
+      const movedSummary = Object.entries(result.moved).map(([table, count]) => `${count} ${table.replace(/_/g, '-')}`).join(', ');
+      await logActivity(db, req.user.id, 'MERGE', 'company', survivor.id,
+        `Merged ${merged.map(c => `${c.name} (${c.id})`).join(', ')} into ${result.survivor.name}; moved ${movedSummary}`);
+      res.json({ message: 'Companies merged', company: result.survivor, moved: result.moved });
+    } catch (err) {
+      console.error('Error merging companies:', err);
+      res.status(500).json({ error: err.message || 'Failed to merge companies' });
+    }
+  });
+
+  // Hand accounts from one employee to another, e.g. when someone leaves.
+  // Body: { from_employee_id, to_employee_id (null to leave them unowned),
+  // company_ids? }. Without company_ids every company the employee owns moves,
+  // along with the territories they cover.
+  router.post('/companies/reassign', authenticateToken, requirePermission(db, 'companies.assign'), async (req, res) => {
+    try {
+      const { from_employee_id, company_ids } = req.body;
+      const toEmployeeId = req.body.to_employee_id || null;
+
+      if (!from_employee_id && !Array.isArray(company_ids)) {
+        return res.status(400).json({ error: 'from_employee_id or company_ids is required' });
+      }
+      if (company_ids !== undefined && (!Array.isArray(company_ids) || company_ids.length === 0)) {
+        return res.status(400).json({ error: 'company_ids must list at least one company' });
+      }
+      if (toEmployeeId && !(await db.first('employees', { columns: ['id'], where: { id: toEmployeeId } }))) {
+        return res.status(400).json({ error: 'Employee not found' });
+      }
+
+      const where = {
+        owner_id: from_employee_id || undefined,
+        id: company_ids ? { in: company_ids } : undefined
+      };
+      const companies = await db.update('companies', where, { owner_id: toEmployeeId, updated_at: new Date().toISOString() });
+      const territories = company_ids
+        ? 0
+        : await db.update('territories', { employee_id: from_employee_id }, { employee_id: toEmployeeId, updated_at: new Date().toISOString() });
+
+      await logActivity(db, req.user.id, 'UPDATE', 'company', null,
+        `Reassigned ${companies} companies and ${territories} territories ` +
+        `from ${from_employee_id || 'selected owners'} to ${toEmployeeId || 'nobody'}`);
+      res.json({ message: 'Companies reassigned', companies, territories });
+    } catch (err) {
+      console.error('Error reassigning companies:', err);
+      res.status(500).json({ error: err.message || 'Failed to reassign companies' });
+    }
+  });
+
+  // The call queue: companies in calling order (see lib/call-queue.js),
+  // without those touched inside the cooldown or held by another caller.
+  // Takes the list filters plus ?page=&limit=; each company carries
+  // queue: { priority, reason, last_activity_at, follow_up_due_at }.
+  router.get('/companies/call-queue', authenticateToken, requirePermission(db, 'crm.view'), async (req, res) => {
+    try {
+      const { where, status, error } = await listFilters(req);
+      if (!where) {
+        return res.status(status).json({ error });
+      }
+      const pagination = parsePagination(req.query) || { page: 1, limit: 50, offset: 0 };
+
+      const { queue, settings } = await buildQueue(db, where, { userId: req.user.id });
+      const slice = queue.slice(pagination.offset, pagination.offset + pagination.limit);
+      const companies = slice.length
+        ? await db.select('companies', { where: { id: { in: slice.map(entry => entry.company.id) } } })
+        : [];
+      const byId = new Map((await withActivityStats(db, companies)).map(c => [c.id, c]));
+
+      res.json({
+        data: slice.map(entry => ({ ...byId.get(entry.company.id), queue: entry.queue })),
+        total: queue.length,
+        page: pagination.page,
+        limit: pagination.limit,
+        settings
+      });
+    } catch (err) {
+      console.error('Error fetching call queue:', err);
+      res.status(500).json({ error: err.message || 'Failed to fetch call queue' });
+    }
+  });
+
+  // Pull the next company to call and hold it for this user, releasing the
+  // one they held before. Takes the list filters; body: { exclude_ids?
+  // (companies already seen this session), company_id? (go back to a
+  // particular company instead) }. company is null once the queue is empty.
+  router.post('/companies/call-queue/next', authenticateToken, requirePermission(db, 'activities.log'), async (req, res) => {
+    try {
+      const { company_id } = req.body;
+      const excludeIds = Array.isArray(req.body.exclude_ids) ? req.body.exclude_ids : [];
+      const { where, status, error } = await listFilters(req);
+      if (!where) {
+        return res.status(status).json({ error });
+      }
+
+      const { queue, settings } = await buildQueue(db, where, {
+        userId: req.user.id,
+        excludeIds: company_id ? [] : excludeIds
+      });
+      const lockOptions = { userId: req.user.id, employeeId: req.user.employeeId || null, lockMinutes: settings.lock_minutes };
+
+      let entry = null;
+      let lock = null;
+      if (company_id) {
+        if (!(await db.first('companies', { columns: ['id'], where: { id: company_id } }))) {
+          return res.status(404).json({ error: 'Company not found' });
+        }
+        lock = await lockCompany(db, company_id, lockOptions);
+        if (!lock) {
+          return res.status(409).json({ error: 'Someone else is calling this company right now' });
+        }
+        entry = queue.find(e => e.company.id === company_id) || { company: { id: company_id }, queue: null };
+      } else {
+        // Two callers can race for the top company; whoever loses takes the next
+        for (const candidate of queue) {
+          lock = await lockCompany(db, candidate.company.id, lockOptions);
+          if (lock) {
+            entry = candidate;
+            break;
+          }
+        }
+      }
+
+      if (!entry) {
+        await db.remove('call_locks', { user_id: req.user.id });
+        return res.json({ company: null, remaining: 0 });
+      }
+
+      const [company] = await withActivityStats(db, [await db.first('companies', { where: { id: entry.company.id } })]);
+      res.json({
+        company: { ...company, queue: entry.queue },
+        locked_until: lock.locked_until,
+        remaining: queue.filter(e => e.company.id !== entry.company.id).length
+      });
+    } catch (err) {
+      console.error('Error pulling from call queue:', err);
+      res.status(500).json({ error: err.message || 'Failed to pull from call queue' });
+    }
+  });
+
+  // Let go of the company this user is holding, e.g. when leaving Calling
+  router.delete('/companies/call-queue/lock', authenticateToken, requirePermission(db, 'crm.view'), async (req, res) => {
+    try {
+      const released = await db.remove('call_locks', { user_id: req.user.id });
+      res.json({ message: 'Call lock released', released });
+    } catch (err) {
+      console.error('Error releasing call lock:', err);
+      res.status(500).json({ error: err.message || 'Failed to release call lock' });
+    }
+  });
+
+  router.get('/companies/:id', authenticateToken, requirePermission(db, 'crm.view'), async (req, res) => {
+    try {
+      const company = await db.first('companies', { where: { id: req.params.id } });
+      if (!company) {
+        return res.status(404).json({ error: 'Company not found' });
+      }
+      res.json(company);
+    } catch (err) {
+      console.error('Error fetching company:', err);
+      res.status(500).json({ error: err.message || 'Failed to fetch company' });
+    }
+  });
+
+  router.post('/companies', authenticateToken, requirePermission(db, 'companies.create'), async (req, res) => {
+    try {
+      const { id, name } = req.body;
+      if (req.body.owner_id && !req.user.permissions.includes('companies.assign')) {
+        return res.status(403).json({ error: 'Permission required: Change company owners' });
+      }
+
+      // New companies land in their territory and, unless given an owner,
+      // go to that territory's employee. One added as a customer counts as a
+      // conversion for whoever added it, or else its owner.
+      const fields = companyFields(req.body);
+      const assigned = assignment(await loadTerritories(db), fields);
+      const company = await db.insert('companies', {
+        id,
+        ...fields,
+        customer_since: fields.is_customer ? new Date().toISOString() : null,
+        converted_by: fields.is_customer ? req.user.employeeId || assigned.owner_id || null : null,
+        ...assigned
+      });
+      if (company.contact_name && company.contact_name.trim()) {
+        await db.insert('contacts', { company_id: id, name: company.contact_name.trim(), is_primary: 1 });
+      }
+
+      await logActivity(db, req.user.id, 'CREATE', 'company', id, `Created company: ${name}`);
+      res.status(201).json({ message: 'Company created', id });
+    } catch (err) {
+      console.error('Error creating company:', err);
+      res.status(500).json({ error: err.message || 'Failed to create company' });
+    }
+  });
+
+  router.put('/companies/:id', authenticateToken, requirePermission(db, 'companies.edit'), async (req, res) => {
+    try {
+      const current = await db.first('companies', { columns: ['owner_id', 'is_customer', 'customer_since'], where: { id: req.params.id } });
+      if (!current) {
+        return res.status(404).json({ error: 'Company not found' });
+      }
+      if (req.body.owner_id !== undefined && !req.user.permissions.includes('companies.assign')) {
+        if ((current.owner_id || null) !== (req.body.owner_id || null)) {
+          return res.status(403).json({ error: 'Permission required: Change company owners' });
+        }
+      }
+
+      // contact_name follows the primary contact, so it changes through
+      // /contacts. customer_since dates a prospect's switch to customer, for
+      // the conversion counts in reports; older customers stay undated. The
+      // switch is credited to whoever made it, or else the owner.
+      const fields = companyFields(req.body);
+      const now = new Date().toISOString();
+      const convertedBy = !fields.is_customer ? null
+        : current.is_customer ? undefined
+          : req.user.employeeId || fields.owner_id || current.owner_id || null;
+      await db.update('companies', { id: req.params.id }, {
+        ...fields,
+        contact_name: undefined,
+        customer_since: fields.is_customer ? current.customer_since || (current.is_customer ? undefined : now) : null,
+        converted_by: convertedBy,
+        updated_at: now
+      });
+
+      await logActivity(db, req.user.id, 'UPDATE', 'company', req.params.id, `Updated company: ${req.body.name}`);
+      res.json({ message: 'Company updated' });
+    } catch (err) {
+      console.error('Error updating company:', err);
+      res.status(500).json({ error: err.message || 'Failed to update company' });
+    }
+  });
+
+  router.delete('/companies/:id', authenticateToken, requirePermission(db, 'companies.delete'), async (req, res) => {
+    try {
+      const deleted = await db.remove('companies', { id: req.params.id });
+
+      if (deleted === 0) {
+        return res.status(404).json({ error: 'Company not found' });
+      }
+
+      await logActivity(db, req.user.id, 'DELETE', 'company', req.params.id, `Deleted company`);
+      res.json({ message: 'Company deleted' });
+    } catch (err) {
+      console.error('Error deleting company:', err);
+      res.status(500).json({ error: err.message || 'Failed to delete company' });
+    }
+  });
+
+  return router;
+};
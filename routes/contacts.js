@@ -0,0 +1,175 @@
+const express = require('express');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { logActivity } = require('../lib/activity-log');
+const { parseBoolean, parsePagination, singleValueProblem, listRows } = require('../lib/query');
+const { COMPANY_NAME, attachLookups } = require('../lib/lookups');
+const { syncPrimaryContact } = require('../lib/contacts');
+
+// ============================================
+// CONTACT ROUTES
+// ============================================
+
+const CHANNELS = ['phone', 'mobile', 'sms', 'email'];
+
+// Primary contact first, then by name
+const CONTACT_ORDER = [{ column: 'is_primary', ascending: false }, { column: 'name', ascending: true }];
+
+const toContact = (row) => ({
+  ...row,
+  is_primary: Boolean(row.is_primary)
+});
+
+const optionalText = (value) => (value === undefined ? undefined : String(value || '').trim() || null);
+
+// Editable fields; anything missing from the body is left as it is
+const contactFields = (body) => ({
+  name: body.name === undefined ? undefined : String(body.name).trim(),
+  title: optionalText(body.title),
+  direct_phone: optionalText(body.direct_phone),
+  mobile: optionalText(body.mobile),
+  email: optionalText(body.email),
+  preferred_channel: body.preferred_channel === undefined ? undefined : body.preferred_channel || null
+});
+
+// Returns an error message, or null when the body is acceptable
+const validateContact = (body) => {
+  if (body.name !== undefined && !String(body.name).trim()) {
+    return 'Contact name is required';
+  }
+  if (body.preferred_channel && !CHANNELS.includes(body.preferred_channel)) {
+    return `preferred_channel must be one of: ${CHANNELS.join(', ')}`;
+  }
+  return null;
+};
+
+module.exports = (db) => {
+  const router = express.Router();
+
+  // ?company_id=; paginated when ?page= or ?limit= is given: { data, total, page, limit }
+  router.get('/contacts', authenticateToken, requirePermission(db, 'crm.view'), async (req, res) => {
+    try {
+      const problem = singleValueProblem(req.query, ['company_id', 'is_primary']);
+      if (problem) {
+        return res.status(400).json({ error: problem });
+      }
+      const pagination = parsePagination(req.query);
+      const result = await listRows(db, 'contacts', {
+        where: {
+          company_id: req.query.company_id || undefined,
+          is_primary: parseBoolean(req.query.is_primary)
+        },
+        orderBy: CONTACT_ORDER,
+        pagination
+      });
+
+      const data = (await attachLookups(db, result.data, [COMPANY_NAME])).map(toContact);
+      res.json(pagination ? { ...result, data } : data);
+    } catch (err) {
+      console.error('Error fetching contacts:', err);
+      res.status(500).json({ error: err.message || 'Failed to fetch contacts' });
+    }
+  });
+
+  router.get('/contacts/:id', authenticateToken, requirePermission(db, 'crm.view'), async (req, res) => {
+    try {
+      const contact = await db.first('contacts', { where: { id: req.params.id } });
+      if (!contact) {
+        return res.status(404).json({ error: 'Contact not found' });
+      }
+      res.json(toContact(contact));
+    } catch (err) {
+      console.error('Error fetching contact:', err);
+      res.status(500).json({ error: err.message || 'Failed to fetch contact' });
+    }
+  });
+
+  // A company's first contact becomes its primary contact
+  router.post('/contacts', authenticateToken, requirePermission(db, 'contacts.edit'), async (req, res) => {
+    try {
+      const { company_id, name, is_primary } = req.body;
+
+      if (!company_id || !name) {
+        return res.status(400).json({ error: 'company_id and name are required' });
+      }
+
+      const problem = validateContact(req.body);
+      if (problem) {
+        return res.status(400).json({ error: problem });
+      }
+
+      const contact = await db.insert('contacts', { ...contactFields(req.body), company_id, is_primary: 0 });
+      await syncPrimaryContact(db, company_id, is_primary ? contact.id : null);
+
+      await logActivity(db, req.user.id, 'CREATE', 'contact', contact.id, `Created contact: ${contact.name}`);
+      res.status(201).json({ message: 'Contact created', id: contact.id });
+    } catch (err) {
+      if (err.code === 'foreign_key_violation') {
+        return res.status(400).json({ error: 'Unknown company' });
+      }
+      console.error('Error creating contact:', err);
+      res.status(500).json({ error: err.message || 'Failed to create contact' });
+    }
+  });
+
+  // Partial updates. is_primary: true makes this the company's primary
+  // contact; false hands that over to the next contact.
+  router.put('/contacts/:id', authenticateToken, requirePermission(db, 'contacts.edit'), async (req, res) => {
+    try {
+      const existing = await db.first('contacts', { where: { id: req.params.id } });
+      if (!existing) {
+        return res.status(404).json({ error: 'Contact not found' });
+      }
+
+      const problem = validateContact(req.body);
+      if (problem) {
+        return res.status(400).json({ error: problem });
+      }
+
+      const { is_primary } = req.body;
+      await db.update('contacts', { id: existing.id }, {
+        ...contactFields(req.body),
+        is_primary: is_primary === undefined ? undefined : 0,
+        updated_at: new Date().toISOString()
+      });
+
+      let primaryId = null;
+      if (is_primary || (is_primary === undefined && existing.is_primary)) {
+        primaryId = existing.id;
+      } else if (existing.is_primary) {
+        const next = await db.first('contacts', {
+          columns: ['id'],
+          where: { company_id: existing.company_id, id: { neq: existing.id } },
+          orderBy: { column: 'id', ascending: true }
+        });
+        primaryId = next ? next.id : existing.id;
+      }
+      await syncPrimaryContact(db, existing.company_id, primaryId);
+
+      await logActivity(db, req.user.id, 'UPDATE', 'contact', existing.id, `Updated contact: ${req.body.name || existing.name}`);
+      res.json({ message: 'Contact updated' });
+    } catch (err) {
+      console.error('Error updating contact:', err);
+      res.status(500).json({ error: err.message || 'Failed to update contact' });
+    }
+  });
+
+  router.delete('/contacts/:id', authenticateToken, requirePermission(db, 'contacts.edit'), async (req, res) => {
+    try {
+      const contact = await db.first('contacts', { where: { id: req.params.id } });
+      if (!contact) {
+        return res.status(404).json({ error: 'Contact not found' });
+      }
+
+      await db.remove('contacts', { id: contact.id });
+      await syncPrimaryContact(db, contact.company_id, null);
+
+      await logActivity(db, req.user.id, 'DELETE', 'contact', contact.id, `Deleted contact: ${contact.name}`);
+      res.json({ message: 'Contact deleted' });
+    } catch (err) {
+      console.error('Error deleting contact:', err);
+      res.status(500).json({ error: err.message || 'Failed to delete contact' });
+    }
+  });
+
+  return router;
+};
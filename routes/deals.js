@@ -0,0 +1,258 @@
+const express = require('express');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { logActivity } = require('../lib/activity-log');
+const { parsePagination, parseSort, singleValueProblem, listRows } = require('../lib/query');
+const { COMPANY_NAME, EMPLOYEE_NAME, attachLookups } = require('../lib/lookups');
+const { loadCallScript } = require('../lib/call-script');
+
+// ============================================
+// DEAL ROUTES
+// ============================================
+
+const SORTABLE_FIELDS = ['title', 'value', 'expected_close_date', 'created_at', 'updated_at'];
+const STAGE_NAME = { table: 'pipeline_stages', key: 'stage_id', fields: { name: 'stage_name', outcome: 'stage_outcome' } };
+
+// Products are stored as a JSON list of product names
+const parseProducts = (text) => {
+  try {
+    const products = JSON.parse(text || '[]');
+    return Array.isArray(products) ? products : [];
+  } catch (err) {
+    return [];
+  }
+};
+
+const toDeal = (row) => ({
+  ...row,
+  value: Number(row.value) || 0,
+  products: parseProducts(row.products)
+});
+
+// Editable fields; anything missing from the body is left as it is
+const dealFields = (body) => ({
+  title: body.title === undefined ? undefined : String(body.title).trim(),
+  employee_id: body.employee_id === undefined ? undefined : body.employee_id || null,
+  value: body.value === undefined ? undefined : Number(body.value) || 0,
+  products: body.products === undefined ? undefined : JSON.stringify(body.products || []),
+  expected_close_date: body.expected_close_date === undefined ? undefined : body.expected_close_date || null
+});
+
+// Returns an error message, or null when the body is acceptable. Products
+// already on the deal stay valid even if the call script has since dropped them.
+async function validateDeal(db, body, currentProducts = []) {
+  if (body.title !== undefined && !String(body.title).trim()) {
+    return 'Deal title is required';
+  }
+  if (body.value !== undefined && body.value !== '' && !(Number(body.value) >= 0)) {
+    return 'value must be a number of zero or more';
+  }
+  if (body.products !== undefined && body.products !== null) {
+    if (!Array.isArray(body.products)) {
+      return 'products must be a list of product names';
+    }
+    const script = await loadCallScript(db);
+    const known = (script.products || []).map(product => product.name);
+    const unknown = body.products.filter(name => !known.includes(name) && !currentProducts.includes(name));
+    if (unknown.length > 0) {
+      return `Unknown products: ${unknown.join(', ')}`;
+    }
+  }
+  return null;
+}
+
+// closed_at and lost_reason follow the kind of stage a deal is in
+const stageChanges = (stage, lostReason) => ({
+  stage_id: stage.id,
+  closed_at: stage.outcome ? new Date().toISOString() : null,
+  lost_reason: stage.outcome === 'lost' ? lostReason : null
+});
+
+module.exports = (db) => {
+  const router = express.Router();
+
+  const findStage = (id) => db.first('pipeline_stages', { where: { id } });
+
+  const firstStage = () => db.first('pipeline_stages', {
+    orderBy: [{ column: 'position', ascending: true }, { column: 'id', ascending: true }]
+  });
+
+  // Record a stage change; winning a deal also makes the company a customer
+  const recordStageChange = async (deal, fromStageId, stage, userId) => {
+    await db.insert('deal_stage_history', {
+      deal_id: deal.id,
+      from_stage_id: fromStageId,
+      to_stage_id: stage.id,
+      changed_by: userId
+    });
+    if (stage.outcome === 'won') {
+      const now = new Date().toISOString();
+      await db.update('companies', { id: deal.company_id, is_customer: 0 }, { customer_since: now });
+      await db.update('companies', { id: deal.company_id }, { is_customer: 1, updated_at: now });
+    }
+  };
+
+  // Paginated when ?page= or ?limit= is given: { data, total, page, limit }
+  router.get('/deals', authenticateToken, requirePermission(db, 'crm.view'), async (req, res) => {
+    try {
+      const problem = singleValueProblem(req.query, ['company_id', 'stage_id', 'employee_id']);
+      if (problem) {
+        return res.status(400).json({ error: problem });
+      }
+      const pagination = parsePagination(req.query);
+      const result = await listRows(db, 'deals', {
+        where: {
+          company_id: req.query.company_id || undefined,
+          stage_id: req.query.stage_id || undefined,
+          employee_id: req.query.employee_id || undefined
+        },
+        orderBy: parseSort(req.query, SORTABLE_FIELDS, { column: 'updated_at', ascending: false }),
+        pagination
+      });
+
+      const data = (await attachLookups(db, result.data, [COMPANY_NAME, EMPLOYEE_NAME, STAGE_NAME])).map(toDeal);
+      res.json(pagination ? { ...result, data } : data);
+    } catch (err) {
+      console.error('Error fetching deals:', err);
+      res.status(500).json({ error: err.message || 'Failed to fetch deals' });
+    }
+  });
+
+  // One deal with its stage history, oldest change first
+  router.get('/deals/:id', authenticateToken, requirePermission(db, 'crm.view'), async (req, res) => {
+    try {
+      const row = await db.first('deals', { where: { id: req.params.id } });
+      if (!row) {
+        return res.status(404).json({ error: 'Deal not found' });
+      }
+
+      const history = await db.select('deal_stage_history', {
+        where: { deal_id: row.id },
+        orderBy: { column: 'id', ascending: true }
+      });
+
+      const [deal] = await attachLookups(db, [row], [COMPANY_NAME, EMPLOYEE_NAME, STAGE_NAME]);
+      res.json({
+        ...toDeal(deal),
+        history: await attachLookups(db, history, [
+          { table: 'pipeline_stages', key: 'from_stage_id', fields: { name: 'from_stage_name' } },
+          { table: 'pipeline_stages', key: 'to_stage_id', fields: { name: 'to_stage_name' } },
+          { table: 'users', key: 'changed_by', fields: { name: 'changed_by_name' } }
+        ])
+      });
+    } catch (err) {
+      console.error('Error fetching deal:', err);
+      res.status(500).json({ error: err.message || 'Failed to fetch deal' });
+    }
+  });
+
+  // New deals start in the first stage unless stage_id says otherwise
+  router.post('/deals', authenticateToken, requirePermission(db, 'deals.edit'), async (req, res) => {
+    try {
+      const { company_id, title, stage_id, lost_reason } = req.body;
+
+      if (!company_id || !title) {
+        return res.status(400).json({ error: 'company_id and title are required' });
+      }
+
+      const problem = await validateDeal(db, req.body);
+      if (problem) {
+        return res.status(400).json({ error: problem });
+      }
+
+      const stage = stage_id ? await findStage(stage_id) : await firstStage();
+      if (!stage) {
+        return res.status(400).json({ error: 'Unknown pipeline stage' });
+      }
+      if (stage.outcome === 'lost' && !lost_reason) {
+        return res.status(400).json({ error: 'A lost reason is required when a deal is lost' });
+      }
+
+      const deal = await db.insert('deals', {
+        ...dealFields(req.body),
+        ...stageChanges(stage, lost_reason),
+        company_id,
+        created_by: req.user.id
+      });
+      await recordStageChange(deal, null, stage, req.user.id);
+
+      await logActivity(db, req.user.id, 'CREATE', 'deal', deal.id, `Created deal: ${deal.title}`);
+      res.status(201).json({ message: 'Deal created', id: deal.id });
+    } catch (err) {
+      if (err.code === 'foreign_key_violation') {
+        return res.status(400).json({ error: 'Unknown company or employee' });
+      }
+      console.error('Error creating deal:', err);
+      res.status(500).json({ error: err.message || 'Failed to create deal' });
+    }
+  });
+
+  // Partial updates; a new stage_id moves the deal and is kept in its history
+  router.put('/deals/:id', authenticateToken, requirePermission(db, 'deals.edit'), async (req, res) => {
+    try {
+      const existing = await db.first('deals', { where: { id: req.params.id } });
+      if (!existing) {
+        return res.status(404).json({ error: 'Deal not found' });
+      }
+
+      const problem = await validateDeal(db, req.body, parseProducts(existing.products));
+      if (problem) {
+        return res.status(400).json({ error: problem });
+      }
+
+      const { stage_id, lost_reason } = req.body;
+      const moving = stage_id !== undefined && String(stage_id) !== String(existing.stage_id);
+      const stage = await findStage(moving ? stage_id : existing.stage_id);
+      if (!stage) {
+        return res.status(400).json({ error: 'Unknown pipeline stage' });
+      }
+
+      const reason = lost_reason !== undefined ? lost_reason : existing.lost_reason;
+      if (stage.outcome === 'lost' && !reason) {
+        return res.status(400).json({ error: 'A lost reason is required when a deal is lost' });
+      }
+
+      const changes = { ...dealFields(req.body), updated_at: new Date().toISOString() };
+      if (moving) {
+        Object.assign(changes, stageChanges(stage, reason));
+      } else if (stage.outcome === 'lost') {
+        changes.lost_reason = reason;
+      }
+
+      await db.update('deals', { id: existing.id }, changes);
+      if (moving) {
+        await recordStageChange(existing, existing.stage_id, stage, req.user.id);
+      }
+
+      const title = changes.title || existing.title;
+      await logActivity(db, req.user.id, 'UPDATE', 'deal', existing.id,
+        moving ? `Moved deal "${title}" to ${stage.name}` : `Updated deal: ${title}`);
+      res.json({ message: 'Deal updated' });
+    } catch (err) {
+      if (err.code === 'foreign_key_violation') {
+        return res.status(400).json({ error: 'Unknown employee' });
+      }
+      console.error('Error updating deal:', err);
+      res.status(500).json({ error: err.message || 'Failed to update deal' });
+    }
+  });
+
+  router.delete('/deals/:id', authenticateToken, requirePermission(db, 'deals.delete'), async (req, res) => {
+    try {
+      const deleted = await db.remove('deals', { id: req.params.id });
+
+      if (deleted === 0) {
+        return res.status(404).json({ error: 'Deal not found' });
+      }
+
+      await logActivity(db, req.user.id, 'DELETE', 'deal', req.params.id, 'Deleted deal');
+      res.json({ message: 'Deal deleted' });
+    } catch (err) {
+      console.error('Error deleting deal:', err);
+      res.status(500).json({ error: err.message || 'Failed to delete deal' });
+    }
+  });
+
+  return router;
+};
+
+module.exports.toDeal = toDeal;
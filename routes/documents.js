@@ -0,0 +1,73 @@
+const express = require('express');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { EMPLOYEE_NAME, attachLookups } = require('../lib/lookups');
+const { withOutcomes } = require('../lib/outcomes');
+const { loadBranding } = require('../lib/branding');
+const { loadCallScript } = require('../lib/call-script');
+const { renderCompanySummary, renderProductSheet, sendPdf } = require('../lib/documents');
+
+// ============================================
+// PRINTABLE DOCUMENT ROUTES
+// ============================================
+
+// More than a page holds; the summary says how many earlier ones it left out
+const SUMMARY_ACTIVITY_LIMIT = 30;
+
+// "Acme Builders, LLC" -> "acme-builders-llc", for file names
+const slugify = (text) => String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'company';
+
+module.exports = (db) => {
+  const router = express.Router();
+
+  // One-page PDF summary of a company: details, contacts, notes and recent activity
+  router.get('/documents/companies/:id/summary', authenticateToken, requirePermission(db, 'crm.view'), async (req, res) => {
+    try {
+      const company = await db.first('companies', { where: { id: req.params.id } });
+      if (!company) {
+        return res.status(404).json({ error: 'Company not found' });
+      }
+
+      const [branding, contacts, activities, activityCount, owner] = await Promise.all([
+        loadBranding(db),
+        db.select('contacts', {
+          where: { company_id: company.id },
+          orderBy: [{ column: 'is_primary', ascending: false }, { column: 'name', ascending: true }]
+        }),
+        db.select('activities', {
+          where: { company_id: company.id },
+          orderBy: { column: 'date', ascending: false },
+          limit: SUMMARY_ACTIVITY_LIMIT
+        }),
+        db.count('activities', { where: { company_id: company.id } }),
+        company.owner_id ? db.first('employees', { columns: ['name'], where: { id: company.owner_id } }) : null
+      ]);
+
+      const pdf = await renderCompanySummary({
+        branding,
+        company,
+        contacts,
+        activities: await withOutcomes(db, await attachLookups(db, activities, [EMPLOYEE_NAME])),
+        activityCount,
+        ownerName: owner ? owner.name : null
+      });
+      sendPdf(res, `${slugify(company.name)}-summary`, pdf);
+    } catch (err) {
+      console.error('Error creating company summary:', err);
+      res.status(500).json({ error: err.message || 'Failed to create company summary' });
+    }
+  });
+
+  // PDF of the call script's products and value proposition
+  router.get('/documents/product-sheet', authenticateToken, requirePermission(db, 'crm.view'), async (req, res) => {
+    try {
+      const [branding, script] = await Promise.all([loadBranding(db), loadCallScript(db)]);
+      const pdf = await renderProductSheet({ branding, script });
+      sendPdf(res, `${slugify(branding.company_name)}-products`, pdf);
+    } catch (err) {
+      console.error('Error creating product sheet:', err);
+      res.status(500).json({ error: err.message || 'Failed to create product sheet' });
+    }
+  });
+
+  return router;
+};
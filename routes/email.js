@@ -0,0 +1,211 @@
+const express = require('express');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { logActivity } = require('../lib/activity-log');
+const { parseBoolean, parsePagination, singleValueProblem, listRows } = require('../lib/query');
+const { EMPLOYEE_NAME, CONTACT_NAME, attachLookups } = require('../lib/lookups');
+const { MERGE_FIELDS, EMAIL_PATTERN, toTemplate, validateTemplate, composeEmail, optedOut, deliverEmail } = require('../lib/email');
+const { MailError, mailConfigured, mailFrom } = require('../lib/mailer');
+
+// ============================================
+// EMAIL ROUTES
+// ============================================
+
+const TEMPLATE_NAME = { table: 'email_templates', key: 'template_id', fields: { name: 'template_name' } };
+
+// Editable fields; anything missing from the body is left as it is
+const templateFields = (body) => ({
+  name: body.name === undefined ? undefined : String(body.name).trim(),
+  subject: body.subject === undefined ? undefined : String(body.subject).trim(),
+  body: body.body === undefined ? undefined : String(body.body),
+  active: body.active === undefined ? undefined : (body.active ? 1 : 0)
+});
+
+module.exports = (db) => {
+  const router = express.Router();
+
+  // Whether mail can be sent, where it comes from, and the merge fields
+  // templates can use: { configured, from, merge_fields: [{ key, label }] }
+  router.get('/emails/setup', authenticateToken, requirePermission(db, 'crm.view'), (req, res) => {
+    res.json({
+      configured: mailConfigured(),
+      from: mailConfigured() ? mailFrom() : null,
+      merge_fields: Object.entries(MERGE_FIELDS).map(([key, label]) => ({ key, label }))
+    });
+  });
+
+  // ?active=true leaves out retired templates
+  router.get('/email-templates', authenticateToken, requirePermission(db, 'crm.view'), async (req, res) => {
+    try {
+      const rows = await db.select('email_templates', {
+        where: { active: parseBoolean(req.query.active) === true ? 1 : undefined },
+        orderBy: { column: 'name', ascending: true }
+      });
+      res.json(rows.map(toTemplate));
+    } catch (err) {
+      console.error('Error fetching email templates:', err);
+      res.status(500).json({ error: err.message || 'Failed to fetch email templates' });
+    }
+  });
+
+  router.post('/email-templates', authenticateToken, requirePermission(db, 'email_templates.manage'), async (req, res) => {
+    try {
+      const problem = validateTemplate({ name: '', subject: '', body: '', ...req.body });
+      if (problem) {
+        return res.status(400).json({ error: problem });
+      }
+
+      const template = await db.insert('email_templates', { ...templateFields(req.body), created_by: req.user.id });
+
+      await logActivity(db, req.user.id, 'CREATE', 'email_template', template.id, `Created email template: ${template.name}`);
+      res.status(201).json(toTemplate(template));
+    } catch (err) {
+      if (err.code === 'unique_violation') {
+        return res.status(400).json({ error: 'A template with that name already exists' });
+      }
+      console.error('Error creating email template:', err);
+      res.status(500).json({ error: err.message || 'Failed to create email template' });
+    }
+  });
+
+  router.put('/email-templates/:id', authenticateToken, requirePermission(db, 'email_templates.manage'), async (req, res) => {
+    try {
+      const problem = validateTemplate(req.body);
+      if (problem) {
+        return res.status(400).json({ error: problem });
+      }
+
+      const changed = await db.update('email_templates', { id: req.params.id }, {
+        ...templateFields(req.body),
+        updated_at: new Date().toISOString()
+      });
+      if (changed === 0) {
+        return res.status(404).json({ error: 'Email template not found' });
+      }
+
+      const template = toTemplate(await db.first('email_templates', { where: { id: req.params.id } }));
+      await logActivity(db, req.user.id, 'UPDATE', 'email_template', template.id, `Updated email template: ${template.name}`);
+      res.json(template);
+    } catch (err) {
+      if (err.code === 'unique_violation') {
+        return res.status(400).json({ error: 'A template with that name already exists' });
+      }
+      console.error('Error updating email template:', err);
+      res.status(500).json({ error: err.message || 'Failed to update email template' });
+    }
+  });
+
+  // Emails already sent keep their text after the template is deleted
+  router.delete('/email-templates/:id', authenticateToken, requirePermission(db, 'email_templates.manage'), async (req, res) => {
+    try {
+      const template = await db.first('email_templates', { where: { id: req.params.id } });
+      if (!template) {
+        return res.status(404).json({ error: 'Email template not found' });
+      }
+
+      await db.remove('email_templates', { id: req.params.id });
+
+      await logActivity(db, req.user.id, 'DELETE', 'email_template', req.params.id, `Deleted email template: ${template.name}`);
+      res.json({ message: 'Email template deleted' });
+    } catch (err) {
+      console.error('Error deleting email template:', err);
+      res.status(500).json({ error: err.message || 'Failed to delete email template' });
+    }
+  });
+
+  // Emails sent (and failed) for ?company_id=, newest first. Paginated when
+  // ?page= or ?limit= is given: { data, total, page, limit }
+  router.get('/emails', authenticateToken, requirePermission(db, 'crm.view'), async (req, res) => {
+    try {
+      const problem = singleValueProblem(req.query, ['company_id', 'status']);
+      if (problem) {
+        return res.status(400).json({ error: problem });
+      }
+      const pagination = parsePagination(req.query);
+      const result = await listRows(db, 'email_messages', {
+        where: {
+          company_id: req.query.company_id || undefined,
+          status: req.query.status || undefined
+        },
+        orderBy: [{ column: 'created_at', ascending: false }, { column: 'id', ascending: false }],
+        pagination
+      });
+
+      const data = await attachLookups(db, result.data, [EMPLOYEE_NAME, CONTACT_NAME, TEMPLATE_NAME]);
+      res.json(pagination ? { ...result, data } : data);
+    } catch (err) {
+      console.error('Error fetching emails:', err);
+      res.status(500).json({ error: err.message || 'Failed to fetch emails' });
+    }
+  });
+
+  // The message POST /emails would send for the same body, without sending
+  // it: { to, subject, body, contact_id }
+  router.post('/emails/preview', authenticateToken, requirePermission(db, 'emails.send'), async (req, res) => {
+    try {
+      const company = await db.first('companies', { where: { id: req.body.company_id } });
+      if (!company) {
+        return res.status(404).json({ error: 'Company not found' });
+      }
+
+      const draft = await composeEmail(db, company, { ...req.body, employee_id: req.body.employee_id || req.user.employeeId });
+      if (draft.problem) {
+        return res.status(400).json({ error: draft.problem });
+      }
+
+      res.json({ to: draft.to, subject: draft.subject, body: draft.text, contact_id: draft.contact ? draft.contact.id : null });
+    } catch (err) {
+      console.error('Error previewing email:', err);
+      res.status(500).json({ error: err.message || 'Failed to preview email' });
+    }
+  });
+
+  // Body: { company_id, contact_id?, employee_id?, template_id?, to?, subject?, body? }
+  // (see composeEmail in lib/email.js). A sent email is logged as an 'email'
+  // activity by the sending employee. A failed one is kept in the history
+  // with its error and answered with 502. Addresses that unsubscribed from a
+  // campaign (see routes/campaigns.js) are refused.
+  router.post('/emails', authenticateToken, requirePermission(db, 'emails.send'), async (req, res) => {
+    try {
+      const company = await db.first('companies', { where: { id: req.body.company_id } });
+      if (!company) {
+        return res.status(404).json({ error: 'Company not found' });
+      }
+
+      const employeeId = req.body.employee_id || req.user.employeeId;
+      if (!employeeId) {
+        return res.status(400).json({ error: 'employee_id is required: choose who is sending' });
+      }
+
+      const draft = await composeEmail(db, company, { ...req.body, employee_id: employeeId });
+      if (draft.problem) {
+        return res.status(400).json({ error: draft.problem });
+      }
+      if (!EMAIL_PATTERN.test(draft.to)) {
+        return res.status(400).json({ error: draft.to ? `Invalid email address: ${draft.to}` : 'No email address on file; enter one in to' });
+      }
+      if (await optedOut(db, draft.to)) {
+        return res.status(400).json({ error: `${draft.to} has unsubscribed from our email` });
+      }
+
+      let message;
+      try {
+        message = await deliverEmail(db, { company, draft, employeeId, record: { sent_by: req.user.id } });
+      } catch (err) {
+        if (!(err instanceof MailError)) throw err;
+        return res.status(503).json({ error: err.message });
+      }
+      if (message.status === 'failed') {
+        console.error('Error sending email:', message.error);
+        return res.status(502).json({ error: message.error, id: message.id });
+      }
+
+      await logActivity(db, req.user.id, 'SEND', 'email', message.id, `Emailed ${company.name}: ${draft.subject}`);
+      res.status(201).json({ message: 'Email sent', id: message.id, activity_id: message.activity_id });
+    } catch (err) {
+      console.error('Error sending email:', err);
+      res.status(500).json({ error: err.message || 'Failed to send email' });
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,159 @@
+const express = require('express');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { logActivity } = require('../lib/activity-log');
+const { USERNAME, attachLookups } = require('../lib/lookups');
+const { validatePassword, passwordFields } = require('../lib/passwords');
+
+// ============================================
+// EMPLOYEE ROUTES
+// ============================================
+
+const toEmployee = (row) => ({ ...row, active: Boolean(row.active) });
+
+module.exports = (db) => {
+  const router = express.Router();
+
+  // What's wrong with linking login userId to employee employeeId (null for
+  // a new employee), or null. A login works as one employee at most.
+  const linkProblem = async (userId, employeeId) => {
+    const user = await db.first('users', { columns: ['id'], where: { id: userId } });
+    if (!user) return 'Login not found';
+    const linked = await db.first('employees', { columns: ['id', 'name'], where: { user_id: userId } });
+    if (linked && String(linked.id) !== String(employeeId)) return `That login already belongs to ${linked.name}`;
+    return null;
+  };
+
+  // Each employee with the username of their login, if any
+  router.get('/employees', authenticateToken, requirePermission(db, 'crm.view'), async (req, res) => {
+    try {
+      const data = await db.select('employees', { orderBy: { column: 'name', ascending: true } });
+      res.json(await attachLookups(db, data.map(toEmployee), [USERNAME]));
+    } catch (err) {
+      console.error('Error fetching employees:', err);
+      res.status(500).json({ error: err.message || 'Failed to fetch employees' });
+    }
+  });
+
+  // Logins for the employee form to pick from: { id, username, name,
+  // employee_id } with the employee each already belongs to
+  router.get('/employees/logins', authenticateToken, requirePermission(db, 'employees.manage'), async (req, res) => {
+    try {
+      const [users, linked] = await Promise.all([
+        db.select('users', { columns: ['id', 'username', 'name'], orderBy: { column: 'username', ascending: true } }),
+        db.select('employees', { columns: ['id', 'user_id'], where: { user_id: { not: null } } })
+      ]);
+      res.json(users.map(user => ({
+        ...user,
+        employee_id: (linked.find(e => String(e.user_id) === String(user.id)) || {}).id || null
+      })));
+    } catch (err) {
+      console.error('Error fetching logins:', err);
+      res.status(500).json({ error: err.message || 'Failed to fetch logins' });
+    }
+  });
+
+  // Body: the employee, plus either user_id to link an existing login or
+  // username and password to create a rep login for them (a temporary
+  // password, changed at the first sign-in)
+  router.post('/employees', authenticateToken, requirePermission(db, 'employees.manage'), async (req, res) => {
+    try {
+      const { id, name, role, active, username, password } = req.body;
+      let userId = req.body.user_id || null;
+
+      if (userId) {
+        const problem = await linkProblem(userId, null);
+        if (problem) {
+          return res.status(400).json({ error: problem });
+        }
+      } else if (username && password) {
+        const existingUser = await db.first('users', { columns: ['id'], where: { username } });
+        if (existingUser) {
+          return res.status(400).json({ error: 'Username already exists' });
+        }
+        const problem = validatePassword(password, { username });
+        if (problem) {
+          return res.status(400).json({ error: problem });
+        }
+      }
+
+      await db.insert('employees', { id, name, role, active: active !== false ? 1 : 0 });
+
+      if (!userId && username && password) {
+        const user = await db.insert('users', {
+          username,
+          name,
+          role: 'rep',
+          ...passwordFields(password, { mustChange: true })
+        });
+        userId = user.id;
+        await logActivity(db, req.user.id, 'CREATE', 'user', user.id, `Created login ${username} for ${name}`);
+      }
+      if (userId) {
+        await db.update('employees', { id }, { user_id: userId });
+      }
+
+      res.status(201).json({ message: 'Employee created', id });
+    } catch (err) {
+      console.error('Error creating employee:', err);
+      res.status(500).json({ error: err.message || 'Failed to create employee' });
+    }
+  });
+
+  // user_id links a login (null unlinks it); leave it out to keep the link
+  router.put('/employees/:id', authenticateToken, requirePermission(db, 'employees.manage'), async (req, res) => {
+    try {
+      const { name, role, active } = req.body;
+
+      const current = await db.first('employees', { columns: ['id', 'user_id'], where: { id: req.params.id } });
+      if (!current) {
+        return res.status(404).json({ error: 'Employee not found' });
+      }
+
+      const changes = {
+        name,
+        role,
+        active: active !== false ? 1 : 0,
+        updated_at: new Date().toISOString()
+      };
+      const userId = req.body.user_id === undefined ? undefined : req.body.user_id || null;
+      if (userId !== undefined && String(userId) !== String(current.user_id)) {
+        if (userId) {
+          const problem = await linkProblem(userId, current.id);
+          if (problem) {
+            return res.status(400).json({ error: problem });
+          }
+        }
+        changes.user_id = userId;
+      }
+
+      await db.update('employees', { id: current.id }, changes);
+
+      if (changes.user_id !== undefined) {
+        await logActivity(db, req.user.id, 'UPDATE', 'employee', current.id,
+          changes.user_id ? `Linked ${name}'s login` : `Unlinked ${name}'s login`);
+      }
+
+      res.json({ message: 'Employee updated' });
+    } catch (err) {
+      console.error('Error updating employee:', err);
+      res.status(500).json({ error: err.message || 'Failed to update employee' });
+    }
+  });
+
+  router.delete('/employees/:id', authenticateToken, requirePermission(db, 'employees.manage'), async (req, res) => {
+    try {
+      const deleted = await db.remove('employees', { id: req.params.id });
+
+      if (deleted === 0) {
+        return res.status(404).json({ error: 'Employee not found' });
+      }
+
+      res.json({ message: 'Employee deleted' });
+    } catch (err) {
+      console.error('Error deleting employee:', err);
+      res.status(500).json({ error: err.message || 'Failed to delete employee' });
+    }
+  });
+
+  return router;
+};
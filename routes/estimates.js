@@ -0,0 +1,230 @@
+const express = require('express');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { logActivity } = require('../lib/activity-log');
+const { parsePagination, parseSort, singleValueProblem, listRows } = require('../lib/query');
+const { COMPANY_NAME, EMPLOYEE_NAME, attachLookups } = require('../lib/lookups');
+const {
+  toEstimate,
+  toEstimateItem,
+  loadEstimateSettings,
+  validateTaxRate,
+  validateItems,
+  buildItems,
+  estimateTotals,
+  checkTransition,
+  applyStatus
+} = require('../lib/estimates');
+
+// ============================================
+// ESTIMATE ROUTES
+// ============================================
+
+const SORTABLE_FIELDS = ['total', 'status', 'sent_at', 'created_at', 'updated_at'];
+
+// Fields only a draft's edits may change
+const DRAFT_FIELDS = ['title', 'tax_rate', 'valid_until', 'items'];
+
+// Editable fields; anything missing from the body is left as it is
+const estimateFields = (body) => ({
+  title: body.title === undefined ? undefined : String(body.title || '').trim() || null,
+  employee_id: body.employee_id === undefined ? undefined : body.employee_id || null,
+  notes: body.notes === undefined ? undefined : body.notes || null,
+  valid_until: body.valid_until === undefined ? undefined : body.valid_until || null,
+  tax_rate: body.tax_rate === undefined ? undefined : Number(body.tax_rate)
+});
+
+// Returns an error message, or null when the body is acceptable
+async function validateEstimate(db, body) {
+  if (body.tax_rate !== undefined) {
+    const problem = validateTaxRate(body.tax_rate);
+    if (problem) return problem;
+  }
+  if (body.valid_until && isNaN(new Date(body.valid_until).getTime())) {
+    return 'Invalid valid_until';
+  }
+  if (body.items !== undefined) {
+    return validateItems(db, body.items);
+  }
+  return null;
+}
+
+module.exports = (db) => {
+  const router = express.Router();
+
+  const listItems = async (estimateId) => (await db.select('estimate_items', {
+    where: { estimate_id: estimateId },
+    orderBy: [{ column: 'position', ascending: true }, { column: 'id', ascending: true }]
+  })).map(toEstimateItem);
+
+  // Replace an estimate's line items, returning them as stored
+  const saveItems = async (estimateId, items) => {
+    const lines = await buildItems(db, items);
+    await db.remove('estimate_items', { estimate_id: estimateId });
+    if (lines.length) {
+      await db.insert('estimate_items', lines.map(line => ({ ...line, estimate_id: estimateId })));
+    }
+    return lines;
+  };
+
+  // ?company_id=&status=&employee_id=. Paginated when ?page= or ?limit= is
+  // given: { data, total, page, limit }
+  router.get('/estimates', authenticateToken, requirePermission(db, 'crm.view'), async (req, res) => {
+    try {
+      const problem = singleValueProblem(req.query, ['company_id', 'status', 'employee_id']);
+      if (problem) {
+        return res.status(400).json({ error: problem });
+      }
+      const pagination = parsePagination(req.query);
+      const result = await listRows(db, 'estimates', {
+        where: {
+          company_id: req.query.company_id || undefined,
+          status: req.query.status || undefined,
+          employee_id: req.query.employee_id || undefined
+        },
+        orderBy: parseSort(req.query, SORTABLE_FIELDS, { column: 'updated_at', ascending: false }),
+        pagination
+      });
+
+      const data = (await attachLookups(db, result.data, [COMPANY_NAME, EMPLOYEE_NAME])).map(toEstimate);
+      res.json(pagination ? { ...result, data } : data);
+    } catch (err) {
+      console.error('Error fetching estimates:', err);
+      res.status(500).json({ error: err.message || 'Failed to fetch estimates' });
+    }
+  });
+
+  // One estimate with its line items
+  router.get('/estimates/:id', authenticateToken, requirePermission(db, 'crm.view'), async (req, res) => {
+    try {
+      const row = await db.first('estimates', { where: { id: req.params.id } });
+      if (!row) {
+        return res.status(404).json({ error: 'Estimate not found' });
+      }
+
+      const [estimate] = await attachLookups(db, [row], [COMPANY_NAME, EMPLOYEE_NAME]);
+      res.json({ ...toEstimate(estimate), items: await listItems(row.id) });
+    } catch (err) {
+      console.error('Error fetching estimate:', err);
+      res.status(500).json({ error: err.message || 'Failed to fetch estimate' });
+    }
+  });
+
+  // New estimates start as drafts, taxed at the default rate unless
+  // tax_rate says otherwise
+  router.post('/estimates', authenticateToken, requirePermission(db, 'estimates.edit'), async (req, res) => {
+    try {
+      const { company_id, items = [] } = req.body;
+      if (!company_id) {
+        return res.status(400).json({ error: 'company_id is required' });
+      }
+
+      const problem = await validateEstimate(db, { ...req.body, items });
+      if (problem) {
+        return res.status(400).json({ error: problem });
+      }
+
+      const fields = estimateFields(req.body);
+      if (fields.tax_rate === undefined) {
+        fields.tax_rate = (await loadEstimateSettings(db)).tax_rate;
+      }
+      if (fields.employee_id === undefined) {
+        fields.employee_id = req.user.employeeId || null;
+      }
+
+      const estimate = await db.insert('estimates', {
+        ...fields,
+        company_id,
+        status: 'draft',
+        created_by: req.user.id
+      });
+      const lines = await saveItems(estimate.id, items);
+      await db.update('estimates', { id: estimate.id }, estimateTotals(lines, fields.tax_rate));
+
+      await logActivity(db, req.user.id, 'CREATE', 'estimate', estimate.id, `Created estimate #${estimate.id}`);
+      res.status(201).json({ message: 'Estimate created', id: estimate.id });
+    } catch (err) {
+      if (err.code === 'foreign_key_violation') {
+        return res.status(400).json({ error: 'Unknown company or employee' });
+      }
+      console.error('Error creating estimate:', err);
+      res.status(500).json({ error: err.message || 'Failed to create estimate' });
+    }
+  });
+
+  // Partial updates. Line items, tax rate, title and valid_until can only
+  // change on a draft; a sent or rejected estimate is moved back to draft
+  // (status: 'draft') to be revised. A new status may update the company
+  // (see applyStatus in lib/estimates.js).
+  router.put('/estimates/:id', authenticateToken, requirePermission(db, 'estimates.edit'), async (req, res) => {
+    try {
+      const existing = await db.first('estimates', { where: { id: req.params.id } });
+      if (!existing) {
+        return res.status(404).json({ error: 'Estimate not found' });
+      }
+
+      const { status, items } = req.body;
+      const moving = status !== undefined && status !== existing.status;
+      if (moving) {
+        const transitionProblem = checkTransition(existing.status, status);
+        if (transitionProblem) {
+          return res.status(400).json({ error: transitionProblem });
+        }
+      }
+
+      const editsDraft = DRAFT_FIELDS.some(field => req.body[field] !== undefined);
+      if (editsDraft && existing.status !== 'draft' && status !== 'draft') {
+        return res.status(400).json({ error: `Only draft estimates can be changed; this one is ${existing.status}` });
+      }
+
+      const problem = await validateEstimate(db, req.body);
+      if (problem) {
+        return res.status(400).json({ error: problem });
+      }
+
+      const changes = { ...estimateFields(req.body), updated_at: new Date().toISOString() };
+      const taxRate = changes.tax_rate !== undefined ? changes.tax_rate : existing.tax_rate;
+      if (items !== undefined || changes.tax_rate !== undefined) {
+        const lines = items !== undefined ? await saveItems(existing.id, items) : await listItems(existing.id);
+        Object.assign(changes, estimateTotals(lines, taxRate));
+      }
+      if (moving) {
+        // The estimate as it will be, for the activity logged with the change
+        const current = { ...existing };
+        for (const [key, value] of Object.entries(changes)) {
+          if (value !== undefined) current[key] = value;
+        }
+        Object.assign(changes, await applyStatus(db, current, status, { employeeId: req.user.employeeId }));
+      }
+
+      await db.update('estimates', { id: existing.id }, changes);
+
+      await logActivity(db, req.user.id, 'UPDATE', 'estimate', existing.id,
+        moving ? `Marked estimate #${existing.id} ${status}` : `Updated estimate #${existing.id}`);
+      res.json({ message: 'Estimate updated' });
+    } catch (err) {
+      if (err.code === 'foreign_key_violation') {
+        return res.status(400).json({ error: 'Unknown employee' });
+      }
+      console.error('Error updating estimate:', err);
+      res.status(500).json({ error: err.message || 'Failed to update estimate' });
+    }
+  });
+
+  router.delete('/estimates/:id', authenticateToken, requirePermission(db, 'estimates.delete'), async (req, res) => {
+    try {
+      const deleted = await db.remove('estimates', { id: req.params.id });
+
+      if (deleted === 0) {
+        return res.status(404).json({ error: 'Estimate not found' });
+      }
+
+      await logActivity(db, req.user.id, 'DELETE', 'estimate', req.params.id, `Deleted estimate #${req.params.id}`);
+      res.json({ message: 'Estimate deleted' });
+    } catch (err) {
+      console.error('Error deleting estimate:', err);
+      res.status(500).json({ error: err.message || 'Failed to delete estimate' });
+    }
+  });
+
+  return router;
+};
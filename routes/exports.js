@@ -0,0 +1,105 @@
+const express = require('express');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { logActivity } = require('../lib/activity-log');
+const { toCsv, sendCsv } = require('../lib/csv');
+const { EMPLOYEE_NAME, USERNAME, attachLookups } = require('../lib/lookups');
+const { withSegment, findSegment } = require('../lib/segments');
+const { singleValueProblem } = require('../lib/query');
+
+// All of a company's contacts in one cell, primary first:
+// "Jane Doe (Estimator) direct (302) 555-0100, jane@example.com; ..."
+const formatContacts = (contacts) => contacts
+  .map(contact => {
+    const details = [
+      contact.direct_phone && `direct ${contact.direct_phone}`,
+      contact.mobile && `mobile ${contact.mobile}`,
+      contact.email,
+      contact.preferred_channel && `prefers ${contact.preferred_channel}`
+    ].filter(Boolean).join(', ');
+    return [contact.name, contact.title && `(${contact.title})`, details].filter(Boolean).join(' ');
+  })
+  .join('; ');
+
+module.exports = (db) => {
+  const router = express.Router();
+
+  // Export Companies as CSV; ?segment_id= exports just a saved segment's
+  // (see lib/segments.js)
+  router.get('/export/companies', authenticateToken, requirePermission(db, 'data.export'), async (req, res) => {
+    try {
+      const problem = singleValueProblem(req.query, ['segment_id']);
+      if (problem) {
+        return res.status(400).json({ error: problem });
+      }
+      const segment = req.query.segment_id ? await findSegment(db, req.query.segment_id, req.user) : null;
+      if (req.query.segment_id && !segment) {
+        return res.status(404).json({ error: 'Segment not found' });
+      }
+
+      const [companies, contacts] = await Promise.all([
+        db.select('companies', {
+          where: segment ? withSegment({}, segment.rules) : undefined,
+          orderBy: { column: 'name', ascending: true }
+        }),
+        db.select('contacts', { orderBy: [{ column: 'is_primary', ascending: false }, { column: 'name', ascending: true }] })
+      ]);
+      const data = await attachLookups(db, companies, [{ ...EMPLOYEE_NAME, key: 'owner_id', fields: { name: 'owner_name' } }]);
+
+      const headers = ['ID', 'Name', 'Contact Name', 'Contacts', 'Phone', 'Email', 'Address', 'City', 'State', 'Zip', 'Type', 'Status', 'Is Customer', 'Owner', 'Notes', 'Created At'];
+      const rows = data.map(company => [
+        company.id,
+        company.name,
+        company.contact_name,
+        formatContacts(contacts.filter(contact => contact.company_id === company.id)),
+        company.phone,
+        company.email,
+        company.address,
+        company.city,
+        company.state,
+        company.zip,
+        company.type,
+        company.status,
+        company.is_customer ? 'Yes' : 'No',
+        company.owner_name,
+        company.notes,
+        company.created_at
+      ]);
+
+      sendCsv(res, 'companies', toCsv(headers, rows));
+
+      await logActivity(db, req.user.id, 'EXPORT', 'companies', null, segment ? `Exported segment ${segment.name} to CSV` : 'Exported companies to CSV');
+    } catch (err) {
+      console.error('Error exporting companies:', err);
+      res.status(500).json({ error: err.message || 'Failed to export companies' });
+    }
+  });
+
+  // Export Employees as CSV
+  router.get('/export/employees', authenticateToken, requirePermission(db, 'data.export'), async (req, res) => {
+    try {
+      const employees = await db.select('employees', { orderBy: { column: 'name', ascending: true } });
+      const data = await attachLookups(db, employees, [USERNAME]);
+
+      // Username is the login the employee works as, blank without one
+      const headers = ['ID', 'Name', 'Email', 'Phone', 'Position', 'Username', 'Created At'];
+      const rows = data.map(employee => [
+        employee.id,
+        employee.name,
+        employee.email,
+        employee.phone,
+        employee.position || employee.role,
+        employee.username,
+        employee.created_at
+      ]);
+
+      sendCsv(res, 'employees', toCsv(headers, rows));
+
+      await logActivity(db, req.user.id, 'EXPORT', 'employees', null, 'Exported employees to CSV');
+    } catch (err) {
+      console.error('Error exporting employees:', err);
+      res.status(500).json({ error: err.message || 'Failed to export employees' });
+    }
+  });
+
+  return router;
+};
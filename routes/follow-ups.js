@@ -0,0 +1,229 @@
+const express = require('express');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { parsePagination, parseSort, dateRange, singleValueProblem, listRows } = require('../lib/query');
+const { COMPANY_NAME, EMPLOYEE_NAME, attachLookups } = require('../lib/lookups');
+
+// ============================================
+// FOLLOW-UP ROUTES
+// ============================================
+
+const STATUSES = ['open', 'done'];
+const SORTABLE_FIELDS = ['due_at', 'created_at', 'completed_at'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Overdue is worked out on read so it never goes stale
+const toFollowUp = (row, now = new Date().toISOString()) => ({
+  ...row,
+  overdue: row.status === 'open' && row.due_at < now
+});
+
+// ?employee_id=&company_id=&status=&overdue=true&from=&to= (from/to on due_at)
+const FILTER_PARAMS = ['employee_id', 'company_id', 'status', 'overdue', 'from', 'to'];
+const followUpFilters = (query) => {
+  const where = {
+    employee_id: query.employee_id || undefined,
+    company_id: query.company_id || undefined,
+    status: query.status || undefined,
+    due_at: dateRange(query.from, query.to)
+  };
+  if (query.overdue === 'true') {
+    where.status = 'open';
+    where.due_at = { ...where.due_at, lt: new Date().toISOString() };
+  }
+  return where;
+};
+
+const isValidDate = (value) => Boolean(value) && !isNaN(new Date(value).getTime());
+
+// Company phone too, so the queue can be worked straight from the list
+const withNames = (db, followUps) => attachLookups(db, followUps, [
+  { ...COMPANY_NAME, fields: { name: 'company_name', phone: 'company_phone' } },
+  EMPLOYEE_NAME
+]);
+
+module.exports = (db) => {
+  const router = express.Router();
+
+  // Apply changes to one follow-up and answer with the updated row
+  const updateFollowUp = async (res, id, changes, message) => {
+    const changed = await db.update('follow_ups', { id }, { ...changes, updated_at: new Date().toISOString() });
+    if (changed === 0) {
+      return res.status(404).json({ error: 'Follow-up not found' });
+    }
+    const [followUp] = await withNames(db, [await db.first('follow_ups', { where: { id } })]);
+    res.json({ message, followUp: toFollowUp(followUp) });
+  };
+
+  // Paginated when ?page= or ?limit= is given: { data, total, page, limit }
+  router.get('/follow-ups', authenticateToken, requirePermission(db, 'crm.view'), async (req, res) => {
+    try {
+      const problem = singleValueProblem(req.query, FILTER_PARAMS);
+      if (problem) {
+        return res.status(400).json({ error: problem });
+      }
+      const pagination = parsePagination(req.query);
+      const result = await listRows(db, 'follow_ups', {
+        where: followUpFilters(req.query),
+        orderBy: parseSort(req.query, SORTABLE_FIELDS, { column: 'due_at', ascending: true }),
+        pagination
+      });
+
+      const data = (await withNames(db, result.data)).map(row => toFollowUp(row));
+      res.json(pagination ? { ...result, data } : data);
+    } catch (err) {
+      console.error('Error fetching follow-ups:', err);
+      res.status(500).json({ error: err.message || 'Failed to fetch follow-ups' });
+    }
+  });
+
+  // Open follow-ups for the employee linked to the logged-in user, soonest first
+  router.get('/follow-ups/mine', authenticateToken, requirePermission(db, 'crm.view'), async (req, res) => {
+    try {
+      if (!req.user.employeeId) {
+        return res.status(400).json({ error: 'Your login is not linked to an employee' });
+      }
+
+      const rows = await db.select('follow_ups', {
+        where: { employee_id: req.user.employeeId, status: 'open' },
+        orderBy: { column: 'due_at', ascending: true }
+      });
+
+      const now = new Date().toISOString();
+      const endOfToday = new Date();
+      endOfToday.setHours(23, 59, 59, 999);
+
+      const data = (await withNames(db, rows)).map(row => toFollowUp(row, now));
+      res.json({
+        data,
+        overdue: data.filter(f => f.overdue).length,
+        due_today: data.filter(f => !f.overdue && f.due_at <= endOfToday.toISOString()).length
+      });
+    } catch (err) {
+      console.error('Error fetching my follow-ups:', err);
+      res.status(500).json({ error: err.message || 'Failed to fetch follow-ups' });
+    }
+  });
+
+  router.post('/follow-ups', authenticateToken, requirePermission(db, 'follow_ups.manage'), async (req, res) => {
+    try {
+      const { company_id, employee_id, activity_id, due_at, notes } = req.body;
+
+      if (!company_id || !isValidDate(due_at)) {
+        return res.status(400).json({ error: 'company_id and a valid due_at are required' });
+      }
+
+      const followUp = await db.insert('follow_ups', {
+        company_id,
+        employee_id: employee_id || req.user.employeeId || null,
+        activity_id: activity_id || null,
+        due_at: new Date(due_at).toISOString(),
+        notes: notes || null,
+        created_by: req.user.id
+      });
+
+      res.status(201).json({ message: 'Follow-up created', id: followUp.id });
+    } catch (err) {
+      if (err.code === 'foreign_key_violation') {
+        return res.status(400).json({ error: 'Unknown company, employee or activity' });
+      }
+      console.error('Error creating follow-up:', err);
+      res.status(500).json({ error: err.message || 'Failed to create follow-up' });
+    }
+  });
+
+  router.put('/follow-ups/:id', authenticateToken, requirePermission(db, 'follow_ups.manage'), async (req, res) => {
+    try {
+      const { due_at, notes, status } = req.body;
+
+      if (due_at !== undefined && !isValidDate(due_at)) {
+        return res.status(400).json({ error: 'Invalid due_at' });
+      }
+      if (status !== undefined && !STATUSES.includes(status)) {
+        return res.status(400).json({ error: `status must be one of: ${STATUSES.join(', ')}` });
+      }
+
+      await updateFollowUp(res, req.params.id, {
+        due_at: due_at && new Date(due_at).toISOString(),
+        notes,
+        status,
+        completed_at: status && (status === 'done' ? new Date().toISOString() : null)
+      }, 'Follow-up updated');
+    } catch (err) {
+      console.error('Error updating follow-up:', err);
+      res.status(500).json({ error: err.message || 'Failed to update follow-up' });
+    }
+  });
+
+  router.post('/follow-ups/:id/complete', authenticateToken, requirePermission(db, 'follow_ups.manage'), async (req, res) => {
+    try {
+      await updateFollowUp(res, req.params.id, {
+        status: 'done',
+        completed_at: new Date().toISOString(),
+        notes: req.body.notes
+      }, 'Follow-up completed');
+    } catch (err) {
+      console.error('Error completing follow-up:', err);
+      res.status(500).json({ error: err.message || 'Failed to complete follow-up' });
+    }
+  });
+
+  // { until } moves the due date to that time; { days } (default 1) pushes it
+  // that many days from now
+  router.post('/follow-ups/:id/snooze', authenticateToken, requirePermission(db, 'follow_ups.manage'), async (req, res) => {
+    try {
+      const { until, days } = req.body;
+
+      let dueAt;
+      if (until !== undefined) {
+        if (!isValidDate(until)) {
+          return res.status(400).json({ error: 'Invalid until date' });
+        }
+        dueAt = new Date(until);
+      } else {
+        const snoozeDays = days === undefined ? 1 : Number(days);
+        if (!(snoozeDays > 0)) {
+          return res.status(400).json({ error: 'days must be a positive number' });
+        }
+        dueAt = new Date(Date.now() + snoozeDays * DAY_MS);
+      }
+
+      await updateFollowUp(res, req.params.id, { due_at: dueAt.toISOString(), status: 'open', completed_at: null }, 'Follow-up snoozed');
+    } catch (err) {
+      console.error('Error snoozing follow-up:', err);
+      res.status(500).json({ error: err.message || 'Failed to snooze follow-up' });
+    }
+  });
+
+  router.post('/follow-ups/:id/reassign', authenticateToken, requirePermission(db, 'follow_ups.manage'), async (req, res) => {
+    try {
+      const { employee_id } = req.body;
+
+      const employee = employee_id && await db.first('employees', { columns: ['id'], where: { id: employee_id } });
+      if (!employee) {
+        return res.status(400).json({ error: 'A valid employee_id is required' });
+      }
+
+      await updateFollowUp(res, req.params.id, { employee_id }, 'Follow-up reassigned');
+    } catch (err) {
+      console.error('Error reassigning follow-up:', err);
+      res.status(500).json({ error: err.message || 'Failed to reassign follow-up' });
+    }
+  });
+
+  router.delete('/follow-ups/:id', authenticateToken, requirePermission(db, 'follow_ups.manage'), async (req, res) => {
+    try {
+      const deleted = await db.remove('follow_ups', { id: req.params.id });
+
+      if (deleted === 0) {
+        return res.status(404).json({ error: 'Follow-up not found' });
+      }
+
+      res.json({ message: 'Follow-up deleted' });
+    } catch (err) {
+      console.error('Error deleting follow-up:', err);
+      res.status(500).json({ error: err.message || 'Failed to delete follow-up' });
+    }
+  });
+
+  return router;
+};
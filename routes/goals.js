@@ -0,0 +1,112 @@
+const express = require('express');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { logActivity } = require('../lib/activity-log');
+const { EMPLOYEE_NAME, attachLookups } = require('../lib/lookups');
+const { parseReportQuery } = require('../lib/reports');
+const { GOAL_PERIODS, TARGETS, validateGoals, toTarget, goalProgress } = require('../lib/goals');
+
+// ============================================
+// GOAL ROUTES
+// ============================================
+
+module.exports = (db) => {
+  const router = express.Router();
+
+  // Every goal set, with its employee's name
+  router.get('/goals', authenticateToken, requirePermission(db, 'crm.view'), async (req, res) => {
+    try {
+      const goals = await db.select('goals', { orderBy: { column: 'employee_id', ascending: true } });
+      res.json(await attachLookups(db, goals, [EMPLOYEE_NAME]));
+    } catch (err) {
+      console.error('Error fetching goals:', err);
+      res.status(500).json({ error: err.message || 'Failed to fetch goals' });
+    }
+  });
+
+  // Body: { day?: { calls_target, conversions_target }, week?: { ... } }.
+  // A period with both targets empty has its goal removed.
+  router.put('/goals/:employeeId', authenticateToken, requirePermission(db, 'goals.manage'), async (req, res) => {
+    try {
+      const employee = await db.first('employees', { columns: ['id', 'name'], where: { id: req.params.employeeId } });
+      if (!employee) {
+        return res.status(404).json({ error: 'Employee not found' });
+      }
+
+      const problem = validateGoals(req.body);
+      if (problem) {
+        return res.status(400).json({ error: problem });
+      }
+
+      for (const [period, targets] of Object.entries(req.body)) {
+        const values = Object.fromEntries(Object.keys(TARGETS).map(column => [column, toTarget(targets[column])]));
+        if (Object.values(values).every(value => value === null)) {
+          await db.remove('goals', { employee_id: employee.id, period });
+        } else {
+          await db.upsert('goals', {
+            employee_id: employee.id,
+            period,
+            ...values,
+            updated_by: req.user.id,
+            updated_at: new Date().toISOString()
+          }, { onConflict: 'employee_id,period' });
+        }
+      }
+
+      await logActivity(db, req.user.id, 'UPDATE', 'goal', employee.id, `Updated goals for ${employee.name}`);
+      res.json(await db.select('goals', { where: { employee_id: employee.id } }));
+    } catch (err) {
+      console.error('Error saving goals:', err);
+      res.status(500).json({ error: err.message || 'Failed to save goals' });
+    }
+  });
+
+  // The leaderboard for ?period=day|week (the current one, in the caller's
+  // time given by ?utc_offset=); see goalProgress in lib/goals.js
+  router.get('/goals/progress', authenticateToken, requirePermission(db, 'crm.view'), async (req, res) => {
+    try {
+      const period = req.query.period || 'week';
+      if (!GOAL_PERIODS.includes(period)) {
+        return res.status(400).json({ error: `period must be one of: ${GOAL_PERIODS.join(', ')}` });
+      }
+      const { problem, utcOffset } = parseReportQuery({ utc_offset: req.query.utc_offset });
+      if (problem) {
+        return res.status(400).json({ error: problem });
+      }
+
+      res.json(await goalProgress(db, period, { utcOffset }));
+    } catch (err) {
+      console.error('Error fetching goal progress:', err);
+      res.status(500).json({ error: err.message || 'Failed to fetch goal progress' });
+    }
+  });
+
+  // The signed-in rep's progress today and this week, with where they stand:
+  // { employee_id, day: { ...entry, out_of }, week: { ... } }. Both are null
+  // for users without an employee record.
+  router.get('/goals/mine', authenticateToken, requirePermission(db, 'crm.view'), async (req, res) => {
+    try {
+      const { problem, utcOffset } = parseReportQuery({ utc_offset: req.query.utc_offset });
+      if (problem) {
+        return res.status(400).json({ error: problem });
+      }
+
+      const employeeId = req.user.employeeId || null;
+      const mine = { employee_id: employeeId };
+      for (const period of GOAL_PERIODS) {
+        if (!employeeId) {
+          mine[period] = null;
+          continue;
+        }
+        const { employees } = await goalProgress(db, period, { utcOffset });
+        const entry = employees.find(e => String(e.employee_id) === String(employeeId));
+        mine[period] = entry ? { ...entry, out_of: employees.length } : null;
+      }
+      res.json(mine);
+    } catch (err) {
+      console.error('Error fetching my goals:', err);
+      res.status(500).json({ error: err.message || 'Failed to fetch goals' });
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,66 @@
+const express = require('express');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { logActivity } = require('../lib/activity-log');
+const { parseCsv } = require('../lib/csv');
+const { IMPORT_FIELDS, guessMapping, validateMapping, planImport, applyImport, summarize } = require('../lib/company-import');
+
+// ============================================
+// IMPORT ROUTES
+// ============================================
+
+const DUPLICATE_MODES = ['skip', 'merge'];
+
+module.exports = (db) => {
+  const router = express.Router();
+
+  // Body: { csv, filename?, mapping?: { "CSV header": field }, on_duplicate:
+  // 'skip' | 'merge', dry_run }. Without a mapping the headers are matched to
+  // fields by name. A dry run answers with every planned row so the mapping
+  // can be checked, or with mapping_error while the mapping is unusable; a
+  // real run answers with the summary and the failed rows.
+  router.post('/import/companies', authenticateToken, requirePermission(db, 'data.import'), async (req, res) => {
+    try {
+      const { csv, filename, dry_run } = req.body;
+      const onDuplicate = req.body.on_duplicate || 'skip';
+
+      if (typeof csv !== 'string' || !csv.trim()) {
+        return res.status(400).json({ error: 'csv is required' });
+      }
+      if (!DUPLICATE_MODES.includes(onDuplicate)) {
+        return res.status(400).json({ error: `on_duplicate must be one of: ${DUPLICATE_MODES.join(', ')}` });
+      }
+
+      const [headers, ...lines] = parseCsv(csv).map(row => row.map(cell => cell.trim()));
+      if (!headers || lines.length === 0) {
+        return res.status(400).json({ error: 'The CSV needs a header row and at least one company' });
+      }
+
+      const mapping = req.body.mapping || guessMapping(headers);
+      const problem = validateMapping(headers, mapping);
+      if (problem && dry_run) {
+        return res.json({ dry_run: true, headers, mapping, fields: IMPORT_FIELDS, mapping_error: problem, summary: null, rows: [] });
+      }
+      if (problem) {
+        return res.status(400).json({ error: problem });
+      }
+
+      const plan = await planImport(db, headers, lines, mapping, { onDuplicate });
+      if (dry_run) {
+        return res.json({ dry_run: true, headers, mapping, fields: IMPORT_FIELDS, summary: summarize(plan), rows: plan });
+      }
+
+      await applyImport(db, plan);
+      const summary = summarize(plan);
+
+      await logActivity(db, req.user.id, 'IMPORT', 'companies', null,
+        `Imported ${filename || 'CSV'}: ${summary.create} created, ${summary.merge} merged, ` +
+        `${summary.skip} skipped, ${summary.error} failed of ${summary.total} rows`);
+      res.json({ dry_run: false, summary, rows: plan.filter(row => row.action === 'error') });
+    } catch (err) {
+      console.error('Error importing companies:', err);
+      res.status(500).json({ error: err.message || 'Failed to import companies' });
+    }
+  });
+
+  return router;
+};
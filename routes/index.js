@@ -0,0 +1,36 @@
+const express = require('express');
+
+// Every route module is a factory taking the storage adapter
+const ROUTES = [
+  require('./auth'),
+  require('./users'),
+  require('./invitations'),
+  require('./exports'),
+  require('./imports'),
+  require('./settings'),
+  require('./companies'),
+  require('./contacts'),
+  require('./employees'),
+  require('./activities'),
+  require('./outcomes'),
+  require('./follow-ups'),
+  require('./deals'),
+  require('./pipeline'),
+  require('./estimates'),
+  require('./products'),
+  require('./documents'),
+  require('./email'),
+  require('./campaigns'),
+  require('./segments'),
+  require('./goals'),
+  require('./territories'),
+  require('./stats')
+];
+
+module.exports = (db) => {
+  const router = express.Router();
+  for (const createRoutes of ROUTES) {
+    router.use(createRoutes(db));
+  }
+  return router;
+};
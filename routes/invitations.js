@@ -0,0 +1,108 @@
+const express = require('express');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { logActivity } = require('../lib/activity-log');
+const { EMPLOYEE_NAME, USERNAME, attachLookups } = require('../lib/lookups');
+const { mailConfigured } = require('../lib/mailer');
+const {
+  validateInvitation, invitationStatus, createInvitation, inviteUrl, sendInviteEmail
+} = require('../lib/invitations');
+
+// ============================================
+// INVITATION ROUTES
+// ============================================
+// Accepting an invitation is in routes/auth.js
+
+const CREATED_BY_NAME = { table: 'users', key: 'created_by', fields: { name: 'created_by_name' } };
+
+module.exports = (db) => {
+  const router = express.Router();
+
+  // Every invitation, newest first, with its status (see invitationStatus)
+  router.get('/invitations', authenticateToken, requirePermission(db, 'users.manage'), async (req, res) => {
+    try {
+      const rows = await db.select('invitations', {
+        columns: ['id', 'email', 'name', 'role', 'employee_id', 'expires_at', 'accepted_at', 'user_id', 'revoked_at', 'created_by', 'created_at'],
+        orderBy: { column: 'created_at', ascending: false }
+      });
+      const invitations = await attachLookups(db, rows, [EMPLOYEE_NAME, CREATED_BY_NAME, USERNAME]);
+      res.json(invitations.map(invitation => ({ ...invitation, status: invitationStatus(invitation) })));
+    } catch (err) {
+      console.error('Error fetching invitations:', err);
+      res.status(500).json({ error: err.message || 'Failed to fetch invitations' });
+    }
+  });
+
+  // Body: { role, email?, name?, employee_id?, days? }. Answers 201 with the
+  // invitation and its token, which is never shown again; the invitation is
+  // emailed too when it has an address and mail and APP_URL are set up.
+  router.post('/invitations', authenticateToken, requirePermission(db, 'users.manage'), async (req, res) => {
+    try {
+      const problem = validateInvitation(req.body);
+      if (problem) {
+        return res.status(400).json({ error: problem });
+      }
+
+      if (req.body.employee_id) {
+        const employee = await db.first('employees', { columns: ['id', 'name', 'user_id'], where: { id: req.body.employee_id } });
+        if (!employee) {
+          return res.status(400).json({ error: 'Employee not found' });
+        }
+        if (employee.user_id) {
+          return res.status(400).json({ error: `${employee.name} already has a login` });
+        }
+      }
+
+      const { invitation, token } = await createInvitation(db, req.body, { createdBy: req.user.id });
+
+      let emailed = false;
+      let emailProblem = null;
+      if (invitation.email) {
+        if (!mailConfigured() || !inviteUrl(token)) {
+          emailProblem = 'Email and APP_URL must be set up to email invitations; send the link yourself.';
+        } else {
+          try {
+            const inviter = await db.first('users', { columns: ['name'], where: { id: req.user.id } });
+            await sendInviteEmail(invitation, token, inviter ? inviter.name : 'An admin');
+            emailed = true;
+          } catch (err) {
+            emailProblem = err.message;
+          }
+        }
+      }
+
+      await logActivity(db, req.user.id, 'CREATE', 'invitation', invitation.id,
+        `Invited ${invitation.email || invitation.name || 'someone'} as ${invitation.role}`);
+      const { token_hash, ...shown } = invitation;
+      const [saved] = await attachLookups(db, [shown], [EMPLOYEE_NAME, CREATED_BY_NAME, USERNAME]);
+      res.status(201).json({
+        invitation: { ...saved, status: invitationStatus(saved) },
+        token,
+        emailed,
+        email_problem: emailProblem
+      });
+    } catch (err) {
+      console.error('Error creating invitation:', err);
+      res.status(500).json({ error: err.message || 'Failed to create invitation' });
+    }
+  });
+
+  // Withdraw a pending invitation so its link stops working
+  router.delete('/invitations/:id', authenticateToken, requirePermission(db, 'users.manage'), async (req, res) => {
+    try {
+      const revoked = await db.update('invitations',
+        { id: req.params.id, accepted_at: null, revoked_at: null },
+        { revoked_at: new Date().toISOString() });
+      if (!revoked) {
+        return res.status(404).json({ error: 'No pending invitation with that id' });
+      }
+
+      await logActivity(db, req.user.id, 'DELETE', 'invitation', req.params.id, 'Withdrew an invitation');
+      res.json({ message: 'Invitation withdrawn' });
+    } catch (err) {
+      console.error('Error withdrawing invitation:', err);
+      res.status(500).json({ error: err.message || 'Failed to withdraw invitation' });
+    }
+  });
+
+  return router;
+};
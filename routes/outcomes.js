@@ -0,0 +1,209 @@
+const express = require('express');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { logActivity } = require('../lib/activity-log');
+const { parseBoolean, dateRange, singleValueProblem } = require('../lib/query');
+const { toOutcome, listOutcomes } = require('../lib/outcomes');
+const { ACTIVITY_TYPES } = require('../lib/activity-types');
+
+// ============================================
+// ACTIVITY OUTCOME ROUTES
+// ============================================
+
+// Editable fields; anything missing from the body is left as it is
+const outcomeFields = (body) => ({
+  name: body.name === undefined ? undefined : String(body.name).trim(),
+  activity_type: body.activity_type === undefined ? undefined : body.activity_type || null,
+  active: body.active === undefined ? undefined : (body.active ? 1 : 0)
+});
+
+// Returns an error message, or null when the body is acceptable
+const validateOutcome = (body) => {
+  if (body.name !== undefined && !String(body.name).trim()) {
+    return 'Outcome name is required';
+  }
+  if (body.activity_type && !ACTIVITY_TYPES[body.activity_type]) {
+    return `activity_type must be one of: ${Object.keys(ACTIVITY_TYPES).join(', ')}`;
+  }
+  return null;
+};
+
+module.exports = (db) => {
+  const router = express.Router();
+
+  // ?activity_type= keeps the outcomes an activity of that type can record;
+  // ?active=true leaves out retired ones
+  router.get('/outcomes', authenticateToken, requirePermission(db, 'crm.view'), async (req, res) => {
+    try {
+      const problem = singleValueProblem(req.query, ['activity_type', 'active']);
+      if (problem) {
+        return res.status(400).json({ error: problem });
+      }
+      res.json(await listOutcomes(db, {
+        activityType: req.query.activity_type || undefined,
+        activeOnly: parseBoolean(req.query.active) === true
+      }));
+    } catch (err) {
+      console.error('Error fetching outcomes:', err);
+      res.status(500).json({ error: err.message || 'Failed to fetch outcomes' });
+    }
+  });
+
+  // How often each outcome was recorded, overall and per employee.
+  // ?from=&to= (on the activity date), ?employee_id=, ?type=
+  router.get('/outcomes/report', authenticateToken, requirePermission(db, 'crm.view'), async (req, res) => {
+    try {
+      const problem = singleValueProblem(req.query, ['employee_id', 'type', 'from', 'to']);
+      if (problem) {
+        return res.status(400).json({ error: problem });
+      }
+      const [outcomes, activities, links, employees] = await Promise.all([
+        listOutcomes(db),
+        db.select('activities', {
+          columns: ['id', 'employee_id'],
+          where: {
+            employee_id: req.query.employee_id || undefined,
+            type: req.query.type || undefined,
+            date: dateRange(req.query.from, req.query.to)
+          }
+        }),
+        db.select('activity_outcomes'),
+        db.select('employees', { columns: ['id', 'name'] })
+      ]);
+
+      const employeeOf = new Map(activities.map(activity => [activity.id, activity.employee_id]));
+      const counts = new Map();
+      const byEmployee = new Map();
+      for (const link of links) {
+        if (!employeeOf.has(link.activity_id)) continue;
+        const outcomeId = String(link.outcome_id);
+        counts.set(outcomeId, (counts.get(outcomeId) || 0) + 1);
+
+        const employeeId = employeeOf.get(link.activity_id);
+        if (!byEmployee.has(employeeId)) byEmployee.set(employeeId, {});
+        const row = byEmployee.get(employeeId);
+        row[outcomeId] = (row[outcomeId] || 0) + 1;
+      }
+
+      res.json({
+        total_activities: activities.length,
+        outcomes: outcomes.map(outcome => ({
+          id: outcome.id,
+          name: outcome.name,
+          active: outcome.active,
+          count: counts.get(String(outcome.id)) || 0
+        })),
+        by_employee: [...byEmployee.entries()].map(([employeeId, row]) => ({
+          employee_id: employeeId,
+          employee_name: (employees.find(e => e.id === employeeId) || {}).name || null,
+          counts: row
+        }))
+      });
+    } catch (err) {
+      console.error('Error fetching outcome report:', err);
+      res.status(500).json({ error: err.message || 'Failed to fetch outcome report' });
+    }
+  });
+
+  router.post('/outcomes', authenticateToken, requirePermission(db, 'outcomes.configure'), async (req, res) => {
+    try {
+      const problem = validateOutcome({ name: '', ...req.body });
+      if (problem) {
+        return res.status(400).json({ error: problem });
+      }
+      const fields = outcomeFields(req.body);
+
+      const [last] = await db.select('outcomes', {
+        columns: ['position'],
+        orderBy: { column: 'position', ascending: false },
+        limit: 1
+      });
+
+      const outcome = await db.insert('outcomes', { ...fields, position: (last ? last.position : 0) + 1 });
+
+      await logActivity(db, req.user.id, 'CREATE', 'outcome', outcome.id, `Created outcome: ${outcome.name}`);
+      res.status(201).json(toOutcome(outcome));
+    } catch (err) {
+      if (err.code === 'unique_violation') {
+        return res.status(400).json({ error: 'An outcome with that name already exists' });
+      }
+      console.error('Error creating outcome:', err);
+      res.status(500).json({ error: err.message || 'Failed to create outcome' });
+    }
+  });
+
+  // { ids: [...] } lists every outcome in its new order
+  router.put('/outcomes/order', authenticateToken, requirePermission(db, 'outcomes.configure'), async (req, res) => {
+    try {
+      const { ids } = req.body;
+      const outcomes = await listOutcomes(db);
+
+      const sameOutcomes = Array.isArray(ids) && ids.length === outcomes.length &&
+        outcomes.every(outcome => ids.map(String).includes(String(outcome.id)));
+      if (!sameOutcomes) {
+        return res.status(400).json({ error: 'ids must list every outcome exactly once' });
+      }
+
+      for (const [index, id] of ids.entries()) {
+        await db.update('outcomes', { id }, { position: index + 1 });
+      }
+
+      await logActivity(db, req.user.id, 'UPDATE', 'outcome', null, 'Reordered outcomes');
+      res.json(await listOutcomes(db));
+    } catch (err) {
+      console.error('Error reordering outcomes:', err);
+      res.status(500).json({ error: err.message || 'Failed to reorder outcomes' });
+    }
+  });
+
+  // Renaming an outcome renames it on every activity that recorded it
+  router.put('/outcomes/:id', authenticateToken, requirePermission(db, 'outcomes.configure'), async (req, res) => {
+    try {
+      const problem = validateOutcome(req.body);
+      if (problem) {
+        return res.status(400).json({ error: problem });
+      }
+      const fields = outcomeFields(req.body);
+
+      const changed = await db.update('outcomes', { id: req.params.id }, fields);
+      if (changed === 0) {
+        return res.status(404).json({ error: 'Outcome not found' });
+      }
+
+      const outcome = toOutcome(await db.first('outcomes', { where: { id: req.params.id } }));
+      await logActivity(db, req.user.id, 'UPDATE', 'outcome', outcome.id, `Updated outcome: ${outcome.name}`);
+      res.json(outcome);
+    } catch (err) {
+      if (err.code === 'unique_violation') {
+        return res.status(400).json({ error: 'An outcome with that name already exists' });
+      }
+      console.error('Error updating outcome:', err);
+      res.status(500).json({ error: err.message || 'Failed to update outcome' });
+    }
+  });
+
+  // Outcomes already recorded on activities can only be retired (active:
+  // false), so past activities and reports keep them
+  router.delete('/outcomes/:id', authenticateToken, requirePermission(db, 'outcomes.configure'), async (req, res) => {
+    try {
+      const used = await db.count('activity_outcomes', { where: { outcome_id: req.params.id } });
+      if (used > 0) {
+        return res.status(400).json({ error: `${used} ${used === 1 ? 'activity' : 'activities'} recorded this outcome; retire it instead of deleting it` });
+      }
+
+      const outcome = await db.first('outcomes', { where: { id: req.params.id } });
+      if (!outcome) {
+        return res.status(404).json({ error: 'Outcome not found' });
+      }
+
+      await db.remove('outcomes', { id: req.params.id });
+
+      await logActivity(db, req.user.id, 'DELETE', 'outcome', req.params.id, `Deleted outcome: ${outcome.name}`);
+      res.json({ message: 'Outcome deleted' });
+    } catch (err) {
+      console.error('Error deleting outcome:', err);
+      res.status(500).json({ error: err.message || 'Failed to delete outcome' });
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,202 @@
+const express = require('express');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { logActivity } = require('../lib/activity-log');
+const { COMPANY_NAME, EMPLOYEE_NAME, attachLookups } = require('../lib/lookups');
+const { singleValueProblem } = require('../lib/query');
+const { loadCallScript } = require('../lib/call-script');
+const { toDeal } = require('./deals');
+
+// ============================================
+// PIPELINE ROUTES (stages, board, products)
+// ============================================
+
+// A stage either keeps a deal open (null) or closes it as won or lost
+const OUTCOMES = [null, 'won', 'lost'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const normalizeOutcome = (outcome) => outcome || null;
+
+module.exports = (db) => {
+  const router = express.Router();
+
+  const listStages = () => db.select('pipeline_stages', {
+    orderBy: [{ column: 'position', ascending: true }, { column: 'id', ascending: true }]
+  });
+
+  // Every stage with its deals and totals. Closed deals only show for
+  // ?closed_days= (default 90) so the Won and Lost columns stay readable.
+  router.get('/pipeline', authenticateToken, requirePermission(db, 'crm.view'), async (req, res) => {
+    try {
+      const problem = singleValueProblem(req.query, ['employee_id']);
+      if (problem) {
+        return res.status(400).json({ error: problem });
+      }
+      const closedDays = Math.max(parseInt(req.query.closed_days) || 90, 1);
+      const closedSince = new Date(Date.now() - closedDays * DAY_MS).toISOString();
+
+      const [stages, rows] = await Promise.all([
+        listStages(),
+        db.select('deals', {
+          where: {
+            employee_id: req.query.employee_id || undefined,
+            or: [{ closed_at: null }, { closed_at: { gte: closedSince } }]
+          },
+          orderBy: { column: 'updated_at', ascending: false }
+        })
+      ]);
+
+      const deals = (await attachLookups(db, rows, [COMPANY_NAME, EMPLOYEE_NAME])).map(toDeal);
+      const columns = stages.map(stage => {
+        const stageDeals = deals.filter(deal => String(deal.stage_id) === String(stage.id));
+        return {
+          ...stage,
+          deals: stageDeals,
+          count: stageDeals.length,
+          total_value: stageDeals.reduce((sum, deal) => sum + deal.value, 0)
+        };
+      });
+
+      const valueWhere = (outcome) => columns
+        .filter(column => column.outcome === outcome)
+        .reduce((sum, column) => sum + column.total_value, 0);
+
+      res.json({
+        stages: columns,
+        open_value: valueWhere(null),
+        won_value: valueWhere('won'),
+        closed_days: closedDays
+      });
+    } catch (err) {
+      console.error('Error fetching pipeline:', err);
+      res.status(500).json({ error: err.message || 'Failed to fetch pipeline' });
+    }
+  });
+
+  // Product lines a deal can include, taken from the call script
+  router.get('/pipeline/products', authenticateToken, requirePermission(db, 'crm.view'), async (req, res) => {
+    try {
+      const script = await loadCallScript(db);
+      res.json((script.products || []).map(product => product.name));
+    } catch (err) {
+      console.error('Error fetching pipeline products:', err);
+      res.status(500).json({ error: err.message || 'Failed to fetch products' });
+    }
+  });
+
+  router.get('/pipeline/stages', authenticateToken, requirePermission(db, 'crm.view'), async (req, res) => {
+    try {
+      res.json(await listStages());
+    } catch (err) {
+      console.error('Error fetching pipeline stages:', err);
+      res.status(500).json({ error: err.message || 'Failed to fetch pipeline stages' });
+    }
+  });
+
+  router.post('/pipeline/stages', authenticateToken, requirePermission(db, 'pipeline.configure'), async (req, res) => {
+    try {
+      const name = String(req.body.name || '').trim();
+      const outcome = normalizeOutcome(req.body.outcome);
+
+      if (!name) {
+        return res.status(400).json({ error: 'Stage name is required' });
+      }
+      if (!OUTCOMES.includes(outcome)) {
+        return res.status(400).json({ error: 'outcome must be won, lost or empty' });
+      }
+
+      const [last] = await db.select('pipeline_stages', {
+        columns: ['position'],
+        orderBy: { column: 'position', ascending: false },
+        limit: 1
+      });
+
+      const stage = await db.insert('pipeline_stages', { name, outcome, position: (last ? last.position : 0) + 1 });
+
+      await logActivity(db, req.user.id, 'CREATE', 'pipeline_stage', stage.id, `Created pipeline stage: ${name}`);
+      res.status(201).json(stage);
+    } catch (err) {
+      if (err.code === 'unique_violation') {
+        return res.status(400).json({ error: 'A stage with that name already exists' });
+      }
+      console.error('Error creating pipeline stage:', err);
+      res.status(500).json({ error: err.message || 'Failed to create pipeline stage' });
+    }
+  });
+
+  // { ids: [...] } lists every stage in its new order
+  router.put('/pipeline/stages/order', authenticateToken, requirePermission(db, 'pipeline.configure'), async (req, res) => {
+    try {
+      const { ids } = req.body;
+      const stages = await listStages();
+
+      const sameStages = Array.isArray(ids) && ids.length === stages.length &&
+        stages.every(stage => ids.map(String).includes(String(stage.id)));
+      if (!sameStages) {
+        return res.status(400).json({ error: 'ids must list every stage exactly once' });
+      }
+
+      for (const [index, id] of ids.entries()) {
+        await db.update('pipeline_stages', { id }, { position: index + 1 });
+      }
+
+      await logActivity(db, req.user.id, 'UPDATE', 'pipeline_stage', null, 'Reordered pipeline stages');
+      res.json(await listStages());
+    } catch (err) {
+      console.error('Error reordering pipeline stages:', err);
+      res.status(500).json({ error: err.message || 'Failed to reorder pipeline stages' });
+    }
+  });
+
+  router.put('/pipeline/stages/:id', authenticateToken, requirePermission(db, 'pipeline.configure'), async (req, res) => {
+    try {
+      const name = req.body.name === undefined ? undefined : String(req.body.name).trim();
+      const outcome = req.body.outcome === undefined ? undefined : normalizeOutcome(req.body.outcome);
+
+      if (name === '') {
+        return res.status(400).json({ error: 'Stage name is required' });
+      }
+      if (outcome !== undefined && !OUTCOMES.includes(outcome)) {
+        return res.status(400).json({ error: 'outcome must be won, lost or empty' });
+      }
+
+      const changed = await db.update('pipeline_stages', { id: req.params.id }, { name, outcome });
+      if (changed === 0) {
+        return res.status(404).json({ error: 'Pipeline stage not found' });
+      }
+
+      await logActivity(db, req.user.id, 'UPDATE', 'pipeline_stage', req.params.id, `Updated pipeline stage: ${name || req.params.id}`);
+      res.json(await db.first('pipeline_stages', { where: { id: req.params.id } }));
+    } catch (err) {
+      if (err.code === 'unique_violation') {
+        return res.status(400).json({ error: 'A stage with that name already exists' });
+      }
+      console.error('Error updating pipeline stage:', err);
+      res.status(500).json({ error: err.message || 'Failed to update pipeline stage' });
+    }
+  });
+
+  // Stages that still hold deals can't be deleted; move the deals first
+  router.delete('/pipeline/stages/:id', authenticateToken, requirePermission(db, 'pipeline.configure'), async (req, res) => {
+    try {
+      const dealCount = await db.count('deals', { where: { stage_id: req.params.id } });
+      if (dealCount > 0) {
+        return res.status(400).json({ error: `Move the ${dealCount} deal(s) in this stage before deleting it` });
+      }
+
+      const stage = await db.first('pipeline_stages', { where: { id: req.params.id } });
+      if (!stage) {
+        return res.status(404).json({ error: 'Pipeline stage not found' });
+      }
+
+      await db.remove('pipeline_stages', { id: req.params.id });
+
+      await logActivity(db, req.user.id, 'DELETE', 'pipeline_stage', req.params.id, `Deleted pipeline stage: ${stage.name}`);
+      res.json({ message: 'Pipeline stage deleted' });
+    } catch (err) {
+      console.error('Error deleting pipeline stage:', err);
+      res.status(500).json({ error: err.message || 'Failed to delete pipeline stage' });
+    }
+  });
+
+  return router;
+};
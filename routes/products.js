@@ -0,0 +1,130 @@
+const express = require('express');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { logActivity } = require('../lib/activity-log');
+const { parseBoolean } = require('../lib/query');
+const { toProduct } = require('../lib/estimates');
+
+// ============================================
+// PRODUCT CATALOG ROUTES
+// ============================================
+
+const PRICE_FIELDS = ['price_per_foot', 'gate_price', 'post_price'];
+
+// Editable fields; anything missing from the body is left as it is
+const productFields = (body) => {
+  const fields = {
+    name: body.name === undefined ? undefined : String(body.name).trim(),
+    description: body.description === undefined ? undefined : String(body.description || '').trim() || null,
+    active: body.active === undefined ? undefined : (body.active ? 1 : 0)
+  };
+  for (const field of PRICE_FIELDS) {
+    fields[field] = body[field] === undefined ? undefined : Number(body[field]) || 0;
+  }
+  return fields;
+};
+
+// Returns an error message, or null when the body is acceptable
+const validateProduct = (body) => {
+  if (body.name !== undefined && !String(body.name).trim()) {
+    return 'Product name is required';
+  }
+  for (const field of PRICE_FIELDS) {
+    const value = body[field];
+    if (value !== undefined && value !== null && value !== '' && !(Number(value) >= 0)) {
+      return `${field} must be a number of zero or more`;
+    }
+  }
+  return null;
+};
+
+module.exports = (db) => {
+  const router = express.Router();
+
+  // ?active=true leaves out retired products
+  router.get('/products', authenticateToken, requirePermission(db, 'crm.view'), async (req, res) => {
+    try {
+      const rows = await db.select('products', {
+        where: { active: parseBoolean(req.query.active) === true ? 1 : undefined },
+        orderBy: [{ column: 'position', ascending: true }, { column: 'name', ascending: true }]
+      });
+      res.json(rows.map(toProduct));
+    } catch (err) {
+      console.error('Error fetching products:', err);
+      res.status(500).json({ error: err.message || 'Failed to fetch products' });
+    }
+  });
+
+  router.post('/products', authenticateToken, requirePermission(db, 'products.manage'), async (req, res) => {
+    try {
+      const problem = validateProduct({ name: '', ...req.body });
+      if (problem) {
+        return res.status(400).json({ error: problem });
+      }
+
+      const [last] = await db.select('products', {
+        columns: ['position'],
+        orderBy: { column: 'position', ascending: false },
+        limit: 1
+      });
+
+      const product = await db.insert('products', { ...productFields(req.body), position: (last ? last.position : 0) + 1 });
+
+      await logActivity(db, req.user.id, 'CREATE', 'product', product.id, `Created product: ${product.name}`);
+      res.status(201).json(toProduct(product));
+    } catch (err) {
+      if (err.code === 'unique_violation') {
+        return res.status(400).json({ error: 'A product with that name already exists' });
+      }
+      console.error('Error creating product:', err);
+      res.status(500).json({ error: err.message || 'Failed to create product' });
+    }
+  });
+
+  // Price changes apply to new line items; existing estimates keep theirs
+  router.put('/products/:id', authenticateToken, requirePermission(db, 'products.manage'), async (req, res) => {
+    try {
+      const problem = validateProduct(req.body);
+      if (problem) {
+        return res.status(400).json({ error: problem });
+      }
+
+      const changed = await db.update('products', { id: req.params.id }, {
+        ...productFields(req.body),
+        updated_at: new Date().toISOString()
+      });
+      if (changed === 0) {
+        return res.status(404).json({ error: 'Product not found' });
+      }
+
+      const product = toProduct(await db.first('products', { where: { id: req.params.id } }));
+      await logActivity(db, req.user.id, 'UPDATE', 'product', product.id, `Updated product: ${product.name}`);
+      res.json(product);
+    } catch (err) {
+      if (err.code === 'unique_violation') {
+        return res.status(400).json({ error: 'A product with that name already exists' });
+      }
+      console.error('Error updating product:', err);
+      res.status(500).json({ error: err.message || 'Failed to update product' });
+    }
+  });
+
+  // Line items keep the product's name after it is deleted
+  router.delete('/products/:id', authenticateToken, requirePermission(db, 'products.manage'), async (req, res) => {
+    try {
+      const product = await db.first('products', { where: { id: req.params.id } });
+      if (!product) {
+        return res.status(404).json({ error: 'Product not found' });
+      }
+
+      await db.remove('products', { id: req.params.id });
+
+      await logActivity(db, req.user.id, 'DELETE', 'product', req.params.id, `Deleted product: ${product.name}`);
+      res.json({ message: 'Product deleted' });
+    } catch (err) {
+      console.error('Error deleting product:', err);
+      res.status(500).json({ error: err.message || 'Failed to delete product' });
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,145 @@
+const express = require('express');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { logActivity } = require('../lib/activity-log');
+const { toSegment, validateRules, withSegment } = require('../lib/segments');
+
+// ============================================
+// SEGMENT ROUTES
+// ============================================
+
+// Editable fields; anything missing from the body is left as it is
+const segmentFields = (body) => ({
+  name: body.name === undefined ? undefined : String(body.name).trim(),
+  rules: body.rules === undefined ? undefined : JSON.stringify(body.rules),
+  shared: body.shared === undefined ? undefined : (body.shared ? 1 : 0)
+});
+
+// Returns an error message, or null when the fields given can be saved
+async function validateSegment(db, body) {
+  if (body.name !== undefined && !String(body.name || '').trim()) return 'Segment name is required';
+  if (body.rules !== undefined) return validateRules(db, body.rules);
+  return null;
+}
+
+// Segments are changed by whoever made them; a shared one also by anyone
+// holding segments.manage
+const canChange = (segment, user) => (
+  segment.created_by === user.id || (Boolean(segment.shared) && user.permissions.includes('segments.manage'))
+);
+
+module.exports = (db) => {
+  const router = express.Router();
+
+  // The segments this user can use: their own and every shared one, each
+  // with mine and can_edit
+  router.get('/segments', authenticateToken, requirePermission(db, 'crm.view'), async (req, res) => {
+    try {
+      const rows = await db.select('segments', {
+        where: { or: [{ shared: 1 }, { created_by: req.user.id }] },
+        orderBy: { column: 'name', ascending: true }
+      });
+      res.json(rows.map(row => ({
+        ...toSegment(row),
+        mine: row.created_by === req.user.id,
+        can_edit: canChange(row, req.user)
+      })));
+    } catch (err) {
+      console.error('Error fetching segments:', err);
+      res.status(500).json({ error: err.message || 'Failed to fetch segments' });
+    }
+  });
+
+  // How many companies the rules match, for the builder: { total }
+  router.post('/segments/count', authenticateToken, requirePermission(db, 'crm.view'), async (req, res) => {
+    try {
+      const rules = req.body.rules || [];
+      const problem = await validateRules(db, rules);
+      if (problem) {
+        return res.status(400).json({ error: problem });
+      }
+
+      res.json({ total: await db.count('companies', { where: withSegment({}, rules) }) });
+    } catch (err) {
+      console.error('Error counting segment:', err);
+      res.status(500).json({ error: err.message || 'Failed to count segment' });
+    }
+  });
+
+  // Body: { name, rules: [{ field, op, value }], shared? } (see lib/segments.js)
+  router.post('/segments', authenticateToken, requirePermission(db, 'segments.save'), async (req, res) => {
+    try {
+      const problem = await validateSegment(db, { name: '', rules: [], ...req.body });
+      if (problem) {
+        return res.status(400).json({ error: problem });
+      }
+
+      const segment = await db.insert('segments', {
+        ...segmentFields({ rules: [], ...req.body }),
+        created_by: req.user.id
+      });
+
+      await logActivity(db, req.user.id, 'CREATE', 'segment', segment.id, `Created segment: ${segment.name}`);
+      res.status(201).json({ ...toSegment(segment), mine: true, can_edit: true });
+    } catch (err) {
+      if (err.code === 'unique_violation') {
+        return res.status(400).json({ error: 'A segment with that name already exists' });
+      }
+      console.error('Error creating segment:', err);
+      res.status(500).json({ error: err.message || 'Failed to create segment' });
+    }
+  });
+
+  router.put('/segments/:id', authenticateToken, requirePermission(db, 'segments.save'), async (req, res) => {
+    try {
+      const existing = await db.first('segments', { where: { id: req.params.id } });
+      if (!existing || (!existing.shared && existing.created_by !== req.user.id)) {
+        return res.status(404).json({ error: 'Segment not found' });
+      }
+      if (!canChange(existing, req.user)) {
+        return res.status(403).json({ error: 'Only whoever made this segment can change it' });
+      }
+
+      const problem = await validateSegment(db, req.body);
+      if (problem) {
+        return res.status(400).json({ error: problem });
+      }
+
+      await db.update('segments', { id: existing.id }, {
+        ...segmentFields(req.body),
+        updated_at: new Date().toISOString()
+      });
+
+      const segment = await db.first('segments', { where: { id: existing.id } });
+      await logActivity(db, req.user.id, 'UPDATE', 'segment', segment.id, `Updated segment: ${segment.name}`);
+      res.json({ ...toSegment(segment), mine: segment.created_by === req.user.id, can_edit: true });
+    } catch (err) {
+      if (err.code === 'unique_violation') {
+        return res.status(400).json({ error: 'A segment with that name already exists' });
+      }
+      console.error('Error updating segment:', err);
+      res.status(500).json({ error: err.message || 'Failed to update segment' });
+    }
+  });
+
+  router.delete('/segments/:id', authenticateToken, requirePermission(db, 'segments.save'), async (req, res) => {
+    try {
+      const segment = await db.first('segments', { where: { id: req.params.id } });
+      if (!segment || (!segment.shared && segment.created_by !== req.user.id)) {
+        return res.status(404).json({ error: 'Segment not found' });
+      }
+      if (!canChange(segment, req.user)) {
+        return res.status(403).json({ error: 'Only whoever made this segment can delete it' });
+      }
+
+      await db.remove('segments', { id: segment.id });
+
+      await logActivity(db, req.user.id, 'DELETE', 'segment', segment.id, `Deleted segment: ${segment.name}`);
+      res.json({ message: 'Segment deleted' });
+    } catch (err) {
+      console.error('Error deleting segment:', err);
+      res.status(500).json({ error: err.message || 'Failed to delete segment' });
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,284 @@
+const express = require('express');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { logActivity } = require('../lib/activity-log');
+const { ROLES, PERMISSIONS, loadRolePermissions, validateRolePermissions, saveRolePermissions } = require('../lib/permissions');
+const { loadQueueSettings, validateQueueSettings, saveQueueSettings } = require('../lib/call-queue');
+const { loadEstimateSettings, validateTaxRate, saveEstimateSettings } = require('../lib/estimates');
+const { DEFAULT_CALL_SCRIPT, scriptContent, validateScript, toVersion, activeScript, saveScriptVersion, activateVersion, renderScript } = require('../lib/call-script');
+const { loadBranding, validateBranding, saveBranding } = require('../lib/branding');
+const { attachLookups } = require('../lib/lookups');
+const { singleValueProblem } = require('../lib/query');
+
+const CREATED_BY_NAME = { table: 'users', key: 'created_by', fields: { name: 'created_by_name' } };
+
+module.exports = (db) => {
+  const router = express.Router();
+
+  // Who is making a call, for [Your Name]: their employee name, else their own
+  const callerName = async (user) => {
+    const employee = user.employeeId
+      ? await db.first('employees', { columns: ['name'], where: { id: user.employeeId } })
+      : null;
+    if (employee) return employee.name;
+    const account = await db.first('users', { columns: ['name'], where: { id: user.id } });
+    return account ? account.name : null;
+  };
+
+  // The active script for ?company_type= (the default variant without one),
+  // or for ?company_id='s type with its placeholders filled in for that
+  // company and the signed-in user. The script's fields plus id, version and
+  // company_type; id is null while the built-in script is in use.
+  router.get('/settings/script', authenticateToken, requirePermission(db, 'crm.view'), async (req, res) => {
+    try {
+      const problem = singleValueProblem(req.query, ['company_id', 'company_type']);
+      if (problem) {
+        return res.status(400).json({ error: problem });
+      }
+      let company = null;
+      if (req.query.company_id) {
+        company = await db.first('companies', { where: { id: req.query.company_id } });
+        if (!company) {
+          return res.status(404).json({ error: 'Company not found' });
+        }
+      }
+
+      const script = await activeScript(db, company ? company.type : req.query.company_type || '');
+      const content = script ? script.content : DEFAULT_CALL_SCRIPT;
+      res.json({
+        ...(company ? renderScript(content, { company, caller: await callerName(req.user) }) : content),
+        id: script ? script.id : null,
+        version: script ? script.version : null,
+        company_type: script ? script.company_type : ''
+      });
+    } catch (err) {
+      console.error('Error fetching script:', err);
+      res.status(500).json({ error: err.message || 'Failed to fetch script' });
+    }
+  });
+
+  // Saves the body's script as the next version of its company_type's
+  // variant ('' or missing for the default), with an optional note, and
+  // makes it the one reps see
+  router.put('/settings/script', authenticateToken, requirePermission(db, 'settings.edit'), async (req, res) => {
+    try {
+      const problem = validateScript(req.body);
+      if (problem) {
+        return res.status(400).json({ error: problem });
+      }
+
+      const companyType = String(req.body.company_type || '').trim();
+      const version = await saveScriptVersion(db, {
+        companyType,
+        content: scriptContent(req.body),
+        note: String(req.body.note || '').trim() || null,
+        userId: req.user.id
+      });
+
+      await logActivity(db, req.user.id, 'UPDATE', 'settings', null,
+        `Saved call script version ${version.version}${companyType ? ` for ${companyType}` : ''}`);
+      res.json(version);
+    } catch (err) {
+      if (err.code === 'unique_violation') {
+        return res.status(409).json({ error: 'Someone else saved this script at the same time; reload and try again' });
+      }
+      console.error('Error updating script:', err);
+      res.status(500).json({ error: err.message || 'Failed to update script' });
+    }
+  });
+
+  // Every saved version, newest first (only ?company_type='s when given),
+  // each with the calls made under it: calls, answered, interested and the
+  // answer and interest rates
+  router.get('/settings/script/versions', authenticateToken, requirePermission(db, 'settings.edit'), async (req, res) => {
+    try {
+      const problem = singleValueProblem(req.query, ['company_type']);
+      if (problem) {
+        return res.status(400).json({ error: problem });
+      }
+      const rows = await db.select('call_scripts', {
+        where: { company_type: req.query.company_type === undefined ? undefined : req.query.company_type },
+        orderBy: [{ column: 'company_type', ascending: true }, { column: 'version', ascending: false }]
+      });
+      const versions = await attachLookups(db, rows.map(toVersion), [CREATED_BY_NAME]);
+
+      const rate = (part, whole) => (whole ? Math.round((part / whole) * 1000) / 1000 : null);
+      res.json(await Promise.all(versions.map(async (version) => {
+        const calls = { call_script_id: version.id, type: 'call' };
+        const [total, answered, interested] = await Promise.all([
+          db.count('activities', { where: calls }),
+          db.count('activities', { where: { ...calls, answered: 1 } }),
+          db.count('activities', { where: { ...calls, interested: 1 } })
+        ]);
+        return {
+          ...version,
+          calls: total,
+          answered,
+          interested,
+          answer_rate: rate(answered, total),
+          interest_rate: rate(interested, total)
+        };
+      })));
+    } catch (err) {
+      console.error('Error fetching script versions:', err);
+      res.status(500).json({ error: err.message || 'Failed to fetch script versions' });
+    }
+  });
+
+  // Roll a variant back (or forward) to one of its saved versions
+  router.post('/settings/script/versions/:id/activate', authenticateToken, requirePermission(db, 'settings.edit'), async (req, res) => {
+    try {
+      const row = await db.first('call_scripts', { where: { id: req.params.id } });
+      if (!row) {
+        return res.status(404).json({ error: 'Script version not found' });
+      }
+
+      const version = await activateVersion(db, row);
+
+      await logActivity(db, req.user.id, 'UPDATE', 'settings', null,
+        `Switched the call script${row.company_type ? ` for ${row.company_type}` : ''} to version ${row.version}`);
+      res.json(version);
+    } catch (err) {
+      console.error('Error activating script version:', err);
+      res.status(500).json({ error: err.message || 'Failed to activate script version' });
+    }
+  });
+
+  // Stop using a company type's own script; its companies get the default
+  // one again. The versions are kept and can be activated later.
+  router.delete('/settings/script/variants/:companyType', authenticateToken, requirePermission(db, 'settings.edit'), async (req, res) => {
+    try {
+      const companyType = req.params.companyType;
+      const changed = await db.update('call_scripts', { company_type: companyType, active: 1 }, { active: 0 });
+      if (!changed) {
+        return res.status(404).json({ error: `No script in use for ${companyType}` });
+      }
+
+      await logActivity(db, req.user.id, 'UPDATE', 'settings', null, `${companyType} companies now get the default call script`);
+      res.json({ message: 'Script variant turned off' });
+    } catch (err) {
+      console.error('Error turning off script variant:', err);
+      res.status(500).json({ error: err.message || 'Failed to turn off script variant' });
+    }
+  });
+
+  // { cooldown_hours, lock_minutes } for the call queue
+  router.get('/settings/call-queue', authenticateToken, requirePermission(db, 'crm.view'), async (req, res) => {
+    try {
+      res.json(await loadQueueSettings(db));
+    } catch (err) {
+      console.error('Error fetching call queue settings:', err);
+      res.status(500).json({ error: err.message || 'Failed to fetch call queue settings' });
+    }
+  });
+
+  // Settings left out of the body keep their values
+  router.put('/settings/call-queue', authenticateToken, requirePermission(db, 'settings.edit'), async (req, res) => {
+    try {
+      const problem = validateQueueSettings(req.body);
+      if (problem) {
+        return res.status(400).json({ error: problem });
+      }
+
+      const settings = await saveQueueSettings(db, req.body, req.user.id);
+
+      await logActivity(db, req.user.id, 'UPDATE', 'settings', null,
+        `Updated call queue settings: ${settings.cooldown_hours}h cooldown, ${settings.lock_minutes} min lock`);
+      res.json(settings);
+    } catch (err) {
+      console.error('Error updating call queue settings:', err);
+      res.status(500).json({ error: err.message || 'Failed to update call queue settings' });
+    }
+  });
+
+  // { tax_rate } new estimates start with, in percent
+  router.get('/settings/estimates', authenticateToken, requirePermission(db, 'crm.view'), async (req, res) => {
+    try {
+      res.json(await loadEstimateSettings(db));
+    } catch (err) {
+      console.error('Error fetching estimate settings:', err);
+      res.status(500).json({ error: err.message || 'Failed to fetch estimate settings' });
+    }
+  });
+
+  router.put('/settings/estimates', authenticateToken, requirePermission(db, 'products.manage'), async (req, res) => {
+    try {
+      const problem = validateTaxRate(req.body.tax_rate);
+      if (problem) {
+        return res.status(400).json({ error: problem });
+      }
+
+      const settings = await saveEstimateSettings(db, req.body, req.user.id);
+
+      await logActivity(db, req.user.id, 'UPDATE', 'settings', null, `Set the default estimate tax rate to ${settings.tax_rate}%`);
+      res.json(settings);
+    } catch (err) {
+      console.error('Error updating estimate settings:', err);
+      res.status(500).json({ error: err.message || 'Failed to update estimate settings' });
+    }
+  });
+
+  // Name, contact details, accent colour and logo for printed documents
+  router.get('/settings/branding', authenticateToken, requirePermission(db, 'crm.view'), async (req, res) => {
+    try {
+      res.json(await loadBranding(db));
+    } catch (err) {
+      console.error('Error fetching branding:', err);
+      res.status(500).json({ error: err.message || 'Failed to fetch branding' });
+    }
+  });
+
+  // Settings left out of the body keep their values; logo: null removes the logo
+  router.put('/settings/branding', authenticateToken, requirePermission(db, 'settings.edit'), async (req, res) => {
+    try {
+      const problem = validateBranding(req.body);
+      if (problem) {
+        return res.status(400).json({ error: problem });
+      }
+
+      const branding = await saveBranding(db, req.body, req.user.id);
+
+      await logActivity(db, req.user.id, 'UPDATE', 'settings', null, 'Updated document branding');
+      res.json(branding);
+    } catch (err) {
+      console.error('Error updating branding:', err);
+      res.status(500).json({ error: err.message || 'Failed to update branding' });
+    }
+  });
+
+  // Roles, the permission catalogue and what each role may do
+  router.get('/settings/permissions', authenticateToken, requirePermission(db, 'permissions.manage'), async (req, res) => {
+    try {
+      res.json({
+        roles: ROLES,
+        permissions: Object.entries(PERMISSIONS).map(([key, label]) => ({ key, label })),
+        role_permissions: await loadRolePermissions(db)
+      });
+    } catch (err) {
+      console.error('Error fetching permissions:', err);
+      res.status(500).json({ error: err.message || 'Failed to fetch permissions' });
+    }
+  });
+
+  // Body: { role_permissions: { role: [permission] } }. Roles left out keep
+  // their permissions; admin's can't be changed.
+  router.put('/settings/permissions', authenticateToken, requirePermission(db, 'permissions.manage'), async (req, res) => {
+    try {
+      const { role_permissions } = req.body;
+      const problem = validateRolePermissions(role_permissions);
+      if (problem) {
+        return res.status(400).json({ error: problem });
+      }
+
+      const saved = await saveRolePermissions(db, role_permissions, req.user.id);
+
+      await logActivity(db, req.user.id, 'UPDATE', 'settings', null,
+        `Updated permissions for ${Object.keys(role_permissions).join(', ')}`);
+      res.json({ message: 'Permissions updated', role_permissions: saved });
+    } catch (err) {
+      console.error('Error updating permissions:', err);
+      res.status(500).json({ error: err.message || 'Failed to update permissions' });
+    }
+  });
+
+  return router;
+};
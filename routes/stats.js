@@ -0,0 +1,67 @@
+const express = require('express');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { ACTIVITY_TYPES } = require('../lib/activity-types');
+const { parseReportQuery, buildReport } = require('../lib/reports');
+
+// ============================================
+// STATS ROUTE
+// ============================================
+
+module.exports = (db) => {
+  const router = express.Router();
+
+  router.get('/stats', authenticateToken, requirePermission(db, 'crm.view'), async (req, res) => {
+    try {
+      const types = Object.keys(ACTIVITY_TYPES);
+      const [totalCompanies, contacted, interested, needsFollowup, ...typeCounts] = await Promise.all([
+        db.count('companies'),
+        db.count('activities', { where: { answered: 1 } }),
+        db.count('activities', { where: { interested: 1 } }),
+        db.count('activities', { where: { follow_up: 1 } }),
+        ...types.map(type => db.count('activities', { where: { type } }))
+      ]);
+      // { call: 12, email: 3, ... } with every type present
+      const activitiesByType = Object.fromEntries(types.map((type, i) => [type, typeCounts[i]]));
+
+      res.json({
+        totalCompanies,
+        contacted,
+        interested,
+        needsFollowup,
+        totalCalls: activitiesByType.call,
+        totalEmails: activitiesByType.email,
+        activitiesByType
+      });
+    } catch (err) {
+      console.error('Error fetching stats:', err);
+      res.status(500).json({ error: err.message || 'Failed to fetch stats' });
+    }
+  });
+
+  // Rep performance over ?from=&to= (to exclusive; the last 30 days by
+  // default) by ?bucket=day|week|month and ?group_by=employee|type|state,
+  // with ?utc_offset= the caller's minutes ahead of UTC. See lib/reports.js
+  // for the shape.
+  router.get('/stats/report', authenticateToken, requirePermission(db, 'crm.view'), async (req, res) => {
+    try {
+      const options = parseReportQuery(req.query);
+      if (options.problem) {
+        return res.status(400).json({ error: options.problem });
+      }
+
+      const report = await buildReport(db, options);
+      res.json({
+        from: options.from,
+        to: options.to,
+        bucket: options.bucket,
+        group_by: options.groupBy,
+        ...report
+      });
+    } catch (err) {
+      console.error('Error building report:', err);
+      res.status(500).json({ error: err.message || 'Failed to build report' });
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,162 @@
+const express = require('express');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { logActivity } = require('../lib/activity-log');
+const { EMPLOYEE_NAME, attachLookups } = require('../lib/lookups');
+const { LIST_FIELDS, toTerritory, cleanList, loadTerritories, assignment } = require('../lib/territories');
+
+// ============================================
+// TERRITORY ROUTES
+// ============================================
+
+// Editable fields; anything missing from the body is left as it is
+const territoryFields = (body) => {
+  const fields = {
+    name: body.name === undefined ? undefined : String(body.name).trim(),
+    employee_id: body.employee_id === undefined ? undefined : body.employee_id || null
+  };
+  for (const field of LIST_FIELDS) {
+    if (body[field] !== undefined) fields[field] = JSON.stringify(cleanList(field, body[field] || []));
+  }
+  return fields;
+};
+
+// Returns an error message, or null when the body is acceptable
+const validateTerritory = (body) => {
+  if (body.name !== undefined && !String(body.name).trim()) {
+    return 'Territory name is required';
+  }
+  const notLists = LIST_FIELDS.filter(field => body[field] !== undefined && body[field] !== null && !Array.isArray(body[field]));
+  if (notLists.length) {
+    return `${notLists.join(', ')} must be lists`;
+  }
+  return null;
+};
+
+module.exports = (db) => {
+  const router = express.Router();
+
+  // Every territory with its employee's name and how many companies it holds
+  router.get('/territories', authenticateToken, requirePermission(db, 'crm.view'), async (req, res) => {
+    try {
+      const [territories, companies] = await Promise.all([
+        loadTerritories(db),
+        db.select('companies', { columns: ['territory_id'], where: { territory_id: { not: null } } })
+      ]);
+      const withNames = await attachLookups(db, territories, [EMPLOYEE_NAME]);
+
+      res.json(withNames.map(territory => ({
+        ...territory,
+        company_count: companies.filter(c => String(c.territory_id) === String(territory.id)).length
+      })));
+    } catch (err) {
+      console.error('Error fetching territories:', err);
+      res.status(500).json({ error: err.message || 'Failed to fetch territories' });
+    }
+  });
+
+  router.post('/territories', authenticateToken, requirePermission(db, 'territories.manage'), async (req, res) => {
+    try {
+      const problem = req.body.name === undefined ? 'Territory name is required' : validateTerritory(req.body);
+      if (problem) {
+        return res.status(400).json({ error: problem });
+      }
+
+      const territory = await db.insert('territories', {
+        states: '[]',
+        cities: '[]',
+        zips: '[]',
+        ...territoryFields(req.body)
+      });
+
+      await logActivity(db, req.user.id, 'CREATE', 'territory', territory.id, `Created territory: ${territory.name}`);
+      res.status(201).json(toTerritory(territory));
+    } catch (err) {
+      if (err.code === 'unique_violation') {
+        return res.status(400).json({ error: 'A territory with that name already exists' });
+      }
+      if (err.code === 'foreign_key_violation') {
+        return res.status(400).json({ error: 'Employee not found' });
+      }
+      console.error('Error creating territory:', err);
+      res.status(500).json({ error: err.message || 'Failed to create territory' });
+    }
+  });
+
+  router.put('/territories/:id', authenticateToken, requirePermission(db, 'territories.manage'), async (req, res) => {
+    try {
+      const problem = validateTerritory(req.body);
+      if (problem) {
+        return res.status(400).json({ error: problem });
+      }
+
+      const changed = await db.update('territories', { id: req.params.id }, {
+        ...territoryFields(req.body),
+        updated_at: new Date().toISOString()
+      });
+      if (changed === 0) {
+        return res.status(404).json({ error: 'Territory not found' });
+      }
+
+      const territory = toTerritory(await db.first('territories', { where: { id: req.params.id } }));
+      await logActivity(db, req.user.id, 'UPDATE', 'territory', territory.id, `Updated territory: ${territory.name}`);
+      res.json(territory);
+    } catch (err) {
+      if (err.code === 'unique_violation') {
+        return res.status(400).json({ error: 'A territory with that name already exists' });
+      }
+      if (err.code === 'foreign_key_violation') {
+        return res.status(400).json({ error: 'Employee not found' });
+      }
+      console.error('Error updating territory:', err);
+      res.status(500).json({ error: err.message || 'Failed to update territory' });
+    }
+  });
+
+  // Companies in the territory keep their owners but lose the territory
+  router.delete('/territories/:id', authenticateToken, requirePermission(db, 'territories.manage'), async (req, res) => {
+    try {
+      const deleted = await db.remove('territories', { id: req.params.id });
+      if (deleted === 0) {
+        return res.status(404).json({ error: 'Territory not found' });
+      }
+
+      await logActivity(db, req.user.id, 'DELETE', 'territory', req.params.id, 'Deleted territory');
+      res.json({ message: 'Territory deleted' });
+    } catch (err) {
+      console.error('Error deleting territory:', err);
+      res.status(500).json({ error: err.message || 'Failed to delete territory' });
+    }
+  });
+
+  // Re-sort every company into its territory after the territories change.
+  // Companies without an owner get their territory's employee; with
+  // { overwrite_owners: true } every company in a staffed territory does.
+  router.post('/territories/assign', authenticateToken, requirePermission(db, 'territories.manage'), async (req, res) => {
+    try {
+      const overwrite = req.body.overwrite_owners === true;
+      const [territories, companies] = await Promise.all([
+        loadTerritories(db),
+        db.select('companies', { columns: ['id', 'city', 'state', 'zip', 'owner_id', 'territory_id'] })
+      ]);
+
+      let updated = 0;
+      for (const company of companies) {
+        const next = assignment(territories, { ...company, owner_id: overwrite ? null : company.owner_id });
+        const ownerId = next.owner_id || company.owner_id || null;
+        if (String(next.territory_id) !== String(company.territory_id) || ownerId !== (company.owner_id || null)) {
+          await db.update('companies', { id: company.id }, { territory_id: next.territory_id, owner_id: ownerId });
+          updated += 1;
+        }
+      }
+
+      await logActivity(db, req.user.id, 'UPDATE', 'territory', null,
+        `Assigned companies to territories${overwrite ? ', replacing owners' : ''}: ${updated} updated`);
+      res.json({ message: 'Companies assigned', updated, total: companies.length });
+    } catch (err) {
+      console.error('Error assigning territories:', err);
+      res.status(500).json({ error: err.message || 'Failed to assign territories' });
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,219 @@
+const express = require('express');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { logActivity } = require('../lib/activity-log');
+const { ROLES } = require('../lib/permissions');
+const { mailConfigured } = require('../lib/mailer');
+const { validatePassword, passwordFields, lockedMinutes, createResetToken, sendResetEmail } = require('../lib/passwords');
+const { revokeSessions, listSessions } = require('../lib/sessions');
+
+// ============================================
+// USER MANAGEMENT ROUTES
+// ============================================
+
+module.exports = (db) => {
+  const router = express.Router();
+
+  // Each user with locked_minutes: how long until they may sign in again
+  router.get('/users', authenticateToken, requirePermission(db, 'users.manage'), async (req, res) => {
+    try {
+      const data = await db.select('users', {
+        columns: ['id', 'username', 'name', 'email', 'role', 'must_change_password', 'locked_until', 'created_at'],
+        orderBy: { column: 'created_at', ascending: false }
+      });
+
+      res.json(data.map(({ locked_until, ...user }) => ({
+        ...user,
+        must_change_password: Boolean(user.must_change_password),
+        locked_minutes: lockedMinutes({ locked_until })
+      })));
+    } catch (err) {
+      console.error('Error fetching users:', err);
+      res.status(500).json({ error: err.message || 'Failed to fetch users' });
+    }
+  });
+
+  // A new role or password signs the user out everywhere
+  router.put('/users/:id', authenticateToken, requirePermission(db, 'users.manage'), async (req, res) => {
+    try {
+      const { username, name, email, password, role } = req.body;
+      const userId = req.params.id;
+
+      const current = await db.first('users', { columns: ['username', 'role'], where: { id: userId } });
+      if (!current) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+
+      // Build update object
+      const updateData = { name };
+
+      if (email !== undefined) {
+        const address = String(email || '').trim().toLowerCase();
+        if (address && !/^[^@\s]+@[^@\s]+$/.test(address)) {
+          return res.status(400).json({ error: 'email must be an email address' });
+        }
+        updateData.email = address || null;
+      }
+
+      if (role) {
+        if (!ROLES.includes(role)) {
+          return res.status(400).json({ error: `role must be one of: ${ROLES.join(', ')}` });
+        }
+        // The built-in admin (id=1) always stays an admin
+        if (userId === '1' && role !== 'admin') {
+          return res.status(400).json({ error: 'Cannot change the admin user\'s role' });
+        }
+        updateData.role = role;
+      }
+
+      // If username is being changed, check for duplicates
+      if (username) {
+        const existingUser = await db.first('users', {
+          columns: ['id'],
+          where: { username, id: { neq: userId } }
+        });
+
+        if (existingUser) {
+          return res.status(400).json({ error: 'Username already exists' });
+        }
+
+        updateData.username = username;
+      }
+
+      // A password set for someone else must be changed at their next sign-in
+      if (password) {
+        const problem = validatePassword(password, { username: username || current.username });
+        if (problem) {
+          return res.status(400).json({ error: problem });
+        }
+        Object.assign(updateData, passwordFields(password, { mustChange: String(req.user.id) !== String(userId) }));
+      }
+
+      await db.update('users', { id: userId }, updateData);
+      if (password || (updateData.role && updateData.role !== current.role)) {
+        await revokeSessions(db, { user_id: userId });
+      }
+      res.json({ message: 'User updated successfully' });
+    } catch (err) {
+      console.error('Error updating user:', err);
+      res.status(500).json({ error: err.message || 'Failed to update user' });
+    }
+  });
+
+  // Body: { password } sets a temporary password the user must change when
+  // they next sign in; without one, the user is emailed a reset link. Either
+  // way the account is unlocked, and a temporary password also signs them out
+  // everywhere. Neither the password nor the link is ever sent back or logged.
+  router.post('/users/:id/reset-password', authenticateToken, requirePermission(db, 'users.manage'), async (req, res) => {
+    try {
+      const user = await db.first('users', { columns: ['id', 'username', 'name', 'email'], where: { id: req.params.id } });
+      if (!user) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+
+      if (req.body.password) {
+        const problem = validatePassword(req.body.password, { username: user.username });
+        if (problem) {
+          return res.status(400).json({ error: problem });
+        }
+        await db.update('users', { id: user.id }, passwordFields(req.body.password, { mustChange: true }));
+        await revokeSessions(db, { user_id: user.id });
+
+        await logActivity(db, req.user.id, 'UPDATE', 'user', user.id, `Set a temporary password for ${user.username}`);
+        return res.json({ message: `${user.name} must choose a new password when they next sign in` });
+      }
+
+      if (!user.email) {
+        return res.status(400).json({ error: `${user.name} has no email address; set a temporary password instead` });
+      }
+      if (!mailConfigured()) {
+        return res.status(400).json({ error: 'Email is not set up; set a temporary password instead' });
+      }
+      const token = await createResetToken(db, user.id, { createdBy: req.user.id });
+      await sendResetEmail(user, token);
+      await db.update('users', { id: user.id }, { failed_logins: 0, locked_until: null });
+
+      await logActivity(db, req.user.id, 'UPDATE', 'user', user.id, `Emailed ${user.username} a password reset link`);
+      res.json({ message: `A reset link was emailed to ${user.email}` });
+    } catch (err) {
+      if (err.code === 'send_failed') {
+        return res.status(502).json({ error: err.message });
+      }
+      console.error('Error resetting password:', err);
+      res.status(500).json({ error: err.message || 'Failed to reset password' });
+    }
+  });
+
+  // The user's signed-in sessions (see lib/sessions.js)
+  router.get('/users/:id/sessions', authenticateToken, requirePermission(db, 'users.manage'), async (req, res) => {
+    try {
+      res.json(await listSessions(db, req.params.id));
+    } catch (err) {
+      console.error('Error fetching sessions:', err);
+      res.status(500).json({ error: err.message || 'Failed to fetch sessions' });
+    }
+  });
+
+  // Sign the user out everywhere
+  router.delete('/users/:id/sessions', authenticateToken, requirePermission(db, 'users.manage'), async (req, res) => {
+    try {
+      const user = await db.first('users', { columns: ['id', 'username'], where: { id: req.params.id } });
+      if (!user) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+
+      const ended = await revokeSessions(db, { user_id: user.id });
+      await logActivity(db, req.user.id, 'UPDATE', 'user', user.id, `Logged ${user.username} out everywhere (${ended} session${ended === 1 ? '' : 's'})`);
+      res.json({ message: `Ended ${ended} session${ended === 1 ? '' : 's'}` });
+    } catch (err) {
+      console.error('Error ending sessions:', err);
+      res.status(500).json({ error: err.message || 'Failed to end sessions' });
+    }
+  });
+
+  // Their sessions go with them, so their tokens stop working at once
+  router.delete('/users/:id', authenticateToken, requirePermission(db, 'users.manage'), async (req, res) => {
+    try {
+      const userId = req.params.id;
+
+      // Don't allow deleting the admin user (id=1)
+      if (userId === '1') {
+        return res.status(400).json({ error: 'Cannot delete admin user' });
+      }
+
+      await db.remove('users', { id: userId });
+      res.json({ message: 'User deleted successfully' });
+    } catch (err) {
+      console.error('Error deleting user:', err);
+      res.status(500).json({ error: err.message || 'Failed to delete user' });
+    }
+  });
+
+  // Activity Logs - Get recent activity
+  router.get('/activity-logs', authenticateToken, requirePermission(db, 'activity_logs.view'), async (req, res) => {
+    try {
+      const limit = parseInt(req.query.limit) || 50;
+
+      const logs = await db.select('activity_logs', {
+        columns: ['id', 'user_id', 'action_type', 'entity_type', 'entity_id', 'details', 'created_at'],
+        orderBy: { column: 'created_at', ascending: false },
+        limit
+      });
+
+      const userIds = [...new Set(logs.map(log => log.user_id).filter(Boolean))];
+      const users = userIds.length
+        ? await db.select('users', { columns: ['id', 'username', 'name'], where: { id: { in: userIds } } })
+        : [];
+      const usersById = new Map(users.map(u => [String(u.id), u]));
+
+      res.json(logs.map(({ user_id, ...log }) => {
+        const user = usersById.get(String(user_id));
+        return { ...log, users: user ? { username: user.username, name: user.name } : null };
+      }));
+    } catch (err) {
+      console.error('Error fetching activity logs:', err);
+      res.status(500).json({ error: err.message || 'Failed to fetch activity logs' });
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,13 @@
+// Errors raised by the storage adapters. `code` is driver-independent so
+// routes can react to constraint failures without knowing which database
+// is behind the app.
+class StorageError extends Error {
+  constructor(message, code = 'storage_error', cause) {
+    super(message);
+    this.name = 'StorageError';
+    this.code = code;
+    if (cause) this.cause = cause;
+  }
+}
+
+module.exports = { StorageError };
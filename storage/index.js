@@ -0,0 +1,50 @@
+const { StorageError } = require('./errors');
+
+// Every adapter exposes the same table-level interface so the routes never
+// talk to SQLite or Supabase directly:
+//
+//   select(table, { columns, where, orderBy, limit, offset }) -> rows
+//   first(table, { columns, where, orderBy })                 -> row | null
+//   count(table, { where })                                   -> number
+//   insert(table, row | rows)                                 -> row | rows
+//   update(table, where, changes)                             -> rows changed
+//   upsert(table, row, { onConflict })                        -> row
+//   remove(table, where)                                      -> rows deleted
+//   report(name, params)                                      -> rows
+//   procedure(name, params)                                   -> result
+//   migrate()                                                 -> apply schema
+//   close()
+//
+// `where` maps column names to a value (equality), null (IS NULL) or an
+// operator object: { eq, neq, gt, gte, lt, lte, in, notIn, like, ilike,
+// notLike, is, not }. An empty `in` list matches nothing and an empty `notIn`
+// everything. A few tables have computed columns that `where` can use and
+// select() returns when asked for them in `columns` (see sqlite-computed.js).
+// Objects from a request body or query string are never taken as operators
+// (see request-data.js); the adapters reject them.
+// The special key `or` takes an array of `where` objects, any of which may
+// match; `and` takes an array that must all match (for combining several
+// `or` groups). `orderBy` is { column, ascending } or an array of them.
+// report() runs a named aggregate query: a Postgres function in migrations/
+// called over RPC, or its twin in storage/sqlite-reports.js. procedure() runs
+// a named set of writes that all happen or none do, the same way, with its
+// SQLite twin in storage/sqlite-procedures.js.
+const DRIVERS = {
+  sqlite: () => require('./sqlite'),
+  supabase: () => require('./supabase')
+};
+
+function createStorage(options = {}) {
+  const driver = options.driver || process.env.DB_DRIVER || 'supabase';
+  const loadDriver = DRIVERS[driver];
+
+  if (!loadDriver) {
+    throw new StorageError(`Unknown DB_DRIVER "${driver}" (expected one of: ${Object.keys(DRIVERS).join(', ')})`, 'config');
+  }
+
+  const store = loadDriver().createStore(options);
+  store.driver = driver;
+  return store;
+}
+
+module.exports = { createStorage, StorageError };
@@ -0,0 +1,18 @@
+// Objects parsed from a request (the JSON body and the query string) are
+// marked, so the adapters can tell them from the operator objects routes
+// build. A `where` value sent by a client is only ever compared: without the
+// mark, { username: req.body.username } with a body of {"username":
+// {"neq": "x"}} would match every other user.
+const FROM_REQUEST = Symbol('fromRequest');
+
+// Mark `value` and every object and array inside it. Returns `value`.
+function markRequestData(value) {
+  if (value === null || typeof value !== 'object' || value[FROM_REQUEST]) return value;
+  Object.defineProperty(value, FROM_REQUEST, { value: true });
+  for (const item of Object.values(value)) markRequestData(item);
+  return value;
+}
+
+const isRequestData = (value) => Boolean(value && value[FROM_REQUEST]);
+
+module.exports = { markRequestData, isRequestData };
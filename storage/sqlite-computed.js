@@ -0,0 +1,39 @@
+// Computed columns: values worked out from other tables that a `where` can
+// filter on like any other column of the table. select() returns them only
+// when they are named in `columns`. Each mirrors the Postgres function of the same name in
+// migrations/, which PostgREST treats as a column of the table it takes (a
+// "computed field"); keep the two in step. The SQL refers to the row being
+// tested by its table name.
+
+module.exports = {
+  companies: {
+    // 1 when the company or any of its contacts has an email address, else 0
+    has_email: `CASE WHEN "companies"."email" LIKE '%@%' OR EXISTS (
+      SELECT 1 FROM contacts WHERE contacts.company_id = "companies"."id" AND contacts.email LIKE '%@%'
+    ) THEN 1 ELSE 0 END`,
+
+    // When the latest activity was, or null for a company never contacted
+    last_activity_at: `(SELECT MAX(date) FROM activities WHERE activities.company_id = "companies"."id")`,
+
+    // 1 when any activity with the company was marked interested, else 0
+    was_interested: `CASE WHEN EXISTS (
+      SELECT 1 FROM activities WHERE activities.company_id = "companies"."id" AND activities.interested = 1
+    ) THEN 1 ELSE 0 END`,
+
+    // When the earliest open follow-up nobody has acted on falls due: one due
+    // before the latest activity has had its call. Null when there is none.
+    follow_up_due_at: `(
+      SELECT MIN(due_at) FROM follow_ups
+      WHERE follow_ups.company_id = "companies"."id" AND follow_ups.status = 'open'
+        AND follow_ups.due_at > COALESCE((SELECT MAX(date) FROM activities WHERE activities.company_id = "companies"."id"), '')
+    )`,
+
+    // Every outcome ever recorded on the company's activities, as ",3,7,"
+    // (just "," when there are none), so one can be found with like '%,3,%'
+    outcome_ids: `(
+      SELECT ',' || COALESCE(GROUP_CONCAT(DISTINCT activity_outcomes.outcome_id) || ',', '')
+      FROM activity_outcomes JOIN activities ON activities.id = activity_outcomes.activity_id
+      WHERE activities.company_id = "companies"."id"
+    )`
+  }
+};
@@ -0,0 +1,665 @@
+// SQLite schema, applied in order on startup. PRAGMA user_version records how
+// many entries have run, so only append to this list - never edit a shipped
+// entry. Keep it in step with the Postgres files in migrations/.
+const NOW = "(strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))";
+
+module.exports = [
+  // 001 - base schema (users, companies, employees, activities, logs, settings)
+  `
+  CREATE TABLE IF NOT EXISTS users (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    username TEXT UNIQUE NOT NULL,
+    password TEXT NOT NULL,
+    name TEXT NOT NULL,
+    role TEXT DEFAULT 'user',
+    created_at TEXT DEFAULT ${NOW}
+  );
+
+  CREATE TABLE IF NOT EXISTS companies (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    type TEXT,
+    contact_name TEXT,
+    address TEXT,
+    city TEXT,
+    state TEXT,
+    zip TEXT,
+    phone TEXT,
+    email TEXT,
+    website TEXT,
+    notes TEXT,
+    is_customer INTEGER DEFAULT 0,
+    last_order_date TEXT,
+    last_estimate_date TEXT,
+    created_at TEXT DEFAULT ${NOW},
+    updated_at TEXT DEFAULT ${NOW}
+  );
+
+  CREATE TABLE IF NOT EXISTS employees (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    role TEXT,
+    active INTEGER DEFAULT 1,
+    created_at TEXT DEFAULT ${NOW},
+    updated_at TEXT DEFAULT ${NOW}
+  );
+
+  CREATE TABLE IF NOT EXISTS activities (
+    id TEXT PRIMARY KEY,
+    company_id TEXT NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+    employee_id TEXT NOT NULL REFERENCES employees(id) ON DELETE CASCADE,
+    type TEXT NOT NULL,
+    answered INTEGER DEFAULT 0,
+    interested INTEGER DEFAULT 0,
+    follow_up INTEGER DEFAULT 0,
+    notes TEXT,
+    date TEXT NOT NULL,
+    created_at TEXT DEFAULT ${NOW}
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_activities_company_id ON activities(company_id);
+  CREATE INDEX IF NOT EXISTS idx_activities_employee_id ON activities(employee_id);
+
+  CREATE TABLE IF NOT EXISTS activity_logs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    action_type TEXT NOT NULL,
+    entity_type TEXT NOT NULL,
+    entity_id TEXT,
+    details TEXT,
+    created_at TEXT DEFAULT ${NOW}
+  );
+
+  CREATE TABLE IF NOT EXISTS settings (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL,
+    updated_at TEXT DEFAULT ${NOW},
+    updated_by INTEGER REFERENCES users(id) ON DELETE SET NULL
+  );
+  `
+,
+
+  // 002 - digits-only copy of companies.phone for search. The app keeps it in
+  // step from now on; this backfill strips the usual phone punctuation.
+  `
+  ALTER TABLE companies ADD COLUMN phone_digits TEXT;
+
+  UPDATE companies
+  SET phone_digits = NULLIF(
+    REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(phone, ' ', ''), '(', ''), ')', ''), '-', ''), '.', ''), '+', ''), '/', ''),
+    ''
+  );
+  `
+,
+
+  // 003 - follow-up tasks, optionally created from the activity that asked for them
+  `
+  CREATE TABLE follow_ups (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    company_id TEXT NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+    employee_id TEXT REFERENCES employees(id) ON DELETE SET NULL,
+    activity_id TEXT REFERENCES activities(id) ON DELETE SET NULL,
+    due_at TEXT NOT NULL,
+    notes TEXT,
+    status TEXT NOT NULL DEFAULT 'open',
+    completed_at TEXT,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TEXT DEFAULT ${NOW},
+    updated_at TEXT DEFAULT ${NOW}
+  );
+
+  CREATE INDEX idx_follow_ups_employee_status_due ON follow_ups(employee_id, status, due_at);
+  CREATE INDEX idx_follow_ups_company_id ON follow_ups(company_id);
+  `
+,
+
+  // 004 - sales pipeline: admin-configurable stages, deals and their stage history
+  `
+  CREATE TABLE pipeline_stages (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT UNIQUE NOT NULL,
+    position INTEGER NOT NULL DEFAULT 0,
+    outcome TEXT,
+    created_at TEXT DEFAULT ${NOW}
+  );
+
+  INSERT INTO pipeline_stages (name, position, outcome) VALUES
+    ('New', 1, NULL),
+    ('Contacted', 2, NULL),
+    ('Interested', 3, NULL),
+    ('Quote Sent', 4, NULL),
+    ('Won', 5, 'won'),
+    ('Lost', 6, 'lost');
+
+  CREATE TABLE deals (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    company_id TEXT NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+    stage_id INTEGER NOT NULL REFERENCES pipeline_stages(id),
+    employee_id TEXT REFERENCES employees(id) ON DELETE SET NULL,
+    title TEXT NOT NULL,
+    value REAL NOT NULL DEFAULT 0,
+    products TEXT,
+    expected_close_date TEXT,
+    lost_reason TEXT,
+    closed_at TEXT,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TEXT DEFAULT ${NOW},
+    updated_at TEXT DEFAULT ${NOW}
+  );
+
+  CREATE INDEX idx_deals_company_id ON deals(company_id);
+  CREATE INDEX idx_deals_stage_id ON deals(stage_id);
+
+  CREATE TABLE deal_stage_history (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    deal_id INTEGER NOT NULL REFERENCES deals(id) ON DELETE CASCADE,
+    from_stage_id INTEGER REFERENCES pipeline_stages(id) ON DELETE SET NULL,
+    to_stage_id INTEGER REFERENCES pipeline_stages(id) ON DELETE SET NULL,
+    changed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    changed_at TEXT DEFAULT ${NOW}
+  );
+
+  CREATE INDEX idx_deal_stage_history_deal_id ON deal_stage_history(deal_id);
+  `
+,
+
+  // 005 - several contacts per company. companies.contact_name stays as the
+  // primary contact's name; existing names become primary contacts.
+  `
+  CREATE TABLE contacts (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    company_id TEXT NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+    name TEXT NOT NULL,
+    title TEXT,
+    direct_phone TEXT,
+    mobile TEXT,
+    email TEXT,
+    preferred_channel TEXT,
+    is_primary INTEGER NOT NULL DEFAULT 0,
+    created_at TEXT DEFAULT ${NOW},
+    updated_at TEXT DEFAULT ${NOW}
+  );
+
+  CREATE INDEX idx_contacts_company_id ON contacts(company_id);
+
+  INSERT INTO contacts (company_id, name, is_primary)
+  SELECT id, TRIM(contact_name), 1 FROM companies
+  WHERE contact_name IS NOT NULL AND TRIM(contact_name) <> '';
+
+  ALTER TABLE activities ADD COLUMN contact_id INTEGER REFERENCES contacts(id) ON DELETE SET NULL;
+  `
+,
+
+  // 006 - named roles (see lib/permissions.js). The old catch-all 'user' role
+  // becomes 'rep'; new users always get an explicit role, so the column
+  // default is left alone.
+  `
+  UPDATE users SET role = 'rep' WHERE role IS NULL OR role = 'user';
+  `
+,
+
+  // 007 - company owners and sales territories. A territory's states, cities
+  // and zips are JSON lists; companies in it default to its employee.
+  `
+  CREATE TABLE territories (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT UNIQUE NOT NULL,
+    employee_id TEXT REFERENCES employees(id) ON DELETE SET NULL,
+    states TEXT,
+    cities TEXT,
+    zips TEXT,
+    created_at TEXT DEFAULT ${NOW},
+    updated_at TEXT DEFAULT ${NOW}
+  );
+
+  ALTER TABLE companies ADD COLUMN owner_id TEXT REFERENCES employees(id) ON DELETE SET NULL;
+  ALTER TABLE companies ADD COLUMN territory_id INTEGER REFERENCES territories(id) ON DELETE SET NULL;
+
+  CREATE INDEX idx_companies_owner_id ON companies(owner_id);
+  CREATE INDEX idx_companies_territory_id ON companies(territory_id);
+  `
+,
+
+  // 008 - call queue locks: a company pulled from the queue is held for the
+  // user calling it until locked_until
+  `
+  CREATE TABLE call_locks (
+    company_id TEXT PRIMARY KEY REFERENCES companies(id) ON DELETE CASCADE,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    employee_id TEXT REFERENCES employees(id) ON DELETE SET NULL,
+    locked_until TEXT NOT NULL,
+    created_at TEXT DEFAULT ${NOW}
+  );
+
+  CREATE INDEX idx_call_locks_user_id ON call_locks(user_id);
+  CREATE INDEX idx_activities_company_date ON activities(company_id, date);
+  `
+,
+
+  // 009 - activity outcomes: an admin-editable list (optionally for one
+  // activity type) and the outcomes recorded on each activity. Old
+  // "[date] WANTS PRICING" company note lines are converted by
+  // migrate-outcomes.js.
+  `
+  CREATE TABLE outcomes (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT UNIQUE NOT NULL,
+    activity_type TEXT,
+    position INTEGER NOT NULL DEFAULT 0,
+    active INTEGER NOT NULL DEFAULT 1,
+    created_at TEXT DEFAULT ${NOW}
+  );
+
+  INSERT INTO outcomes (name, activity_type, position) VALUES
+    ('Left voicemail', 'call', 1),
+    ('Sent email', NULL, 2),
+    ('Wants pricing', NULL, 3),
+    ('Wants catalog', NULL, 4),
+    ('Not interested', NULL, 5);
+
+  CREATE TABLE activity_outcomes (
+    activity_id TEXT NOT NULL REFERENCES activities(id) ON DELETE CASCADE,
+    outcome_id INTEGER NOT NULL REFERENCES outcomes(id),
+    PRIMARY KEY (activity_id, outcome_id)
+  );
+
+  CREATE INDEX idx_activity_outcomes_outcome_id ON activity_outcomes(outcome_id);
+  `,
+
+  // 010 - How long a call, meeting or site visit took. The other new
+  // activity types (sms, quote_sent, ...) need no schema change.
+  `
+  ALTER TABLE activities ADD COLUMN duration_minutes INTEGER;
+  `,
+
+  // 011 - Estimates: a product/price catalog (seeded from the call script's
+  // products, or its defaults when no script was saved), estimates for a
+  // company and their line items
+  `
+  CREATE TABLE products (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT UNIQUE NOT NULL,
+    description TEXT,
+    price_per_foot REAL NOT NULL DEFAULT 0,
+    gate_price REAL NOT NULL DEFAULT 0,
+    post_price REAL NOT NULL DEFAULT 0,
+    position INTEGER NOT NULL DEFAULT 0,
+    active INTEGER NOT NULL DEFAULT 1,
+    created_at TEXT DEFAULT ${NOW},
+    updated_at TEXT DEFAULT ${NOW}
+  );
+
+  INSERT OR IGNORE INTO products (name, description, position)
+  SELECT TRIM(json_extract(product.value, '$.name')), json_extract(product.value, '$.description'), product.key + 1
+  FROM settings, json_each(settings.value, '$.products') AS product
+  WHERE settings.key = 'call_script' AND TRIM(COALESCE(json_extract(product.value, '$.name'), '')) <> '';
+
+  INSERT OR IGNORE INTO products (name, description, position)
+  SELECT name, description, position FROM (
+    SELECT 'Vinyl Fencing' AS name, 'Low maintenance, 20+ year warranty' AS description, 1 AS position
+    UNION ALL SELECT 'Wood Fencing', 'Cedar and pine options, custom designs', 2
+    UNION ALL SELECT 'Chain Link', 'Commercial grade, galvanized', 3
+    UNION ALL SELECT 'Aluminum', 'Decorative and pool code compliant', 4
+    UNION ALL SELECT 'Tools & Materials', 'Gates, posts, hardware, repair kits', 5
+  )
+  WHERE NOT EXISTS (SELECT 1 FROM settings WHERE key = 'call_script');
+
+  CREATE TABLE estimates (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    company_id TEXT NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+    employee_id TEXT REFERENCES employees(id) ON DELETE SET NULL,
+    title TEXT,
+    status TEXT NOT NULL DEFAULT 'draft',
+    tax_rate REAL NOT NULL DEFAULT 0,
+    subtotal REAL NOT NULL DEFAULT 0,
+    tax REAL NOT NULL DEFAULT 0,
+    total REAL NOT NULL DEFAULT 0,
+    notes TEXT,
+    valid_until TEXT,
+    sent_at TEXT,
+    decided_at TEXT,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TEXT DEFAULT ${NOW},
+    updated_at TEXT DEFAULT ${NOW}
+  );
+
+  CREATE INDEX idx_estimates_company_id ON estimates(company_id);
+  CREATE INDEX idx_estimates_status ON estimates(status);
+
+  CREATE TABLE estimate_items (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    estimate_id INTEGER NOT NULL REFERENCES estimates(id) ON DELETE CASCADE,
+    product_id INTEGER REFERENCES products(id) ON DELETE SET NULL,
+    product_name TEXT NOT NULL,
+    description TEXT,
+    linear_feet REAL NOT NULL DEFAULT 0,
+    unit_price REAL NOT NULL DEFAULT 0,
+    gates INTEGER NOT NULL DEFAULT 0,
+    gate_price REAL NOT NULL DEFAULT 0,
+    posts INTEGER NOT NULL DEFAULT 0,
+    post_price REAL NOT NULL DEFAULT 0,
+    line_total REAL NOT NULL DEFAULT 0,
+    position INTEGER NOT NULL DEFAULT 0
+  );
+
+  CREATE INDEX idx_estimate_items_estimate_id ON estimate_items(estimate_id);
+  `,
+
+  // 012 - Outbound email: admin-edited templates with {{merge.fields}}, and
+  // every message sent (or that failed to send) from a company
+  `
+  CREATE TABLE email_templates (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT UNIQUE NOT NULL,
+    subject TEXT NOT NULL,
+    body TEXT NOT NULL,
+    active INTEGER NOT NULL DEFAULT 1,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TEXT DEFAULT ${NOW},
+    updated_at TEXT DEFAULT ${NOW}
+  );
+
+  INSERT INTO email_templates (name, subject, body) VALUES
+    ('Introduction', 'Fencing for {{company.name}}', 'Hi {{contact.first_name}},
+
+Thanks for taking the time to talk with me. {{company.name}} looks like a great fit for our contractor program: we supply and install vinyl, wood, chain link and aluminum fencing at contractor pricing, with quick turnaround.
+
+I''d be glad to put together pricing for your next project. Just reply to this email or give me a call.
+
+Best regards,
+{{employee.name}}'),
+    ('Follow-up', 'Following up - Delaware Fence Solutions', 'Hi {{contact.first_name}},
+
+Following up on our recent conversation. Is there a project coming up that we could quote for {{company.name}}?
+
+Best regards,
+{{employee.name}}');
+
+  CREATE TABLE email_messages (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    company_id TEXT NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+    contact_id INTEGER REFERENCES contacts(id) ON DELETE SET NULL,
+    employee_id TEXT REFERENCES employees(id) ON DELETE SET NULL,
+    template_id INTEGER REFERENCES email_templates(id) ON DELETE SET NULL,
+    activity_id TEXT REFERENCES activities(id) ON DELETE SET NULL,
+    to_address TEXT NOT NULL,
+    subject TEXT NOT NULL,
+    body TEXT NOT NULL,
+    status TEXT NOT NULL,
+    error TEXT,
+    message_id TEXT,
+    sent_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TEXT DEFAULT ${NOW}
+  );
+
+  CREATE INDEX idx_email_messages_company_id ON email_messages(company_id);
+  `,
+
+  // 013 - Email campaigns: a sequence of timed steps sent to the prospects in
+  // an audience, each company's progress through it, and the addresses that
+  // asked to hear no more
+  `
+  CREATE TABLE campaigns (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT UNIQUE NOT NULL,
+    audience TEXT NOT NULL DEFAULT '{}',
+    employee_id TEXT REFERENCES employees(id) ON DELETE SET NULL,
+    status TEXT NOT NULL DEFAULT 'draft',
+    started_at TEXT,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TEXT DEFAULT ${NOW},
+    updated_at TEXT DEFAULT ${NOW}
+  );
+
+  CREATE TABLE campaign_steps (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    campaign_id INTEGER NOT NULL REFERENCES campaigns(id) ON DELETE CASCADE,
+    position INTEGER NOT NULL,
+    delay_days INTEGER NOT NULL DEFAULT 0,
+    subject TEXT NOT NULL,
+    body TEXT NOT NULL
+  );
+
+  CREATE INDEX idx_campaign_steps_campaign_id ON campaign_steps(campaign_id);
+
+  CREATE TABLE campaign_enrollments (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    campaign_id INTEGER NOT NULL REFERENCES campaigns(id) ON DELETE CASCADE,
+    company_id TEXT NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+    contact_id INTEGER REFERENCES contacts(id) ON DELETE SET NULL,
+    status TEXT NOT NULL DEFAULT 'active',
+    steps_sent INTEGER NOT NULL DEFAULT 0,
+    last_step_id INTEGER REFERENCES campaign_steps(id) ON DELETE SET NULL,
+    next_send_at TEXT,
+    stopped_at TEXT,
+    token TEXT UNIQUE NOT NULL,
+    created_at TEXT DEFAULT ${NOW},
+    UNIQUE (campaign_id, company_id)
+  );
+
+  CREATE INDEX idx_campaign_enrollments_due ON campaign_enrollments(status, next_send_at);
+
+  CREATE TABLE email_opt_outs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    address TEXT UNIQUE NOT NULL,
+    company_id TEXT REFERENCES companies(id) ON DELETE SET NULL,
+    campaign_id INTEGER REFERENCES campaigns(id) ON DELETE SET NULL,
+    created_at TEXT DEFAULT ${NOW}
+  );
+
+  ALTER TABLE email_messages ADD COLUMN campaign_id INTEGER REFERENCES campaigns(id) ON DELETE SET NULL;
+  ALTER TABLE email_messages ADD COLUMN campaign_step_id INTEGER REFERENCES campaign_steps(id) ON DELETE SET NULL;
+  `,
+
+  // 014 - Saved segments: named company filters built from rules (see
+  // lib/segments.js), private to whoever made them or shared with the team
+  `
+  CREATE TABLE segments (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT UNIQUE NOT NULL,
+    rules TEXT NOT NULL DEFAULT '[]',
+    shared INTEGER NOT NULL DEFAULT 0,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TEXT DEFAULT ${NOW},
+    updated_at TEXT DEFAULT ${NOW}
+  );
+  `,
+
+  // 015 - When each company became a customer, for the conversion counts in
+  // reports (see lib/reports.js). Existing customers are dated by their first
+  // 'order_placed' activity, where they have one.
+  `
+  ALTER TABLE companies ADD COLUMN customer_since TEXT;
+
+  UPDATE companies
+  SET customer_since = (
+    SELECT MIN(date) FROM activities
+    WHERE activities.company_id = companies.id AND activities.type = 'order_placed'
+  )
+  WHERE is_customer = 1;
+
+  CREATE INDEX idx_companies_customer_since ON companies(customer_since);
+  CREATE INDEX idx_activities_date ON activities(date);
+  CREATE INDEX idx_follow_ups_created_at ON follow_ups(created_at);
+  `,
+
+  // 016 - Daily and weekly call and conversion targets per employee (see
+  // lib/goals.js); an empty target means none is set
+  `
+  CREATE TABLE goals (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    employee_id TEXT NOT NULL REFERENCES employees(id) ON DELETE CASCADE,
+    period TEXT NOT NULL,
+    calls_target INTEGER,
+    conversions_target INTEGER,
+    updated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TEXT DEFAULT ${NOW},
+    updated_at TEXT DEFAULT ${NOW},
+    UNIQUE (employee_id, period)
+  );
+  `,
+
+  // 017 - Call script versions (see lib/call-script.js), one variant per
+  // company type plus the default ('') one. The script saved in settings
+  // becomes version 1 of the default. Calls remember the version they were
+  // made under, for per-version stats.
+  `
+  CREATE TABLE call_scripts (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    company_type TEXT NOT NULL DEFAULT '',
+    version INTEGER NOT NULL,
+    content TEXT NOT NULL,
+    note TEXT,
+    active INTEGER NOT NULL DEFAULT 0,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TEXT DEFAULT ${NOW},
+    UNIQUE (company_type, version)
+  );
+
+  INSERT INTO call_scripts (company_type, version, content, note, active, created_by, created_at)
+  SELECT '', 1, value, 'Script in use before versions were kept', 1, updated_by, COALESCE(updated_at, ${NOW})
+  FROM settings WHERE key = 'call_script';
+
+  DELETE FROM settings WHERE key = 'call_script';
+
+  ALTER TABLE activities ADD COLUMN call_script_id INTEGER REFERENCES call_scripts(id) ON DELETE SET NULL;
+  CREATE INDEX idx_activities_call_script ON activities(call_script_id);
+  `,
+
+  // 018 - Account security (see lib/passwords.js): an email address for
+  // reset links, a flag forcing a new password at the next sign-in, failed
+  // sign-in counting with a temporary lock, and single-use reset tokens,
+  // stored hashed
+  `
+  ALTER TABLE users ADD COLUMN email TEXT;
+  ALTER TABLE users ADD COLUMN must_change_password INTEGER NOT NULL DEFAULT 0;
+  ALTER TABLE users ADD COLUMN failed_logins INTEGER NOT NULL DEFAULT 0;
+  ALTER TABLE users ADD COLUMN locked_until TEXT;
+  ALTER TABLE users ADD COLUMN password_changed_at TEXT;
+
+  CREATE TABLE password_resets (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    token_hash TEXT UNIQUE NOT NULL,
+    expires_at TEXT NOT NULL,
+    used_at TEXT,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TEXT DEFAULT ${NOW}
+  );
+
+  CREATE INDEX idx_password_resets_user ON password_resets(user_id);
+  `,
+
+  // 019 - Sign-in sessions (see lib/sessions.js): one per signed-in device,
+  // holding the hash of its current refresh token (and the one before, to
+  // spot a stolen token being replayed), where it was last used from, and
+  // when it was signed out
+  `
+  CREATE TABLE sessions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    refresh_hash TEXT UNIQUE NOT NULL,
+    previous_hash TEXT,
+    rotated_at TEXT,
+    user_agent TEXT,
+    ip TEXT,
+    created_at TEXT DEFAULT ${NOW},
+    last_seen_at TEXT DEFAULT ${NOW},
+    expires_at TEXT NOT NULL,
+    revoked_at TEXT
+  );
+
+  CREATE INDEX idx_sessions_user ON sessions(user_id);
+  CREATE INDEX idx_sessions_previous_hash ON sessions(previous_hash);
+  `,
+
+  // 020 - Invitations (see lib/invitations.js): a single-use link, stored
+  // hashed, that lets someone create their own account with the role and
+  // employee record an admin picked
+  `
+  CREATE TABLE invitations (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    token_hash TEXT UNIQUE NOT NULL,
+    email TEXT,
+    name TEXT,
+    role TEXT NOT NULL,
+    employee_id TEXT REFERENCES employees(id) ON DELETE SET NULL,
+    expires_at TEXT NOT NULL,
+    accepted_at TEXT,
+    user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    revoked_at TEXT,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TEXT DEFAULT ${NOW}
+  );
+  `,
+
+  // 021 - Employees link to their login by user_id instead of by having the
+  // same name. Existing pairs are linked where the name still matches exactly
+  // one employee and one non-admin user, which is what sign-in used to match.
+  `
+  ALTER TABLE employees ADD COLUMN user_id INTEGER REFERENCES users(id) ON DELETE SET NULL;
+  CREATE UNIQUE INDEX idx_employees_user ON employees(user_id);
+
+  UPDATE employees
+  SET user_id = (SELECT u.id FROM users u WHERE u.name = employees.name AND u.role <> 'admin')
+  WHERE user_id IS NULL
+    AND (SELECT COUNT(*) FROM users u WHERE u.name = employees.name AND u.role <> 'admin') = 1
+    AND (SELECT COUNT(*) FROM employees e WHERE e.name = employees.name) = 1;
+  `,
+
+  // 022 - Numeric ids logged before whole numbers were bound as integers were
+  // stored as "12.0". Postgres kept them as "12", so migrations/022 is empty.
+  `
+  UPDATE activity_logs
+  SET entity_id = substr(entity_id, 1, length(entity_id) - 2)
+  WHERE entity_id GLOB '[0-9]*.0' AND substr(entity_id, 1, length(entity_id) - 2) NOT GLOB '*[^0-9]*';
+  `,
+
+  // 023 - Computed company columns that segment rules filter on (has_email,
+  // last_activity_at, outcome_ids). Postgres gets them as functions in
+  // migrations/023; here they are SQL in storage/sqlite-computed.js, so
+  // there is nothing to create.
+  `
+  `,
+
+  // 024 - Who turned each customer into one, for conversion goals (see
+  // lib/goals.js). Existing customers are credited to whoever logged their
+  // first 'order_placed' activity, which is what dated them in 015, or else
+  // to their owner.
+  `
+  ALTER TABLE companies ADD COLUMN converted_by TEXT REFERENCES employees(id) ON DELETE SET NULL;
+
+  UPDATE companies
+  SET converted_by = COALESCE((
+    SELECT employee_id FROM activities
+    WHERE activities.company_id = companies.id AND activities.type = 'order_placed'
+    ORDER BY date LIMIT 1
+  ), owner_id)
+  WHERE customer_since IS NOT NULL;
+  `,
+
+  // 025 - report_metrics credits conversions to converted_by. Postgres
+  // replaces the function in migrations/025; here it is SQL in
+  // storage/sqlite-reports.js, so there is nothing to change.
+  `
+  `,
+
+  // 026 - The merge_companies procedure that merges duplicate companies in
+  // one transaction. Postgres gets it as a function in migrations/026; here
+  // it is storage/sqlite-procedures.js, so there is nothing to create.
+  `
+  `,
+
+  // 027 - Computed company columns the call queue filters and ranks on
+  // (was_interested, follow_up_due_at). Postgres gets them as functions in
+  // migrations/027; here they are SQL in storage/sqlite-computed.js, so
+  // there is nothing to create.
+  `
+  `,
+
+  // 028 - The record_failed_login procedure that counts a failed sign-in in
+  // one step. Postgres gets it as a function in migrations/028; here it is
+  // storage/sqlite-procedures.js, so there is nothing to create.
+  `
+  `
+];
@@ -0,0 +1,56 @@
+// Writes that must land together, behind store.procedure(name, params).
+// Every one mirrors the Postgres function of the same name in migrations/,
+// which the Supabase adapter calls over RPC and Postgres runs in a single
+// transaction; here each runs inside one SQLite transaction (see sqlite.js).
+// Keep the two in step. Each takes the store and the same named parameters.
+
+module.exports = {
+  // Fold the companies in merged_ids into survivor_id: re-point every row of
+  // child_tables at the survivor (after deleting dropped_enrollment_ids),
+  // keep one primary contact, set company_values on the survivor and delete
+  // the merged companies. Returns { table: rows moved }.
+  merge_companies: async (store, { survivor_id, merged_ids, company_values, child_tables, dropped_enrollment_ids = [] }) => {
+    // The survivor keeps its primary contact; if it has none, the oldest
+    // moved contact becomes primary
+    if (await store.count('contacts', { where: { company_id: survivor_id } })) {
+      await store.update('contacts', { company_id: { in: merged_ids } }, { is_primary: 0 });
+    }
+    if (dropped_enrollment_ids.length) {
+      await store.remove('campaign_enrollments', { id: { in: dropped_enrollment_ids } });
+    }
+
+    const moved = {};
+    for (const table of child_tables) {
+      moved[table] = await store.update(table, { company_id: { in: merged_ids } }, { company_id: survivor_id });
+    }
+
+    const primary = await store.first('contacts', {
+      columns: ['id', 'name'],
+      where: { company_id: survivor_id },
+      orderBy: [{ column: 'is_primary', ascending: false }, { column: 'id', ascending: true }]
+    });
+    if (primary) {
+      await store.update('contacts', { company_id: survivor_id, id: { neq: primary.id }, is_primary: 1 }, { is_primary: 0 });
+      await store.update('contacts', { id: primary.id }, { is_primary: 1 });
+    }
+
+    await store.update('companies', { id: survivor_id }, { ...company_values, contact_name: primary ? primary.name : null });
+    await store.remove('companies', { id: { in: merged_ids } });
+    return moved;
+  },
+
+  // Count a failed sign-in against account_id. The max_failed-th in a row
+  // locks the account until lock_until and starts the count again. Returns
+  // true when this one locked it.
+  record_failed_login: async (store, { account_id, max_failed, lock_until }) => {
+    const user = await store.first('users', { columns: ['failed_logins'], where: { id: account_id } });
+    if (!user) return false;
+    const failed = (user.failed_logins || 0) + 1;
+    if (failed >= max_failed) {
+      await store.update('users', { id: account_id }, { failed_logins: 0, locked_until: lock_until });
+      return true;
+    }
+    await store.update('users', { id: account_id }, { failed_logins: failed });
+    return false;
+  }
+};
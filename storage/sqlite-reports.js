@@ -0,0 +1,59 @@
+// Aggregate queries behind store.report(name, params), each counted by the
+// database. Every one mirrors the Postgres function of the same name in
+// migrations/, which the Supabase adapter calls over RPC; keep the two in
+// step. Parameters are bound by name (@date_from, ...) and all must be given.
+
+module.exports = {
+  // Calls, answers, interest, follow-ups created and completed, and
+  // conversions to customer between @date_from (inclusive) and @date_to,
+  // per @bucket ('day', 'week' starting Monday, 'month' or null for one
+  // period) and per @group_by ('employee', 'type', 'state' or null). Periods
+  // are in the caller's time, @utc_offset minutes ahead of UTC. Follow-ups
+  // count for the employee they're assigned to, conversions for whoever made
+  // the company a customer (converted_by), else its owner.
+  report_metrics: `
+  WITH events AS (
+    SELECT a.date AS at, a.employee_id, c.type AS company_type, c.state,
+      CASE WHEN a.type = 'call' THEN 1 ELSE 0 END AS calls,
+      CASE WHEN a.type = 'call' AND a.answered = 1 THEN 1 ELSE 0 END AS answered,
+      CASE WHEN a.type = 'call' AND a.interested = 1 THEN 1 ELSE 0 END AS interested,
+      0 AS follow_ups_created, 0 AS follow_ups_completed, 0 AS conversions
+    FROM activities a JOIN companies c ON c.id = a.company_id
+    WHERE a.date >= @date_from AND a.date < @date_to
+    UNION ALL
+    SELECT f.created_at, f.employee_id, c.type, c.state, 0, 0, 0, 1, 0, 0
+    FROM follow_ups f JOIN companies c ON c.id = f.company_id
+    WHERE f.created_at >= @date_from AND f.created_at < @date_to
+    UNION ALL
+    SELECT f.completed_at, f.employee_id, c.type, c.state, 0, 0, 0, 0, 1, 0
+    FROM follow_ups f JOIN companies c ON c.id = f.company_id
+    WHERE f.status = 'done' AND f.completed_at >= @date_from AND f.completed_at < @date_to
+    UNION ALL
+    SELECT c.customer_since, COALESCE(c.converted_by, c.owner_id), c.type, c.state, 0, 0, 0, 0, 0, 1
+    FROM companies c
+    WHERE c.customer_since >= @date_from AND c.customer_since < @date_to
+  )
+  SELECT
+    CASE @bucket
+      WHEN 'day' THEN strftime('%Y-%m-%d', at, @utc_offset || ' minutes')
+      WHEN 'week' THEN strftime('%Y-%m-%d', at, @utc_offset || ' minutes', 'weekday 0', '-6 days')
+      WHEN 'month' THEN strftime('%Y-%m', at, @utc_offset || ' minutes')
+      ELSE ''
+    END AS period,
+    COALESCE(CASE @group_by
+      WHEN 'employee' THEN employee_id
+      WHEN 'type' THEN company_type
+      WHEN 'state' THEN state
+      ELSE ''
+    END, '') AS group_key,
+    SUM(calls) AS calls,
+    SUM(answered) AS answered,
+    SUM(interested) AS interested,
+    SUM(follow_ups_created) AS follow_ups_created,
+    SUM(follow_ups_completed) AS follow_ups_completed,
+    SUM(conversions) AS conversions
+  FROM events
+  GROUP BY 1, 2
+  ORDER BY 1, 2
+  `
+};
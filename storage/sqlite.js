@@ -0,0 +1,268 @@
+const { StorageError } = require('./errors');
+const { isRequestData } = require('./request-data');
+const migrations = require('./sqlite-migrations');
+const reports = require('./sqlite-reports');
+const procedures = require('./sqlite-procedures');
+const computed = require('./sqlite-computed');
+
+const COMPARISONS = { eq: '=', neq: '!=', gt: '>', gte: '>=', lt: '<', lte: '<=', like: 'LIKE', ilike: 'LIKE', notLike: 'NOT LIKE' };
+
+const quote = (identifier) => {
+  if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(identifier)) {
+    throw new StorageError(`Invalid identifier: ${identifier}`, 'invalid_query');
+  }
+  return `"${identifier}"`;
+};
+
+// better-sqlite3 only binds numbers, strings, bigints, buffers and null.
+// Numbers bind as REAL, which a TEXT column stores as "1.0", so whole
+// numbers go in as bigints (SQLite integers) instead.
+const toSqlValue = (value) => {
+  if (value === undefined) return null;
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  if (value instanceof Date) return value.toISOString();
+  if (Number.isSafeInteger(value)) return BigInt(value);
+  return value;
+};
+
+const isOperatorObject = (value) =>
+  value !== null && typeof value === 'object' && !(value instanceof Date) && !Array.isArray(value);
+
+const definedEntries = (row) => Object.entries(row).filter(([, value]) => value !== undefined);
+
+// A column of `table` in a where clause: the column itself, or the SQL of a
+// computed column (see sqlite-computed.js)
+const columnSql = (table, key) => {
+  const sql = computed[table] && computed[table][key];
+  return sql ? `(${sql})` : quote(key);
+};
+
+// A column of `table` to select, with a computed column named as itself
+const selectColumn = (table, key) => {
+  const sql = columnSql(table, key);
+  return sql === quote(key) ? sql : `${sql} AS ${quote(key)}`;
+};
+
+function buildWhere(table, where, params) {
+  const clauses = [];
+
+  for (const [key, condition] of Object.entries(where || {})) {
+    if (key === 'or') {
+      const groups = condition.map(group => buildWhere(table, group, params)).filter(Boolean);
+      clauses.push(groups.length ? `(${groups.map(g => `(${g})`).join(' OR ')})` : '0');
+      continue;
+    }
+    if (key === 'and') {
+      const groups = condition.map(group => buildWhere(table, group, params)).filter(Boolean);
+      if (groups.length) clauses.push(groups.map(g => `(${g})`).join(' AND '));
+      continue;
+    }
+    if (condition === undefined) continue;
+
+    const column = columnSql(table, key);
+
+    if (condition === null) {
+      clauses.push(`${column} IS NULL`);
+      continue;
+    }
+
+    if (!isOperatorObject(condition)) {
+      clauses.push(`${column} = ?`);
+      params.push(toSqlValue(condition));
+      continue;
+    }
+    if (isRequestData(condition)) {
+      throw new StorageError(`${key} must be a single value`, 'invalid_query');
+    }
+
+    for (const [op, value] of Object.entries(condition)) {
+      if (op === 'in') {
+        if (value.length === 0) {
+          clauses.push('0');
+        } else {
+          clauses.push(`${column} IN (${value.map(() => '?').join(', ')})`);
+          params.push(...value.map(toSqlValue));
+        }
+      } else if (op === 'notIn') {
+        if (value.length === 0) {
+          clauses.push('1');
+        } else {
+          clauses.push(`${column} NOT IN (${value.map(() => '?').join(', ')})`);
+          params.push(...value.map(toSqlValue));
+        }
+      } else if (op === 'is') {
+        clauses.push(value === null ? `${column} IS NULL` : `${column} = ?`);
+        if (value !== null) params.push(toSqlValue(value));
+      } else if (op === 'not') {
+        clauses.push(value === null ? `${column} IS NOT NULL` : `${column} IS NOT ?`);
+        if (value !== null) params.push(toSqlValue(value));
+      } else if (COMPARISONS[op]) {
+        const escape = ['like', 'ilike', 'notLike'].includes(op) ? " ESCAPE '\\'" : '';
+        clauses.push(`${column} ${COMPARISONS[op]} ?${escape}`);
+        params.push(toSqlValue(value));
+      } else {
+        throw new StorageError(`Unsupported operator "${op}" on ${key}`, 'invalid_query');
+      }
+    }
+  }
+
+  return clauses.join(' AND ');
+}
+
+function buildOrderBy(orderBy) {
+  if (!orderBy) return '';
+  const terms = (Array.isArray(orderBy) ? orderBy : [orderBy])
+    .map(({ column, ascending = true }) => `${quote(column)} ${ascending ? 'ASC' : 'DESC'}`);
+  return terms.length ? ` ORDER BY ${terms.join(', ')}` : '';
+}
+
+function translateError(err) {
+  if (err instanceof StorageError) return err;
+  const code = String(err.code || '');
+  if (code === 'SQLITE_CONSTRAINT_UNIQUE' || code === 'SQLITE_CONSTRAINT_PRIMARYKEY') {
+    return new StorageError(err.message, 'unique_violation', err);
+  }
+  if (code === 'SQLITE_CONSTRAINT_FOREIGNKEY') {
+    return new StorageError(err.message, 'foreign_key_violation', err);
+  }
+  if (code === 'SQLITE_CONSTRAINT_NOTNULL') {
+    return new StorageError(err.message, 'not_null_violation', err);
+  }
+  return new StorageError(err.message, 'storage_error', err);
+}
+
+function createStore(options = {}) {
+  const Database = require('better-sqlite3');
+  const db = new Database(options.filename || process.env.DB_PATH || 'crm.db');
+  db.pragma('journal_mode = WAL');
+  db.pragma('foreign_keys = ON');
+
+  // Run a synchronous better-sqlite3 call behind the async adapter interface
+  const run = async (fn) => {
+    try {
+      return fn();
+    } catch (err) {
+      throw translateError(err);
+    }
+  };
+
+  const requireWhere = (where, action) => {
+    if (!where || Object.keys(where).length === 0) {
+      throw new StorageError(`Refusing to ${action} without a where clause`, 'invalid_query');
+    }
+  };
+
+  const insertOne = (table, row) => {
+    const entries = definedEntries(row);
+    const sql = entries.length
+      ? `INSERT INTO ${quote(table)} (${entries.map(([k]) => quote(k)).join(', ')}) VALUES (${entries.map(() => '?').join(', ')})`
+      : `INSERT INTO ${quote(table)} DEFAULT VALUES`;
+    const result = db.prepare(sql).run(entries.map(([, v]) => toSqlValue(v)));
+    return db.prepare(`SELECT * FROM ${quote(table)} WHERE rowid = ?`).get(result.lastInsertRowid);
+  };
+
+  const applyMigrations = () => {
+    const applied = db.pragma('user_version', { simple: true });
+    for (let i = applied; i < migrations.length; i++) {
+      db.transaction(() => {
+        db.exec(migrations[i]);
+        db.pragma(`user_version = ${i + 1}`);
+      })();
+    }
+  };
+
+  // A local database file should always be usable straight away
+  applyMigrations();
+
+  const store = {
+    raw: db,
+
+    migrate: () => run(applyMigrations),
+
+    select: (table, query = {}) => run(() => {
+      const params = [];
+      const columns = query.columns ? query.columns.map(column => selectColumn(table, column)).join(', ') : '*';
+      let sql = `SELECT ${columns} FROM ${quote(table)}`;
+      const where = buildWhere(table, query.where, params);
+      if (where) sql += ` WHERE ${where}`;
+      sql += buildOrderBy(query.orderBy);
+      if (query.limit != null || query.offset) {
+        sql += ' LIMIT ? OFFSET ?';
+        params.push(query.limit != null ? query.limit : -1, query.offset || 0);
+      }
+      return db.prepare(sql).all(params);
+    }),
+
+    first: async (table, query = {}) => {
+      const rows = await store.select(table, { ...query, limit: 1 });
+      return rows[0] || null;
+    },
+
+    count: (table, query = {}) => run(() => {
+      const params = [];
+      const where = buildWhere(table, query.where, params);
+      const sql = `SELECT COUNT(*) AS count FROM ${quote(table)}${where ? ` WHERE ${where}` : ''}`;
+      return db.prepare(sql).get(params).count;
+    }),
+
+    insert: (table, rows) => run(() => {
+      if (!Array.isArray(rows)) return insertOne(table, rows);
+      return db.transaction(() => rows.map(row => insertOne(table, row)))();
+    }),
+
+    update: (table, where, changes) => run(() => {
+      requireWhere(where, 'update');
+      const entries = definedEntries(changes);
+      if (entries.length === 0) return 0;
+      const params = entries.map(([, v]) => toSqlValue(v));
+      const sql = `UPDATE ${quote(table)} SET ${entries.map(([k]) => `${quote(k)} = ?`).join(', ')} WHERE ${buildWhere(table, where, params)}`;
+      return db.prepare(sql).run(params).changes;
+    }),
+
+    upsert: (table, row, { onConflict = 'id' } = {}) => run(() => {
+      const entries = definedEntries(row);
+      const conflictColumns = onConflict.split(',').map(c => c.trim());
+      const updates = entries
+        .filter(([k]) => !conflictColumns.includes(k))
+        .map(([k]) => `${quote(k)} = excluded.${quote(k)}`);
+      const sql = `INSERT INTO ${quote(table)} (${entries.map(([k]) => quote(k)).join(', ')}) VALUES (${entries.map(() => '?').join(', ')})
+        ON CONFLICT (${conflictColumns.map(quote).join(', ')}) ${updates.length ? `DO UPDATE SET ${updates.join(', ')}` : 'DO NOTHING'}`;
+      db.prepare(sql).run(entries.map(([, v]) => toSqlValue(v)));
+      const params = [];
+      const where = buildWhere(table, Object.fromEntries(conflictColumns.map(c => [c, row[c]])), params);
+      return db.prepare(`SELECT * FROM ${quote(table)} WHERE ${where}`).get(params);
+    }),
+
+    remove: (table, where) => run(() => {
+      requireWhere(where, 'delete');
+      const params = [];
+      return db.prepare(`DELETE FROM ${quote(table)} WHERE ${buildWhere(table, where, params)}`).run(params).changes;
+    }),
+
+    report: (name, params = {}) => run(() => {
+      if (!reports[name]) throw new StorageError(`Unknown report "${name}"`, 'invalid_query');
+      return db.prepare(reports[name]).all(params);
+    }),
+
+    // The procedure only awaits this store, whose calls all finish
+    // synchronously, so no other request's queries land inside the transaction
+    procedure: async (name, params = {}) => {
+      if (!procedures[name]) throw new StorageError(`Unknown procedure "${name}"`, 'invalid_query');
+      db.exec('BEGIN IMMEDIATE');
+      try {
+        const result = await procedures[name](store, params);
+        db.exec('COMMIT');
+        return result;
+      } catch (err) {
+        db.exec('ROLLBACK');
+        throw translateError(err);
+      }
+    },
+
+    close: async () => db.close()
+  };
+
+  return store;
+}
+
+module.exports = { createStore };
@@ -0,0 +1,219 @@
+const fs = require('fs');
+const path = require('path');
+const { StorageError } = require('./errors');
+const { isRequestData } = require('./request-data');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const SIMPLE_OPERATORS = ['eq', 'neq', 'gt', 'gte', 'lt', 'lte', 'like', 'ilike'];
+
+// Columns are INTEGER 0/1 flags in both schemas, so booleans are stored as numbers
+const toValue = (value) => {
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  if (value instanceof Date) return value.toISOString();
+  return value;
+};
+
+const isOperatorObject = (value) =>
+  value !== null && typeof value === 'object' && !(value instanceof Date) && !Array.isArray(value);
+
+// Operator objects come from the routes, never straight from a request
+// (see request-data.js)
+const operatorsOf = (key, condition) => {
+  if (isRequestData(condition)) {
+    throw new StorageError(`${key} must be a single value`, 'invalid_query');
+  }
+  return Object.entries(condition);
+};
+
+const withoutUndefined = (row) =>
+  Object.fromEntries(Object.entries(row).filter(([, value]) => value !== undefined).map(([k, v]) => [k, toValue(v)]));
+
+// PostgREST filter strings reserve , . : ( ) and quotes
+const quoteFilterValue = (value) => {
+  const text = String(toValue(value));
+  return /[,.:()"\\\s]/.test(text) ? `"${text.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"` : text;
+};
+
+// Turn one `where` object into the PostgREST logic-tree syntax used by .or()
+function toFilterString(where) {
+  const parts = [];
+
+  for (const [key, condition] of Object.entries(where)) {
+    if (key === 'or') {
+      parts.push(`or(${condition.map(toFilterString).join(',')})`);
+      continue;
+    }
+    if (key === 'and') {
+      parts.push(`and(${condition.map(toFilterString).join(',')})`);
+      continue;
+    }
+    if (condition === undefined) continue;
+
+    if (condition === null) {
+      parts.push(`${key}.is.null`);
+    } else if (!isOperatorObject(condition)) {
+      parts.push(`${key}.eq.${quoteFilterValue(condition)}`);
+    } else {
+      for (const [op, value] of operatorsOf(key, condition)) {
+        if (op === 'in') parts.push(`${key}.in.(${value.map(quoteFilterValue).join(',')})`);
+        else if (op === 'notIn') parts.push(value.length ? `${key}.not.in.(${value.map(quoteFilterValue).join(',')})` : `or(${key}.is.null,${key}.not.is.null)`);
+        else if (op === 'is') parts.push(`${key}.is.${value === null ? 'null' : value}`);
+        else if (op === 'not') parts.push(`${key}.not.is.${value === null ? 'null' : value}`);
+        else if (op === 'notLike') parts.push(`${key}.not.like.${quoteFilterValue(value)}`);
+        else if (SIMPLE_OPERATORS.includes(op)) parts.push(`${key}.${op}.${quoteFilterValue(value)}`);
+        else throw new StorageError(`Unsupported operator "${op}" on ${key}`, 'invalid_query');
+      }
+    }
+  }
+
+  return parts.length === 1 ? parts[0] : `and(${parts.join(',')})`;
+}
+
+function applyWhere(builder, where) {
+  for (const [key, condition] of Object.entries(where || {})) {
+    if (key === 'or') {
+      builder = builder.or(condition.map(toFilterString).join(','));
+      continue;
+    }
+    if (key === 'and') {
+      for (const group of condition) builder = applyWhere(builder, group);
+      continue;
+    }
+    if (condition === undefined) continue;
+
+    if (condition === null) {
+      builder = builder.is(key, null);
+      continue;
+    }
+
+    if (!isOperatorObject(condition)) {
+      builder = builder.eq(key, toValue(condition));
+      continue;
+    }
+
+    for (const [op, value] of operatorsOf(key, condition)) {
+      if (op === 'in') builder = builder.in(key, value.map(toValue));
+      else if (op === 'notIn') builder = value.length ? builder.not(key, 'in', `(${value.map(quoteFilterValue).join(',')})`) : builder;
+      else if (op === 'is') builder = builder.is(key, value);
+      else if (op === 'not') builder = builder.not(key, 'is', value);
+      else if (op === 'notLike') builder = builder.not(key, 'like', toValue(value));
+      else if (SIMPLE_OPERATORS.includes(op)) builder = builder[op](key, toValue(value));
+      else throw new StorageError(`Unsupported operator "${op}" on ${key}`, 'invalid_query');
+    }
+  }
+  return builder;
+}
+
+function applyOrder(builder, orderBy) {
+  if (!orderBy) return builder;
+  for (const { column, ascending = true } of Array.isArray(orderBy) ? orderBy : [orderBy]) {
+    builder = builder.order(column, { ascending });
+  }
+  return builder;
+}
+
+const POSTGRES_ERROR_CODES = {
+  23505: 'unique_violation',
+  23503: 'foreign_key_violation',
+  23502: 'not_null_violation'
+};
+
+// supabase-js resolves with { data, error } instead of throwing
+const unwrap = ({ data, error, count }) => {
+  if (error) {
+    throw new StorageError(error.message || String(error), POSTGRES_ERROR_CODES[error.code] || 'storage_error', error);
+  }
+  return { data, count };
+};
+
+function createStore(options = {}) {
+  const { createClient } = require('@supabase/supabase-js');
+  const url = options.url || process.env.SUPABASE_URL;
+  const key = options.key || process.env.SUPABASE_ANON_KEY;
+
+  if (!url || !key) {
+    throw new StorageError('SUPABASE_URL and SUPABASE_ANON_KEY environment variables are required', 'config');
+  }
+
+  const supabase = createClient(url, key);
+
+  const requireWhere = (where, action) => {
+    if (!where || Object.keys(where).length === 0) {
+      throw new StorageError(`Refusing to ${action} without a where clause`, 'invalid_query');
+    }
+  };
+
+  const store = {
+    raw: supabase,
+
+    // Best effort: needs an `exec(sql)` RPC function. Without it, run the
+    // files in migrations/ by hand in the Supabase SQL editor.
+    migrate: async () => {
+      const files = fs.readdirSync(MIGRATIONS_DIR).filter(f => f.endsWith('.sql')).sort();
+      for (const file of files) {
+        const sql = fs.readFileSync(path.join(MIGRATIONS_DIR, file), 'utf-8');
+        const { error } = await supabase.rpc('exec', { sql });
+        if (error) {
+          console.warn(`⚠️ Migration ${file} not applied automatically. Run it in the Supabase SQL editor.`);
+          console.warn(error.message || error);
+        }
+      }
+    },
+
+    select: async (table, query = {}) => {
+      let builder = supabase.from(table).select(query.columns ? query.columns.join(', ') : '*');
+      builder = applyOrder(applyWhere(builder, query.where), query.orderBy);
+      if (query.limit != null || query.offset) {
+        const from = query.offset || 0;
+        const to = query.limit != null ? from + query.limit - 1 : from + 999999;
+        builder = builder.range(from, to);
+      }
+      return unwrap(await builder).data || [];
+    },
+
+    first: async (table, query = {}) => {
+      const rows = await store.select(table, { ...query, limit: 1 });
+      return rows[0] || null;
+    },
+
+    count: async (table, query = {}) => {
+      const builder = supabase.from(table).select('*', { count: 'exact', head: true });
+      return unwrap(await applyWhere(builder, query.where)).count || 0;
+    },
+
+    insert: async (table, rows) => {
+      const payload = Array.isArray(rows) ? rows.map(withoutUndefined) : [withoutUndefined(rows)];
+      const { data } = unwrap(await supabase.from(table).insert(payload).select());
+      return Array.isArray(rows) ? data : data[0];
+    },
+
+    update: async (table, where, changes) => {
+      requireWhere(where, 'update');
+      const values = withoutUndefined(changes);
+      if (Object.keys(values).length === 0) return 0;
+      const builder = supabase.from(table).update(values, { count: 'exact' });
+      return unwrap(await applyWhere(builder, where)).count || 0;
+    },
+
+    upsert: async (table, row, { onConflict = 'id' } = {}) => {
+      const { data } = unwrap(await supabase.from(table).upsert(withoutUndefined(row), { onConflict }).select());
+      return data[0];
+    },
+
+    remove: async (table, where) => {
+      requireWhere(where, 'delete');
+      const builder = supabase.from(table).delete({ count: 'exact' });
+      return unwrap(await applyWhere(builder, where)).count || 0;
+    },
+
+    report: async (name, params = {}) => unwrap(await supabase.rpc(name, params)).data || [],
+
+    procedure: async (name, params = {}) => unwrap(await supabase.rpc(name, params)).data,
+
+    close: async () => {}
+  };
+
+  return store;
+}
+
+module.exports = { createStore };
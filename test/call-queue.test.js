@@ -0,0 +1,37 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, hoursAgo } = require('./helpers');
+
+let app;
+before(async () => {
+  app = await startApp();
+  await app.db.insert('employees', [{ id: 'e1', name: 'Rita' }, { id: 'e2', name: 'Sam' }]);
+});
+after(() => app.close());
+
+const queueIds = async () => (await app.request('GET', '/companies/call-queue')).body.data.map(company => company.id);
+
+test('logging a call leaves the follow-up open and takes the company out of the queue', async () => {
+  await app.db.insert('companies', [{ id: 'q1', name: 'Alpha Fence' }, { id: 'q2', name: 'Beta Fence' }]);
+  const followUp = await app.db.insert('follow_ups', { company_id: 'q2', employee_id: 'e1', due_at: hoursAgo(24) });
+  assert.equal((await queueIds())[0], 'q2');
+
+  const logged = await app.request('POST', '/activities', {
+    body: { id: 'call-q2', company_id: 'q2', employee_id: 'e2', type: 'call', date: new Date().toISOString() }
+  });
+  assert.equal(logged.status, 201);
+
+  const { body: followUps } = await app.request('GET', '/follow-ups?company_id=q2');
+  assert.deepEqual(followUps.map(f => [f.id, f.status]), [[followUp.id, 'open']]);
+  assert.deepEqual(await queueIds(), ['q1']);
+});
+
+test('a follow-up that falls due after the last call still jumps the cooldown', async () => {
+  await app.db.insert('companies', { id: 'q3', name: 'Gamma Fence' });
+  await app.db.insert('activities', { id: 'call-q3', company_id: 'q3', employee_id: 'e1', type: 'call', date: hoursAgo(2) });
+  await app.db.insert('follow_ups', { company_id: 'q3', employee_id: 'e1', due_at: hoursAgo(1) });
+
+  const { body } = await app.request('GET', '/companies/call-queue');
+  assert.equal(body.data[0].id, 'q3');
+  assert.equal(body.data[0].queue.priority, 'overdue_follow_up');
+});
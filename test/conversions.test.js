@@ -0,0 +1,40 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./helpers');
+
+let app;
+before(async () => {
+  app = await startApp();
+  await app.db.insert('employees', [{ id: 'e1', name: 'Rita' }, { id: 'e2', name: 'Sam' }]);
+});
+after(() => app.close());
+
+// { employee_id: conversions } from the goals leaderboard and the report
+const goalConversions = async () => {
+  const { body } = await app.request('GET', '/goals/progress?period=day');
+  return Object.fromEntries(body.employees.map(entry => [entry.employee_id, entry.conversions]));
+};
+const reportConversions = async () => {
+  const { body } = await app.request('GET', '/stats/report?group_by=employee');
+  return Object.fromEntries(body.groups.map(group => [group.key, group.conversions]));
+};
+
+test('a conversion counts for whoever made the company a customer, in goals and the report alike', async () => {
+  await app.db.insert('companies', { id: 'won', name: 'Won Fence', owner_id: 'e2' });
+  const { body: products } = await app.request('GET', '/products');
+  const { body: estimate } = await app.request('POST', '/estimates', {
+    body: { company_id: 'won', employee_id: 'e1', items: [{ product_id: products[0].id, linear_feet: 10 }] }
+  });
+  await app.request('PUT', `/estimates/${estimate.id}`, { body: { status: 'sent' } });
+  assert.equal((await app.request('PUT', `/estimates/${estimate.id}`, { body: { status: 'accepted' } })).status, 200);
+
+  assert.deepEqual(await goalConversions(), { e1: 1, e2: 0 });
+  assert.deepEqual(await reportConversions(), { e1: 1 });
+});
+
+test('a customer nobody is credited with counts for its owner', async () => {
+  await app.db.insert('companies', { id: 'old', name: 'Old Fence', owner_id: 'e2', is_customer: 1, customer_since: new Date().toISOString() });
+
+  assert.deepEqual(await goalConversions(), { e1: 1, e2: 1 });
+  assert.deepEqual(await reportConversions(), { e1: 1, e2: 1 });
+});
@@ -0,0 +1,45 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const bcrypt = require('bcryptjs');
+const { createStorage } = require('../storage');
+const { createApp } = require('../app');
+
+const ADMIN_PASSWORD = 'Fence-Post-2026';
+
+// The app on a throwaway SQLite database, listening on a free port, with an
+// admin signed in. request(method, url, { body, token }) answers
+// { status, body }; it sends the admin's token unless given another.
+async function startApp() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'crm-test-'));
+  const db = createStorage({ driver: 'sqlite', filename: path.join(dir, 'crm.db') });
+  await db.insert('users', { username: 'admin', password: bcrypt.hashSync(ADMIN_PASSWORD, 4), name: 'Administrator', role: 'admin' });
+
+  const server = createApp(db).listen(0);
+  const base = `http://127.0.0.1:${server.address().port}`;
+  let adminToken = null;
+
+  const request = async (method, url, { body, token = adminToken } = {}) => {
+    const response = await fetch(base + url, {
+      method,
+      headers: { 'Content-Type': 'application/json', ...(token ? { Authorization: `Bearer ${token}` } : {}) },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const text = await response.text();
+    return { status: response.status, body: text ? JSON.parse(text) : null };
+  };
+
+  adminToken = (await request('POST', '/auth/login', { body: { username: 'admin', password: ADMIN_PASSWORD } })).body.token;
+
+  const close = async () => {
+    await new Promise(resolve => server.close(resolve));
+    await db.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  };
+
+  return { db, request, close };
+}
+
+const hoursAgo = (hours) => new Date(Date.now() - hours * 60 * 60 * 1000).toISOString();
+
+module.exports = { startApp, hoursAgo };
@@ -0,0 +1,39 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./helpers');
+
+let app;
+before(async () => { app = await startApp(); });
+after(() => app.close());
+
+test('a filter given twice is a 400, not a 500', async () => {
+  for (const [url, param] of [
+    ['/activities?company_id=a&company_id=b', 'company_id'],
+    ['/follow-ups?status=open&status=done', 'status'],
+    ['/estimates?employee_id=a&employee_id=b', 'employee_id'],
+    ['/companies?type=a&type=b', 'type']
+  ]) {
+    const { status, body } = await app.request('GET', url);
+    assert.equal(status, 400, url);
+    assert.equal(body.error, `${param} must be a single value`);
+  }
+});
+
+test('a filter given as an operator object is a 400', async () => {
+  for (const url of ['/activities?type[neq]=x', '/follow-ups?company_id[neq]=x', '/deals?stage_id[in]=1']) {
+    assert.equal((await app.request('GET', url)).status, 400, url);
+  }
+});
+
+test('a single value still filters', async () => {
+  await app.db.insert('employees', { id: 'e1', name: 'Rita' });
+  await app.db.insert('companies', [{ id: 'c1', name: 'Acme' }, { id: 'c2', name: 'Bolt' }]);
+  await app.db.insert('activities', [
+    { id: 'a1', company_id: 'c1', employee_id: 'e1', type: 'call', date: new Date().toISOString() },
+    { id: 'a2', company_id: 'c2', employee_id: 'e1', type: 'call', date: new Date().toISOString() }
+  ]);
+
+  const { status, body } = await app.request('GET', '/activities?company_id=c1');
+  assert.equal(status, 200);
+  assert.deepEqual(body.map(activity => activity.id), ['a1']);
+});